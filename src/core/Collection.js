@@ -42,13 +42,28 @@
  * // REST Data (fetch from API)
  * const collection = new MyCollection({ preloaded: false }); // default
  * await collection.fetch(); // Will make API call
+ *
+ * // Local query mode: fetch() applies params to the records in memory
+ * const collection = new MyCollection({ local: true, data: rows });
+ * collection.setParams({ status__in: 'new,open', sort: '-created', size: 25 });
+ * await collection.fetch(); // filters, sorts and pages locally
  */
 
 import EventEmitter from '@core/mixins/EventEmitter.js';
 import Model from '@core/Model.js';
+import { parseFilterKey, getFieldValue, matchesFilters, matchesLookup, matchesDateRange, compareValues } from '@core/utils/DjangoLookups.js';
 import rest from '@core/Rest.js';
+import modelStore from '@core/services/ModelStore.js';
+import realtimeSync from '@core/services/RealtimeSync.js';
 
 class Collection {
+  // Params that control a local query rather than filter records
+  static QUERY_PARAMS = ['start', 'size', 'sort', 'search', 'graph', 'format', 'download_format', 'dr_start', 'dr_end', 'dr_field'];
+
+  // Params only the API understands (TablePage's group scope); local queries
+  // ignore them, along with `options.serverParams`
+  static SERVER_PARAMS = ['group'];
+
   constructor(options = {}, data = null) {
     // Handle case where first argument is data instead of ModelClass
     if (Array.isArray(options)) {
@@ -64,14 +79,17 @@ class Collection {
     this.errors = {};
     this.meta = {};
     this.rest = rest;
+    // Local query mode: every record held; `models` is the current page
+    this.source = null;
     if (data) {
         this.add(data);
     }
 
     // Initialize params with defaults - single source of truth for query state
+    // (a `local: true` collection only pages once given a size)
     this.params = {
       start: 0,
-      size: options.size || 10,
+      ...(options.local === true && !options.size ? {} : { size: options.size || 10 }),
       ...options.params
     };
 
@@ -135,6 +153,16 @@ class Collection {
       return { success: true, message: 'Rate limited, skipping fetch', data: { data: this.toJSON() } };
     }
 
+    // Local query mode: params are applied to the records in memory
+    if (this.isLocal()) {
+      this.lastFetchTime = now;
+      this.emit('fetch:start');
+      const response = this.queryLocal(additionalParams, { silent: additionalParams.silent });
+      this.emit('fetch:success');
+      this.emit('fetch:end');
+      return response;
+    }
+
     // Skip fetching if not REST enabled
     if (!this.restEnabled) {
       console.info('Collection: REST disabled, skipping fetch');
@@ -193,7 +221,8 @@ class Collection {
     try {
       this.emit("fetch:start");
       const response = await this.rest.GET(url, fetchParams, {
-        signal: abortController.signal
+        signal: abortController.signal,
+        cache: this.options.cache
       });
 
       if (response.success && response.data.status) {
@@ -260,7 +289,7 @@ class Collection {
 
   async setParams(newParams, autoFetch = false, debounceMs = 0) {
     this.params = newParams;
-    if (autoFetch && this.restEnabled) {
+    if (autoFetch && (this.restEnabled || this.isLocal())) {
       if (debounceMs > 0) {
         // Clear existing debounced fetch
         if (this.debouncedFetchTimeout) {
@@ -304,7 +333,7 @@ class Collection {
    *   `meta.count`.
    */
   async fetchMore({ pageDelta = 1 } = {}) {
-    if (!this.restEnabled) {
+    if (!this.restEnabled && !this.isLocal()) {
       return { success: false, message: 'REST disabled, cannot fetchMore' };
     }
 
@@ -491,8 +520,9 @@ class Collection {
     }
 
     try {
-      // Create model instance with the ID and use its fetch method
-      const model = new this.ModelClass({ id }, {
+      // Use the shared instance when the identity map has one, so the
+      // refreshed data reaches every view holding it
+      const model = modelStore.get(this.ModelClass, id, this.endpoint) || new this.ModelClass({ id }, {
         endpoint: this.endpoint,
         collection: this
       });
@@ -500,17 +530,20 @@ class Collection {
       const response = await model.fetch(options);
 
       if (response.success) {
+        const shared = modelStore.add(model);
+        if (shared !== model) shared.set(model.attributes);
+
         // Optionally add to collection if not already present
         if (options.addToCollection === true) {
-          const existingModel = this.get(model.id);
+          const existingModel = this.get(shared.id);
           if (!existingModel) {
-            this.add(model, { silent: options.silent });
-          } else if (options.merge !== false) {
-            existingModel.set(model.attributes);
+            this.add(shared, { silent: options.silent });
+          } else if (existingModel !== shared && options.merge !== false) {
+            existingModel.set(shared.attributes);
           }
         }
 
-        return model;
+        return shared;
       } else {
         console.warn('Collection: fetchOne failed -', response.error || 'Unknown error');
         return null;
@@ -630,29 +663,39 @@ class Collection {
       let model;
 
       if (modelData instanceof this.ModelClass) {
-        model = modelData;
+        // A different instance of an already shared record is merged into
+        // the shared one
+        model = modelStore.add(modelData);
+        if (model !== modelData && options.merge !== false) model.set(modelData.attributes);
         // Adopt the model: ensure it can find its parent collection (e.g.
         // for in-memory `Model.destroy() → collection.remove(this)` flows).
         // Only set if not already pointing at us, so external collections
         // can re-parent via `add(model)` if they want.
         if (!model.collection) model.collection = this;
       } else {
-        model = new this.ModelClass(modelData, {
+        // Identity map: a record already loaded elsewhere is reused (and
+        // updated with this data) instead of copied
+        model = modelStore.resolve(this.ModelClass, modelData, {
           endpoint: this.endpoint,
-          collection: this
+          collection: this,
+          merge: options.merge
         });
+        if (!model.collection) model.collection = this;
       }
 
-      // Check for duplicates
-      const existingIndex = this.models.findIndex(m => m.id === model.id);
-      if (existingIndex !== -1) {
-        if (options.merge !== false) {
+      // Check for duplicates (in local query mode, also among the records
+      // filtered off the current page)
+      const existing = this.models.find(m => m.id === model.id)
+        || this.source?.find(m => m.id === model.id);
+      if (existing) {
+        if (options.merge !== false && existing !== model) {
           // Update existing model
-          this.models[existingIndex].set(model.attributes);
+          existing.set(model.attributes);
         }
       } else {
         // Add new model
         this.models.push(model);
+        this.source?.push(model);
         addedModels.push(model);
       }
     }
@@ -678,7 +721,8 @@ class Collection {
     for (const model of modelsToRemove) {
       let index = -1;
 
-      if (typeof model === 'string' || typeof model === 'number') {
+      const byId = typeof model === 'string' || typeof model === 'number';
+      if (byId) {
         // Remove by ID
         index = this.models.findIndex(m => m.id == model);
       } else {
@@ -686,6 +730,20 @@ class Collection {
         index = this.models.indexOf(model);
       }
 
+      // Local query mode: the record may be filtered off the current page
+      if (this.source) {
+        const sourceIndex = byId
+          ? this.source.findIndex(m => m.id == model)
+          : this.source.indexOf(model);
+        if (sourceIndex !== -1) {
+          const removedModel = this.source.splice(sourceIndex, 1)[0];
+          if (index === -1) {
+            if (removedModel.collection === this) removedModel.collection = null;
+            removedModels.push(removedModel);
+          }
+        }
+      }
+
       if (index !== -1) {
         const removedModel = this.models.splice(index, 1)[0];
         // Detach the back-reference so the orphaned instance doesn't
@@ -712,6 +770,8 @@ class Collection {
   reset(models = null, options = {}) {
     const previousModels = [...this.models];
     this.models = [];
+    // New records replace the local query source too
+    this.source = null;
 
     if (models) {
       this.add(models, { silent: true, ...options });
@@ -763,6 +823,10 @@ class Collection {
 
   /**
    * Find models matching criteria
+   *
+   * Object keys may carry a Django lookup or path (`priority__gte`,
+   * `title__icontains`, `owner__name`); plain keys compare with strict equality.
+   *
    * @param {function|object} criteria - Filter function or object with key-value pairs
    * @returns {array} Array of matching models
    */
@@ -774,7 +838,9 @@ class Collection {
     if (typeof criteria === 'object') {
       return this.models.filter(model => {
         return Object.entries(criteria).every(([key, value]) => {
-          return model.get(key) === value;
+          const { field, lookup } = parseFilterKey(key);
+          if (!lookup && !key.includes('__')) return model.get(key) === value;
+          return matchesLookup(Collection.getQueryValue(model, field), lookup, value);
         });
       });
     }
@@ -836,6 +902,106 @@ class Collection {
     return this;
   }
 
+  /**
+   * Whether fetch() queries the records in memory instead of the API
+   * (collections created with `local: true`)
+   * @returns {boolean}
+   */
+  isLocal() {
+    return this.options.local === true;
+  }
+
+  /**
+   * Apply params to the records in memory the way the API would: Django
+   * lookup filters, `search`, the `dr_start`/`dr_end`/`dr_field` date range,
+   * `sort` and `start`/`size` paging. `models` becomes the page and
+   * `meta.count` the number of matches.
+   *
+   * The first call snapshots the current models as the full record set;
+   * add()/remove() keep it in sync and reset() replaces it.
+   *
+   * @param {object} additionalParams - Params merged over `this.params` for this query only;
+   *   `reset: false` appends the page instead (fetchMore)
+   * @param {object} options
+   * @param {boolean} [options.silent=false] - Skip the `reset` event
+   * @returns {object} REST-shaped response ({ success, data: { data, start, size, count } })
+   */
+  queryLocal(additionalParams = {}, options = {}) {
+    const { reset, silent: _silent, ...extraParams } = additionalParams;
+    const params = { ...this.params, ...extraParams };
+    if (!this.source) this.source = [...this.models];
+
+    const filters = this.localFilters(params);
+    const matches = this.source.filter(model => this.matchesQuery(model, params, filters));
+    Collection.sortModels(matches, params.sort);
+
+    const count = matches.length;
+    const start = Math.max(0, parseInt(params.start, 10) || 0);
+    const size = parseInt(params.size, 10) || count;
+    const previousModels = this.models;
+    const page = matches.slice(start, start + size);
+    this.models = reset === false
+      ? [...previousModels, ...page.filter(model => !previousModels.includes(model))]
+      : page;
+    this.meta = { ...this.meta, start, size, count };
+
+    if (!options.silent) {
+      this.emit('reset', { collection: this, previousModels });
+    }
+
+    return {
+      success: true,
+      data: { status: true, data: this.toJSON(), start, size, count }
+    };
+  }
+
+  /**
+   * The params a local query filters on: field lookups whose field the
+   * records have. Query controls, `SERVER_PARAMS`, `options.serverParams`
+   * and params naming no known field are left to the API.
+   * @param {object} params - Defaults to `this.params`
+   * @returns {object} Filter key → value
+   */
+  localFilters(params = this.params) {
+    const skip = [...Collection.QUERY_PARAMS, ...Collection.SERVER_PARAMS, ...(this.options.serverParams || [])];
+    const records = this.source || this.models;
+    const fields = new Set(['id']);
+    records.forEach(model => Object.keys(model.attributes).forEach(key => fields.add(key)));
+
+    const filters = {};
+    Object.entries(params).forEach(([key, value]) => {
+      if (skip.includes(key)) return;
+      const { field } = parseFilterKey(key);
+      if (fields.has(String(field).split(/__|\./)[0])) filters[key] = value;
+    });
+    return filters;
+  }
+
+  /**
+   * Whether a model matches query params (see queryLocal)
+   * @param {Model} model
+   * @param {object} params - Defaults to `this.params`
+   * @param {object} filters - Precomputed localFilters(params), when testing many models
+   * @returns {boolean}
+   */
+  matchesQuery(model, params = this.params, filters = this.localFilters(params)) {
+    if (!matchesFilters(model, filters, Collection.getQueryValue)) return false;
+
+    if (params.dr_field && (params.dr_start || params.dr_end)) {
+      const value = Collection.getQueryValue(model, params.dr_field);
+      if (!matchesDateRange(value, params.dr_start, params.dr_end)) return false;
+    }
+
+    const term = String(params.search ?? '').trim().toLowerCase();
+    if (!term) return true;
+    const fields = this.options.searchFields || this.ModelClass.searchFields
+      || Object.keys(model.attributes);
+    return fields.some(field => {
+      const value = Collection.getQueryValue(model, field);
+      return value !== null && typeof value !== 'object' && String(value).toLowerCase().includes(term);
+    });
+  }
+
   /**
    * Convert collection to JSON array
    * @returns {array} Array of model JSON representations
@@ -873,6 +1039,26 @@ class Collection {
     return this.endpoint;
   }
 
+  /**
+   * Apply server change events for this collection's model type as they
+   * arrive over the realtime socket (see RealtimeSync). Created records are
+   * added, updated ones set in place and deleted ones removed.
+   * @param {object} options
+   * @param {string} [options.created] - 'add', 'fetch' (refetch the page) or 'ignore'.
+   *   Defaults to 'fetch' for a filtered or paged collection, 'add' otherwise.
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(options = {}) {
+    return realtimeSync.subscribe(this, options);
+  }
+
+  /**
+   * Stop applying realtime change events
+   */
+  unsubscribe() {
+    realtimeSync.unsubscribe(this);
+  }
+
   // EventEmitter API: on, off, once, emit (from mixin).
 
   /**
@@ -896,8 +1082,53 @@ class Collection {
     collection.add(data, { silent: true });
     return collection;
   }
+
+  /**
+   * Read a query field from a model: `id` or an attribute path (`user__name`
+   * or `user.name`)
+   * @param {Model} model
+   * @param {string} field
+   * @returns {*}
+   */
+  static getQueryValue(model, field) {
+    if (field === 'id') return model.id;
+    return getFieldValue(model.attributes, field);
+  }
+
+  /**
+   * Sort models in place by an API sort param: comma-separated fields, `-`
+   * prefix for descending. Empty values sort last ascending, first descending.
+   * @param {Array<Model>} models
+   * @param {string} sort - e.g. `'-priority,title'`
+   * @returns {Array<Model>} The same array
+   */
+  static sortModels(models, sort) {
+    const keys = String(sort || '').split(',').map(key => key.trim()).filter(Boolean);
+    if (!keys.length) return models;
+
+    return models.sort((a, b) => {
+      for (const key of keys) {
+        const desc = key.startsWith('-');
+        const field = desc ? key.slice(1) : key;
+        const aVal = Collection.getQueryValue(a, field);
+        const bVal = Collection.getQueryValue(b, field);
+        const aEmpty = aVal === null || aVal === undefined || aVal === '';
+        const bEmpty = bVal === null || bVal === undefined || bVal === '';
+
+        let result = 0;
+        if (aEmpty || bEmpty) {
+          result = aEmpty === bEmpty ? 0 : (aEmpty ? 1 : -1);
+        } else {
+          result = compareValues(aVal, bVal);
+        }
+        if (result !== 0) return desc ? -result : result;
+      }
+      return 0;
+    });
+  }
 }
 
+
 Object.assign(Collection.prototype, EventEmitter);
 
 export default Collection;
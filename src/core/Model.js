@@ -10,6 +10,7 @@
  * Standard Events:
  *   - 'change' - Emitted when any model data changes
  *   - 'change:fieldName' - Emitted when specific field changes
+ *   - 'queued' / 'synced' - A save went to Rest's offline outbox / was replayed
  *
  * @example
  * const user = new User({ name: 'John', email: 'john@example.com' });
@@ -28,11 +29,46 @@
  * // Trigger events by changing data
  * user.set('name', 'Jane'); // Emits 'change' and 'change:name'
  * user.set({ name: 'Bob', email: 'bob@example.com' }); // Emits 'change' and individual field events
+ *
+ * Relations:
+ *   `static belongsTo` / `static hasMany` declare related models. Nested
+ *   payloads (or bare ids) are hydrated into Model/Collection instances by
+ *   getRelated(), unloaded ones are fetched on access, and save() sends
+ *   related records back as ids.
+ *
+ * @example
+ * class Member extends Model {
+ *   static belongsTo = { user: () => User, group: () => Group };
+ * }
+ * class Group extends Model {
+ *   static hasMany = { members: { collection: () => MemberList, foreignKey: 'group' } };
+ * }
+ * member.getRelated('user').get('display_name');
+ * const members = await group.fetchRelated('members');
+ *
+ * Computed properties:
+ *   `static computed` declares derived values read with get(). Dependencies
+ *   are the attributes the getter reads through get() (or an explicit
+ *   `deps` list); the value is cached until one of them changes, which emits
+ *   `change:<name>` like a real attribute.
+ *
+ * @example
+ * class User extends Model {
+ *   static computed = {
+ *     fullName() { return `${this.get('first_name')} ${this.get('last_name')}`; },
+ *     isAdmin: { deps: ['permissions'], get() { return !!this.attributes.permissions?.admin; } }
+ *   };
+ * }
+ * user.get('fullName|upper');
  */
 
 import MOJOUtils from '@core/utils/MOJOUtils.js';
+import i18n from '@core/utils/I18n.js';
 import EventEmitter from '@core/mixins/EventEmitter.js';
+import { track, recordRead } from '@core/utils/DependencyTracker.js';
 import rest from '@core/Rest.js';
+import modelStore from '@core/services/ModelStore.js';
+import realtimeSync from '@core/services/RealtimeSync.js';
 
 class Model {
   constructor(data = {}, options = {}) {
@@ -74,6 +110,15 @@ class Model {
    * @returns {*} Attribute value, possibly formatted
    */
    get(key) {
+     recordRead(this, key);
+
+     // Computed properties (pipes apply to the computed value)
+     const field = typeof key === 'string' ? key.split('|')[0].trim() : key;
+     if (this.constructor.getComputed()[field]) {
+       const value = this.getComputed(field);
+       return field === key ? value : MOJOUtils.getContextData({ [field]: value }, key);
+     }
+
      // Check if key exists as an instance field first (for 'id', 'endpoint', etc.)
      if (!key.includes('.') && !key.includes('|') && this[key] !== undefined) {
        // If it's a function, call it and return the result
@@ -116,24 +161,37 @@ class Model {
       }
     }
 
-    // Trigger change event if data changed and not silent.
+    if (!hasChanged) return;
+
+    // Keys whose value actually changed (after nested expansion), plus the
+    // computed properties that depend on them
+    const changedKeys = typeof key === 'string'
+      ? [key]
+      : Object.keys(key).filter(attr => {
+        return JSON.stringify(this._getNestedValue(attr, previousAttributes)) !== JSON.stringify(this._getNestedValue(attr));
+      });
+    const changedComputed = this._invalidateComputed(changedKeys);
+    // Read by View._onModelChange to patch `data-bind` nodes instead of re-rendering
+    this.lastChangedKeys = [...changedKeys, ...changedComputed];
+
+    // Trigger change event if not silent.
     // Options are forwarded so listeners can react to flags like
     // `skipRender` (View._onModelChange skips its automatic render).
-    if (hasChanged && !options.silent) {
+    if (!options.silent) {
       this.emit('change', this, options);
 
       // Trigger specific attribute change events
       if (typeof key === 'string') {
         this.emit(`change:${key}`, value, this);
       } else {
-        for (const [attr, val] of Object.entries(key)) {
+        for (const attr of changedKeys) {
           // Get the final value that was actually set (after nested expansion)
-          const finalValue = this._getNestedValue(attr);
-          if (JSON.stringify(this._getNestedValue(attr, previousAttributes)) !== JSON.stringify(finalValue)) {
-            this.emit(`change:${attr}`, finalValue, this);
-          }
+          this.emit(`change:${attr}`, this._getNestedValue(attr), this);
         }
       }
+      for (const name of changedComputed) {
+        this.emit(`change:${name}`, this.getComputed(name), this);
+      }
     }
   }
 
@@ -229,6 +287,7 @@ class Model {
    * Fetch model data from API with request deduplication and cancellation
    * @param {object} options - Request options
    * @param {number} options.debounceMs - Optional debounce delay in milliseconds
+   * @param {boolean|object} options.cache - Rest response cache override (false bypasses it)
    * @returns {Promise} Promise that resolves with REST response
    */
   async fetch(options = {}) {
@@ -338,7 +397,8 @@ class Model {
           options.params.graph = options.graph;
       }
       const response = await this.rest.GET(url, options.params, {
-        signal: abortController.signal
+        signal: abortController.signal,
+        cache: options.cache
       });
 
       if (response.success) {
@@ -376,20 +436,54 @@ class Model {
 
   /**
    * Save model to API (create or update)
+   * When Rest's offline outbox is enabled, a save that can't reach the
+   * server is queued (response.queued) and applied locally; the server's
+   * reply is applied when the queue replays it.
    * @param {object} data - Data to save to the model
    * @param {object} options - Request options
+   * @param {boolean} options.offline - Queue when offline (default: model `offline` option, else true)
+   * @param {boolean} options.patch - Send only changed attributes via PATCH (default: model `patch` option)
+   * @param {boolean} options.optimistic - Apply `data` before the request and roll back if the
+   *   server rejects it (default: model `optimistic` option)
    * @returns {Promise} Promise that resolves with REST response
    */
    async save(data, options = {}) {
+     const coalesced = await this.amendQueuedSave(data, options);
+     if (coalesced) return coalesced;
+
      const isNew = !this.id;
-     const method = isNew ? 'POST' : 'PUT';
+     const patch = !isNew && this.modelOption('patch', options);
+     const method = isNew ? 'POST' : (patch ? 'PATCH' : 'PUT');
      const url = isNew ? this.buildUrl() : this.buildUrl(this.id);
 
+     const payload = this.serializeRelations(patch ? this.getPatchData(data) : data);
+     if (patch && payload && !(payload instanceof FormData) && !Object.keys(payload).length) {
+       return {
+         success: true,
+         status: 200,
+         message: 'No changes to save',
+         data: { status: true, data: {} }
+       };
+     }
+
+     // Optimistic update: show the edit now, remember what to roll back to
+     const isPlainData = data && typeof data === 'object' && !(data instanceof FormData);
+     const rollbackTo = this.modelOption('optimistic', options) && isPlainData
+       ? JSON.parse(JSON.stringify(this.attributes))
+       : null;
+     if (rollbackTo) this.set(data, null, options);
+
      this.loading = true;
      this.errors = {};
 
      try {
-       const response = await this.rest[method](url, data, options.params);
+       const response = await this.rest[method](url, payload, options.params, {
+         offline: this.queuesOffline(options)
+       });
+
+       if (rollbackTo && !(response.success && response.data?.status)) {
+         this.rollback(rollbackTo, options);
+       }
 
        if (response.success) {
          if (response.data.status) {
@@ -398,9 +492,11 @@ class Model {
            this.originalAttributes = { ...this.attributes };
            this.set(response.data.data, null, options);
            this.errors = {};
+           if (isNew) modelStore.add(this);
          } else {
            this.errors = response.data;
          }
+         if (response.queued) this.trackQueuedSave(response.queueId, options);
        } else {
          this.errors = response.errors || {};
        }
@@ -408,6 +504,8 @@ class Model {
        return response; // Always return the full response
 
      } catch (error) {
+       if (rollbackTo) this.rollback(rollbackTo, options);
+
        // Return error response for network/other errors
        return {
          success: false,
@@ -419,6 +517,58 @@ class Model {
      }
    }
 
+  /**
+   * Resolve a per-call option against the model's options and class statics
+   * (`options.patch` → `this.options.patch` → `static patch`)
+   * @param {string} name - Option name
+   * @param {object} options - Per-call options
+   * @returns {boolean}
+   */
+  modelOption(name, options = {}) {
+    return Boolean(options[name] ?? this.options[name] ?? this.constructor[name]);
+  }
+
+  /**
+   * Attributes a PATCH save should send: the keys of `data` whose value
+   * differs from the last saved state, or every changed attribute when no
+   * data is given
+   * @param {object|FormData|null} data - Data passed to save()
+   * @returns {object|FormData}
+   */
+  getPatchData(data) {
+    if (data instanceof FormData) return data;
+    if (!data || typeof data !== 'object') return this.getChangedAttributes();
+
+    const changed = {};
+    for (const [key, value] of Object.entries(data)) {
+      if (JSON.stringify(this._getNestedValue(key, this.originalAttributes)) !== JSON.stringify(value)) {
+        changed[key] = value;
+      }
+    }
+    return changed;
+  }
+
+  /**
+   * Restore attributes from a snapshot taken before an optimistic save and
+   * emit 'change' (with `rollback: true`) plus 'change:attr' for each
+   * reverted attribute
+   * @param {object} snapshot - Attributes to restore
+   * @param {object} options - Save options (forwarded to the change event)
+   */
+  rollback(snapshot, options = {}) {
+    const previous = this.attributes;
+    this._restoreAttributes(snapshot);
+    this.id = snapshot[this.options.idAttribute] ?? this.id;
+
+    const keys = new Set([...Object.keys(previous), ...Object.keys(snapshot)]);
+    const reverted = [...keys].filter(key => JSON.stringify(previous[key]) !== JSON.stringify(snapshot[key]));
+    if (!reverted.length || options.silent) return;
+
+    this.lastChangedKeys = reverted;
+    this.emit('change', this, { ...options, rollback: true });
+    reverted.forEach(key => this.emit(`change:${key}`, this.attributes[key], this));
+  }
+
 
   /**
    * Delete model from API
@@ -440,9 +590,13 @@ class Model {
     this.errors = {};
 
     try {
-      const response = await this.rest.DELETE(url, options.params);
+      const response = await this.rest.DELETE(url, options.params, {
+        offline: this.queuesOffline(options)
+      });
 
       if (response.success) {
+        modelStore.remove(this);
+        realtimeSync.unsubscribe(this);
         // Clear model data on success
         this.attributes = {};
         this.originalAttributes = {};
@@ -468,6 +622,77 @@ class Model {
     }
   }
 
+  /**
+   * Whether a mutation may be queued by Rest's offline outbox
+   * @param {object} options - Save/destroy options
+   * @returns {boolean}
+   */
+  queuesOffline(options = {}) {
+    return options.offline ?? this.options.offline ?? this.constructor.offline ?? true;
+  }
+
+  /**
+   * Fold a save into this model's latest queued one while it waits in the
+   * offline outbox, rather than queueing another request. A new model saved
+   * again before replay therefore still creates one record. When that entry
+   * is being sent right now, waits for it (a new model gets its id) and
+   * returns null so the save goes out normally.
+   * @param {object} data - Data to save
+   * @param {object} options - Save options
+   * @returns {Promise<object|null>} The queued response, or null to save normally
+   */
+  async amendQueuedSave(data, options = {}) {
+    const queue = this.rest.offlineQueue;
+    const queueId = this.isPendingSync() ? [...this.pendingSaves].pop() : null;
+    const isPlainData = data && typeof data === 'object' && !(data instanceof FormData);
+    if (!queue || !queueId || !isPlainData || !this.queuesOffline(options)) return null;
+
+    if (queue.isSending(queueId)) {
+      await queue.whenReplayed(queueId);
+      return null;
+    }
+
+    const response = await this.rest.amendOffline(queueId, this.serializeRelations(data));
+    if (!response) return null;
+    this.set(data, null, options);
+    this.originalAttributes = { ...this.attributes };
+    this.errors = {};
+    this.emit('queued', this, queueId);
+    return response;
+  }
+
+  /**
+   * Follow a save queued by the offline outbox: emits 'queued' now and, once
+   * replayed, applies the server's data and emits 'synced'
+   * @param {string} queueId - OfflineQueue entry id
+   * @param {object} options - Save options (forwarded to set())
+   */
+  trackQueuedSave(queueId, options = {}) {
+    const queue = this.rest.offlineQueue;
+    if (!queue) return;
+
+    this.pendingSaves = this.pendingSaves || new Set();
+    this.pendingSaves.add(queueId);
+    this.emit('queued', this, queueId);
+
+    queue.whenReplayed(queueId).then((response) => {
+      this.pendingSaves.delete(queueId);
+      if (response?.success && response.data?.status && response.data.data) {
+        this.set(response.data.data, null, options);
+        this.originalAttributes = { ...this.attributes };
+      }
+      this.emit('synced', this, response);
+    });
+  }
+
+  /**
+   * Whether saves of this model are waiting in the offline outbox
+   * @returns {boolean}
+   */
+  isPendingSync() {
+    return Boolean(this.pendingSaves?.size);
+  }
+
   /**
    * Check if model has been modified
    * @returns {boolean} True if model has unsaved changes
@@ -496,19 +721,29 @@ class Model {
    * Reset model to original state
    */
   reset() {
+    this._restoreAttributes(this.originalAttributes);
+    this.errors = {};
+  }
+
+  /**
+   * Replace attributes with a snapshot, without emitting events
+   * @param {object} snapshot
+   * @private
+   */
+  _restoreAttributes(snapshot) {
     // _setNestedAttribute mirrors writes onto instance props (this[key]) for
-    // fast access. Clear those so `reset()` actually restores original state
+    // fast access. Clear those so a restore actually takes effect
     // — otherwise `model.get(key)` (which reads this[key] first) returns the
     // dirty value even though `this.attributes` has been reverted.
     for (const key of Object.keys(this.attributes)) {
-      if (!(key in this.originalAttributes)) delete this[key];
+      if (!(key in snapshot)) delete this[key];
     }
-    for (const [key, value] of Object.entries(this.originalAttributes)) {
+    for (const [key, value] of Object.entries(snapshot)) {
       this[key] = value;
     }
-    this.attributes = { ...this.originalAttributes };
+    this.attributes = { ...snapshot };
     this._ = this.attributes;
-    this.errors = {};
+    this._computedCache?.clear();
   }
 
   /**
@@ -535,6 +770,238 @@ class Model {
     };
   }
 
+  /**
+   * Computed properties declared by `static computed`, normalized to
+   * `{ get, deps }`. A declaration is a getter function (dependencies tracked
+   * from its get() calls) or `{ get, deps }` with an explicit attribute list.
+   * @returns {object} name -> { get, deps }
+   */
+  static getComputed() {
+    if (Object.prototype.hasOwnProperty.call(this, '_computed')) return this._computed;
+
+    const computed = {};
+    for (const [name, spec] of Object.entries(this.computed || {})) {
+      computed[name] = typeof spec === 'function' ? { get: spec, deps: null } : { get: spec.get, deps: spec.deps || null };
+    }
+
+    this._computed = computed;
+    return computed;
+  }
+
+  /**
+   * Current value of a computed property (cached until a dependency changes)
+   * @param {string} name
+   * @returns {*}
+   */
+  getComputed(name) {
+    const spec = this.constructor.getComputed()[name];
+    if (!spec) return undefined;
+
+    if (!this._computedCache) this._computedCache = new Map();
+    const cached = this._computedCache.get(name);
+    if (cached) return cached.value;
+
+    const { value, deps } = track(() => spec.get.call(this));
+    this._computedCache.set(name, { value, deps: new Set(spec.deps || deps.get(this) || []) });
+    return value;
+  }
+
+  /**
+   * Attributes a computed property depends on (known once it has been read)
+   * @param {string} name
+   * @returns {Set<string>}
+   */
+  getComputedDeps(name) {
+    return this._computedCache?.get(name)?.deps || new Set();
+  }
+
+  /**
+   * Drop cached computed values that depend on changed keys (directly or
+   * through another computed) and return the names whose value changed
+   * @private
+   */
+  _invalidateComputed(changedKeys) {
+    if (!this._computedCache?.size) return [];
+
+    const dirty = new Set(changedKeys.map(key => String(key).split('.')[0]));
+    const stale = new Map();
+    let found = true;
+    while (found) {
+      found = false;
+      for (const [name, entry] of this._computedCache) {
+        if ([...entry.deps].some(dep => dirty.has(dep))) {
+          this._computedCache.delete(name);
+          stale.set(name, entry.value);
+          dirty.add(name);
+          found = true;
+        }
+      }
+    }
+
+    return [...stale].filter(([name, previous]) => {
+      const value = this.getComputed(name);
+      return value !== previous && JSON.stringify(value) !== JSON.stringify(previous);
+    }).map(([name]) => name);
+  }
+
+  /**
+   * Relations declared by `static belongsTo` and `static hasMany`, normalized
+   * to `{ name, type, key, target, foreignKey }`. A declaration is a Model /
+   * Collection class, a function returning one (for circular imports), or
+   * `{ model | collection, key, foreignKey }`.
+   * @returns {object} relation name -> relation
+   */
+  static getRelations() {
+    if (Object.prototype.hasOwnProperty.call(this, '_relations')) return this._relations;
+
+    const relations = {};
+    const declare = (type, declarations = {}) => {
+      for (const [name, spec] of Object.entries(declarations)) {
+        const config = typeof spec === 'function' ? { target: spec } : { ...spec, target: spec.model || spec.collection };
+        relations[name] = { name, type, key: config.key || name, target: config.target, foreignKey: config.foreignKey || null };
+      }
+    };
+    declare('belongsTo', this.belongsTo);
+    declare('hasMany', this.hasMany);
+
+    this._relations = relations;
+    return relations;
+  }
+
+  /**
+   * Related Model (belongsTo) or Collection (hasMany), hydrated from the
+   * nested payload or id stored under the relation's key. An unloaded
+   * relation starts fetching in the background unless `fetch: false`;
+   * use fetchRelated() to wait for it.
+   * @param {string} name - Relation name
+   * @param {object} options
+   * @param {boolean} [options.fetch=true] - Fetch an unloaded relation
+   * @returns {Model|Collection|null}
+   */
+  getRelated(name, { fetch = true } = {}) {
+    const entry = this._relationEntry(name);
+    if (fetch && entry.instance && !entry.loaded) {
+      this.fetchRelated(name).catch(error => console.warn(`Model: failed to load relation "${name}":`, error));
+    }
+    return entry.instance;
+  }
+
+  /**
+   * Load a relation if needed and resolve with it
+   * @param {string} name - Relation name
+   * @returns {Promise<Model|Collection|null>}
+   */
+  async fetchRelated(name) {
+    const entry = this._relationEntry(name);
+    if (!entry.instance || entry.loaded) return entry.instance;
+
+    if (!entry.loading) {
+      entry.loading = entry.instance.fetch()
+        .then((response) => {
+          if (response?.success) entry.loaded = true;
+          return entry.instance;
+        })
+        .finally(() => { entry.loading = null; });
+    }
+    return entry.loading;
+  }
+
+  /**
+   * Cached relation state, re-hydrated whenever the raw value under the
+   * relation's key was replaced (set(), fetch())
+   * @private
+   */
+  _relationEntry(name) {
+    const relation = this.constructor.getRelations()[name];
+    if (!relation) {
+      throw new Error(`Model: unknown relation "${name}"`);
+    }
+
+    this._related = this._related || new Map();
+    const raw = this._getNestedValue(relation.key);
+    let entry = this._related.get(name);
+    if (!entry || entry.raw !== raw) {
+      entry = { raw, ...this._hydrateRelation(relation, raw, entry), loading: null };
+      this._related.set(name, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Build (or refresh) the instance for a relation's raw value, reusing the
+   * previous instance when it is still the same record
+   * @returns {{instance: Model|Collection|null, loaded: boolean}}
+   * @private
+   */
+  _hydrateRelation(relation, raw, previousEntry) {
+    const Target = Model.resolveRelationClass(relation.target);
+    const previous = previousEntry?.instance;
+
+    if (relation.type === 'hasMany') {
+      const params = relation.foreignKey && this.id != null ? { [relation.foreignKey]: this.id } : {};
+      const collection = previous || new Target({ params });
+      if (Array.isArray(raw)) {
+        collection.reset(raw, { silent: !previous });
+        return { instance: collection, loaded: true };
+      }
+      // Without a foreign key there is nothing to fetch by
+      return { instance: collection, loaded: !relation.foreignKey || !!previousEntry?.loaded };
+    }
+
+    if (raw == null || raw === '') return { instance: null, loaded: true };
+    if (raw instanceof Model) return { instance: raw, loaded: true };
+
+    const data = typeof raw === 'object' ? raw : { id: raw };
+    const loaded = typeof raw === 'object' && Object.keys(raw).some(key => key !== 'id');
+    if (previous && previous.id == data.id) {
+      if (loaded) previous.set(data);
+      return { instance: previous, loaded: loaded || !!previousEntry.loaded };
+    }
+    return { instance: modelStore.resolve(Target, data), loaded };
+  }
+
+  /**
+   * Replace related records in a save payload with their ids
+   * (belongsTo → id, hasMany → array of ids). Payloads without relation
+   * keys are returned untouched.
+   * @param {object|FormData|null} payload
+   * @returns {object|FormData|null}
+   */
+  serializeRelations(payload) {
+    if (!payload || typeof payload !== 'object' || payload instanceof FormData) return payload;
+
+    const relations = Object.values(this.constructor.getRelations()).filter(relation => relation.key in payload);
+    if (!relations.length) return payload;
+
+    const toId = value => (value && typeof value === 'object' ? (value.id ?? value) : value);
+    const serialized = { ...payload };
+    for (const relation of relations) {
+      const value = payload[relation.key];
+      if (relation.type === 'hasMany') {
+        const items = Array.isArray(value?.models) ? value.models : value;
+        serialized[relation.key] = Array.isArray(items) ? items.map(toId) : items;
+      } else {
+        serialized[relation.key] = toId(value);
+      }
+    }
+    return serialized;
+  }
+
+  /**
+   * A relation target is a Model/Collection class, or a function returning
+   * one (lets models reference each other across circular imports)
+   * @param {Function} target
+   * @returns {Function} The class
+   */
+  static resolveRelationClass(target) {
+    const isClass = typeof target === 'function' && typeof target.prototype?.fetch === 'function';
+    const resolved = isClass ? target : target?.();
+    if (typeof resolved !== 'function') {
+      throw new Error('Model: relation target must be a Model/Collection class or a function returning one');
+    }
+    return resolved;
+  }
+
   /**
    * Validate model attributes
    * @returns {boolean} True if valid, false if validation errors exist
@@ -565,42 +1032,60 @@ class Model {
       if (typeof rule === 'function') {
         const result = rule(value, this);
         if (result !== true) {
-          this.errors[field] = result || `${field} is invalid`;
+          this.errors[field] = result || i18n.t('validation.invalid', { field });
           break;
         }
       } else if (typeof rule === 'object') {
         if (rule.required && (value === undefined || value === null || value === '')) {
-          this.errors[field] = rule.message || `${field} is required`;
+          this.errors[field] = rule.message || i18n.t('validation.required', { field });
           break;
         }
         if (rule.minLength && value && value.length < rule.minLength) {
-          this.errors[field] = rule.message || `${field} must be at least ${rule.minLength} characters`;
+          this.errors[field] = rule.message || i18n.t('validation.minLength', { field, min: rule.minLength });
           break;
         }
         if (rule.maxLength && value && value.length > rule.maxLength) {
-          this.errors[field] = rule.message || `${field} must be no more than ${rule.maxLength} characters`;
+          this.errors[field] = rule.message || i18n.t('validation.maxLength', { field, max: rule.maxLength });
           break;
         }
         if (rule.pattern && value && !rule.pattern.test(value)) {
-          this.errors[field] = rule.message || `${field} format is invalid`;
+          this.errors[field] = rule.message || i18n.t('validation.pattern', { field });
           break;
         }
       }
     }
   }
 
+  /**
+   * Apply server change events for this record as they arrive over the
+   * realtime socket (see RealtimeSync). Updates are set() with
+   * `{ realtime: true }` in the change options; a delete emits 'deleted'.
+   * @returns {Function} Unsubscribe
+   */
+  subscribe() {
+    return realtimeSync.subscribe(this);
+  }
+
+  /**
+   * Stop applying realtime change events
+   */
+  unsubscribe() {
+    realtimeSync.unsubscribe(this);
+  }
+
   // EventEmitter API: on, off, once, emit (from mixin).
 
   /**
-   * Static method to create and fetch a model by ID
+   * Static method to create and fetch a model by ID. With the identity map
+   * enabled the shared instance is refreshed and returned.
    * @param {string|number} id - Model ID
    * @param {object} options - Options
    * @returns {Promise<RestModel>} Promise that resolves with fetched model
    */
   static async find(id, options = {}) {
-    const model = new this({}, options);
+    const model = modelStore.get(this, id, options.endpoint) || new this({}, options);
     await model.fetch({ id, ...options });
-    return model;
+    return modelStore.add(model);
   }
 
   /**
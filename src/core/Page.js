@@ -8,6 +8,7 @@
  */
 
 import View from '@core/View.js';
+import i18n from '@core/utils/I18n.js';
 
 class Page extends View {
   constructor(options = {}) {
@@ -44,6 +45,15 @@ class Page extends View {
     this.matched = false;
     this.isActive = false;
 
+    // Nested routes: child pages render into the container named by
+    // `outlet` (data-container="outlet" or id="outlet" in the template)
+    this.outlet = options.outlet || this.constructor.outlet || 'outlet';
+    this.parentPage = null;
+    this.activeChildPage = null;
+
+    // Values preloaded by the route's `resolve` map (see WebApp.registerPage)
+    this.resolved = {};
+
     // Page-specific options
     this.pageOptions = {
       title: options.title || this.pageName || 'Untitled Page',
@@ -90,6 +100,54 @@ class Page extends View {
     return true;
   }
 
+  /**
+   * Async navigation guard, awaited before the page is shown (after the
+   * synchronous canEnter() permission check). Return `false` to cancel,
+   * a page name / route string or `{ page|route, query, params }` to
+   * redirect, anything else to continue.
+   * @param {object} _nav - { params, query, from, to, signal }
+   */
+  async beforeEnter(_nav) {
+    return true;
+  }
+
+  /**
+   * Async navigation guard, awaited before leaving this page. Same return
+   * contract as beforeEnter(). With the `confirmLeave` option set, prompts
+   * when a child FormView has unsaved changes.
+   * @param {object} _nav - { params, query, from, to, signal }
+   */
+  async beforeLeave(_nav) {
+    if (this.options.confirmLeave && this.hasUnsavedChanges()) {
+      const message = typeof this.options.confirmLeave === 'string'
+        ? this.options.confirmLeave
+        : i18n.t('page.unsavedChangesMessage');
+      return await this.getApp().confirm(message, i18n.t('page.unsavedChangesTitle'), {
+        confirmText: i18n.t('page.leave'),
+        confirmClass: 'btn-danger'
+      });
+    }
+    return true;
+  }
+
+  /**
+   * True when any descendant view reports unsaved changes via isDirty()
+   * (FormView tracks user edits this way).
+   * @returns {boolean}
+   */
+  hasUnsavedChanges() {
+    const visit = (view) => {
+      for (const id in view.children) {
+        const child = view.children[id];
+        if (!child || child === this.activeChildPage) continue;
+        if (typeof child.isDirty === 'function' && child.isDirty()) return true;
+        if (visit(child)) return true;
+      }
+      return false;
+    };
+    return visit(this);
+  }
+
   /**
    * Called when entering this page (before render)
    * Override this method for initialization logic
@@ -242,6 +300,44 @@ class Page extends View {
     // Empty stub — override in subclasses that display group-scoped data.
   }
 
+  /**
+   * Attach a child page (nested route) to this page's outlet. The previous
+   * child, if different, is exited and unmounted but stays cached by the app.
+   * Called by WebApp.showPage — not normally called directly.
+   * @param {Page} child
+   * @returns {Promise<boolean>} true when the child is newly attached
+   */
+  async attachChildPage(child) {
+    if (this.activeChildPage === child) return false;
+    await this.detachChildPage();
+
+    this.addChild(child, { containerId: this.outlet });
+    child.parentPage = this;
+    this.activeChildPage = child;
+    return true;
+  }
+
+  /**
+   * Exit and unmount the active child page (and its own children).
+   */
+  async detachChildPage() {
+    const child = this.activeChildPage;
+    if (!child) return;
+    this.activeChildPage = null;
+    try {
+      if (child.activeChildPage) {
+        await child.detachChildPage();
+      }
+      await child.onExit();
+      await child.unmount();
+    } catch (error) {
+      console.error(`Error exiting child page ${child.pageName}:`, error);
+    }
+    delete this.children[child.id];
+    child.parent = null;
+    child.parentPage = null;
+  }
+
   /**
    * Get page metadata for display and events
    * @returns {object} Page metadata
@@ -523,17 +619,36 @@ class Page extends View {
     console.error('No router available for navigation');
   }
 
+  /**
+   * Route for the browser URL, without the leading slash. `:param` tokens
+   * are filled from `this.params` so "/users/:id/edit" becomes
+   * "users/42/edit"; unfilled optional params (":tab?") are dropped.
+   */
   getRoute() {
       if (this.route) {
           let route = this.route;
-          if (typeof route === 'string' && route.startsWith('/')) {
-              route = route.substring(1);
+          if (typeof route === 'string') {
+              route = this.fillRouteParams(route);
+              if (route.startsWith('/')) {
+                  route = route.substring(1);
+              }
           }
           return route;
       }
       return this.pageName;
   }
 
+  fillRouteParams(route) {
+      const params = this.params || {};
+      return route.replace(/\/:([^/?]+)(\?)?/g, (match, name, optional) => {
+          const value = params[name];
+          if (typeof value === 'string' || typeof value === 'number') {
+              if (value !== '') return `/${value}`;
+          }
+          return optional ? '' : match;
+      });
+  }
+
   syncUrl(force = true) {
       this.updateBrowserUrl(this.query, false, false);
   }
@@ -310,9 +310,11 @@ export default class PortalApp extends WebApp {
             app: this
         });
 
-        const page = this.getCurrentPage();
-        if (page) {
+        // Nested routes: the parent and every active child page get notified
+        let page = this.getCurrentPage();
+        while (page) {
             page.onGroupChange(group);
+            page = page.activeChildPage;
         }
 
         this.router.updateUrl({group:group.id}, { replace: true });
@@ -27,6 +27,7 @@
 
 import PortalApp from '@core/PortalApp.js';
 import WebSocketClient from '@core/services/WebSocketClient.js';
+import realtimeSync from '@core/services/RealtimeSync.js';
 
 export default class PortalWebApp extends PortalApp {
     constructor(config = {}) {
@@ -150,6 +151,7 @@ export default class PortalWebApp extends PortalApp {
 
         // Disconnect and clear WebSocket if connected
         if (this.ws) {
+            realtimeSync.detach();
             this.ws.disconnect();
             this.ws = null;
         }
@@ -257,6 +259,11 @@ export default class PortalWebApp extends PortalApp {
                 this.events.emit('ws:reconnecting', data);
             });
 
+            // Live model updates: subscribed Models/Collections apply
+            // server change events (see RealtimeSync)
+            this.realtime = realtimeSync;
+            realtimeSync.attach(this.ws, { eventBus: this.events });
+
             await this.ws.connect();
         } catch (_err) {
             console.warn('[PortalWebApp] WebSocket connection failed:', _err.message);
@@ -270,6 +277,7 @@ export default class PortalWebApp extends PortalApp {
     async destroy() {
         // Destroy WebSocket
         if (this.ws) {
+            realtimeSync.detach();
             this.ws.destroy();
             this.ws = null;
         }
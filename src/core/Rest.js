@@ -3,6 +3,30 @@
  * Provides methods for making REST API calls with interceptors and error handling
  */
 
+// Relative imports keep Rest loadable by plain Node (unit tests require it directly)
+import EventEmitter from './mixins/EventEmitter.js';
+import RestCache from './services/RestCache.js';
+import OfflineQueue from './services/OfflineQueue.js';
+import RestBatcher from './services/RestBatcher.js';
+import i18n from './utils/I18n.js';
+
+const MUTATION_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Default retry policy. Retries are off until `retries` is raised, either
+ * globally via `configure({ retry })` or per call via `options.retry`.
+ */
+const DEFAULT_RETRY_POLICY = {
+  retries: 0,                                          // extra attempts after the first
+  methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'], // idempotent methods only
+  statuses: [429, 503],                                 // HTTP statuses worth retrying
+  baseDelay: 300,                                       // ms, doubled per attempt
+  maxDelay: 10000,                                      // cap for the computed backoff
+  jitter: true,                                         // randomize the upper half of each delay
+  respectRetryAfter: true,                              // wait what the server asks for
+  maxRetryAfter: 60000                                  // give up if Retry-After asks for longer
+};
+
 class Rest {
   constructor() {
     this.config = {
@@ -12,6 +36,7 @@ class Rest {
         'Content-Type': 'application/json',
         'Accept': 'application/json'
       },
+      retry: { ...DEFAULT_RETRY_POLICY },
       trackDevice: true, // New setting to control DUID tracking
       duidHeader: 'X-Mojo-UID', // Header name for the DUID
       duidTransport: 'header' // How to send the DUID: 'payload' or 'header'
@@ -26,6 +51,11 @@ class Rest {
     if (this.config.trackDevice) {
       this._initializeDuid();
     }
+
+    this.cache = null;              // RestCache when response caching is enabled
+    this._revalidations = new Map(); // cache key -> in-flight background revalidation
+    this.offlineQueue = null;       // OfflineQueue when the offline outbox is enabled
+    this.batcher = null;            // RestBatcher when request batching is enabled
   }
 
   /**
@@ -79,6 +109,10 @@ class Rest {
       headers: {
         ...this.config.headers,
         ...config.headers
+      },
+      retry: {
+        ...this.config.retry,
+        ...(typeof config.retry === 'number' ? { retries: config.retry } : config.retry)
       }
     };
 
@@ -86,6 +120,70 @@ class Rest {
     if (this.config.trackDevice && !oldTrackDevice) {
       this._initializeDuid();
     }
+
+    if ('cache' in config) {
+      this.setCache(config.cache);
+    }
+    if ('offline' in config) {
+      this.setOfflineQueue(config.offline);
+    }
+    if ('batch' in config) {
+      this.setBatching(config.batch);
+    }
+  }
+
+  /**
+   * Enable, reconfigure or disable (`false`) request batching. Requests
+   * still waiting in the old batcher are sent first.
+   * @param {boolean|object} batch - RestBatcher options
+   * @returns {RestBatcher|null}
+   */
+  setBatching(batch) {
+    if (this.batcher) this.batcher.flush();
+    this.batcher = batch ? new RestBatcher(this, batch === true ? {} : batch) : null;
+    return this.batcher;
+  }
+
+  /**
+   * Enable, reconfigure or disable (`false`) the GET response cache
+   * @param {boolean|object|RestCache} cache - RestCache options or instance
+   */
+  setCache(cache) {
+    if (!cache) {
+      this.cache = null;
+    } else if (cache instanceof RestCache) {
+      this.cache = cache;
+    } else {
+      this.cache = new RestCache(cache === true ? {} : cache);
+    }
+    this._revalidations.clear();
+  }
+
+  /**
+   * Drop every cached response (e.g. on logout)
+   */
+  async clearCache() {
+    if (this.cache) await this.cache.clear();
+  }
+
+  /**
+   * Enable, reconfigure or disable (`false`) the offline mutation outbox
+   * @param {boolean|object|OfflineQueue} offline - OfflineQueue options or instance
+   * @returns {OfflineQueue|null}
+   */
+  setOfflineQueue(offline) {
+    if (this.offlineQueue) this.offlineQueue.stop();
+
+    if (!offline) {
+      this.offlineQueue = null;
+      return null;
+    }
+
+    this.offlineQueue = offline instanceof OfflineQueue
+      ? offline
+      : new OfflineQueue(this, offline === true ? {} : offline);
+    this.offlineQueue.start().catch(error => console.warn('[Rest] offline queue failed to start:', error));
+    return this.offlineQueue;
   }
 
   /**
@@ -331,6 +429,10 @@ class Rest {
 
   /**
    * Make HTTP request
+   * With the response cache enabled, GETs are served through it and
+   * successful mutations invalidate the endpoint's cached entries. With the
+   * offline outbox enabled, mutations sent with `options.offline` are queued
+   * when the network is unreachable.
    * @param {string} method - HTTP method
    * @param {string} url - Request URL
    * @param {object} data - Request body data
@@ -339,6 +441,201 @@ class Rest {
    * @returns {Promise} Promise that resolves with response data
    */
   async request(method, url, data = null, params = {}, options = {}) {
+    const verb = method.toUpperCase();
+    const useCache = this.cache && options.cache !== false;
+
+    if (verb === 'GET' && useCache) {
+      return this.cachedGET(url, params, options);
+    }
+    if (!MUTATION_METHODS.includes(verb)) {
+      return this.performRequest(verb, url, data, params, options);
+    }
+
+    // Keep queued changes in order: while the outbox has entries, later
+    // queueable mutations join it instead of overtaking them
+    if (this.canQueueOffline(data, options) && this.offlineQueue.pendingCount > 0) {
+      const queued = await this.queueOffline(verb, url, data, params, options);
+      if (this.offlineQueue.isOnline()) this.offlineQueue.replay();
+      return queued;
+    }
+
+    const response = await this.performRequest(verb, url, data, params, options);
+    if (response.success) {
+      if (useCache) await this.cache.invalidate(this.buildUrl(url));
+    } else if (this.canQueueOffline(data, options) && this.isNetworkError(response)
+      && !['cancelled', 'cors_error'].includes(response.reason)) {
+      // A CORS rejection won't clear when the connection returns, so it isn't queued
+      return this.queueOffline(verb, url, data, params, options);
+    }
+    return response;
+  }
+
+  /**
+   * Whether a mutation may go to the offline outbox
+   * @param {*} data - Request body
+   * @param {object} options - Request options (`offline: true` opts in)
+   * @returns {boolean}
+   */
+  canQueueOffline(data, options = {}) {
+    return Boolean(this.offlineQueue && options.offline && !options.signal?.aborted
+      && !(typeof FormData !== 'undefined' && data instanceof FormData));
+  }
+
+  /**
+   * Store a mutation in the offline outbox and answer with a synthetic
+   * 202 response echoing the submitted data
+   * @returns {Promise<object>} Response flagged `queued` with the entry's `queueId`
+   */
+  async queueOffline(method, url, data, params, options) {
+    const entry = await this.offlineQueue.enqueue({ method, url, data, params, options });
+    return this.queuedResponse(entry, data, options);
+  }
+
+  /**
+   * Merge a mutation into an outbox entry that hasn't been sent yet (see
+   * OfflineQueue.amend) instead of queueing another request
+   * @param {string} queueId - OfflineQueue entry id
+   * @param {object} data - Fields merged over the entry's body
+   * @param {object} options - Request options
+   * @returns {Promise<object|null>} Same response as queueOffline(), or null
+   *   when the entry is being sent or is already gone
+   */
+  async amendOffline(queueId, data, options = {}) {
+    const entry = this.offlineQueue ? await this.offlineQueue.amend(queueId, data) : null;
+    return entry ? this.queuedResponse(entry, data, options) : null;
+  }
+
+  /**
+   * Synthetic 202 answer for a queued mutation, echoing the submitted data
+   * @private
+   */
+  queuedResponse(entry, data, options) {
+    const response = {
+      success: true,
+      queued: true,
+      queueId: entry.id,
+      status: 202,
+      statusText: 'Queued',
+      headers: {},
+      data: { status: true, data: data && typeof data === 'object' ? { ...data } : data },
+      errors: null,
+      message: i18n.t('rest.savedOffline'),
+      reason: null
+    };
+    return this.unwrapDataOnly(response, options);
+  }
+
+  /**
+   * Serve a GET from the response cache: fresh entries return immediately,
+   * stale ones return immediately and refresh in the background, expired
+   * ones revalidate with If-None-Match.
+   * @param {string} url - Request URL
+   * @param {object} params - Query parameters
+   * @param {object} options - Request options (`options.cache` may override ttl/staleWhileRevalidate)
+   * @returns {Promise<object>} Response data, flagged `cached`/`stale` when served from cache
+   */
+  async cachedGET(url, params = {}, options = {}) {
+    const key = this.buildUrl(url) + this.buildQueryString(params);
+    const policy = this.cache.policy(options.cache);
+    const entry = await this.cache.get(key);
+
+    switch (this.cache.state(entry, policy)) {
+      case 'fresh':
+        return this._responseFromCache(entry, options);
+      case 'stale':
+        this._revalidateInBackground(key, entry, url, params, options);
+        return this._responseFromCache(entry, options, { stale: true });
+      default:
+        return this._fetchIntoCache(key, entry, url, params, options);
+    }
+  }
+
+  /**
+   * Request a GET (conditionally, when the entry has an ETag) and store it
+   * @private
+   */
+  async _fetchIntoCache(key, entry, url, params, options) {
+    const headers = { ...options.headers };
+    if (entry?.etag) headers['If-None-Match'] = entry.etag;
+
+    // Cache the raw response; dataOnly is applied on the way out
+    const response = await this.performRequest('GET', url, null, params, { ...options, headers, dataOnly: false });
+
+    if (response.status === 304 && entry) {
+      const refreshed = await this.cache.touch(key, entry);
+      return this._responseFromCache(refreshed, options, { revalidated: true });
+    }
+    if (response.success && response.status === 200) {
+      await this.cache.set(key, response);
+    }
+    return this.unwrapDataOnly(response, options);
+  }
+
+  /**
+   * Refresh a stale entry once, emitting `cache:updated` when the server
+   * returned new data
+   * @private
+   */
+  _revalidateInBackground(key, entry, url, params, options) {
+    if (this._revalidations.has(key)) return;
+
+    const { signal: _signal, ...backgroundOptions } = options;
+    const revalidation = this._fetchIntoCache(key, entry, url, params, { ...backgroundOptions, dataOnly: false })
+      .then((response) => {
+        if (response.success && !response.revalidated) {
+          this.emit('cache:updated', { key, url, params, response });
+        }
+      })
+      .catch((error) => console.warn('[Rest] background revalidation failed:', error))
+      .finally(() => this._revalidations.delete(key));
+    this._revalidations.set(key, revalidation);
+  }
+
+  /**
+   * Copy of a cached response, marked as served from cache
+   * @private
+   */
+  _responseFromCache(entry, options, flags = {}) {
+    const response = { ...RestCache.clone(entry.response), cached: true, ...flags };
+    return this.unwrapDataOnly(response, options);
+  }
+
+  /**
+   * Unwrap the server envelope ({ status, data, message } → data) when
+   * `options.dataOnly` is set
+   * @param {object} responseData - Response data (modified in place)
+   * @param {object} options - Request options
+   * @returns {object} responseData
+   */
+  unwrapDataOnly(responseData, options = {}) {
+    if (options.dataOnly && responseData.data && typeof responseData.data === 'object' && 'data' in responseData.data) {
+      responseData.message = responseData.message || responseData.data.message;
+      responseData.data = responseData.data.data;
+    }
+    return responseData;
+  }
+
+  /**
+   * Make HTTP request, bypassing the response cache (retries and batching still apply)
+   * @param {string} method - HTTP method
+   * @param {string} url - Request URL
+   * @param {object} data - Request body data
+   * @param {object} params - Query parameters
+   * @param {object} options - Additional request options
+   * @returns {Promise} Promise that resolves with response data
+   */
+  async performRequest(method, url, data = null, params = {}, options = {}) {
+    const verb = method.toUpperCase();
+    if (this.batcher && options.batch !== false && this.batcher.accepts(verb, url, data)) {
+      const response = await this.batcher.add({
+        method: verb,
+        url: this.batcher.pathFor(url) + this.buildQueryString(params),
+        data,
+        options
+      });
+      return this.unwrapDataOnly(response, options);
+    }
+
     // Build request configuration
     let request = {
       method: method.toUpperCase(),
@@ -394,6 +691,49 @@ class Rest {
       }
     }
 
+    const retry = this.resolveRetryPolicy(request.method, request.options.retry);
+    const maxAttempts = retry ? retry.retries + 1 : 1;
+
+    for (let attempt = 1; ; attempt++) {
+      // eslint-disable-next-line no-await-in-loop -- attempts are sequential by design
+      const responseData = await this.sendRequest(request);
+
+      if (!retry || !this.shouldRetry(responseData, retry)) {
+        return responseData;
+      }
+
+      const delay = attempt < maxAttempts ? this.getRetryDelay(responseData, attempt, retry) : null;
+      if (delay === null) {
+        this.emit('retry:exhausted', {
+          method: request.method,
+          url: request.url,
+          attempts: attempt,
+          response: responseData
+        });
+        return responseData;
+      }
+
+      this.emit('retry', {
+        method: request.method,
+        url: request.url,
+        attempt,
+        delay,
+        response: responseData
+      });
+      // eslint-disable-next-line no-await-in-loop -- backoff between attempts
+      await this._wait(delay, request.options.signal);
+    }
+  }
+
+  /**
+   * Perform a single fetch for a prepared request and normalize the result.
+   * Throws only when the request is aborted via `options.signal`.
+   * @param {object} request - Request configuration (after interceptors)
+   * @returns {Promise<object>} Response data
+   */
+  async sendRequest(request) {
+    const options = request.options;
+
     // Prepare fetch options
     const fetchOptions = {
       method: request.method,
@@ -441,12 +781,7 @@ class Rest {
       const responseData = await this.processResponseInterceptors(response, request);
 
       // Unwrap server envelope: { status, data, message } → data only
-      if (options.dataOnly && responseData.data && typeof responseData.data === 'object' && 'data' in responseData.data) {
-        responseData.message = responseData.message || responseData.data.message;
-        responseData.data = responseData.data.data;
-      }
-
-      return responseData;
+      return this.unwrapDataOnly(responseData, options);
 
     } catch (error) {
       // Handle AbortError (cancellation) - re-throw to be handled by caller
@@ -485,6 +820,102 @@ class Rest {
     }
   }
 
+  /**
+   * Merge the configured retry policy with a per-call `options.retry`
+   * (`false`, `true`, a retry count or a partial policy). Only the policy's
+   * idempotent `methods` are retried unless the call opts in explicitly.
+   * @param {string} method - HTTP method
+   * @param {boolean|number|object} [override] - Per-call retry option
+   * @returns {object|null} Effective policy, or null when retries are off
+   */
+  resolveRetryPolicy(method, override) {
+    if (override === false) return null;
+
+    const policy = { ...DEFAULT_RETRY_POLICY, ...this.config.retry };
+    if (typeof override === 'number') {
+      policy.retries = override;
+    } else if (override && typeof override === 'object') {
+      Object.assign(policy, override);
+    }
+    if (!(policy.retries > 0)) return null;
+
+    // Asking for retries on a specific call opts that call in, whatever its method
+    const optedIn = override === true || typeof override === 'number' || (override && !override.methods);
+    if (!optedIn && !policy.methods.includes(method)) return null;
+    return policy;
+  }
+
+  /**
+   * Whether a response is worth another attempt: network/timeout failures
+   * and the policy's `statuses` (429/503 by default).
+   * @param {object} response - Response data from sendRequest()
+   * @param {object} policy - Retry policy
+   * @returns {boolean}
+   */
+  shouldRetry(response, policy) {
+    if (response.status === 0) {
+      return ['not_reachable', 'timed_out', 'dns_error'].includes(response.reason);
+    }
+    return policy.statuses.includes(response.status);
+  }
+
+  /**
+   * Delay before the next attempt: the server's `Retry-After` when present,
+   * otherwise exponential backoff with jitter.
+   * @param {object} response - Response data from the failed attempt
+   * @param {number} attempt - 1-based attempt that just failed
+   * @param {object} policy - Retry policy
+   * @returns {number|null} Milliseconds to wait, or null to give up
+   */
+  getRetryDelay(response, attempt, policy) {
+    if (policy.respectRetryAfter) {
+      const retryAfter = this.parseRetryAfter(response.headers?.['retry-after']);
+      if (retryAfter !== null) {
+        return retryAfter > policy.maxRetryAfter ? null : retryAfter;
+      }
+    }
+
+    const delay = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+    return policy.jitter ? Math.round(delay / 2 + Math.random() * delay / 2) : delay;
+  }
+
+  /**
+   * Parse a `Retry-After` header (delta seconds or an HTTP date)
+   * @param {string} value - Header value
+   * @returns {number|null} Milliseconds, or null when absent/invalid
+   */
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Resolve after `ms`, rejecting early if `signal` aborts
+   * @private
+   */
+  _wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const abortError = () => signal.reason || new DOMException('The operation was aborted.', 'AbortError');
+      if (signal?.aborted) {
+        reject(abortError());
+        return;
+      }
+      let timer = null;
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(abortError());
+      };
+      timer = setTimeout(() => {
+        signal?.removeEventListener?.('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener?.('abort', onAbort, { once: true });
+    });
+  }
+
   /**
    * GET request
    * @param {string} url - Request URL
@@ -795,15 +1226,16 @@ class Rest {
     if (token) {
       this.config.headers['Authorization'] = `${type} ${token}`;
     } else {
-      delete this.config.headers['Authorization'];
+      this.clearAuth();
     }
   }
 
   /**
-   * Clear authentication
+   * Clear authentication (and cached responses fetched with it)
    */
   clearAuth() {
     delete this.config.headers['Authorization'];
+    this.clearCache().catch(() => {});
   }
 
   /**
@@ -875,6 +1307,8 @@ class Rest {
   }
 }
 
+Object.assign(Rest.prototype, EventEmitter);
+
 // Create singleton instance
 const rest = new Rest();
 
@@ -1,6 +1,10 @@
 class Router {
   constructor(options = {}) {
     this.defaultRoute = options.defaultRoute || 'home';
+    // 'query' keeps the ?page=admin&group=1 URL shape; 'path' uses real
+    // history paths under basePath (/app/users/42/edit).
+    this.mode = Router.normalizeMode(options.mode);
+    this.basePath = Router.normalizeBasePath(options.basePath ?? options.base ?? '');
     this.routes = [];
     this.currentRoute = null;
     this.eventEmitter = options.eventEmitter || null; // WebApp.events
@@ -140,6 +144,15 @@ class Router {
       return { pageName, queryParams };
     }
 
+    // In path mode, public URLs carry the base path - drop it so
+    // "/app/users/42" and "/users/42" resolve to the same page.
+    if (this.mode === 'path' && this.basePath && input.startsWith(this.basePath)) {
+      const rest = input.substring(this.basePath.length);
+      if (!rest || rest.startsWith('/') || rest.startsWith('?')) {
+        input = rest || '/';
+      }
+    }
+
     try {
       // First, check if input contains search params (regardless of format)
       if (input.includes('?')) {
@@ -188,7 +201,15 @@ class Router {
   // Parse current browser URL
   parseCurrentUrl() {
     const urlParams = new URLSearchParams(window.location.search);
-    const pageName = urlParams.get('page') || this.defaultRoute;
+
+    // Legacy ?page= links keep working in path mode so existing bookmarks
+    // resolve after an app switches modes.
+    let pageName;
+    if (this.mode === 'path' && !urlParams.has('page')) {
+      pageName = this.stripBasePath(window.location.pathname) || this.defaultRoute;
+    } else {
+      pageName = urlParams.get('page') || this.defaultRoute;
+    }
 
     const queryParams = {};
     for (const [key, value] of urlParams) {
@@ -200,33 +221,46 @@ class Router {
     return { pageName, queryParams };
   }
 
-  // Build public URL format: ?page=admin&group=123
+  // Build public URL format: ?page=admin&group=123 (query mode)
+  // or /base/admin?group=123 (path mode)
   buildPublicUrl(pageName, queryParams = {}) {
     const urlParams = new URLSearchParams();
-    urlParams.set('page', pageName);
+    if (this.mode !== 'path') {
+      urlParams.set('page', pageName);
+    }
 
-    Object.entries(queryParams).forEach(([key, value]) => {
+    Object.entries(queryParams || {}).forEach(([key, value]) => {
       if (value !== null && value !== undefined && value !== '') {
         urlParams.set(key, String(value));
       }
     });
 
-    return '?' + urlParams.toString();
+    const search = urlParams.toString();
+    if (this.mode === 'path') {
+      const path = this.buildPath(pageName);
+      return search ? `${path}?${search}` : path;
+    }
+    return '?' + search;
   }
 
   // Update browser URL
   updateBrowserUrl(pageName, queryParams, replace, state) {
-    const currentUrl = new URL(window.location.origin + window.location.pathname);
-    currentUrl.searchParams.set('page', pageName);
+    let url;
+    if (this.mode === 'path') {
+      url = window.location.origin + this.buildPublicUrl(pageName, queryParams);
+    } else {
+      const currentUrl = new URL(window.location.origin + window.location.pathname);
+      currentUrl.searchParams.set('page', pageName);
 
-    // Add all query parameters
-    Object.entries(queryParams).forEach(([key, value]) => {
-      if (value !== null && value !== undefined && value !== '') {
-        currentUrl.searchParams.set(key, String(value));
-      }
-    });
+      // Add all query parameters
+      Object.entries(queryParams || {}).forEach(([key, value]) => {
+        if (value !== null && value !== undefined && value !== '') {
+          currentUrl.searchParams.set(key, String(value));
+        }
+      });
 
-    const url = currentUrl.toString();
+      url = currentUrl.toString();
+    }
 
     if (replace) {
       window.history.replaceState(state, '', url);
@@ -256,6 +290,81 @@ class Router {
     return pattern.startsWith('/') ? pattern : `/${pattern}`;
   }
 
+  /**
+   * Build a browser pathname for a page name in path mode.
+   * Each segment is URI-encoded; the base path is prefixed.
+   * @param {string} pageName - Page name or filled route ("users/42/edit")
+   * @returns {string}
+   */
+  buildPath(pageName = '') {
+    const segments = String(pageName || '')
+      .split('/')
+      .filter(Boolean)
+      .map(segment => encodeURIComponent(segment));
+    return `${this.basePath}/${segments.join('/')}`;
+  }
+
+  /**
+   * Remove the configured base path from a pathname and return the
+   * decoded remainder without a leading slash ("users/42/edit").
+   * Returns '' when the pathname is the base itself or outside of it.
+   * @param {string} pathname
+   * @returns {string}
+   */
+  stripBasePath(pathname = '') {
+    let path = pathname || '/';
+    if (this.basePath) {
+      if (path !== this.basePath && !path.startsWith(this.basePath + '/')) {
+        return '';
+      }
+      path = path.substring(this.basePath.length);
+    }
+    return path
+      .split('/')
+      .filter(Boolean)
+      .map(segment => {
+        try { return decodeURIComponent(segment); }
+        catch (_e) { return segment; }
+      })
+      .join('/');
+  }
+
+  /**
+   * True when an absolute href ("/app/users/42") belongs to this router,
+   * i.e. path mode is active and the href lives under the base path.
+   * @param {string} href
+   * @returns {boolean}
+   */
+  ownsPath(href) {
+    if (this.mode !== 'path' || typeof href !== 'string') return false;
+    if (!href.startsWith('/') || href.startsWith('//')) return false;
+    if (!this.basePath) return true;
+    const rest = href.substring(this.basePath.length);
+    return href.startsWith(this.basePath) && (!rest || /^[/?#]/.test(rest));
+  }
+
+  /**
+   * Map legacy/alias mode names onto the two supported modes.
+   * 'history' → 'path'; 'param', 'params', 'hash' and anything else → 'query'.
+   * @param {string} mode
+   * @returns {'path'|'query'}
+   */
+  static normalizeMode(mode) {
+    return mode === 'path' || mode === 'history' ? 'path' : 'query';
+  }
+
+  /**
+   * Normalize a base path to "" or "/segment" (leading slash, no trailing slash).
+   * @param {string} basePath
+   * @returns {string}
+   */
+  static normalizeBasePath(basePath) {
+    if (!basePath || basePath === '/') return '';
+    let base = String(basePath).trim();
+    if (!base.startsWith('/')) base = `/${base}`;
+    return base.replace(/\/+$/, '');
+  }
+
   /**
    * Update URL parameters without triggering navigation
    * @param {object} params - Parameters to update in URL
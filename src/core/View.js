@@ -7,6 +7,12 @@ if (typeof window !== 'undefined') {
 }
 import MOJOUtils from '@core/utils/MOJOUtils.js';
 import EventDelegate from '@core/mixins/EventDelegate.js';
+import { morphChildren } from '@core/utils/DOMMorph.js';
+import { track } from '@core/utils/DependencyTracker.js';
+import i18n from '@core/utils/I18n.js';
+
+// Views currently mounted, so a locale switch can re-render them
+const mountedViews = new Set();
 
 // -----------------------------------------------
 // View
@@ -40,10 +46,16 @@ export class View {
     this.app           = opts.app ?? null;
     this.cacheTemplate = opts.cacheTemplate ?? true;
     this.enableTooltips = opts.enableTooltips ?? false;  // Auto-initialize Bootstrap tooltips after render
+    this.morph         = opts.morph ?? false;               // patch the live DOM instead of replacing innerHTML
 
     // keep original options
     this.options = { ...opts };
 
+    // `static computed` getters and `data-bind` bindings
+    this._computedDeps = {};                                // computed name -> Map(model -> Set(keys))
+    this._bindings     = [];
+    this._defineComputed();
+
     // internal DOM element
     this.element = this._ensureElement();
 
@@ -107,6 +119,8 @@ export class View {
     // used by inline-autosave forms that already update their DOM in place.
     if (options && options.skipRender) return;
     if (this.isMounted()) {
+        // Changes that only reach `data-bind` nodes are patched in place
+        if (this._patchBindings(model)) return;
         this.render();
     }
   }
@@ -250,8 +264,9 @@ export class View {
           this.data = await this.getViewData();
       }
       // 1) render own HTML (FIX #5: await the async template render)
+      this._templateDeps = null;
       const html = await this.renderTemplate();
-      this.element.innerHTML = html;
+      this._applyHTML(html);
 
       if (allowMount && !this.isMounted()) {
           await this.mount(container)
@@ -259,6 +274,7 @@ export class View {
 
       // 3) render children
       await this._renderChildren();
+      this._collectBindings();
       await this.onAfterRender();
       this.bindEvents();
 
@@ -282,6 +298,167 @@ export class View {
     return this;
   }
 
+  /**
+   * Write rendered HTML into the view element. With `morph` on, the live DOM
+   * is patched in place (keyed by `data-key` / `id`) so focus, caret, scroll
+   * and transitions survive; child view elements are left for their own
+   * render. The first render always uses innerHTML.
+   * @private
+   */
+  _applyHTML(html) {
+    if (!this.morph || !this.element.hasChildNodes()) {
+      this.element.innerHTML = html;
+      return;
+    }
+    const childElements = new Set();
+    for (const id in this.children) {
+      if (this.children[id]?.element) childElements.add(this.children[id].element);
+    }
+    morphChildren(this.element, html, { preserve: node => childElements.has(node) });
+  }
+
+  // ---------------------------------------------
+  // Computed properties & bindings
+  // ---------------------------------------------
+
+  /**
+   * Expose `static computed` getters as view properties, so templates and
+   * bindings read them like data (`{{isOverdue}}`, `data-bind="isOverdue"`)
+   * @private
+   */
+  _defineComputed() {
+    for (const name of Object.keys(this.constructor.computed || {})) {
+      Object.defineProperty(this, name, {
+        configurable: true,
+        enumerable: false,
+        get: () => this.getComputed(name)
+      });
+    }
+  }
+
+  /**
+   * Evaluate a computed property, recording the model attributes it reads
+   * @param {string} name
+   * @returns {*}
+   */
+  getComputed(name) {
+    const getter = this.constructor.computed?.[name];
+    if (typeof getter !== 'function') return undefined;
+    const { value, deps } = track(() => getter.call(this));
+    this._computedDeps[name] = deps;
+    return value;
+  }
+
+  /**
+   * Value for a `data-bind` field: a view computed property, else the model
+   * attribute (model computed properties and pipes included), else a view path
+   * @param {string} field - e.g. `name`, `fullName|upper`, `data.total`
+   * @returns {*}
+   */
+  getBindingValue(field) {
+    const root = field.split(/[.|]/)[0].trim();
+    if (!this.constructor.computed?.[root] && this.model && typeof this.model.get === 'function') {
+      return this.model.get(field);
+    }
+    return MOJOUtils.getContextData(this, field);
+  }
+
+  /**
+   * Find `data-bind` elements outside child views and fill them in.
+   *
+   *   data-bind="name"                  text (value / checked on form fields)
+   *   data-bind="text: name; title: email; href: url|link"
+   * @private
+   */
+  _collectBindings() {
+    this._bindings = [];
+    if (!this.element) return;
+
+    const childElements = new Set();
+    for (const id in this.children) {
+      if (this.children[id]?.element) childElements.add(this.children[id].element);
+    }
+
+    for (const el of this.element.querySelectorAll('[data-bind]')) {
+      let owner = el;
+      while (owner && owner !== this.element && !childElements.has(owner)) owner = owner.parentElement;
+      if (owner !== this.element) continue;
+
+      for (const spec of el.getAttribute('data-bind').split(';')) {
+        const match = spec.match(/^\s*([\w-]+)\s*:\s*(.+?)\s*$/);
+        const field = (match ? match[2] : spec).trim();
+        if (!field) continue;
+        const target = match ? match[1] : View._defaultBindTarget(el);
+        const binding = { el, target, field, root: field.split(/[.|]/)[0].trim() };
+        this._bindings.push(binding);
+        this._applyBinding(binding);
+      }
+    }
+  }
+
+  _applyBinding({ el, target, field }) {
+    const value = this.getBindingValue(field);
+    if (target === 'text') {
+      const text = value == null ? '' : String(value);
+      if (el.textContent !== text) el.textContent = text;
+    } else if (target === 'value') {
+      // Never overwrite what the user is typing
+      if (el.ownerDocument.activeElement === el) return;
+      const text = value == null ? '' : String(value);
+      if (el.value !== text) el.value = text;
+    } else if (target === 'checked') {
+      el.checked = !!value;
+    } else if (value == null || value === false) {
+      el.removeAttribute(target);
+    } else {
+      el.setAttribute(target, value === true ? '' : String(value));
+    }
+  }
+
+  /**
+   * Apply a model change to `data-bind` nodes only. Returns false (so the
+   * view re-renders) when a changed key is used by the template itself —
+   * named in a tag, or read while it rendered — or isn't covered by any
+   * binding, and whenever the last render's reads weren't tracked.
+   * @private
+   */
+  _patchBindings(model) {
+    const keys = model?.lastChangedKeys;
+    if (!this._bindings?.length || !keys?.length) return false;
+
+    const template = this._templateCache || (typeof this.template === 'string' ? this.template : null);
+    if (!template || !this._templateDeps) return false;
+    const templateReads = this._templateDeps.get(model);
+
+    // Attributes each bound root depends on: itself, plus what a view or
+    // model computed property read
+    const depsOf = (root) => {
+      const deps = new Set([root]);
+      this._computedDeps?.[root]?.get(model)?.forEach(dep => deps.add(dep));
+      model.getComputedDeps?.(root).forEach(dep => deps.add(dep));
+      return deps;
+    };
+    const bound = new Map(this._bindings.map(binding => [binding.root, depsOf(binding.root)]));
+
+    const changed = new Set(keys.map(key => String(key).split('.')[0]));
+    for (const name of Object.keys(this.constructor.computed || {})) {
+      const deps = this._computedDeps?.[name]?.get(model);
+      if (deps && [...deps].some(dep => changed.has(dep))) changed.add(name);
+    }
+
+    const isComputed = (key) => !!this.constructor.computed?.[key] || !!model.constructor.getComputed?.()[key];
+    for (const key of changed) {
+      if (templateReads?.has(key) || View._templateUses(template, key)) return false;
+      // Computed values only matter where bound; plain attributes must be
+      if (!isComputed(key) && ![...bound.values()].some(deps => deps.has(key))) return false;
+    }
+
+    this._bindings
+      .filter(binding => [...bound.get(binding.root)].some(dep => changed.has(dep)))
+      .forEach(binding => this._applyBinding(binding));
+    return true;
+  }
+
   async _renderChildren() {
     const lazyPending = [];
     for (const id in this.children) {
@@ -443,6 +620,7 @@ export class View {
 
       await this.onAfterMount();
       this.mounted = true;
+      mountedViews.add(this);
   }
 
   async unmount() {
@@ -454,6 +632,7 @@ export class View {
       this.events.unbind();
       await this.onAfterUnmount();
       this.mounted = false;
+      mountedViews.delete(this);
   }
 
   // FIX #1: make destroy async (it already awaited hooks)
@@ -472,7 +651,10 @@ export class View {
         }
       }
       this.mounted = false;
-      if (this.element && this.element.parentNode) {
+      mountedViews.delete(this);
+      // Detached views (e.g. cached pages that were unmounted) still get
+      // their destroy hooks so timers and listeners are released.
+      if (this.element) {
         await this.onBeforeDestroy();
         if (this.element.parentNode) this.element.parentNode.removeChild(this.element);
         await this.onAfterDestroy();
@@ -544,7 +726,11 @@ export class View {
     const templateContent = await this.getTemplate();
     if (!templateContent) return '';
     const partials = this.getPartials();
-    return Mustache.render(templateContent, this, partials);
+    // Record the model attributes the template reads, including through view
+    // methods and formatters, so _patchBindings knows what it can skip
+    const { value, deps } = track(() => Mustache.render(templateContent, this, partials));
+    this._templateDeps = deps;
+    return value;
   }
 
   renderTemplateString(template, context, partials) {
@@ -653,15 +839,11 @@ export class View {
 
     const router = this.findRouter();
     if (router) {
-      if (router.options && router.options.mode === 'param' && href.startsWith('?')) {
+      if (router.mode === 'query' && href.startsWith('?')) {
         const fullPath = '/' + href;
         await router.navigate(fullPath);
         return;
       }
-      if (router.options && router.options.mode === 'hash' && href.startsWith('#')) {
-        await router.navigate(href);
-        return;
-      }
       const routePath = this.hrefToRoutePath(href);
       await router.navigate(routePath);
     } else {
@@ -673,7 +855,9 @@ export class View {
   isExternalLink(href) {
     if (!href) return true;
     if (href.startsWith("/") && this.getApp()) {
-        if (href.startsWith(this.findRouter().basePath)) return false;
+        // Only a path-mode router owns absolute hrefs under its base path
+        const router = this.findRouter();
+        if (router && typeof router.ownsPath === 'function' && router.ownsPath(href)) return false;
         return true;
     }
     return href.startsWith('#') || href.startsWith('mailto:') || href.startsWith('tel:') || href.startsWith('http://') || href.startsWith('https://') || href.startsWith('//');
@@ -682,8 +866,8 @@ export class View {
   hrefToRoutePath(href) {
     if (href.startsWith('/')) {
       const router = this.findRouter();
-      if (router && router.options && router.options.base) {
-        const base = router.options.base;
+      if (router && router.basePath) {
+        const base = router.basePath;
         if (href.startsWith(base)) return href.substring(base.length) || '/';
       }
       return href;
@@ -899,8 +1083,32 @@ export class View {
     }
   }
 
+  static _defaultBindTarget(el) {
+    if (el.type === 'checkbox' || el.type === 'radio') return 'checked';
+    return ['INPUT', 'SELECT', 'TEXTAREA'].includes(el.nodeName) ? 'value' : 'text';
+  }
+
+  // Whether a mustache tag in the template mentions `key`
+  static _templateUses(template, key) {
+    const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`{{[^}]*\\b${escaped}\\b[^}]*}}`).test(template);
+  }
+
   static _genId() { return `view_${Math.random().toString(36).substr(2, 9)}`; }
 
+  /**
+   * Re-render every mounted top-level view; children re-render with their
+   * parent. Runs when the i18n locale changes.
+   */
+  static async renderMounted() {
+    for (const view of [...mountedViews]) {
+      if (!view.isMounted()) mountedViews.delete(view);
+    }
+    const roots = [...mountedViews].filter(view => !(view.parent && mountedViews.has(view.parent)));
+    await Promise.all(roots.map(view =>
+      Promise.resolve(view.render()).catch(err => View._warn(`Re-render error in ${view.id}`, err))));
+  }
+
   static _warn(msg, err) {
     try {
       if (err) console.warn(`[View] ${msg}:`, err);
@@ -912,4 +1120,6 @@ export class View {
 import EventEmitter from '@core/mixins/EventEmitter.js';
 Object.assign(View.prototype, EventEmitter);
 
+i18n.on('locale:changed', () => View.renderMounted());
+
 export default View;
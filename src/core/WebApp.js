@@ -21,7 +21,10 @@
 import Router from '@core/Router.js';
 import EventBus from '@core/utils/EventBus.js';
 import ThemeManager from '@core/utils/ThemeManager.js';
+import i18n from '@core/utils/I18n.js';
+import dataFormatter from '@core/utils/DataFormatter.js';
 import rest from '@core/Rest.js';
+import modelStore from '@core/services/ModelStore.js';
 import Modal from '@core/views/feedback/Modal.js';
 
 class WebApp {
@@ -52,7 +55,9 @@ class WebApp {
         this.basePath = config.basePath || '';
 
         // Router configuration
-        this.routerMode = config.routerMode || config.router?.mode || 'param'; // 'param', 'hash', 'history'
+        // 'query' (default) → ?page=users&id=1, 'path' → /base/users/1.
+        // Legacy 'param'/'hash' map to 'query', 'history' maps to 'path'.
+        this.routerMode = config.routerMode || config.router?.mode || 'query';
         this.basePath = config.basePath || config.router?.base || '';
         this.defaultRoute = config.defaultRoute || 'home';
 
@@ -79,6 +84,19 @@ class WebApp {
         if (config.api) {
             this.rest.configure(config.api);
         }
+        // Offline outbox: queued mutations replay when the browser is back
+        // online; queue activity is mirrored on app.events as `offline:*`
+        if (config.offline) {
+            this.rest.setOfflineQueue({
+                ...(config.offline === true ? {} : config.offline),
+                eventBus: this.events
+            });
+        }
+
+        // Identity map: every view holding a record shares one Model instance
+        if (config.identityMap) {
+            modelStore.enabled = true;
+        }
 
         // Theme manager — applies data-bs-theme synchronously so subsequent
         // view rendering picks up the correct theme (no light→dark flash).
@@ -89,13 +107,35 @@ class WebApp {
         });
         this.theme.init();
 
+        // Translations — `config.i18n` seeds catalogs, lazy locale loaders and
+        // the initial locale; start() waits for that bundle before routing.
+        // `config.direction` ('ltr' | 'rtl' | 'auto') sets <html dir>; 'auto'
+        // follows the locale. Without either, a static <html dir> stands.
+        this.i18n = i18n;
+        const direction = config.direction || config.i18n?.direction;
+        this._i18nReady = i18n.configure({
+            ...(config.i18n || {}),
+            ...(direction ? { direction } : {})
+        }).catch(err => {
+            console.error('Failed to load locale:', err);
+        });
+        i18n.on('locale:changed', (info) => this.events.emit('locale:changed', info));
+        i18n.on('direction:changed', (info) => this.events.emit('direction:changed', info));
+
+        // Number / date / currency formats — `{ locale, timeZone, currency }`;
+        // `locale: 'auto'` tracks the i18n locale across setLocale().
+        if (config.formatting) {
+            dataFormatter.configure(config.formatting);
+        }
+
         // Initialize router with event integration after EventBus is ready
         this.router = new Router({
-            mode: this.routerMode === 'param' ? 'params' : this.routerMode,
+            mode: this.routerMode,
             basePath: this.basePath,
             defaultRoute: this.defaultRoute,
             eventEmitter: this.events
         });
+        this.routerMode = this.router.mode;
 
         // Listen for route changes - router already resolved everything
         this.events.on('route:changed', async (routeInfo) => {
@@ -113,15 +153,23 @@ class WebApp {
         // Setup browser focus/blur tracking
         this.setupFocusTracking();
 
+        // Page cache policy: evict least-recently shown pages beyond
+        // maxCachedPages (0 = unbounded). Evicted pages leave their
+        // captureState() snapshot behind so they come back where they were.
+        this.maxCachedPages = config.maxCachedPages || 0;
+
         // Component registries
-        this.pageCache = new Map();     // pageName -> page instance (cached)
-        this.pageClasses = new Map();   // pageName -> {PageClass, constructorOptions}
+        this.pageCache = new Map();     // pageName -> page instance (cached, least recently shown first)
+        this.pageStates = new Map();    // pageName -> state snapshot of an evicted page
+        this.pageClasses = new Map();   // pageName -> {PageClass, loader, constructorOptions, parent}
         this.componentClasses = new Map(); // componentName -> ComponentClass
         this.modelClasses = new Map();  // modelName -> ModelClass
         this.modelRefClasses = new Map(); // 'app.Model' -> ModelClass
 
-        // Current page reference
+        // Current page reference: the routed (leaf) page, and for nested
+        // routes the chain of pages showing it, outermost parent first
         this.currentPage = null;
+        this.currentPageChain = [];
 
         // Runtime flags
         this.isStarted = false;
@@ -147,6 +195,8 @@ class WebApp {
         try {
             // Setup global REST configuration
             // this.setupRest();
+            await this._i18nReady;
+
             // Setup page container
             this.setupPageContainer();
 
@@ -209,6 +259,33 @@ class WebApp {
 
     /**
      * Register a page with the app
+     *
+     * Nested routes: pass `children` (array of `{ pageName, PageClass, route, ...options }`)
+     * or register a page with `parent: 'parentPageName'`. Child routes that don't
+     * start with `/` are resolved against the parent's route, and children render
+     * into the parent's outlet (`outlet` option, default `'outlet'`) while the
+     * parent stays mounted.
+     *
+     * @example
+     * app.registerPage('settings', SettingsPage, {
+     *     route: '/settings',
+     *     defaultChild: 'settings-profile',
+     *     children: [
+     *         { pageName: 'settings-profile', PageClass: ProfilePage, route: 'profile' },
+     *         { pageName: 'settings-section', PageClass: SectionPage, route: ':section' }
+     *     ]
+     * });
+     *
+     * Lazy pages: pass a loader instead of the class. It is called on first
+     * navigation (or `prefetchPage()`) and may resolve to the class or to a
+     * module whose default export (or `exportName` option) is the class.
+     * Arrow/async functions are detected automatically; use `lazy: true` for
+     * a plain `function` loader.
+     *
+     * @example
+     * app.registerPage('system/users', () => import('./UserTablePage.js'), {
+     *     permissions: ['view_users']
+     * });
      */
     registerPage(pageName, PageClass, options = {}) {
         // Validate inputs
@@ -218,15 +295,31 @@ class WebApp {
         }
 
         if (typeof PageClass !== 'function') {
-            console.error('registerPage: PageClass must be a constructor function');
+            console.error('registerPage: PageClass must be a constructor function or a loader');
             return this;
         }
 
-        if (!options.containerId) options.containerId = this.pageContainer;
-        // Store the page class and options
+        // `children` and `parent` are route-tree options; View uses the same
+        // names for child views / parent view, so keep them out of the
+        // constructor options.
+        const { children: childRoutes, parent = null, lazy = false, exportName = null, ...pageOptions } = options;
+        options = pageOptions;
+
+        if (parent && !this.pageClasses.has(parent)) {
+            console.warn(`registerPage: parent page '${parent}' is not registered (registering '${pageName}')`);
+        }
+
+        // Classes always have a prototype; arrow and async loaders never do
+        const isLoader = lazy || !PageClass.prototype;
+
+        if (!options.containerId && !parent) options.containerId = this.pageContainer;
+        // Store the page class (or its loader) and options
         this.pageClasses.set(pageName, {
-            PageClass,
-            constructorOptions: options
+            PageClass: isLoader ? null : PageClass,
+            loader: isLoader ? PageClass : null,
+            exportName,
+            constructorOptions: options,
+            parent
         });
 
         // If router is initialized, add route
@@ -234,6 +327,12 @@ class WebApp {
             // Get route pattern from options or use default (/pageName)
             let route = options.route || `/${pageName}`;
 
+            // Child routes are relative to their parent's route
+            if (parent && options.route && !options.route.startsWith('/')) {
+                const parentRoute = this.pageClasses.get(parent)?.constructorOptions.route || `/${parent}`;
+                route = `${parentRoute.replace(/\/+$/, '')}/${options.route}`;
+            }
+
             // Ensure route starts with / for pattern matching
             if (!route.startsWith('/')) {
                 route = `/${route}`;
@@ -248,9 +347,108 @@ class WebApp {
 
         }
 
+        if (Array.isArray(childRoutes)) {
+            childRoutes.forEach(child => {
+                const { pageName: childName, name, PageClass: ChildClass, ...childOptions } = child || {};
+                this.registerPage(childName || name, ChildClass, { ...childOptions, parent: pageName });
+            });
+        }
+
         return this;
     }
 
+    /**
+     * Resolve the chain of page instances from the top-level page down to
+     * `pageName` (a flat page resolves to `[page]`).
+     * @returns {Page[]|null} null when any page in the chain can't be created
+     */
+    getPageChain(pageName) {
+        const chain = [];
+        const seen = new Set();
+        let name = pageName;
+        while (name && !seen.has(name)) {
+            seen.add(name);
+            const page = this.getOrCreatePage(name);
+            if (!page) return null;
+            chain.unshift(page);
+            name = this.pageClasses.get(name)?.parent || null;
+        }
+        return chain;
+    }
+
+    /**
+     * Resolve a lazy page's class, calling its loader once. Concurrent calls
+     * share the same import; a failed import can be retried.
+     * @param {string} pageName
+     * @returns {Promise<Function|null>} the Page class, or null if not registered
+     */
+    async loadPageClass(pageName) {
+        const pageInfo = this.pageClasses.get(pageName);
+        if (!pageInfo) return null;
+        if (pageInfo.PageClass) return pageInfo.PageClass;
+
+        if (!pageInfo.loading) {
+            pageInfo.loading = (async () => {
+                const loaded = await pageInfo.loader();
+                const { exportName } = pageInfo;
+                const PageClass = exportName ? loaded?.[exportName] : (loaded?.default || loaded);
+                if (typeof PageClass !== 'function') {
+                    throw new Error(`Lazy page '${pageName}' did not resolve to a Page class`);
+                }
+                pageInfo.PageClass = PageClass;
+                this.events.emit('page:loaded', { pageName, PageClass });
+                return PageClass;
+            })();
+            pageInfo.loading.catch(() => {}).finally(() => { pageInfo.loading = null; });
+        }
+        return await pageInfo.loading;
+    }
+
+    /**
+     * Start loading a lazy page's code ahead of navigation (e.g. on hover).
+     * Errors are swallowed here and surface on the real navigation instead.
+     * @param {string} pageName
+     * @returns {Promise<void>}
+     */
+    async prefetchPage(pageName) {
+        try {
+            await Promise.all(this._getPageNameChain(pageName).map(name => this.loadPageClass(name)));
+        } catch (error) {
+            console.warn(`[WebApp] prefetch of '${pageName}' failed:`, error);
+        }
+    }
+
+    /**
+     * Registered page names from `pageName` up through its parents.
+     * @private
+     */
+    _getPageNameChain(pageName) {
+        const names = [];
+        for (let name = pageName; name && !names.includes(name); name = this.pageClasses.get(name)?.parent) {
+            if (!this.pageClasses.has(name)) break;
+            names.push(name);
+        }
+        return names;
+    }
+
+    /**
+     * Load every lazy page in `pageName`'s chain, showing the loading
+     * indicator while the imports are pending.
+     * @private
+     */
+    async _loadPageChain(pageName) {
+        const pending = this._getPageNameChain(pageName).filter(name => !this.pageClasses.get(name).PageClass);
+        if (!pending.length) return;
+
+        this.events.emit('page:loading', { pageName });
+        await this.showLoading({ message: i18n.t('common.loading') });
+        try {
+            await Promise.all(pending.map(name => this.loadPageClass(name)));
+        } finally {
+            await this.hideLoading();
+        }
+    }
+
     /**
      * Get page instance (cached)
      */
@@ -286,6 +484,11 @@ class WebApp {
         }
 
         const { PageClass, constructorOptions } = pageInfo;
+        if (!PageClass) {
+            // Lazy page whose loader hasn't run yet - see loadPageClass()
+            console.warn(`Page not loaded yet: ${pageName}`);
+            return null;
+        }
 
         try {
             // Create page instance with merged options
@@ -302,6 +505,12 @@ class WebApp {
                 page.route = constructorOptions.route;
             }
 
+            // A page rebuilt after eviction restores its last state in onEnter()
+            if (this.pageStates.has(pageName)) {
+                page.savedState = this.pageStates.get(pageName);
+                this.pageStates.delete(pageName);
+            }
+
             // Cache the instance
             this.pageCache.set(pageName, page);
 
@@ -322,28 +531,44 @@ class WebApp {
      * @param {string|object} page - Page name or page instance
      * @param {object} query - URL query parameters (URL-safe)
      * @param {object} params - Any data to pass to page (can include objects)
-     * @param {object} options - Options { fromRouter, replace, force }
+     * @param {object} options - Options { fromRouter, replace, force, skipGuards }
      */
     async showPage(page, query = {}, params = {}, options = {}) {
-        const { fromRouter = false, replace = false, force = false } = options;
+        const { fromRouter = false, replace = false, force = false, skipGuards = false } = options;
+
+        // Every showPage supersedes a navigation still waiting on guards/resolvers
+        const nav = this._beginNavigation({ params, query, fromRouter, redirects: options.redirects || 0 });
 
         try {
-            // 1. RESOLVE PAGE INSTANCE
-            let pageInstance, pageName;
+            // 1. RESOLVE PAGE INSTANCE (and its parent chain for nested routes)
+            let pageInstance, pageName, chain = null;
             if (typeof page === 'string') {
-                pageName = page;
-                pageInstance = this.getOrCreatePage(page);
+                pageName = this._resolveDefaultChild(page);
+                // Lazy pages import their code on first navigation
+                await this._loadPageChain(pageName);
+                if (nav.cancelled) return;
+                chain = this.getPageChain(pageName);
+                pageInstance = chain ? chain[chain.length - 1] : null;
             } else if (page && typeof page === 'object') {
                 pageInstance = page;
                 pageName = page.pageName;
+                if (this.pageCache.get(pageName) === page) {
+                    chain = this.getPageChain(pageName);
+                }
             }
+            if (!chain && pageInstance) chain = [pageInstance];
 
             const oldPage = this.currentPage;
+            const oldRootPage = this.currentPageChain[0] || oldPage;
             if (!pageInstance) {
                 this._show404(pageName, params, query, fromRouter);
                 return; // Keep current URL, don't update router/history
             }
 
+            nav.from = oldPage;
+            nav.to = pageInstance;
+            nav.pageName = pageInstance.pageName;
+
             this.events.emit('page:showing', {
                 page: pageInstance,
                 pageName: pageInstance.pageName,
@@ -352,24 +577,46 @@ class WebApp {
                 fromRouter
             });
 
-            // 2. PERMISSION CHECK
-            if (!pageInstance.canEnter()) {
+            // 2a. LEAVE GUARDS (e.g. unsaved-changes prompts) run before anything else
+            if (!skipGuards) {
+                const outcome = await this._runLeaveGuards(oldRootPage, chain, nav);
+                if (outcome !== true) return await this._handleGuardOutcome(outcome, nav);
+            }
+
+            // 2b. PERMISSION CHECK (every page in a nested chain must allow entry)
+            if (!chain.every(p => p.canEnter())) {
                 this._showDeniedPage(pageInstance, params, query, fromRouter);
                 return; // Keep current URL, don't update router/history
             }
 
-            // 3. EXIT CURRENT PAGE
-            if (oldPage && oldPage !== pageInstance) {
-                await this._exitOldPage(oldPage);
+            // 2c. ENTER GUARDS + RESOLVERS (preload data before the page renders)
+            if (!skipGuards) {
+                const outcome = await this._runEnterGuards(chain, nav);
+                if (outcome !== true) return await this._handleGuardOutcome(outcome, nav);
+            }
+            await this._runResolvers(chain, nav);
+            if (nav.cancelled) return;
+            // Past this point the navigation commits and can no longer be superseded
+            this._activeNavigation = null;
+
+            // 3. EXIT CURRENT PAGE (a parent that stays mounted is not exited)
+            const rootPage = chain[0];
+            if (oldRootPage && oldRootPage !== rootPage) {
+                await this._exitOldPage(oldRootPage);
             }
 
-
-            // 4. UPDATE PAGE DATA
-            await pageInstance.onParams(params, query);
-
-            // 5. ENTER NEW PAGE
-            if (oldPage !== pageInstance) {
-                await pageInstance.onEnter();
+            // 4/5. UPDATE PAGE DATA + ENTER NEW PAGES, parent → child. Children
+            // are attached to their parent's outlet; only pages that weren't
+            // already showing get onEnter().
+            let renderFrom = null;
+            for (let i = 0; i < chain.length; i++) {
+                // eslint-disable-next-line no-await-in-loop -- a child attaches to its parent's outlet once the parent is entered
+                const entering = await this._enterChainPage(chain[i], chain[i - 1], oldRootPage, params, query);
+                if (entering && !renderFrom) renderFrom = chain[i];
+            }
+            // Navigating up to a parent drops whatever child it was showing
+            if (pageInstance.activeChildPage) {
+                await pageInstance.detachChildPage();
             }
 
             pageInstance.syncUrl();
@@ -383,21 +630,210 @@ class WebApp {
                 fromRouter
             });
 
-            // 6. RENDER PAGE (automatically replaces DOM content)
-            await pageInstance.render();
+            // 6. RENDER PAGE (automatically replaces DOM content). For nested
+            // routes only the topmost newly entered page renders, so a parent
+            // that stays mounted keeps its DOM and the child swaps in its outlet.
+            await (renderFrom || pageInstance).render();
             this.currentPage = pageInstance;
+            this.currentPageChain = chain;
+
+            // 7. TRIM PAGE CACHE (keepAlive: false pages and LRU overflow)
+            await this._trimPageCache(chain);
 
             console.log(`✅ Showing page: ${pageInstance.pageName}`, { query, params });
 
         } catch (error) {
+            // A superseded navigation's aborted resolvers are not errors
+            if (nav.cancelled) return;
+
             console.error('Error in showPage:', error);
             this.showError(`Failed to load page: ${error.message}`);
 
             // Fallback to error page
             if (page !== 'error') {
-                await this.showPage('error', {}, { error, originalPage: page }, { fromRouter });
+                await this.showPage('error', {}, { error, originalPage: page }, { fromRouter, skipGuards: true });
             }
+        } finally {
+            if (this._activeNavigation === nav) this._activeNavigation = null;
+        }
+    }
+
+    /**
+     * Start a navigation, cancelling (and aborting the resolvers of) any
+     * navigation that is still in its guard/resolve phase.
+     * @private
+     */
+    _beginNavigation(info = {}) {
+        const previous = this._activeNavigation;
+        if (previous && !previous.cancelled) {
+            previous.cancelled = true;
+            previous.controller?.abort();
+            this.events.emit('page:cancelled', {
+                pageName: previous.pageName,
+                params: previous.params,
+                query: previous.query,
+                reason: 'superseded'
+            });
+        }
+
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const nav = {
+            ...info,
+            id: (this._navigationId = (this._navigationId || 0) + 1),
+            from: null,
+            to: null,
+            pageName: null,
+            cancelled: false,
+            controller,
+            signal: controller ? controller.signal : null
+        };
+        this._activeNavigation = nav;
+        return nav;
+    }
+
+    /**
+     * Run `beforeLeave(nav)` on every page being left (deepest child first).
+     * Pages that stay mounted in a nested chain are not asked.
+     * @private
+     * @returns {Promise<true|false|string|object>} true to proceed, false to cancel, else a redirect
+     */
+    async _runLeaveGuards(oldPage, chain, nav) {
+        const leaving = [];
+        for (let page = oldPage; page; page = page.activeChildPage) {
+            if (!chain.includes(page)) leaving.unshift(page);
+        }
+
+        for (const page of leaving) {
+            if (typeof page.beforeLeave !== 'function') continue;
+            // eslint-disable-next-line no-await-in-loop -- guards run in order and may prompt the user
+            const outcome = this._normalizeGuardResult(await page.beforeLeave(nav));
+            if (nav.cancelled) return false;
+            if (outcome !== true) return outcome;
         }
+        return true;
+    }
+
+    /**
+     * Attach one page of a nested chain to its parent's outlet (or, for the
+     * outermost page, compare it with the page showing before), pass it the
+     * params and enter it if it wasn't already showing.
+     * @private
+     * @returns {Promise<boolean>} Whether the page was entered
+     */
+    async _enterChainPage(page, host, oldRootPage, params, query) {
+        const entering = host ? await host.attachChildPage(page) : oldRootPage !== page;
+        await page.onParams(params, query);
+        if (entering) await page.onEnter();
+        return entering;
+    }
+
+    /**
+     * Run the route-level `beforeEnter` option and the page's `beforeEnter(nav)`
+     * hook for every page in the chain, parent first.
+     * @private
+     */
+    async _runEnterGuards(chain, nav) {
+        for (const page of chain) {
+            const routeGuard = this._getRouteOptions(page).beforeEnter;
+            const guards = [
+                typeof routeGuard === 'function' ? () => routeGuard(nav, page) : null,
+                typeof page.beforeEnter === 'function' ? () => page.beforeEnter(nav) : null
+            ].filter(Boolean);
+
+            for (const guard of guards) {
+                // eslint-disable-next-line no-await-in-loop -- guards run in order
+                const outcome = this._normalizeGuardResult(await guard());
+                if (nav.cancelled) return false;
+                if (outcome !== true) return outcome;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Run each page's route-level `resolve` map in parallel and store the
+     * results on `page.resolved` before the page enters/renders. Resolvers
+     * receive the navigation context (`params`, `query`, `signal`, `to`, `from`).
+     * A rejected resolver fails the navigation (→ error page).
+     * @private
+     */
+    async _runResolvers(chain, nav) {
+        await Promise.all(chain.map(async (page) => {
+            const resolvers = this._getRouteOptions(page).resolve;
+            if (!resolvers || typeof resolvers !== 'object') return;
+
+            const entries = await Promise.all(Object.entries(resolvers).map(async ([key, resolver]) => {
+                const value = typeof resolver === 'function' ? await resolver(nav, page) : await resolver;
+                return [key, value];
+            }));
+            if (nav.cancelled) return;
+            page.resolved = Object.fromEntries(entries);
+        }));
+    }
+
+    /**
+     * Guard results: `true`/`undefined`/`null` proceed, `false` cancels,
+     * a string (page name or route) or `{ page|route, query, params }` redirects.
+     * @private
+     */
+    _normalizeGuardResult(result) {
+        if (result === undefined || result === null || result === true) return true;
+        return result;
+    }
+
+    /**
+     * Cancel or redirect a navigation stopped by a guard.
+     * @private
+     */
+    async _handleGuardOutcome(outcome, nav) {
+        const info = { pageName: nav.pageName, params: nav.params, query: nav.query };
+        if (this._activeNavigation === nav) this._activeNavigation = null;
+
+        if (outcome === false || nav.cancelled) {
+            // Superseded navigations already announced themselves
+            if (!nav.cancelled) {
+                nav.cancelled = true;
+                this.events.emit('page:cancelled', { ...info, reason: 'guard' });
+            }
+            return;
+        }
+
+        if (nav.redirects >= 10) {
+            throw new Error(`Too many guard redirects while navigating to ${nav.pageName}`);
+        }
+
+        let target = outcome;
+        if (typeof target === 'string') {
+            const { pageName, queryParams } = this.router.parseInput(target);
+            const match = this.router.matchRoute('/' + pageName);
+            target = {
+                page: match ? match.pageName : pageName,
+                params: match ? match.params : {},
+                query: queryParams
+            };
+        } else if (target && target.route) {
+            const { pageName, queryParams } = this.router.parseInput(target.route);
+            const match = this.router.matchRoute('/' + pageName);
+            target = {
+                page: match ? match.pageName : pageName,
+                params: { ...(match ? match.params : {}), ...(target.params || {}) },
+                query: { ...queryParams, ...(target.query || {}) }
+            };
+        }
+
+        this.events.emit('page:redirect', { ...info, redirectTo: target.page });
+        return await this.showPage(target.page, target.query || {}, target.params || {}, {
+            fromRouter: nav.fromRouter,
+            redirects: nav.redirects + 1
+        });
+    }
+
+    /**
+     * Route-level options (`beforeEnter`, `resolve`, …) a page was registered with.
+     * @private
+     */
+    _getRouteOptions(page) {
+        return this.pageClasses.get(page.pageName)?.constructorOptions || page.options || {};
     }
 
     async _show404(pageName, params, query, fromRouter) {
@@ -406,9 +842,10 @@ class WebApp {
         if (notFoundPage.setInfo) {
             notFoundPage.setInfo(pageName);
         }
-        await this._exitOldPage(this.currentPage);
+        await this._exitOldPage(this.currentPageChain[0] || this.currentPage);
         await notFoundPage.render(); // Render over current page
         this.currentPage = notFoundPage;
+        this.currentPageChain = [notFoundPage];
         this.events.emit('page:404', {
             page: null,
             pageName: pageName,
@@ -423,9 +860,10 @@ class WebApp {
         if (deniedPage.setDeniedPage) {
             deniedPage.setDeniedPage(pageInstance);
         }
-        await this._exitOldPage(this.currentPage);
+        await this._exitOldPage(this.currentPageChain[0] || this.currentPage);
         await deniedPage.render(); // Render over current page
         this.currentPage = deniedPage;
+        this.currentPageChain = [deniedPage];
         this.events.emit('page:denied', {
             page: pageInstance,
             pageName: pageInstance.pageName,
@@ -435,9 +873,87 @@ class WebApp {
         });
     }
 
+    /**
+     * Mark the shown chain as most recently used, then evict pages that
+     * opted out of caching (`keepAlive: false`) and, with `maxCachedPages`
+     * set, the least recently shown pages over the limit. Pages registered
+     * with `keepAlive: true` are never evicted by the LRU.
+     * @private
+     */
+    async _trimPageCache(chain) {
+        for (const page of chain) {
+            if (this.pageCache.get(page.pageName) !== page) continue;
+            this.pageCache.delete(page.pageName);
+            this.pageCache.set(page.pageName, page);
+        }
+
+        const keepAliveOf = (page) => this._getRouteOptions(page).keepAlive ?? page.constructor.keepAlive;
+        const evictable = [...this.pageCache.values()].filter(page => !chain.includes(page));
+
+        const evict = evictable.filter(page => keepAliveOf(page) === false);
+        if (this.maxCachedPages > 0) {
+            const candidates = evictable.filter(page => !evict.includes(page) && keepAliveOf(page) !== true);
+            let overflow = this.pageCache.size - evict.length - this.maxCachedPages;
+            for (const page of candidates) {
+                if (overflow-- <= 0) break;
+                evict.push(page);
+            }
+        }
+
+        for (const page of evict) {
+            // eslint-disable-next-line no-await-in-loop -- evictions run in order
+            await this.evictPage(page.pageName);
+        }
+    }
+
+    /**
+     * Drop a cached page instance: exit it if still active, keep its state
+     * snapshot for the next instance, then destroy it. The current page
+     * (or a page in its nested chain) is never evicted.
+     * @param {string} pageName
+     * @returns {Promise<boolean>} true when a page was evicted
+     */
+    async evictPage(pageName) {
+        const page = this.pageCache.get(pageName);
+        if (!page) return false;
+        if (this.currentPageChain.includes(page)) return false;
+
+        this.pageCache.delete(pageName);
+        try {
+            if (page.isActive) await page.onExit();
+            const state = page.savedState || page.captureState?.();
+            if (state) this.pageStates.set(pageName, state);
+            if (page.parentPage?.activeChildPage === page) await page.parentPage.detachChildPage();
+            await page.destroy();
+        } catch (error) {
+            console.error(`Error evicting page ${pageName}:`, error);
+        }
+        this.events.emit('page:evicted', { pageName });
+        return true;
+    }
+
+    /**
+     * Follow `defaultChild` options so navigating to a parent route shows
+     * its default child page.
+     */
+    _resolveDefaultChild(pageName) {
+        const seen = new Set();
+        let name = pageName;
+        while (!seen.has(name)) {
+            seen.add(name);
+            const defaultChild = this.pageClasses.get(name)?.constructorOptions.defaultChild;
+            if (!defaultChild || this.pageClasses.get(defaultChild)?.parent !== name) break;
+            name = defaultChild;
+        }
+        return name;
+    }
+
     async _exitOldPage(oldPage) {
         if (!oldPage) return;
         try {
+            if (oldPage.activeChildPage) {
+                await oldPage.detachChildPage();
+            }
             await oldPage.onExit();
             await oldPage.unmount();
             this.events.emit('page:hide', { page: oldPage });
@@ -505,12 +1021,20 @@ class WebApp {
     }
 
     /**
-     * Get current page
+     * Get current page (for a nested route, the routed child page)
      */
     getCurrentPage() {
         return this.currentPage;
     }
 
+    /**
+     * Pages showing the current route, outermost parent first
+     * @returns {Page[]}
+     */
+    getCurrentPageChain() {
+        return [...this.currentPageChain];
+    }
+
     /**
      * Get page container element
      */
@@ -627,7 +1151,7 @@ class WebApp {
                 console.warn('[WebApp] showLoading fallback:', e, opts);
             }
             // Minimal no-op fallback; consumers can listen to 'notification' if desired
-            this.events.emit('notification', { message: opts.message || 'Loading...', type: 'info' });
+            this.events.emit('notification', { message: opts.message || i18n.t('common.loading'), type: 'info' });
         }
     }
 
@@ -746,6 +1270,45 @@ class WebApp {
         return this.theme.getResolved();
     }
 
+    /**
+     * Switch the UI language. Loads a lazily registered bundle first, then
+     * re-renders mounted views. Emits `'locale:changed'` on `app.events`
+     * with `{ locale, previous }`.
+     * @param {string} locale - e.g. `'fr'`, `'pt-BR'`
+     * @returns {Promise<WebApp>}
+     */
+    async setLocale(locale) {
+        await i18n.setLocale(locale);
+        return this;
+    }
+
+    /**
+     * Get the active locale.
+     * @returns {string}
+     */
+    getLocale() {
+        return i18n.getLocale();
+    }
+
+    /**
+     * Set the layout direction. `'auto'` derives it from the locale.
+     * Emits `'direction:changed'` on `app.events` when it flips.
+     * @param {'ltr'|'rtl'|'auto'} direction
+     * @returns {WebApp}
+     */
+    setDirection(direction) {
+        i18n.setDirection(direction);
+        return this;
+    }
+
+    /**
+     * Get the effective layout direction.
+     * @returns {'ltr'|'rtl'}
+     */
+    getDirection() {
+        return i18n.getDirection();
+    }
+
     /**
      * Setup browser focus/blur tracking
      */
@@ -942,6 +1505,7 @@ class WebApp {
 
         // Clear all registries
         this.pageCache.clear();
+        this.pageStates.clear();
         this.pageClasses.clear();
         this.componentClasses.clear();
         this.modelClasses.clear();
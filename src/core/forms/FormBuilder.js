@@ -6,6 +6,7 @@
 
 import Mustache from '@core/utils/mustache.js';
 import MOJOUtils from '@core/utils/MOJOUtils.js';
+import i18n from '@core/utils/I18n.js';
 import { FormPlugins } from '@core/forms/FormPlugins.js';
 import TabView from '@core/views/navigation/TabView.js';
 
@@ -2058,11 +2059,9 @@ class FormBuilder {
 
     // Default submit button
     if (this.options.submitButton) {
-      let submitLabel = 'Submit';
+      let submitLabel = i18n.t('common.submit');
       if (typeof this.options.submitButton === 'string') {
         submitLabel = this.options.submitButton;
-      } else if (this.options.submitButton === true) {
-        submitLabel = 'Submit';
       }
       buttonsHTML += `<button type="submit" class="btn btn-primary me-2" data-action="submit-form">${submitLabel}</button>`;
     }
@@ -2167,7 +2166,7 @@ class FormBuilder {
       name,
       label,
       value = '',
-      placeholder = 'Search...',
+      placeholder = i18n.t('common.search'),
       required = false,
       disabled = false,
       readonly = false,
@@ -2244,7 +2243,7 @@ class FormBuilder {
       maxHeight = null,
       showSelectAll = true,
       enableSearch = false,
-      searchPlaceholder = 'Search...',
+      searchPlaceholder = i18n.t('common.search'),
       searchDebounce = 400,
       requiresActiveGroup = false,
       help = field.helpText || field.help || ''
@@ -8,6 +8,7 @@ import View from '@core/View.js';
 import FormBuilder from './FormBuilder.js';
 import applyFileDropMixin from '@core/mixins/FileDropMixin.js';
 import MOJOUtils from '@core/utils/MOJOUtils.js';
+import i18n from '@core/utils/I18n.js';
 import { FormPlugins } from '@core/forms/FormPlugins.js';
 
 import { TagInput, CollectionSelect, CollectionMultiSelect, DatePicker, DateRangePicker, TimePicker, DateTimePicker, ComboInput, ComboBox } from './inputs/index.js';
@@ -51,6 +52,7 @@ class FormView extends View {
     this.pendingSaveFields = new Map(); // Track fields pending save (for batching)
     this.batchSaveTimeout = null; // Global timeout for batch saving
     this.isSaving = false; // Prevent save loops
+    this.dirtyFields = new Set(); // Fields edited since the last populate/submit/reset
 
     // Prepare combined data for FormBuilder
     this.data = this.prepareFormData();
@@ -800,6 +802,11 @@ class FormView extends View {
     // Update internal data
     this.data[fieldName] = value;
 
+    // Autosaved fields persist immediately; anything else is unsaved until submit
+    if (!(this.autosaveModelField && this.model)) {
+      this.dirtyFields?.add(fieldName);
+    }
+
     // Handle autosave or regular model update
     if (this.autosaveModelField && this.model) {
       // Auto-save individual field to model
@@ -952,7 +959,7 @@ class FormView extends View {
         
         // Check if save was successful
         if (!resp || !resp.success || (resp.data && !resp.data.status)) {
-          const errorMsg = resp?.data?.error || resp?.error || resp?.message || 'Save failed';
+          const errorMsg = resp?.data?.error || resp?.error || resp?.message || i18n.t('form.saveFailed');
           
           // Show error toast
           this.getApp()?.toast?.error(errorMsg);
@@ -2035,13 +2042,14 @@ class FormView extends View {
 
         // Check if save was successful
         if (result && result.success !== false) {
+          this.markClean();
           return {
             success: true,
             data: formData,
             result: result
           };
         } else {
-          const errorMsg = result?.message || result?.error || 'Save failed. Please try again.';
+          const errorMsg = result?.message || result?.error || i18n.t('form.saveFailedRetry');
           return {
             success: false,
             data: formData,
@@ -2051,6 +2059,7 @@ class FormView extends View {
         }
       } else {
         // No model - just return form data
+        this.markClean();
         return formData;
       }
 
@@ -2381,7 +2390,7 @@ class FormView extends View {
 
       // Update submit button
       if (submitBtn) {
-        submitBtn.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Loading...';
+        submitBtn.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>' + i18n.t('common.loading');
       }
     } else {
       // Enable all fields
@@ -2389,8 +2398,8 @@ class FormView extends View {
 
       // Restore submit button
       if (submitBtn) {
-        const submitLabel = this.formConfig.options?.submitButton || 'Submit';
-        submitBtn.innerHTML = typeof submitLabel === 'string' ? submitLabel : 'Submit';
+        const submitLabel = this.formConfig.options?.submitButton;
+        submitBtn.innerHTML = typeof submitLabel === 'string' ? submitLabel : i18n.t('common.submit');
       }
     }
   }
@@ -2576,10 +2585,27 @@ class FormView extends View {
     this.data = {};
     this.errors = {};
     this.clearAllErrors();
+    this.markClean();
 
     this.emit('reset', { form: this });
   }
 
+  /**
+   * Whether the user has edited any field since the form was populated,
+   * submitted or reset. Pages use this to confirm before navigating away.
+   * @returns {boolean}
+   */
+  isDirty() {
+    return (this.dirtyFields?.size || 0) > 0;
+  }
+
+  /**
+   * Forget pending edits without touching field values
+   */
+  markClean() {
+    this.dirtyFields?.clear();
+  }
+
   /**
    * Update form configuration
    */
@@ -2957,17 +2983,17 @@ class FieldStatusManager {
     container.innerHTML = `
       <div class="saving-indicator">
         <div class="spinner-border spinner-border-sm text-primary" role="status">
-          <span class="visually-hidden">Saving...</span>
+          <span class="visually-hidden">${i18n.t('form.saving')}</span>
         </div>
-        <span class="ms-2">Saving...</span>
+        <span class="ms-2">${i18n.t('form.saving')}</span>
       </div>
       <div class="success-indicator d-none">
         <i class="bi bi-check-circle text-success"></i>
-        <span class="ms-2">Saved</span>
+        <span class="ms-2">${i18n.t('common.saved')}</span>
       </div>
       <div class="error-indicator d-none">
         <i class="bi bi-exclamation-circle text-danger"></i>
-        <span class="ms-2">Error saving</span>
+        <span class="ms-2">${i18n.t('form.errorSaving')}</span>
       </div>
     `;
 
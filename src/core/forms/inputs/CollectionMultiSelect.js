@@ -9,6 +9,7 @@
 
 import { View } from '@core/View.js';
 import MOJOUtils from '@core/utils/MOJOUtils.js';
+import i18n from '@core/utils/I18n.js';
 
 /**
  * SearchView - Search input child view
@@ -29,7 +30,7 @@ class SearchView extends View {
       ...options
     });
 
-    this.placeholder = options.placeholder || 'Search...';
+    this.placeholder = options.placeholder || i18n.t('common.search');
     this.debounce = options.debounce || 400;
   }
 
@@ -66,7 +67,7 @@ class ListItemsView extends View {
         {{#loading}}
           <div class="text-center py-3">
             <div class="spinner-border spinner-border-sm" role="status">
-              <span class="visually-hidden">Loading...</span>
+              <span class="visually-hidden">{{t "common.loading"}}</span>
             </div>
           </div>
         {{/loading}}
@@ -255,7 +256,7 @@ class CollectionMultiSelectView extends View {
     this.maxHeight = options.maxHeight || (this.size * 42);
     this.showSelectAll = options.showSelectAll !== false;
     this.enableSearch = options.enableSearch || false;
-    this.searchPlaceholder = options.searchPlaceholder || 'Search...';
+    this.searchPlaceholder = options.searchPlaceholder || null;
     this.searchDebounce = options.searchDebounce || 400;
 
     // State
@@ -8,6 +8,7 @@
 
 import { View } from '@core/View.js';
 import MOJOUtils from '@core/utils/MOJOUtils.js';
+import i18n from '@core/utils/I18n.js';
 
 /**
  * CollectionDropdownView - Child component for dropdown results only
@@ -22,7 +23,7 @@ class CollectionDropdownView extends View {
         {{#data.loading}}
           <div class="dropdown-item text-center">
             <div class="spinner-border spinner-border-sm" role="status">
-              <span class="visually-hidden">Loading...</span>
+              <span class="visually-hidden">{{t "common.loading"}}</span>
             </div>
           </div>
         {{/data.loading}}
@@ -158,7 +159,7 @@ class CollectionSelectView extends View {
     this.labelField = options.labelField || 'name';
     this.valueField = options.valueField || 'id';
     this.maxItems = options.maxItems || 10;
-    this.placeholder = options.placeholder || 'Search...';
+    this.placeholder = options.placeholder || null;
     this.debounceMs = options.debounceMs || 400;
     this.name = options.name || 'collection_select';
     this.emptyFetch = options.emptyFetch !== false;
@@ -292,7 +293,7 @@ class CollectionSelectView extends View {
 
     return {
       name: this.name,
-      placeholder: this.placeholder,
+      placeholder: this.placeholder || i18n.t('common.search'),
       displayValue: displayValue,
       selectedValue: this.selectedValue,
       showClear: !!(this.selectedValue && this.selectedValue !== '0' && this.selectedLabel),
@@ -7,8 +7,13 @@
  *
  * The popover does NOT own the calendar — callers pass content via
  * `setContent(node)`.
+ *
+ * Placements are logical: `-start` aligns with the anchor's leading edge,
+ * which is its right edge when the anchor sits in an RTL context.
  */
 
+import i18n from '@core/utils/I18n.js';
+
 class CalendarPopover {
   constructor(options = {}) {
     const {
@@ -111,18 +116,19 @@ class CalendarPopover {
     const sx = window.scrollX || window.pageXOffset || 0;
     const sy = window.scrollY || window.pageYOffset || 0;
 
-    let top = rect.bottom + sy + this.gap;
-    let left = rect.left + sx;
+    // The portal leaves the anchor's `dir` scope — carry it across
+    const rtl = i18n.isRTL(this.anchor);
+    this.element.setAttribute('dir', rtl ? 'rtl' : 'ltr');
 
-    if (this.placement === 'bottom-end') {
-      left = rect.right + sx - popRect.width;
-    } else if (this.placement === 'top-start') {
-      top = rect.top + sy - popRect.height - this.gap;
-    } else if (this.placement === 'top-end') {
+    let top = rect.bottom + sy + this.gap;
+    if (this.placement.startsWith('top')) {
       top = rect.top + sy - popRect.height - this.gap;
-      left = rect.right + sx - popRect.width;
     }
 
+    // `-end` hugs the anchor's right edge in LTR, `-start` does in RTL
+    const alignRight = this.placement.endsWith('-end') !== rtl;
+    let left = alignRight ? rect.right + sx - popRect.width : rect.left + sx;
+
     // Keep within viewport horizontally
     const vw = document.documentElement.clientWidth || window.innerWidth;
     if (left + popRect.width > sx + vw - 8) left = sx + vw - popRect.width - 8;
@@ -1,11 +1,18 @@
 
 import Collection from '@core/Collection.js';
 import Model from '@core/Model.js';
+import { User } from './User.js';
+import { Group } from './Group.js';
 
 /* =========================
  * Model
  * ========================= */
 class Member extends Model {
+    static belongsTo = {
+        user: () => User,
+        group: () => Group,
+    };
+
     constructor(data = {}) {
         super(data, {
             endpoint: '/api/group/member',
@@ -135,7 +135,7 @@ class TablePage extends Page {
 
       // Additional options
       emptyMessage: options.emptyMessage || 'No data available',
-      searchPlaceholder: options.searchPlaceholder || 'Search...',
+      searchPlaceholder: options.searchPlaceholder,
       showAdd: options.showAdd !== false,
       showExport: options.showExport !== false,
 
@@ -206,6 +206,12 @@ class TablePage extends Page {
       }
     }
 
+    // The group param scopes the API query; a local query must not filter on it
+    const serverParams = this.collection.options.serverParams || [];
+    if (!serverParams.includes(this.groupField)) {
+      this.collection.options.serverParams = [...serverParams, this.groupField];
+    }
+
     // Apply URL query parameters to collection
     this.applyQueryToCollection();
 
@@ -665,7 +671,7 @@ class TablePage extends Page {
     if (result && result.filter_value !== undefined) {
       this.tableView.setFilter(filterKey, result.filter_value);
 
-      if (this.collection.restEnabled) {
+      if (this.collection.restEnabled || this.collection.isLocal()) {
         this.collection.fetch();
       }
       await this.tableView.render();
@@ -686,7 +692,7 @@ class TablePage extends Page {
 
     this.syncUrl();
 
-    if (this.collection.restEnabled) {
+    if (this.collection.restEnabled || this.collection.isLocal()) {
       this.collection.fetch();
     } else {
       this.tableView.render();
@@ -697,7 +703,7 @@ class TablePage extends Page {
       if (!group || !this.collection || !this.options.requiresGroup) return;
       this.query[this.groupField] = group.id;
       this.applyQueryToCollection();
-      if (this.collection && this.collection.restEnabled) {
+      if (this.collection && (this.collection.restEnabled || this.collection.isLocal())) {
         this.collection.fetch();
       }
   }
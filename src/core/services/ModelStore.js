@@ -0,0 +1,146 @@
+/**
+ * ModelStore - Identity map so one record has one Model instance
+ *
+ * Features:
+ * - Instances keyed by model class + endpoint + id (plain `Model` records of
+ *   two endpoints never collide); Collection.add, Collection.fetchOne,
+ *   Model.find and belongsTo relations resolve through it, so every view
+ *   holding a record shares the instance and sees its `change` events
+ * - Weak references: an instance nothing else holds can be garbage collected,
+ *   its entry is dropped when that happens
+ * - Opt-in per class (`static identityMap = true`) or app-wide
+ *   (`modelStore.enabled = true`, `new WebApp({ identityMap: true })`)
+ *
+ * @example
+ * class User extends Model {
+ *   static identityMap = true;
+ * }
+ * const a = modelStore.resolve(User, { id: 5, name: 'Ann' });
+ * const b = modelStore.resolve(User, { id: 5, name: 'Annie' });
+ * a === b; // true, and a.get('name') === 'Annie'
+ */
+
+const hasWeakRefs = typeof WeakRef === 'function' && typeof FinalizationRegistry === 'function';
+
+class ModelStore {
+  constructor() {
+    this.enabled = false;
+    this.classes = new Map();      // model class -> Map(endpoint -> Map(id -> WeakRef | model))
+    this._registry = hasWeakRefs
+      ? new FinalizationRegistry(({ bucket, key, ref }) => {
+        if (bucket.get(key) === ref) bucket.delete(key);
+      })
+      : null;
+  }
+
+  /**
+   * Whether instances of a class are shared (`static identityMap` wins over
+   * the store-wide `enabled` flag)
+   * @param {Function} ModelClass
+   * @returns {boolean}
+   */
+  isEnabled(ModelClass) {
+    return ModelClass?.identityMap ?? this.enabled;
+  }
+
+  /**
+   * Id map for a class + endpoint
+   * @private
+   */
+  _bucket(ModelClass, endpoint, create = false) {
+    const key = endpoint || ModelClass?.endpoint || '';
+    let endpoints = this.classes.get(ModelClass);
+    if (!endpoints && create) this.classes.set(ModelClass, endpoints = new Map());
+    let bucket = endpoints?.get(key);
+    if (!bucket && create) endpoints.set(key, bucket = new Map());
+    return bucket || null;
+  }
+
+  /**
+   * Live instance for a class + id
+   * @param {Function} ModelClass
+   * @param {string|number} id
+   * @param {string} [endpoint] - Defaults to the class endpoint
+   * @returns {Model|null}
+   */
+  get(ModelClass, id, endpoint = '') {
+    if (id == null || id === '') return null;
+    const bucket = this._bucket(ModelClass, endpoint);
+    const ref = bucket?.get(String(id));
+    if (!ref) return null;
+    const model = hasWeakRefs ? ref.deref() : ref;
+    if (!model) bucket.delete(String(id));
+    return model || null;
+  }
+
+  /**
+   * Register a model under its class + endpoint + id. An already registered live
+   * instance wins and is returned instead.
+   * @param {Model} model
+   * @returns {Model} The shared instance
+   */
+  add(model) {
+    const ModelClass = model.constructor;
+    if (!this.isEnabled(ModelClass) || model.id == null || model.id === '') return model;
+
+    const existing = this.get(ModelClass, model.id, model.endpoint);
+    if (existing) return existing;
+
+    const bucket = this._bucket(ModelClass, model.endpoint, true);
+    const key = String(model.id);
+    const ref = hasWeakRefs ? new WeakRef(model) : model;
+    bucket.set(key, ref);
+    if (this._registry) this._registry.register(model, { bucket, key, ref });
+    return model;
+  }
+
+  /**
+   * Shared instance for a record: the registered one updated with `data`
+   * (unless `merge: false`), or a new registered instance
+   * @param {Function} ModelClass
+   * @param {object} data - Attributes (must include the id to be shared)
+   * @param {object} [options] - Model constructor options (`endpoint` picks the
+   *   record's bucket); `merge`, `silent` for updates
+   * @returns {Model}
+   */
+  resolve(ModelClass, data = {}, options = {}) {
+    const { merge, silent, ...modelOptions } = options;
+    if (!this.isEnabled(ModelClass)) return new ModelClass(data, modelOptions);
+
+    const existing = this.get(ModelClass, data.id, modelOptions.endpoint);
+    if (existing) {
+      const hasAttributes = Object.keys(data).some(key => key !== 'id');
+      if (merge !== false && hasAttributes) existing.set(data, null, { silent });
+      return existing;
+    }
+    return this.add(new ModelClass(data, modelOptions));
+  }
+
+  /**
+   * Forget a model (after it was destroyed)
+   * @param {Model} model
+   */
+  remove(model) {
+    const bucket = this._bucket(model.constructor, model.endpoint);
+    if (bucket && this.get(model.constructor, model.id, model.endpoint) === model) {
+      bucket.delete(String(model.id));
+    }
+  }
+
+  /**
+   * Forget every instance (e.g. on logout), or those of one class
+   * @param {Function} [ModelClass]
+   */
+  clear(ModelClass = null) {
+    if (ModelClass) {
+      this.classes.delete(ModelClass);
+    } else {
+      this.classes.clear();
+    }
+  }
+}
+
+const modelStore = new ModelStore();
+
+export { ModelStore };
+export default modelStore;
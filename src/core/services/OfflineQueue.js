@@ -0,0 +1,414 @@
+/**
+ * OfflineQueue - Outbox for mutations made while the network is down
+ *
+ * Features:
+ * - Persists failed POST/PUT/PATCH/DELETE requests (IndexedDB, memory fallback)
+ * - Replays them in order when the browser comes back online
+ * - Conflict callback for 409/412 replies (discard, keep, or resend with new data)
+ * - Pending-count hook for "N changes waiting to sync" indicators
+ * - Events on the instance and, when given, on the app EventBus (`offline:*`)
+ *
+ * Rest owns the decision to queue (see Rest `offline` option); this class
+ * stores entries and replays them.
+ *
+ * @example
+ * rest.configure({ offline: { onConflict: ({ entry, response }) => 'discard' } });
+ * rest.offlineQueue.onPendingChange(count => badge.setCount(count));
+ */
+
+// Relative import keeps Rest (which imports this module) loadable by plain Node
+import EventEmitter from '../mixins/EventEmitter.js';
+
+/**
+ * In-memory outbox (lost on reload; used when IndexedDB is unavailable)
+ */
+export class MemoryQueueStorage {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async put(entry) {
+    this.entries.set(entry.id, entry);
+  }
+
+  async delete(id) {
+    this.entries.delete(id);
+  }
+
+  async all() {
+    return [...this.entries.values()].sort((a, b) => a.seq - b.seq);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * IndexedDB outbox so queued changes survive reloads
+ */
+export class IndexedDBQueueStorage {
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'mojo-offline-queue';
+    this.storeName = options.storeName || 'outbox';
+    this._db = null;
+  }
+
+  _open() {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this._db;
+  }
+
+  async _run(mode, operation) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode);
+      const request = operation(tx.objectStore(this.storeName));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  async put(entry) {
+    await this._run('readwrite', store => store.put(entry));
+  }
+
+  async delete(id) {
+    await this._run('readwrite', store => store.delete(id));
+  }
+
+  async all() {
+    const entries = await this._run('readonly', store => store.getAll());
+    return (entries || []).sort((a, b) => a.seq - b.seq);
+  }
+
+  async clear() {
+    await this._run('readwrite', store => store.clear());
+  }
+}
+
+let sequence = 0;
+
+class OfflineQueue {
+  /**
+   * @param {Rest} rest - Client used to replay requests
+   * @param {object} options
+   * @param {string|object} [options.storage='indexeddb'] - 'indexeddb', 'memory' or a storage object
+   * @param {Function} [options.onConflict] - ({ entry, response, queue }) => 'discard' | 'keep' | { data }
+   * @param {number[]} [options.conflictStatuses=[409, 412]] - Replies handed to onConflict
+   * @param {number} [options.maxAttempts=5] - Conflict resends before an entry is dropped
+   * @param {boolean} [options.autoReplay=true] - Replay when the browser fires `online`
+   * @param {EventBus} [options.eventBus] - App bus that receives `offline:*` events
+   */
+  constructor(rest, options = {}) {
+    this.rest = rest;
+    this.onConflict = options.onConflict || null;
+    this.conflictStatuses = options.conflictStatuses || [409, 412];
+    this.maxAttempts = options.maxAttempts || 5;
+    this.autoReplay = options.autoReplay !== false;
+    this.eventBus = options.eventBus || null;
+    this.storage = OfflineQueue.createStorage(options.storage, options);
+
+    this.pendingCount = 0;
+    this.replaying = null;         // in-flight replay() promise
+    this.sending = null;           // id of the entry being replayed right now
+    this._waiters = new Map();     // entry id -> resolve callbacks for whenReplayed()
+    this._onOnline = () => this.replay();
+  }
+
+  /**
+   * Resolve a storage option into a storage object
+   * @param {string|object} storage
+   * @param {object} options
+   * @returns {object}
+   */
+  static createStorage(storage = 'indexeddb', options = {}) {
+    if (storage && typeof storage === 'object') return storage;
+    if (storage === 'indexeddb') {
+      if (typeof indexedDB !== 'undefined') return new IndexedDBQueueStorage(options);
+      console.warn('[OfflineQueue] IndexedDB unavailable, queued changes will not survive a reload');
+    }
+    return new MemoryQueueStorage();
+  }
+
+  /**
+   * Load the persisted count, listen for `online` and replay anything left
+   * over from a previous session
+   */
+  async start() {
+    if (this.autoReplay && typeof window !== 'undefined') {
+      window.addEventListener('online', this._onOnline);
+    }
+    await this._refreshCount();
+    if (this.pendingCount && this.isOnline()) {
+      await this.replay();
+    }
+  }
+
+  stop() {
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('online', this._onOnline);
+    }
+  }
+
+  isOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false;
+  }
+
+  /**
+   * Persist a request for later replay
+   * @param {object} request - { method, url, data, params, options }
+   * @returns {Promise<object>} The stored entry
+   */
+  async enqueue({ method, url, data = null, params = {}, options = {} }) {
+    const now = Date.now();
+    const entry = {
+      id: `${now.toString(36)}-${(sequence++).toString(36)}`,
+      seq: now * 1000 + (sequence % 1000),
+      method,
+      url,
+      data,
+      params,
+      // Only serializable, replay-relevant options are kept
+      options: { headers: options.headers, dataOnly: options.dataOnly },
+      createdAt: now,
+      attempts: 0
+    };
+
+    await this.storage.put(entry);
+    this._notify('queued', { entry });
+    await this._refreshCount();
+    return entry;
+  }
+
+  /**
+   * Merge more fields into a queued entry that hasn't been sent, so a record
+   * edited again while offline goes out as one request. A model saved twice
+   * before replay is created once instead of POSTed twice.
+   * @param {string} id - Entry id
+   * @param {object} data - Fields merged over the entry's body
+   * @returns {Promise<object|null>} The updated entry, or null when it is
+   *   being sent or is gone
+   */
+  async amend(id, data) {
+    if (this.sending === id) return null;
+    const entry = (await this.storage.all()).find(item => item.id === id);
+    // Re-checked: a replay may have picked the entry up while it was read
+    if (!entry || this.sending === id) return null;
+
+    entry.data = entry.data && typeof entry.data === 'object' ? { ...entry.data, ...data } : data;
+    await this.storage.put(entry);
+    this._notify('amended', { entry });
+    return entry;
+  }
+
+  /**
+   * Whether an entry is being replayed right now
+   * @param {string} id
+   * @returns {boolean}
+   */
+  isSending(id) {
+    return this.sending === id;
+  }
+
+  /**
+   * Queued entries, oldest first
+   * @returns {Promise<object[]>}
+   */
+  async getPending() {
+    return this.storage.all();
+  }
+
+  /**
+   * Subscribe to the pending count (called immediately and on every change)
+   * @param {Function} callback - (count) => void
+   * @returns {Function} Unsubscribe
+   */
+  onPendingChange(callback) {
+    const listener = ({ count }) => callback(count);
+    this.on('change', listener);
+    callback(this.pendingCount);
+    return () => this.off('change', listener);
+  }
+
+  /**
+   * Resolve with the server response once an entry has been replayed
+   * (or with null if it was discarded). In-session only.
+   * @param {string} id
+   * @returns {Promise<object|null>}
+   */
+  whenReplayed(id) {
+    return new Promise(resolve => {
+      if (!this._waiters.has(id)) this._waiters.set(id, []);
+      this._waiters.get(id).push(resolve);
+    });
+  }
+
+  /**
+   * Send queued entries in order. Stops at the first network failure or
+   * server error so later changes never overtake earlier ones.
+   * @returns {Promise<{replayed: number, remaining: number}>}
+   */
+  replay() {
+    if (!this.replaying) {
+      this.replaying = this._replay().finally(() => {
+        this.replaying = null;
+      });
+    }
+    return this.replaying;
+  }
+
+  async _replay() {
+    let replayed = 0;
+    this._notify('replay:start', { count: this.pendingCount });
+
+    for (;;) {
+      // Re-read each time: requests queued during the replay join the end
+      // eslint-disable-next-line no-await-in-loop -- entries replay strictly in order
+      const [entry] = await this.storage.all();
+      if (!entry) break;
+
+      // Held until the entry is removed or stored back, so amend() can't
+      // change a request that is already on its way
+      this.sending = entry.id;
+      // eslint-disable-next-line no-await-in-loop -- entries replay strictly in order
+      const outcome = await this._replayEntry(entry).finally(() => {
+        this.sending = null;
+      });
+      if (outcome === 'stop') break;
+      if (outcome === 'replayed') replayed++;
+    }
+
+    await this._refreshCount();
+    const result = { replayed, remaining: this.pendingCount };
+    this._notify('replay:end', result);
+    return result;
+  }
+
+  /**
+   * @returns {Promise<'replayed'|'dropped'|'stop'>}
+   * @private
+   */
+  async _replayEntry(entry) {
+    entry.attempts++;
+    let response;
+    try {
+      response = await this.rest.request(entry.method, entry.url, entry.data, entry.params, {
+        ...entry.options,
+        offline: false
+      });
+    } catch (error) {
+      console.warn('[OfflineQueue] replay failed:', error);
+      await this.storage.put(entry);
+      return 'stop';
+    }
+
+    if (response.success) {
+      await this._remove(entry, response);
+      this._notify('replayed', { entry, response });
+      return 'replayed';
+    }
+
+    if (this.rest.isNetworkError(response) || response.status >= 500) {
+      await this.storage.put(entry);
+      return 'stop';
+    }
+
+    if (this.conflictStatuses.includes(response.status)) {
+      this._notify('conflict', { entry, response });
+      const resolution = this.onConflict
+        ? await this.onConflict({ entry, response, queue: this })
+        : 'discard';
+
+      if (resolution === 'keep') {
+        await this.storage.put(entry);
+        return 'stop';
+      }
+      if (resolution && typeof resolution === 'object' && entry.attempts < this.maxAttempts) {
+        // Resend with the merged payload on the next pass
+        await this.storage.put({ ...entry, data: resolution.data ?? entry.data });
+        return 'retry';
+      }
+      await this.discard(entry.id);
+      return 'dropped';
+    }
+
+    // Validation / permission errors will not succeed on a later replay
+    await this._remove(entry, response);
+    this._notify('failed', { entry, response });
+    return 'dropped';
+  }
+
+  /**
+   * Drop an entry without sending it
+   * @param {string} id
+   */
+  async discard(id) {
+    await this.storage.delete(id);
+    this._resolveWaiters(id, null);
+    this._notify('discarded', { id });
+    await this._refreshCount();
+  }
+
+  /**
+   * Drop every queued entry
+   */
+  async clear() {
+    await this.storage.clear();
+    for (const id of [...this._waiters.keys()]) {
+      this._resolveWaiters(id, null);
+    }
+    await this._refreshCount();
+  }
+
+  async _remove(entry, response) {
+    await this.storage.delete(entry.id);
+    this._resolveWaiters(entry.id, response);
+    await this._refreshCount();
+  }
+
+  _resolveWaiters(id, response) {
+    const waiters = this._waiters.get(id);
+    if (!waiters) return;
+    this._waiters.delete(id);
+    waiters.forEach(resolve => resolve(response));
+  }
+
+  async _refreshCount() {
+    let count = this.pendingCount;
+    try {
+      count = (await this.storage.all()).length;
+    } catch (error) {
+      console.warn('[OfflineQueue] read failed:', error);
+    }
+    if (count !== this.pendingCount) {
+      this.pendingCount = count;
+      this._notify('change', { count });
+    }
+  }
+
+  /**
+   * Emit on the queue and, prefixed with `offline:`, on the app EventBus
+   * @private
+   */
+  _notify(event, data) {
+    this.emit(event, data);
+    if (this.eventBus && typeof this.eventBus.emit === 'function') {
+      this.eventBus.emit(`offline:${event}`, data);
+    }
+  }
+}
+
+Object.assign(OfflineQueue.prototype, EventEmitter);
+
+export default OfflineQueue;
@@ -0,0 +1,229 @@
+/**
+ * RealtimeSync - Live Model/Collection updates over a WebSocketClient
+ *
+ * Models and Collections subscribe to server change events for their model
+ * type (`static MODEL_REF`) and the events are applied in place, so views
+ * bound to them re-render without polling.
+ *
+ * Protocol (JSON over the realtime socket):
+ *   → { type: 'subscribe',   channels: ['model:incident.Incident', 'model:account.User:5'] }
+ *   → { type: 'unsubscribe', channels: [...] }
+ *   ← { type: 'model:event', model: 'incident.Incident', event: 'created'|'updated'|'deleted', id, data? }
+ *
+ * A Collection subscribes to `model:<ref>` (every record of the type), a
+ * Model to `model:<ref>:<id>`. Each subscription holds its channel through
+ * the socket's `subscribe()`, so WebSocketClient is the one owner of the
+ * channel's reference count — shared with any other `ws.subscribe()` caller —
+ * and re-sends it after every reconnect.
+ *
+ * @example
+ * realtimeSync.attach(app.ws, { eventBus: app.events });
+ * const stop = incidents.subscribe();   // Collection
+ * incident.subscribe();                 // Model
+ * incident.on('deleted', () => page.close());
+ */
+
+import EventEmitter from '@core/mixins/EventEmitter.js';
+
+class RealtimeSync {
+  /**
+   * @param {object} options
+   * @param {WebSocketClient} [options.ws] - Socket to attach to
+   * @param {EventBus} [options.eventBus] - App bus that receives `realtime:event`
+   * @param {string} [options.messageType='model:event'] - Incoming message type
+   */
+  constructor(options = {}) {
+    this.ws = null;
+    this.eventBus = options.eventBus || null;
+    this.messageType = options.messageType || 'model:event';
+
+    // Model/Collection -> { target, ref, channel, isCollection, options, hold, release }
+    this.subscriptions = new Map();
+
+    this._onMessage = (message) => this.handleEvent(message);
+
+    if (options.ws) this.attach(options.ws);
+  }
+
+  /**
+   * Start receiving events from a socket. Subscriptions made before take
+   * their channels on it now; the socket sends them once it connects.
+   * @param {WebSocketClient} ws
+   * @param {object} [options]
+   * @param {EventBus} [options.eventBus]
+   */
+  attach(ws, options = {}) {
+    this.detach();
+    this.ws = ws;
+    if (options.eventBus) this.eventBus = options.eventBus;
+
+    ws.on(`message:${this.messageType}`, this._onMessage);
+    this.subscriptions.forEach((subscription) => this._hold(subscription));
+  }
+
+  /**
+   * Stop listening to the current socket and release its channels.
+   * Subscriptions are kept and held again when another socket is attached.
+   */
+  detach() {
+    if (!this.ws) return;
+    this.subscriptions.forEach((subscription) => this._release(subscription));
+    this.ws.off(`message:${this.messageType}`, this._onMessage);
+    this.ws = null;
+  }
+
+  /**
+   * Apply server change events to a Model or Collection
+   * @param {Model|Collection} target
+   * @param {object} [options]
+   * @param {string} [options.created] - Collections: 'add' the record, 'fetch' the page again, or
+   *   'ignore'. The default adds to an unfiltered list that fits on one page and refetches any
+   *   other, so a pushed record never lands in a query it doesn't match.
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(target, options = {}) {
+    if (this.subscriptions.has(target)) return () => this.unsubscribe(target);
+
+    const isCollection = RealtimeSync.isCollection(target);
+    const ref = (isCollection ? target.ModelClass : target.constructor)?.MODEL_REF;
+    if (!ref) {
+      throw new Error('RealtimeSync: model class needs a static MODEL_REF to subscribe');
+    }
+    if (!isCollection && (target.id == null || target.id === '')) {
+      throw new Error('RealtimeSync: cannot subscribe to a model without an id');
+    }
+
+    const channel = isCollection ? `model:${ref}` : `model:${ref}:${target.id}`;
+    // Events arrive as `message:model:event`, not by channel: `hold` is only
+    // this subscription's reference on the socket's topic
+    const subscription = { target, ref, channel, isCollection, options, hold: () => {}, release: null };
+    this.subscriptions.set(target, subscription);
+    this._hold(subscription);
+
+    return () => this.unsubscribe(target);
+  }
+
+  /**
+   * Stop applying events to a Model or Collection
+   * @param {Model|Collection} target
+   */
+  unsubscribe(target) {
+    const subscription = this.subscriptions.get(target);
+    if (!subscription) return;
+    this.subscriptions.delete(target);
+    this._release(subscription);
+  }
+
+  /**
+   * Whether a Model or Collection is subscribed
+   * @param {Model|Collection} target
+   * @returns {boolean}
+   */
+  isSubscribed(target) {
+    return this.subscriptions.has(target);
+  }
+
+  /**
+   * Apply one change event to every matching subscriber
+   * @param {object} message - { model, event, id, data }
+   */
+  handleEvent(message) {
+    if (!message?.model || !message.event) return;
+
+    // A record shared by several subscribers (identity map) is updated once
+    const touched = new Set();
+    for (const subscription of [...this.subscriptions.values()]) {
+      if (subscription.ref !== message.model) continue;
+      if (subscription.isCollection) {
+        this._applyToCollection(subscription, message, touched);
+      } else if (subscription.target.id == message.id) {
+        this._applyToModel(subscription.target, message, touched);
+      }
+    }
+
+    this.emit('event', message);
+    if (this.eventBus && typeof this.eventBus.emit === 'function') {
+      this.eventBus.emit('realtime:event', message);
+    }
+  }
+
+  _applyToCollection({ target: collection, options }, message, touched) {
+    const existing = message.id != null ? collection.get(message.id) : null;
+
+    if (message.event === 'created') {
+      const mode = options.created || RealtimeSync.defaultCreatedMode(collection);
+      if (mode === 'fetch') {
+        collection.fetch();
+      } else if (mode === 'add' && !existing) {
+        collection.add(message.data || { id: message.id });
+      }
+    } else if (message.event === 'updated' && existing) {
+      this._applyToModel(existing, message, touched);
+    } else if (message.event === 'deleted' && existing) {
+      collection.remove(existing);
+      this._applyToModel(existing, message, touched);
+    }
+  }
+
+  _applyToModel(model, message, touched) {
+    if (touched.has(model)) return;
+    touched.add(model);
+
+    if (message.event === 'updated') {
+      if (message.data) {
+        model.set(message.data, null, { realtime: true });
+      } else {
+        model.fetch();
+      }
+    } else if (message.event === 'deleted') {
+      // The record is gone: its channel has nothing more to say
+      if (this.subscriptions.get(model)?.isCollection === false) this.unsubscribe(model);
+      model.emit('deleted', model, message);
+    }
+  }
+
+  _hold(subscription) {
+    if (!this.ws || subscription.release) return;
+    subscription.release = this.ws.subscribe(subscription.channel, subscription.hold);
+  }
+
+  _release(subscription) {
+    if (!subscription.release) return;
+    subscription.release();
+    subscription.release = null;
+  }
+
+  /**
+   * How a collection takes a `created` event when its subscription doesn't
+   * say: 'fetch' when it is filtered, searched or spans more than one page
+   * (the server decides whether and where the record belongs), 'add'
+   * otherwise.
+   * @param {Collection} collection
+   * @returns {'add'|'fetch'}
+   */
+  static defaultCreatedMode(collection) {
+    const params = collection.params || {};
+    const queryParams = collection.constructor.QUERY_PARAMS || [];
+    const filtered = Object.keys(params).some((key) => (
+      params[key] !== undefined && params[key] !== null && params[key] !== ''
+      && (!queryParams.includes(key) || key === 'search' || key.startsWith('dr_'))
+    ));
+    const size = Number(params.size) || 0;
+    const total = Number(collection.meta?.count) || 0;
+    const paged = Number(params.start) > 0
+      || total > collection.models.length
+      || (size > 0 && collection.models.length >= size);
+    return filtered || paged ? 'fetch' : 'add';
+  }
+
+  static isCollection(target) {
+    return Array.isArray(target?.models) && typeof target.ModelClass === 'function';
+  }
+}
+
+Object.assign(RealtimeSync.prototype, EventEmitter);
+
+const realtimeSync = new RealtimeSync();
+
+export { RealtimeSync };
+export default realtimeSync;
@@ -0,0 +1,226 @@
+/**
+ * RestBatcher - Coalesces small requests into one POST to a batch endpoint
+ *
+ * Requests issued within `window` ms are sent together as
+ *   POST <endpoint> { requests: [{ id, method, url, data?, headers? }] }
+ * and the server answers
+ *   { responses: [{ id, status, headers?, data }] }
+ * (also accepted wrapped in the usual `{ status, data }` envelope).
+ * Each sub-response resolves the promise of the request it belongs to.
+ *
+ * - A window holding a single request sends it as a normal request
+ * - `options.signal` aborts one request without touching the rest of its
+ *   batch; the batch POST is aborted only when every member was aborted
+ * - Request interceptors run once, for the batch POST
+ *
+ * @example
+ * rest.configure({ batch: { endpoint: '/api/batch', window: 10, maxSize: 20 } });
+ */
+
+const abortError = (signal) => (signal?.reason?.name === 'AbortError'
+  ? signal.reason
+  : new DOMException('Request was cancelled', 'AbortError'));
+
+class RestBatcher {
+  /**
+   * @param {Rest} rest - Client that sends the batch POST
+   * @param {object} options
+   * @param {string} [options.endpoint='/api/batch'] - Batch endpoint
+   * @param {number} [options.window=10] - ms to wait for more requests
+   * @param {number} [options.maxSize=20] - Flush as soon as this many are waiting
+   * @param {string[]} [options.methods=['GET']] - Methods that may be batched
+   * @param {Function} [options.parse] - (batchResponse) => [{ id, status, headers, data }]
+   */
+  constructor(rest, options = {}) {
+    this.rest = rest;
+    this.endpoint = options.endpoint || '/api/batch';
+    this.window = options.window ?? 10;
+    this.maxSize = options.maxSize || 20;
+    this.methods = (options.methods || ['GET']).map(method => method.toUpperCase());
+    this.parse = options.parse || null;
+
+    this.pending = [];
+    this.timer = null;
+    this._nextId = 0;
+  }
+
+  /**
+   * Batch-relative path for a request URL, or null when it can't be batched
+   * (another origin, or the batch endpoint itself)
+   * @param {string} url
+   * @returns {string|null}
+   */
+  pathFor(url) {
+    let path = url;
+    if (/^https?:\/\//.test(url)) {
+      const base = this.rest.config.baseURL.replace(/\/$/, '');
+      if (!base || !url.startsWith(`${base}/`)) return null;
+      path = url.slice(base.length);
+    }
+    path = path.startsWith('/') ? path : `/${path}`;
+    return path.split('?')[0] === this.endpoint ? null : path;
+  }
+
+  /**
+   * Whether a request can join a batch
+   * @returns {boolean}
+   */
+  accepts(method, url, data) {
+    if (!this.methods.includes(method)) return false;
+    if (typeof FormData !== 'undefined' && data instanceof FormData) return false;
+    return this.pathFor(url) !== null;
+  }
+
+  /**
+   * Queue a request for the next batch
+   * @param {object} request - { method, url (from pathFor() plus query string), data, options }
+   * @returns {Promise<object>} Rest response data for this request
+   */
+  add({ method, url, data = null, options = {} }) {
+    const { headers, signal } = options;
+    if (signal?.aborted) return Promise.reject(abortError(signal));
+
+    return new Promise((resolve, reject) => {
+      const item = { id: ++this._nextId, method, url, data, headers, signal, options, resolve, reject, settled: false, group: null };
+
+      if (signal) {
+        item.onAbort = () => this._abort(item);
+        signal.addEventListener('abort', item.onAbort, { once: true });
+      }
+
+      this.pending.push(item);
+      if (this.pending.length >= this.maxSize) {
+        this.flush();
+      } else if (!this.timer) {
+        this.timer = setTimeout(() => this.flush(), this.window);
+      }
+    });
+  }
+
+  /**
+   * Send everything waiting now
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    const group = this.pending.splice(0);
+    if (!group.length) return;
+
+    if (group.length === 1) {
+      await this._sendSingle(group[0]);
+    } else {
+      await this._sendGroup(group);
+    }
+  }
+
+  async _sendSingle(item) {
+    try {
+      const response = await this.rest.performRequest(item.method, item.url, item.data, {}, {
+        ...item.options,
+        dataOnly: false,
+        batch: false
+      });
+      this._settle(item, response);
+    } catch (error) {
+      this._settle(item, null, error);
+    }
+  }
+
+  async _sendGroup(group) {
+    const controller = new AbortController();
+    group.forEach(item => { item.group = { items: group, controller }; });
+
+    const body = {
+      requests: group.map(({ id, method, url, data, headers }) => ({
+        id,
+        method,
+        url,
+        ...(data != null ? { data } : {}),
+        ...(headers ? { headers } : {})
+      }))
+    };
+
+    let response;
+    try {
+      response = await this.rest.performRequest('POST', this.endpoint, body, {}, {
+        signal: controller.signal,
+        batch: false,
+        retry: false
+      });
+    } catch (error) {
+      group.forEach(item => this._settle(item, null, error));
+      return;
+    }
+
+    if (!response.success) {
+      // The whole batch failed: every member sees the batch's failure
+      group.forEach(item => this._settle(item, { ...response }));
+      return;
+    }
+
+    const results = new Map(this.parseResponse(response).map(result => [String(result.id), result]));
+    group.forEach((item) => {
+      const result = results.get(String(item.id));
+      this._settle(item, result ? this.toResponse(result) : this.toResponse({
+        status: 502,
+        data: { message: 'Missing from batch response' }
+      }));
+    });
+  }
+
+  /**
+   * Sub-response list from the batch POST's response
+   * @param {object} response - Rest response data for the batch POST
+   * @returns {object[]}
+   */
+  parseResponse(response) {
+    if (this.parse) return this.parse(response) || [];
+    const body = response.data;
+    if (Array.isArray(body)) return body;
+    return body?.responses || body?.data?.responses || (Array.isArray(body?.data) ? body.data : []);
+  }
+
+  /**
+   * Shape one sub-response like any other Rest response
+   * @param {object} result - { status, statusText, headers, data }
+   * @returns {object}
+   */
+  toResponse({ status = 200, statusText = '', headers = {}, data = null }) {
+    const success = status >= 200 && status < 300;
+    const response = { success, status, statusText, headers, data, errors: null, message: null, reason: null };
+
+    if (!success) {
+      const errorInfo = this.rest.categorizeError(new Error('HTTP Error'), status);
+      response.errors = data?.errors || {};
+      response.message = data?.message || errorInfo.message;
+      response.reason = errorInfo.reason;
+    }
+    return response;
+  }
+
+  _abort(item) {
+    const waiting = this.pending.indexOf(item);
+    if (waiting !== -1) this.pending.splice(waiting, 1);
+    this._settle(item, null, abortError(item.signal));
+
+    // Nobody is waiting on this batch any more
+    if (item.group && item.group.items.every(member => member.settled)) {
+      item.group.controller.abort();
+    }
+  }
+
+  _settle(item, response, error = null) {
+    if (item.settled) return;
+    item.settled = true;
+    if (item.onAbort) item.signal.removeEventListener('abort', item.onAbort);
+
+    if (error) {
+      item.reject(error);
+    } else {
+      item.resolve(response);
+    }
+  }
+}
+
+export default RestBatcher;
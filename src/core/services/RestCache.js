@@ -0,0 +1,261 @@
+/**
+ * RestCache - Opt-in response cache for Rest GET requests
+ *
+ * Features:
+ * - Entries keyed by the full request URL (endpoint + query params)
+ * - Fresh window (`ttl`) served without a request
+ * - Stale-while-revalidate window served immediately while a background
+ *   request refreshes the entry
+ * - ETag revalidation: expired entries are re-requested with If-None-Match,
+ *   a 304 refreshes the entry without re-downloading it
+ * - Pluggable async storage: memory (default), IndexedDB, or any object
+ *   implementing get/set/delete/keys/clear
+ *
+ * Rest owns the request flow; this class only stores entries and decides
+ * what is fresh, stale or expired.
+ *
+ * @example
+ * rest.configure({ cache: { ttl: 30000, staleWhileRevalidate: 120000, storage: 'indexeddb' } });
+ */
+
+/**
+ * In-memory storage with a bounded number of entries (oldest written first out)
+ */
+export class MemoryCacheStorage {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 200;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async keys() {
+    return [...this.entries.keys()];
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * IndexedDB storage so cached responses survive reloads
+ */
+export class IndexedDBCacheStorage {
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'mojo-rest-cache';
+    this.storeName = options.storeName || 'responses';
+    this._db = null;
+  }
+
+  _open() {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this._db;
+  }
+
+  async _run(mode, operation) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode);
+      const request = operation(tx.objectStore(this.storeName));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  async get(key) {
+    return (await this._run('readonly', store => store.get(key))) || null;
+  }
+
+  async set(key, entry) {
+    await this._run('readwrite', store => store.put({ ...entry, key }));
+  }
+
+  async delete(key) {
+    await this._run('readwrite', store => store.delete(key));
+  }
+
+  async keys() {
+    return await this._run('readonly', store => store.getAllKeys());
+  }
+
+  async clear() {
+    await this._run('readwrite', store => store.clear());
+  }
+}
+
+class RestCache {
+  /**
+   * @param {object} options
+   * @param {number} [options.ttl=30000] - ms an entry is served without a request
+   * @param {number} [options.staleWhileRevalidate=0] - ms after ttl an entry is served while refreshing
+   * @param {string|object} [options.storage='memory'] - 'memory', 'indexeddb' or a storage object
+   * @param {number} [options.maxEntries=200] - Memory storage size
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl ?? 30000;
+    this.staleWhileRevalidate = options.staleWhileRevalidate ?? 0;
+    this.storage = RestCache.createStorage(options.storage, options);
+  }
+
+  /**
+   * Resolve a storage option into a storage object
+   * @param {string|object} storage
+   * @param {object} options
+   * @returns {object}
+   */
+  static createStorage(storage = 'memory', options = {}) {
+    if (storage && typeof storage === 'object') return storage;
+    if (storage === 'indexeddb') {
+      if (typeof indexedDB !== 'undefined') return new IndexedDBCacheStorage(options);
+      console.warn('[RestCache] IndexedDB unavailable, falling back to memory storage');
+    }
+    return new MemoryCacheStorage(options);
+  }
+
+  /**
+   * Effective freshness windows for one call (`options.cache` may override)
+   * @param {object} [override]
+   * @returns {{ttl: number, staleWhileRevalidate: number}}
+   */
+  policy(override) {
+    const custom = override && typeof override === 'object' ? override : {};
+    return {
+      ttl: custom.ttl ?? this.ttl,
+      staleWhileRevalidate: custom.staleWhileRevalidate ?? this.staleWhileRevalidate
+    };
+  }
+
+  /**
+   * Classify an entry against a policy
+   * @param {object|null} entry
+   * @param {object} policy
+   * @returns {'fresh'|'stale'|'expired'|'missing'}
+   */
+  state(entry, policy) {
+    if (!entry) return 'missing';
+    const age = Date.now() - entry.storedAt;
+    if (age < policy.ttl) return 'fresh';
+    if (age < policy.ttl + policy.staleWhileRevalidate) return 'stale';
+    return 'expired';
+  }
+
+  async get(key) {
+    try {
+      return await this.storage.get(key);
+    } catch (error) {
+      console.warn('[RestCache] read failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store a successful response
+   * @param {string} key
+   * @param {object} response - Rest response data
+   * @returns {Promise<object>} The stored entry
+   */
+  async set(key, response) {
+    const entry = {
+      key,
+      etag: response.headers?.etag || null,
+      storedAt: Date.now(),
+      response: RestCache.clone(response)
+    };
+    try {
+      await this.storage.set(key, entry);
+    } catch (error) {
+      console.warn('[RestCache] write failed:', error);
+    }
+    return entry;
+  }
+
+  /**
+   * Restart an entry's freshness window (after a 304)
+   */
+  async touch(key, entry) {
+    const refreshed = { ...entry, storedAt: Date.now() };
+    try {
+      await this.storage.set(key, refreshed);
+    } catch (error) {
+      console.warn('[RestCache] write failed:', error);
+    }
+    return refreshed;
+  }
+
+  /**
+   * Drop entries for a mutated endpoint: the URL's own path and its parent
+   * collection path (PUT /api/user/5 drops /api/user/5 and /api/user?…)
+   * @param {string} url
+   */
+  async invalidate(url) {
+    const path = RestCache.pathOf(url);
+    const parent = path.replace(/\/[^/]+$/, '');
+    const keys = await this.storage.keys();
+    await Promise.all(keys
+      .filter(key => {
+        const keyPath = RestCache.pathOf(key);
+        return keyPath === path || (parent && keyPath === parent);
+      })
+      .map(key => this.storage.delete(key)));
+  }
+
+  async clear() {
+    await this.storage.clear();
+  }
+
+  /**
+   * URL path without query string or trailing slash
+   * @param {string} url
+   * @returns {string}
+   */
+  static pathOf(url) {
+    let path;
+    try {
+      path = new URL(url, 'http://localhost').pathname;
+    } catch (_error) {
+      path = String(url).split('?')[0];
+    }
+    return path.length > 1 ? path.replace(/\/+$/, '') : path;
+  }
+
+  /**
+   * Deep copy so callers can't mutate cached data
+   */
+  static clone(value) {
+    if (typeof structuredClone === 'function') {
+      try {
+        return structuredClone(value);
+      } catch (_error) {
+        // fall through to JSON for values structuredClone rejects
+      }
+    }
+    return JSON.parse(JSON.stringify(value));
+  }
+}
+
+export default RestCache;
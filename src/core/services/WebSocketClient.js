@@ -9,6 +9,9 @@
  * - Optional integration with WebApp's browser:focus event bus
  * - Event-driven architecture using EventEmitter
  * - Token-based authentication
+ * - Topic subscriptions, re-sent after every reconnect
+ * - Request/response with correlation ids and timeouts
+ * - Optional bounded outbound queue flushed on reconnect instead of throwing
  *
  * Usage:
  *   const ws = new WebSocketClient({
@@ -22,6 +25,9 @@
  *   ws.on('message',      (data) => console.log('Received:', data));
  *   ws.on('reconnecting', ({attempt, delay}) => console.log(`Retry #${attempt} in ${delay}ms`));
  *   ws.connect();
+ *
+ *   const stop = ws.subscribe('incidents', (message) => table.refresh());
+ *   const stats = await ws.request('stats', { range: '24h' });
  */
 
 import EventEmitter from '@core/mixins/EventEmitter.js';
@@ -66,6 +72,20 @@ class WebSocketClient {
     // the native visibility / window focus events we listen to below.
     this._app = options.app || null;
 
+    // ── Topics / requests / outbound queue ─────────────────────────────────
+    // `topics`   – topic -> Set of handlers; subscribe messages are re-sent
+    //              on every (re)connect
+    // `requests` – request_id -> pending request() awaiting its response
+    // `outbox`   – messages sent while disconnected (only when `queue` is on),
+    //              bounded by `maxQueueSize`, oldest dropped first
+    this.topics         = new Map();
+    this.requests       = new Map();
+    this.requestTimeout = options.requestTimeout || 10000;
+    this._nextRequestId = 0;
+    this.queueEnabled   = !!options.queue;
+    this.maxQueueSize   = options.queue?.maxSize || options.maxQueueSize || 100;
+    this.outbox         = [];
+
     // ── Debug ────────────────────────────────────────────────────────────────
     this.debug = options.debug || false;
 
@@ -106,6 +126,10 @@ class WebSocketClient {
     this._intentionalDisconnect = true;
     this._clearTimers();
 
+    // Nothing will answer or flush these any more
+    this.outbox = [];
+    this._rejectRequests(new Error('WebSocket disconnected'));
+
     if (this.socket) {
       this._log('Disconnecting (intentional)');
       this.socket.close(1000, 'Client disconnect');
@@ -118,15 +142,96 @@ class WebSocketClient {
 
   /**
    * Send data.  Objects are auto-serialised to JSON.
+   * While disconnected the message is queued when the `queue` option is on
+   * (returns false); otherwise this throws.
+   * @returns {boolean} True when sent now, false when queued
    */
   send(data) {
     if (!this.isConnected || !this.socket) {
-      throw new Error('WebSocket not connected');
+      if (!this.queueEnabled) {
+        throw new Error('WebSocket not connected');
+      }
+      this._enqueue(data);
+      return false;
     }
 
     const message = typeof data === 'string' ? data : JSON.stringify(data);
     this.socket.send(message);
     this._log('Sent:', message);
+    return true;
+  }
+
+  /**
+   * Receive messages for a topic.  The first handler for a topic sends
+   * `{ type: 'subscribe', channels: [topic] }`; every subscribed topic is
+   * sent again after a reconnect.  Incoming messages are routed by their
+   * `channel` (or `topic`) field.
+   * @param {string} topic
+   * @param {Function} handler - (message) => void
+   * @returns {Function} Unsubscribe this handler
+   */
+  subscribe(topic, handler) {
+    if (!this.topics.has(topic)) {
+      this.topics.set(topic, new Set());
+      this._sendControl('subscribe', [topic]);
+    }
+    this.topics.get(topic).add(handler);
+    return () => this.unsubscribe(topic, handler);
+  }
+
+  /**
+   * Remove one handler (or every handler) from a topic.  The server is told
+   * to unsubscribe once no handler is left.
+   * @param {string} topic
+   * @param {Function} [handler]
+   */
+  unsubscribe(topic, handler = null) {
+    const handlers = this.topics.get(topic);
+    if (!handlers) return;
+    if (handler) {
+      handlers.delete(handler);
+    } else {
+      handlers.clear();
+    }
+    if (!handlers.size) {
+      this.topics.delete(topic);
+      this._sendControl('unsubscribe', [topic]);
+    }
+  }
+
+  /**
+   * Send `{ type, request_id, data }` and resolve with the server message
+   * that carries the same `request_id`.  Rejects on timeout, on a response
+   * with an `error`, when the client is disconnected, or when the socket
+   * closes after the request went out (a queued request waits for the
+   * reconnect instead).
+   * @param {string} type
+   * @param {*} [payload]
+   * @param {object} [options]
+   * @param {number} [options.timeout] - ms (default `requestTimeout`)
+   * @returns {Promise<object>} The response message
+   */
+  request(type, payload = null, options = {}) {
+    const requestId = `${Date.now().toString(36)}-${++this._nextRequestId}`;
+    const timeout = options.timeout || this.requestTimeout;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.requests.delete(requestId);
+        this.outbox = this.outbox.filter(item => item.requestId !== requestId);
+        reject(new Error(`WebSocket request "${type}" timed out after ${timeout}ms`));
+      }, timeout);
+      const pending = { resolve, reject, timer, sent: false };
+      this.requests.set(requestId, pending);
+
+      try {
+        pending.sent = this.send({ type, request_id: requestId, data: payload });
+      } catch (error) {
+        clearTimeout(timer);
+        this.requests.delete(requestId);
+        reject(error);
+      }
+    });
   }
 
   /**
@@ -135,6 +240,7 @@ class WebSocketClient {
    */
   destroy() {
     this.disconnect();
+    this.topics.clear();
     this._teardownVisibilityHandlers();
     this._teardownAppFocusHandler();
   }
@@ -170,6 +276,8 @@ class WebSocketClient {
           this.reconnectAttempts = 0;
 
           this._authenticate();
+          this._resubscribe();
+          this._flushQueue();
           this._startHeartbeat();
 
           this.emit('connected');
@@ -215,6 +323,92 @@ class WebSocketClient {
     this.send({ type: 'authenticate', token, prefix: this.tokenPrefix });
   }
 
+  // ═══════════════════════════════════════════════════════════════════════════
+  // Topics / requests / outbound queue internals
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Subscription control frames are never queued — _resubscribe() sends the
+   * current topic set on connect anyway.
+   */
+  _sendControl(type, channels) {
+    if (!this.isConnected) return;
+    try {
+      this.send({ type, channels });
+    } catch (err) {
+      this._log(`${type} failed:`, err.message);
+    }
+  }
+
+  _resubscribe() {
+    if (this.topics.size) {
+      this._sendControl('subscribe', [...this.topics.keys()]);
+    }
+  }
+
+  _enqueue(data) {
+    this.outbox.push({ data, requestId: data?.request_id });
+    if (this.outbox.length > this.maxQueueSize) {
+      const dropped = this.outbox.shift();
+      this.emit('queue:overflow', dropped.data);
+    }
+    this._log(`Queued (${this.outbox.length} waiting)`);
+  }
+
+  _flushQueue() {
+    const waiting = this.outbox.splice(0);
+    for (const { data, requestId } of waiting) {
+      this.send(data);
+      const pending = requestId != null ? this.requests.get(requestId) : null;
+      if (pending) pending.sent = true;
+    }
+  }
+
+  /**
+   * Reject pending requests — every one, or with `sentOnly` just those
+   * already written to the socket (queued ones can still go out later).
+   */
+  _rejectRequests(error, { sentOnly = false } = {}) {
+    for (const [requestId, { reject, timer, sent }] of this.requests) {
+      if (sentOnly && !sent) continue;
+      clearTimeout(timer);
+      this.requests.delete(requestId);
+      reject(error);
+    }
+  }
+
+  /**
+   * @returns {boolean} True when the message answered a pending request()
+   */
+  _resolveRequest(data) {
+    const pending = data?.request_id != null && this.requests.get(String(data.request_id));
+    if (!pending) return false;
+
+    this.requests.delete(String(data.request_id));
+    clearTimeout(pending.timer);
+    if (data.error) {
+      const error = new Error(typeof data.error === 'string' ? data.error : 'WebSocket request failed');
+      error.response = data;
+      pending.reject(error);
+    } else {
+      pending.resolve(data);
+    }
+    return true;
+  }
+
+  _dispatchTopic(data) {
+    const topic = data?.channel ?? data?.topic;
+    const handlers = topic != null ? this.topics.get(topic) : null;
+    if (!handlers) return;
+    for (const handler of [...handlers]) {
+      try {
+        handler(data);
+      } catch (err) {
+        console.error(`[WebSocket] Topic handler for "${topic}" threw:`, err);
+      }
+    }
+  }
+
   // ═══════════════════════════════════════════════════════════════════════════
   // Event handlers
   // ═══════════════════════════════════════════════════════════════════════════
@@ -235,6 +429,10 @@ class WebSocketClient {
       return;
     }
 
+    // Responses go to the request() that is waiting for them
+    if (this._resolveRequest(data)) return;
+
+    this._dispatchTopic(data);
     if (data?.type) {
       this.emit(`message:${data.type}`, data);
     }
@@ -251,6 +449,9 @@ class WebSocketClient {
     this._clearTimers();
     this.socket = null;
 
+    // Whatever went out on this socket will never be answered on the next one
+    this._rejectRequests(new Error(`WebSocket closed (code ${event.code})`), { sentOnly: true });
+
     this.emit('disconnected', {
       code:     event.code,
       reason:   event.reason,
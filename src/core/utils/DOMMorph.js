@@ -0,0 +1,146 @@
+/**
+ * DOMMorph - Patch a live DOM tree to match new HTML in place
+ *
+ * Used by View.render() when a view opts in with `morph: true`. Instead of
+ * replacing `innerHTML`, the new template output is diffed against the live
+ * children and only changed nodes are touched, so focus, caret position,
+ * scroll offsets, open dropdowns and running CSS transitions survive a
+ * re-render.
+ *
+ * Matching:
+ *   - Elements with `data-key` (or else `id`) are matched by key, wherever
+ *     they moved to among their siblings
+ *   - Other nodes are matched in order by node type and tag name
+ *   - Unmatched new nodes are inserted, unmatched live nodes removed
+ *
+ * Left alone:
+ *   - Nodes for which `options.preserve(node)` returns true (View passes its
+ *     child view elements, which re-render themselves)
+ *   - The subtree of an element with `data-morph="skip"` (third-party widgets)
+ *   - The value of the focused input / textarea
+ *
+ * @example
+ * morphChildren(view.element, '<ul><li data-key="1">One</li></ul>');
+ */
+
+function nodeKey(node) {
+  if (node.nodeType !== 1) return null;
+  return node.getAttribute('data-key') || node.id || null;
+}
+
+function isSameKind(a, b) {
+  return a.nodeType === b.nodeType && a.nodeName === b.nodeName;
+}
+
+function isFocused(el) {
+  return el.ownerDocument && el.ownerDocument.activeElement === el;
+}
+
+function syncAttributes(from, to) {
+  for (const { name } of [...from.attributes]) {
+    if (!to.hasAttribute(name)) from.removeAttribute(name);
+  }
+  for (const { name, value } of [...to.attributes]) {
+    if (from.getAttribute(name) !== value) from.setAttribute(name, value);
+  }
+}
+
+// Properties that diverge from their attribute once the user interacts
+function syncFormState(from, to) {
+  const tag = from.nodeName;
+  if (tag === 'INPUT') {
+    if (from.type === 'checkbox' || from.type === 'radio') {
+      from.checked = to.hasAttribute('checked');
+    } else if (!isFocused(from)) {
+      const value = to.getAttribute('value') ?? '';
+      if (from.value !== value) from.value = value;
+    }
+  } else if (tag === 'TEXTAREA') {
+    if (!isFocused(from) && from.value !== to.value) from.value = to.value;
+  } else if (tag === 'OPTION') {
+    if (to.hasAttribute('selected') || from.selected !== to.selected) {
+      from.selected = to.hasAttribute('selected');
+    }
+  }
+}
+
+/**
+ * Patch one live node to match a new node of the same kind
+ * @param {Node} from - Live node
+ * @param {Node} to - New node
+ * @param {object} [options] - See morphChildren
+ */
+export function morphNode(from, to, options = {}) {
+  if (from.nodeType !== 1) {
+    if (from.nodeValue !== to.nodeValue) from.nodeValue = to.nodeValue;
+    return;
+  }
+
+  syncAttributes(from, to);
+  if (from.getAttribute('data-morph') === 'skip') return;
+
+  // A textarea's children are its default value; only the property matters
+  if (from.nodeName !== 'TEXTAREA') morphChildren(from, to, options);
+  syncFormState(from, to);
+}
+
+/**
+ * Patch the children of a live element to match new content
+ * @param {Element} from - Live parent element
+ * @param {string|Node} to - New HTML, or a node / fragment whose children are the new content
+ * @param {object} [options]
+ * @param {Function} [options.preserve] - (node) => true to keep a live node untouched
+ * @returns {Element} The live element
+ */
+export function morphChildren(from, to, options = {}) {
+  if (typeof to === 'string') {
+    const template = from.ownerDocument.createElement('template');
+    template.innerHTML = to;
+    to = template.content;
+  }
+
+  const preserve = options.preserve || (() => false);
+  const keyed = new Map();
+  for (const node of from.childNodes) {
+    const key = nodeKey(node);
+    if (key) keyed.set(key, node);
+  }
+
+  const used = new Set();
+  const nextLive = (node) => {
+    while (node && (preserve(node) || used.has(node))) node = node.nextSibling;
+    return node;
+  };
+
+  let cursor = nextLive(from.firstChild);
+  for (const next of [...to.childNodes]) {
+    const key = nodeKey(next);
+    let match = null;
+    if (key) {
+      const candidate = keyed.get(key);
+      if (candidate && !used.has(candidate) && isSameKind(candidate, next)) match = candidate;
+    } else if (cursor && !nodeKey(cursor) && isSameKind(cursor, next)) {
+      match = cursor;
+    }
+
+    if (match) {
+      used.add(match);
+      if (match !== cursor) from.insertBefore(match, cursor);
+      // A preserved node standing in for its placeholder (e.g. a child view
+      // mounted with replaceById) keeps its place but isn't patched
+      if (!preserve(match)) morphNode(match, next, options);
+    } else {
+      used.add(next);
+      from.insertBefore(next, cursor);
+    }
+    cursor = nextLive(cursor);
+  }
+
+  for (const node of [...from.childNodes]) {
+    if (!used.has(node) && !preserve(node)) from.removeChild(node);
+  }
+
+  return from;
+}
+
+export default { morphChildren, morphNode };
@@ -4,16 +4,117 @@
  * @version 1.0.0
  */
 
+import i18n from './I18n.js';
+
 // A generic, gray, person icon SVG, encoded as a Base64 data URI.
 // This is used as a fallback for the avatar formatter when no image URL is provided.
 const GENERIC_AVATAR_SVG = 'data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCAyNCAyNCIgZmlsbD0iI2NlZDRkYSI+PHBhdGggZD0iTTEyIDEyYzIuMjEgMCA0LTEuNzkgNC00cy0xLjc5LTQtNC00LTQgMS43OS00IDQgMS43OSA0IDQgNHptMCAyYy0yLjY3IDAtOCAxLjM0LTggNHYyaDE2di0yYzAtMi42Ni01LjMzLTQtOC00eiIvPjwvc3ZnPg==';
 
+// Intl date/time styles accepted in place of a token pattern: `|date:'long'`
+const DATE_STYLES = new Set(['short', 'medium', 'long', 'full']);
+
+// ISO 4217 code — `|currency:'EUR'` formats through Intl instead of a symbol
+const CURRENCY_CODE_RE = /^[A-Z]{3}$/;
+
+// Ordinal suffixes keyed by language, then Intl.PluralRules ordinal category.
+// Languages without an entry render the plain number.
+const ORDINAL_SUFFIXES = {
+  en: { one: 'st', two: 'nd', few: 'rd', other: 'th' },
+  fr: { one: 'er', other: 'e' },
+  de: { other: '.' },
+  nl: { other: 'e' },
+  es: { other: 'º' },
+  it: { other: 'º' },
+  pt: { other: 'º' },
+  sv: { one: ':a', other: ':e' },
+  da: { other: '.' },
+  nb: { other: '.' },
+  fi: { other: '.' },
+  pl: { other: '.' },
+  cs: { other: '.' }
+};
+
+const FILESIZE_UNITS = ['byte', 'kilobyte', 'megabyte', 'gigabyte', 'terabyte'];
+
 class DataFormatter {
   constructor() {
     this.formatters = new Map();
+
+    // App-wide defaults; a formatter's own locale / timeZone argument wins.
+    // A null locale keeps the historical en-US output.
+    this.locale = null;
+    this.timeZone = null;
+    this.currencyCode = null;
+    this.followLocale = false;
+    this._intl = new Map();
+
     this.registerBuiltInFormatters();
   }
 
+  /**
+   * Set app-wide formatting defaults (what WebApp's `formatting` option calls).
+   * `locale: 'auto'` follows the active i18n locale, so a locale switch also
+   * switches number and date formats; `locale: null` restores en-US output.
+   * @param {Object} options - { locale, timeZone, currency }
+   * @returns {DataFormatter} This instance for chaining
+   */
+  configure({ locale, timeZone, currency } = {}) {
+    if (locale !== undefined) this.setLocale(locale);
+    if (timeZone !== undefined) this.setTimeZone(timeZone);
+    if (currency !== undefined) this.currencyCode = currency ? String(currency).toUpperCase() : null;
+    return this;
+  }
+
+  /**
+   * Set the default formatting locale
+   * @param {string|null} locale - BCP 47 tag, 'auto' to follow i18n, or null
+   * @returns {DataFormatter} This instance for chaining
+   */
+  setLocale(locale) {
+    this.followLocale = locale === 'auto';
+    this.locale = this.followLocale ? null : (locale || null);
+    return this;
+  }
+
+  /**
+   * Set the default IANA time zone for dates and times (null = browser zone)
+   * @param {string|null} timeZone - e.g. 'Europe/Berlin'
+   * @returns {DataFormatter} This instance for chaining
+   */
+  setTimeZone(timeZone) {
+    this.timeZone = timeZone || null;
+    return this;
+  }
+
+  /**
+   * Effective locale for a call: the explicit argument, the configured
+   * default, or the i18n locale when following it. null = legacy en-US.
+   * @param {string} [locale] - Per-call override
+   * @returns {string|null}
+   */
+  getLocale(locale = null) {
+    if (locale) return locale;
+    if (this.followLocale) return i18n.getLocale();
+    return this.locale;
+  }
+
+  /**
+   * Cached Intl formatter — constructing them is far slower than formatting.
+   * @param {string} kind - Intl constructor name, e.g. 'NumberFormat'
+   * @param {string} locale - Locale
+   * @param {Object} options - Constructor options
+   * @returns {Object} Intl formatter instance
+   */
+  intl(kind, locale, options = {}) {
+    const key = `${kind}|${locale}|${JSON.stringify(options)}`;
+    let formatter = this._intl.get(key);
+    if (!formatter) {
+      formatter = new Intl[kind](locale, options);
+      this._intl.set(key, formatter);
+    }
+    return formatter;
+  }
+
   escapeHtml(str) {
     if (str === null || str === undefined) {
         return '';
@@ -70,6 +171,7 @@ class DataFormatter {
     this.register('filesize', this.filesize.bind(this));
     this.register('ordinal', this.ordinal.bind(this));
     this.register('compact', this.compact.bind(this));
+    this.register('unit', this.unit.bind(this));
 
     // Math formatters
     this.register('add', this.add.bind(this));
@@ -148,11 +250,26 @@ class DataFormatter {
     this.register('highlight', this.highlight.bind(this));
     this.register('nl2br', this.nl2br.bind(this));
     this.register('code', this.code.bind(this));
+    this.register('t', this.translate.bind(this));
     this.register('pre', (v) => `<pre class="bg-light p-2 rounded border">${this.escapeHtml(String(v))}</pre>`);
   }
 
-  relative_short(value) {
-    return this.relative(value, true);
+  /**
+   * Translate a message key held in data. An optional prefix namespaces
+   * enum-style values: `{{model.status|t:'ticket.status'}}` looks up
+   * `ticket.status.open`. Unknown keys fall back to the value itself.
+   * @param {string} value - Message key (or key suffix)
+   * @param {string} [prefix] - Key namespace
+   * @returns {string}
+   */
+  translate(value, prefix = '') {
+    if (value === null || value === undefined || value === '') return '';
+    const key = prefix ? `${prefix}.${value}` : String(value);
+    return i18n.t(key, { default: String(value) });
+  }
+
+  relative_short(value, locale = null) {
+    return this.relative(value, true, locale);
   }
 
   linkify(value, options = {}) {
@@ -504,45 +621,116 @@ class DataFormatter {
 
   // ============= Date/Time Formatters =============
 
+  /**
+   * Parse a date value. Date-only strings (YYYY-MM-DD) are calendar dates:
+   * they parse as local midnight and are never shifted into another zone.
+   * @param {*} value - Date, epoch or date string
+   * @returns {{date: Date, dateOnly: boolean}|null} null when unparseable
+   */
+  parseDate(value) {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      const [year, month, day] = value.split('-').map(Number);
+      return { date: new Date(year, month - 1, day), dateOnly: true };
+    }
+    value = this.normalizeEpoch(value);
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? null : { date, dateOnly: false };
+  }
+
+  /**
+   * What the date formatters show for a value parseDate() rejects — the
+   * legacy `String(value)` of the normalized value, so a string that isn't
+   * a date renders blank and an invalid Date as 'Invalid Date'
+   * @param {*} value - Date value
+   * @returns {string}
+   */
+  unparsedDate(value) {
+    return String(this.normalizeEpoch(value));
+  }
+
+  /**
+   * Calendar and clock fields of a date, in `timeZone` when given
+   * @param {Date} date - Date
+   * @param {string} [timeZone] - IANA zone; omitted = browser zone
+   * @returns {Object} { year, month, day, hours, minutes, seconds }
+   */
+  dateParts(date, timeZone = null) {
+    if (!timeZone) {
+      return {
+        year: date.getFullYear(),
+        month: date.getMonth() + 1,
+        day: date.getDate(),
+        hours: date.getHours(),
+        minutes: date.getMinutes(),
+        seconds: date.getSeconds()
+      };
+    }
+    const parts = this.intl('DateTimeFormat', 'en-US', {
+      timeZone,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+    const get = (type) => Number((parts.find(p => p.type === type) || {}).value);
+    return {
+      year: get('year'),
+      month: get('month'),
+      day: get('day'),
+      hours: get('hour'),
+      minutes: get('minute'),
+      seconds: get('second')
+    };
+  }
+
   /**
    * Format date
    * @param {*} value - Date value
-   * @param {string} format - Date format pattern
+   * @param {string} format - Token pattern ('DD.MM.YYYY') or Intl style
+   *   ('short' | 'medium' | 'long' | 'full'). Defaults to 'MM/DD/YYYY', or
+   *   'short' when a locale is configured.
+   * @param {string} locale - Locale override
+   * @param {string} timeZone - Time zone override
    * @returns {string} Formatted date
    */
-  date(value, format = 'MM/DD/YYYY') {
+  date(value, format = null, locale = null, timeZone = null) {
     if (!value) return '';
-    value = this.normalizeEpoch(value);
-    let date;
-    if (value instanceof Date) {
-      date = value;
-    } else if (typeof value === 'string') {
-      // Handle date strings more carefully to avoid timezone issues
-      // If it's a date-only string (YYYY-MM-DD), parse as local time
-      if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
-        const [year, month, day] = value.split('-').map(Number);
-        date = new Date(year, month - 1, day);
-      } else {
-        date = new Date(value);
-      }
-    } else {
-      date = new Date(value);
+    const parsed = this.parseDate(value);
+    if (!parsed) return this.unparsedDate(value);
+    const { date, dateOnly } = parsed;
+
+    const loc = this.getLocale(locale);
+    const zone = dateOnly ? null : (timeZone || this.timeZone);
+    format = format || (loc ? 'short' : 'MM/DD/YYYY');
+
+    if (DATE_STYLES.has(format)) {
+      return this.intl('DateTimeFormat', loc || 'en-US', {
+        dateStyle: format,
+        ...(zone ? { timeZone: zone } : {})
+      }).format(date);
     }
 
-    if (isNaN(date.getTime())) return String(value);
+    const parts = this.dateParts(date, zone);
+    const name = (options) => this.intl('DateTimeFormat', loc || 'en-US', {
+      ...options,
+      ...(zone ? { timeZone: zone } : {})
+    }).format(date);
 
     // Build replacements with placeholders to avoid corruption
     const tokens = {
-      'YYYY': date.getFullYear(),
-      'YY': String(date.getFullYear()).slice(-2),
-      'MMMM': date.toLocaleDateString('en-US', { month: 'long' }),
-      'MMM': date.toLocaleDateString('en-US', { month: 'short' }),
-      'MM': String(date.getMonth() + 1).padStart(2, '0'),
-      'M': date.getMonth() + 1,
-      'dddd': date.toLocaleDateString('en-US', { weekday: 'long' }),
-      'ddd': date.toLocaleDateString('en-US', { weekday: 'short' }),
-      'DD': String(date.getDate()).padStart(2, '0'),
-      'D': date.getDate()
+      'YYYY': parts.year,
+      'YY': String(parts.year).slice(-2),
+      'MMMM': name({ month: 'long' }),
+      'MMM': name({ month: 'short' }),
+      'MM': String(parts.month).padStart(2, '0'),
+      'M': parts.month,
+      'dddd': name({ weekday: 'long' }),
+      'ddd': name({ weekday: 'short' }),
+      'DD': String(parts.day).padStart(2, '0'),
+      'D': parts.day
     };
 
     // Replace tokens using a single pass with placeholders
@@ -556,25 +744,39 @@ class DataFormatter {
   /**
    * Format time
    * @param {*} value - Time value
-   * @param {string} format - Time format pattern
+   * @param {string} format - Token pattern ('HH:mm') or Intl style. Defaults
+   *   to 'HH:mm:ss', or 'short' when a locale is configured.
+   * @param {string} locale - Locale override
+   * @param {string} timeZone - Time zone override
    * @returns {string} Formatted time
    */
-  time(value, format = 'HH:mm:ss') {
+  time(value, format = null, locale = null, timeZone = null) {
     if (!value) return '';
-    value = this.normalizeEpoch(value);
-    const date = value instanceof Date ? value : new Date(value);
-    if (isNaN(date.getTime())) return String(value);
+    const parsed = this.parseDate(value);
+    if (!parsed) return this.unparsedDate(value);
+    const { date } = parsed;
 
-    const hours = date.getHours();
+    const loc = this.getLocale(locale);
+    const zone = timeZone || this.timeZone;
+    format = format || (loc ? 'short' : 'HH:mm:ss');
+
+    if (DATE_STYLES.has(format)) {
+      return this.intl('DateTimeFormat', loc || 'en-US', {
+        timeStyle: format,
+        ...(zone ? { timeZone: zone } : {})
+      }).format(date);
+    }
+
+    const { hours, minutes, seconds } = this.dateParts(date, zone);
     const replacements = {
       'HH': String(hours).padStart(2, '0'),
       'H': hours,
       'hh': String(hours % 12 || 12).padStart(2, '0'),
       'h': hours % 12 || 12,
-      'mm': String(date.getMinutes()).padStart(2, '0'),
-      'm': date.getMinutes(),
-      'ss': String(date.getSeconds()).padStart(2, '0'),
-      's': date.getSeconds(),
+      'mm': String(minutes).padStart(2, '0'),
+      'm': minutes,
+      'ss': String(seconds).padStart(2, '0'),
+      's': seconds,
       'A': hours >= 12 ? 'PM' : 'AM',
       'a': hours >= 12 ? 'pm' : 'am'
     };
@@ -589,16 +791,34 @@ class DataFormatter {
   }
 
   /**
-   * Format date and time
+   * Format date and time. Two Intl styles (the default once a locale is
+   * configured) format as one locale-ordered string.
    * @param {*} value - DateTime value
    * @param {string} dateFormat - Date format
    * @param {string} timeFormat - Time format
+   * @param {string} locale - Locale override
+   * @param {string} timeZone - Time zone override
    * @returns {string} Formatted datetime
    */
-  datetime(value, dateFormat = 'MM/DD/YYYY', timeFormat = 'HH:mm:ss') {
-    value = this.normalizeEpoch(value);
-    const dateStr = this.date(value, dateFormat);
-    const timeStr = this.time(value, timeFormat);
+  datetime(value, dateFormat = null, timeFormat = null, locale = null, timeZone = null) {
+    if (!value) return '';
+    const loc = this.getLocale(locale);
+    dateFormat = dateFormat || (loc ? 'short' : 'MM/DD/YYYY');
+    timeFormat = timeFormat || (loc ? 'short' : 'HH:mm:ss');
+
+    if (DATE_STYLES.has(dateFormat) && DATE_STYLES.has(timeFormat)) {
+      const parsed = this.parseDate(value);
+      if (!parsed) return this.unparsedDate(value);
+      const zone = timeZone || this.timeZone;
+      return this.intl('DateTimeFormat', loc || 'en-US', {
+        dateStyle: dateFormat,
+        timeStyle: timeFormat,
+        ...(zone ? { timeZone: zone } : {})
+      }).format(parsed.date);
+    }
+
+    const dateStr = this.date(value, dateFormat, locale, timeZone);
+    const timeStr = this.time(value, timeFormat, locale, timeZone);
     return dateStr && timeStr ? `${dateStr} ${timeStr}` : '';
   }
 
@@ -607,7 +827,8 @@ class DataFormatter {
    * @param {*} value - DateTime value
    * @param {string} dateFormat - Date format
    * @param {string} timeFormat - Time format
-   * @param {Object} options - Options: { timeZone?: string, locale?: string }
+   * @param {Object} options - Options: { timeZone?: string, locale?: string },
+   *   defaulting to the configured time zone and locale
    * @returns {string} Formatted datetime with timezone abbreviation
    */
   datetime_tz(value, dateFormat = 'MM/DD/YYYY', timeFormat = 'HH:mm:ss', options = {}) {
@@ -616,8 +837,8 @@ class DataFormatter {
     const date = value instanceof Date ? value : new Date(value);
     if (isNaN(date.getTime())) return String(value);
 
-    const locale = (options && options.locale) || 'en-US';
-    const timeZone = options && options.timeZone ? options.timeZone : undefined;
+    const locale = (options && options.locale) || this.getLocale() || 'en-US';
+    const timeZone = (options && options.timeZone) || this.timeZone || undefined;
 
     // Helper: build short TZ abbreviation in the requested zone
     const getTzAbbr = () => {
@@ -776,10 +997,10 @@ class DataFormatter {
    * Format date range
    * @param {*} startValue - Start date (required)
    * @param {*} endValue - End date (defaults to now)
-   * @param {string} format - Date format (defaults to 'MM/DD/YYYY')
+   * @param {string} format - Date format (defaults to the `date` default)
    * @returns {string} Formatted date range (e.g., "01/01/2025 - 01/31/2025")
    */
-  date_range(startValue, endValue = null, format = 'MM/DD/YYYY') {
+  date_range(startValue, endValue = null, format = null) {
     if (!startValue) return '';
 
     const endVal = endValue || new Date();
@@ -794,14 +1015,15 @@ class DataFormatter {
    * Format datetime range
    * @param {*} startValue - Start datetime (required)
    * @param {*} endValue - End datetime (defaults to now)
-   * @param {string} dateFormat - Date format (defaults to 'MM/DD/YYYY')
-   * @param {string} timeFormat - Time format (defaults to 'HH:mm')
+   * @param {string} dateFormat - Date format (defaults to the `date` default)
+   * @param {string} timeFormat - Time format (defaults to 'HH:mm', or 'short' with a locale)
    * @returns {string} Formatted datetime range (e.g., "01/01/2025 14:30 - 01/31/2025 16:45")
    */
-  datetime_range(startValue, endValue = null, dateFormat = 'MM/DD/YYYY', timeFormat = 'HH:mm') {
+  datetime_range(startValue, endValue = null, dateFormat = null, timeFormat = null) {
     if (!startValue) return '';
 
     const endVal = endValue || new Date();
+    timeFormat = timeFormat || (this.getLocale() ? 'short' : 'HH:mm');
     const startStr = this.datetime(startValue, dateFormat, timeFormat);
     const endStr = this.datetime(endVal, dateFormat, timeFormat);
 
@@ -810,12 +1032,15 @@ class DataFormatter {
   }
 
   /**
-   * Format relative time
+   * Format relative time. With a locale, phrasing comes from
+   * Intl.RelativeTimeFormat ("vor 2 Tagen", "hier"); `short` uses its
+   * narrow style.
    * @param {*} value - Date value
    * @param {boolean} short - Use short format
+   * @param {string} locale - Locale override
    * @returns {string} Relative time string
    */
-  relative(value, short = false) {
+  relative(value, short = false, locale = null) {
     if (!value) return '';
     value = this.normalizeEpoch(value);
     const date = value instanceof Date ? value : new Date(value);
@@ -830,6 +1055,24 @@ class DataFormatter {
     const diffDays = Math.floor(diffHours / 24);
     const isFuture = diffMs > 0;
 
+    const loc = this.getLocale(locale);
+    if (loc) {
+      let amount = 0;
+      let unit = 'second';
+      if (diffDays > 365) [amount, unit] = [Math.floor(diffDays / 365), 'year'];
+      else if (diffDays > 30) [amount, unit] = [Math.floor(diffDays / 30), 'month'];
+      else if (diffDays > 7) [amount, unit] = [Math.floor(diffDays / 7), 'week'];
+      else if (diffDays > 0) [amount, unit] = [diffDays, 'day'];
+      else if (diffHours > 0) [amount, unit] = [diffHours, 'hour'];
+      else if (diffMins > 0) [amount, unit] = [diffMins, 'minute'];
+      else if (diffSecs > 30) amount = diffSecs;
+
+      return this.intl('RelativeTimeFormat', loc, {
+        numeric: 'auto',
+        style: short ? 'narrow' : 'long'
+      }).format(isFuture ? amount : -amount, unit);
+    }
+
     if (short) {
       if (diffDays > 365) return Math.floor(diffDays / 365) + 'y';
       if (diffDays > 30) return Math.floor(diffDays / 30) + 'mo';
@@ -907,30 +1150,59 @@ class DataFormatter {
    * Format number
    * @param {*} value - Number value
    * @param {number} decimals - Decimal places
-   * @param {string} locale - Locale string
+   * @param {string} locale - Locale string (defaults to the configured locale, then en-US)
    * @returns {string} Formatted number
    */
-  number(value, decimals = 2, locale = 'en-US') {
+  number(value, decimals = 2, locale = null) {
     const num = parseFloat(value);
     if (isNaN(num)) return String(value);
 
-    return num.toLocaleString(locale, {
+    return this.intl('NumberFormat', this.getLocale(locale) || 'en-US', {
       minimumFractionDigits: decimals,
       maximumFractionDigits: decimals
-    });
+    }).format(num);
   }
 
   /**
-   * Format currency
+   * Format currency. An ISO code (`'EUR'`) formats through Intl in the
+   * locale — symbol placement, separators and the currency's own minor
+   * unit; `value` is then in that minor unit (cents, or yen for JPY).
+   * Without a symbol the configured currency is used, else `$`.
    * @param {*} value - Number value in cents
-   * @param {string} symbol - Currency symbol
-   * @param {number} decimals - Decimal places
+   * @param {string} symbol - Currency symbol or ISO 4217 code
+   * @param {number|string} decimals - Decimal places, or the locale
+   *   (`|currency:'EUR':'de-DE'`)
+   * @param {string} locale - Locale override
    * @returns {string} Formatted currency
    */
-  currency(value, symbol = '$', decimals = 2) {
+  currency(value, symbol = null, decimals = null, locale = null) {
+    if (typeof decimals === 'string' && isNaN(decimals)) {
+      locale = decimals;
+      decimals = null;
+    }
     const num = parseInt(value);
     if (isNaN(num)) return String(value);
 
+    const loc = this.getLocale(locale);
+    const code = CURRENCY_CODE_RE.test(symbol || '') ? symbol
+      : (!symbol && (this.currencyCode || (loc ? 'USD' : null)));
+
+    if (code) {
+      const digits = this.intl('NumberFormat', 'en', { style: 'currency', currency: code })
+        .resolvedOptions().maximumFractionDigits;
+      return this.intl('NumberFormat', loc || 'en-US', {
+        style: 'currency',
+        currency: code,
+        ...(decimals !== null ? { minimumFractionDigits: decimals, maximumFractionDigits: decimals } : {})
+      }).format(num / 10 ** digits);
+    }
+
+    symbol = symbol || '$';
+    decimals = decimals === null ? 2 : Number(decimals);
+    if (loc) {
+      return (num < 0 ? '-' : '') + symbol + this.number(Math.abs(num) / 100, decimals, loc);
+    }
+
     // Convert cents to dollars using string manipulation to avoid floating point issues
     const centsStr = Math.abs(num).toString();
     const sign = num < 0 ? '-' : '';
@@ -972,12 +1244,22 @@ class DataFormatter {
    * @param {*} value - Number value
    * @param {number} decimals - Decimal places
    * @param {boolean} multiply - Multiply by 100
+   * @param {string} locale - Locale override
    * @returns {string} Formatted percentage
    */
-  percent(value, decimals = 0, multiply = true) {
+  percent(value, decimals = 0, multiply = true, locale = null) {
     const num = parseFloat(value);
     if (isNaN(num)) return String(value);
 
+    const loc = this.getLocale(locale);
+    if (loc) {
+      return this.intl('NumberFormat', loc, {
+        style: 'percent',
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+      }).format(multiply ? num : num / 100);
+    }
+
     const percent = multiply ? num * 100 : num;
     return this.number(percent, decimals) + '%';
   }
@@ -987,9 +1269,10 @@ class DataFormatter {
    * @param {*} value - Size in bytes
    * @param {boolean} binary - Use binary units (1024)
    * @param {number} decimals - Decimal places
+   * @param {string} locale - Locale override
    * @returns {string} Formatted file size
    */
-  filesize(value, binary = false, decimals = 1) {
+  filesize(value, binary = false, decimals = 1, locale = null) {
     const bytes = parseInt(value);
     if (isNaN(bytes)) return String(value);
 
@@ -1007,6 +1290,20 @@ class DataFormatter {
     }
 
     const decimalPlaces = unitIndex === 0 ? 0 : decimals;
+    const loc = this.getLocale(locale);
+    if (loc) {
+      // Intl has no binary (KiB) units — localize the number only
+      const options = { minimumFractionDigits: decimalPlaces, maximumFractionDigits: decimalPlaces };
+      if (binary) {
+        return `${this.intl('NumberFormat', loc, options).format(size)} ${units[unitIndex]}`;
+      }
+      return this.intl('NumberFormat', loc, {
+        ...options,
+        style: 'unit',
+        unit: FILESIZE_UNITS[unitIndex],
+        unitDisplay: 'short'
+      }).format(size);
+    }
     return `${size.toFixed(decimalPlaces)} ${units[unitIndex]}`;
   }
 
@@ -1014,12 +1311,21 @@ class DataFormatter {
    * Format ordinal number
    * @param {*} value - Number value
    * @param {boolean} suffixOnly - Return suffix only
+   * @param {string} locale - Locale override
    * @returns {string} Ordinal number
    */
-  ordinal(value, suffixOnly = false) {
+  ordinal(value, suffixOnly = false, locale = null) {
     const num = parseInt(value);
     if (isNaN(num)) return String(value);
 
+    const loc = this.getLocale(locale);
+    if (loc) {
+      const suffixes = ORDINAL_SUFFIXES[loc.split('-')[0].toLowerCase()] || { other: '' };
+      const category = this.intl('PluralRules', loc, { type: 'ordinal' }).select(num);
+      const localized = suffixes[category] ?? suffixes.other;
+      return suffixOnly ? localized : num + localized;
+    }
+
     const j = num % 10;
     const k = num % 100;
 
@@ -1035,12 +1341,21 @@ class DataFormatter {
    * Format compact number
    * @param {*} value - Number value
    * @param {number} decimals - Decimal places
+   * @param {string} locale - Locale override
    * @returns {string} Compact number
    */
-  compact(value, decimals = 1) {
+  compact(value, decimals = 1, locale = null) {
     const num = parseFloat(value);
     if (isNaN(num)) return String(value);
 
+    const loc = this.getLocale(locale);
+    if (loc) {
+      return this.intl('NumberFormat', loc, {
+        notation: 'compact',
+        maximumFractionDigits: decimals
+      }).format(num);
+    }
+
     const abs = Math.abs(num);
     const sign = num < 0 ? '-' : '';
 
@@ -1057,6 +1372,34 @@ class DataFormatter {
     return String(num);
   }
 
+  /**
+   * Format a measurement with Intl unit formatting: `{{data.speed|unit:'kilometer-per-hour'}}`
+   * → "50 km/h". Units Intl doesn't know render as "value unit".
+   * @param {*} value - Number value
+   * @param {string} unit - Sanctioned unit id ('kilogram', 'liter', 'celsius', ...)
+   * @param {string} display - 'short' | 'long' | 'narrow'
+   * @param {number} decimals - Max decimal places
+   * @param {string} locale - Locale override
+   * @returns {string} Formatted measurement
+   */
+  unit(value, unit, display = 'short', decimals = 2, locale = null) {
+    const num = parseFloat(value);
+    if (isNaN(num)) return String(value);
+
+    const loc = this.getLocale(locale) || 'en-US';
+    try {
+      return this.intl('NumberFormat', loc, {
+        style: 'unit',
+        unit,
+        unitDisplay: display,
+        maximumFractionDigits: decimals
+      }).format(num);
+    } catch (e) {
+      const formatted = this.intl('NumberFormat', loc, { maximumFractionDigits: decimals }).format(num);
+      return unit ? `${formatted} ${unit}` : formatted;
+    }
+  }
+
   /**
    * Add numbers
    * @param {*} value - First number
@@ -1711,17 +2054,21 @@ class DataFormatter {
   }
 
   /**
-   * Format array as a human-readable list
+   * Format array as a human-readable list. With a locale, separators and
+   * the conjunction come from Intl.ListFormat ("A, B und C"); `conjunction`
+   * may then be 'and', 'or' or 'unit'.
    * @param {Array} array - Array to format
-   * @param {Object} options - Formatting options
+   * @param {Object|string} options - Formatting options, or the conjunction
+   * @param {string} locale - Locale override
    * @returns {string} Formatted list string
    */
-  formatList(array, options = {}) {
+  formatList(array, options = {}, locale = null) {
     if (!Array.isArray(array)) {
       return String(array);
     }
+    if (typeof options === 'string') options = { conjunction: options };
 
-    const { conjunction = 'and', limit = null, moreText = 'others' } = options;
+    const { conjunction = 'and', limit = null, moreText = 'others', style = 'long' } = options || {};
 
     if (array.length === 0) return '';
     if (array.length === 1) return String(array[0]);
@@ -1734,6 +2081,13 @@ class DataFormatter {
       hasMore = true;
     }
 
+    const loc = this.getLocale(locale || (options && options.locale));
+    const type = { and: 'conjunction', or: 'disjunction', unit: 'unit' }[conjunction];
+    if (loc && type) {
+      if (hasMore) items.push(`${array.length - limit} ${moreText}`);
+      return this.intl('ListFormat', loc, { type, style }).format(items.map(String));
+    }
+
     if (hasMore) {
       const remaining = array.length - limit;
       return `${items.join(', ')}, ${conjunction} ${remaining} ${moreText}`;
@@ -0,0 +1,45 @@
+/**
+ * DependencyTracker - Records which model attributes a computation reads
+ *
+ * Model.get() reports every read made while a tracked function runs. That is
+ * how computed properties on Models and Views learn what they depend on, so
+ * they are recomputed (and their bindings patched) only when one of those
+ * attributes changes.
+ *
+ * @example
+ * const { value, deps } = track(() => user.get('first') + ' ' + user.get('last'));
+ * deps.get(user);  // Set { 'first', 'last' }
+ */
+
+let active = null;
+
+/**
+ * Run a function and collect the model attributes it reads
+ * @param {Function} fn
+ * @returns {{ value: *, deps: Map<Model, Set<string>> }}
+ */
+export function track(fn) {
+  const previous = active;
+  const deps = new Map();
+  active = deps;
+  try {
+    return { value: fn(), deps };
+  } finally {
+    active = previous;
+  }
+}
+
+/**
+ * Report a read to the tracked computation, if any. Keys are reduced to the
+ * top-level attribute (`profile.name|upper` → `profile`).
+ * @param {object} model
+ * @param {string} key
+ */
+export function recordRead(model, key) {
+  if (!active || typeof key !== 'string') return;
+  const root = key.split(/[.|]/)[0].trim();
+  if (!active.has(model)) active.set(model, new Set());
+  active.get(model).add(root);
+}
+
+export default { track, recordRead };
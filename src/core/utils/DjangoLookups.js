@@ -1,12 +1,14 @@
 /**
  * DjangoLookups - Utility for Django-style filter lookup parsing and formatting
  * 
- * Provides utilities to parse filter keys like "status__in" or "created__gte"
- * and format them into human-readable display text for filter pills.
+ * Provides utilities to parse filter keys like "status__in" or "created__gte",
+ * format them into human-readable display text for filter pills, and evaluate
+ * them against in-memory records (Collection local query mode).
  * 
  * @example
  * parseFilterKey('status__in')  // { field: 'status', lookup: 'in' }
  * formatFilterDisplay('status__in', 'new,open', 'Status')  // "Status in 'new', 'open'"
+ * matchesFilters({ status: 'open' }, { status__in: 'new,open' })  // true
  */
 
 /**
@@ -19,6 +21,10 @@ export const LOOKUPS = {
     display: 'is',
     description: 'Exact match'
   },
+  'iexact': { 
+    display: 'is',
+    description: 'Exact match (case-insensitive)'
+  },
   'in': { 
     display: 'in',
     description: 'Match any of the values (comma-separated)'
@@ -270,6 +276,204 @@ export function buildFilterKey(field, lookup = null) {
   return `${field}__${lookup}`;
 }
 
+// ============================================================
+// Local evaluation
+// ============================================================
+
+const NUMERIC_PATTERN = /^-?\d+(\.\d+)?$/;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string' && NUMERIC_PATTERN.test(value.trim())) return Number(value);
+  return null;
+}
+
+// Epoch seconds (the API's usual timestamp), epoch ms, Date or date string
+function toTime(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return Math.abs(value) < 1e11 ? value * 1000 : value;
+  if (typeof value === 'string' && value.trim() && !NUMERIC_PATTERN.test(value.trim())) {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+  }
+  return null;
+}
+
+function toBoolean(value) {
+  if (typeof value === 'string') {
+    return ['true', '1', 'yes', 'on'].includes(value.trim().toLowerCase());
+  }
+  return Boolean(value);
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  if (value === null || value === undefined || value === '') return [];
+  return String(value).split(',').map(v => v.trim()).filter(v => v !== '');
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined;
+}
+
+function sameValue(actual, expected) {
+  if (actual === expected) return true;
+  if (isEmpty(actual) || isEmpty(expected)) return false;
+  if (typeof actual === 'boolean') return actual === toBoolean(expected);
+  if (typeof actual === 'number') return actual === toNumber(expected);
+  return String(actual) === String(expected);
+}
+
+/**
+ * Compare two values the way a database orders them: numerically when both
+ * are numbers (or numeric strings), by time when both are dates, otherwise
+ * as case-insensitive natural strings
+ *
+ * @param {*} a
+ * @param {*} b
+ * @returns {number} Negative, zero or positive
+ *
+ * @example
+ * compareValues('10', 9)                  // 1
+ * compareValues('2025-01-02', 1735689600)  // 86400000 (epoch seconds)
+ */
+export function compareValues(a, b) {
+  const numA = toNumber(a);
+  const numB = toNumber(b);
+  if (numA !== null && numB !== null) return numA - numB;
+
+  const timeA = toTime(a);
+  const timeB = toTime(b);
+  if (timeA !== null && timeB !== null) return timeA - timeB;
+
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+/**
+ * Read a field from a record. Accepts Django (`user__profile__name`) and
+ * dotted (`user.profile.name`) paths.
+ *
+ * @param {Object} record - Plain object (e.g. model.attributes)
+ * @param {string} field - Field path
+ * @returns {*} Value, or undefined when a segment is missing
+ *
+ * @example
+ * getFieldValue({ user: { name: 'Ann' } }, 'user__name')  // 'Ann'
+ */
+export function getFieldValue(record, field) {
+  if (!record || !field) return undefined;
+  return String(field).split(/__|\./).reduce((value, segment) => {
+    return value === null || value === undefined ? undefined : value[segment];
+  }, record);
+}
+
+/**
+ * Test one value against a lookup operator. String values coming from the
+ * URL or filter forms are coerced to the type of `actual` (`'5'` matches
+ * `5`, `'true'` matches `true`). An array `actual` (e.g. tags) matches when
+ * any of its items does.
+ *
+ * @param {*} actual - Record value
+ * @param {string|null} lookup - Lookup operator; null means exact
+ * @param {*} expected - Filter value
+ * @returns {boolean}
+ *
+ * @example
+ * matchesLookup(12, 'gte', '10')               // true
+ * matchesLookup('Disk full', 'icontains', 'DISK')  // true
+ * matchesLookup('open', 'in', 'new,open')      // true
+ */
+export function matchesLookup(actual, lookup, expected) {
+  if (lookup === 'isnull') {
+    return toBoolean(expected) === isEmpty(actual);
+  }
+  if (lookup === 'not' || lookup === 'not_in') {
+    return !matchesLookup(actual, lookup === 'not' ? 'exact' : 'in', expected);
+  }
+  if (Array.isArray(actual)) {
+    return actual.some(item => matchesLookup(item, lookup, expected));
+  }
+
+  switch (lookup || 'exact') {
+    case 'exact':
+      return sameValue(actual, expected);
+    case 'iexact':
+      return !isEmpty(actual) && String(actual).toLowerCase() === String(expected).toLowerCase();
+    case 'in':
+      return toList(expected).some(item => sameValue(actual, item));
+    case 'gt':
+      return !isEmpty(actual) && compareValues(actual, expected) > 0;
+    case 'gte':
+      return !isEmpty(actual) && compareValues(actual, expected) >= 0;
+    case 'lt':
+      return !isEmpty(actual) && compareValues(actual, expected) < 0;
+    case 'lte':
+      return !isEmpty(actual) && compareValues(actual, expected) <= 0;
+    case 'range': {
+      const [low, high] = toList(expected);
+      return matchesLookup(actual, 'gte', low) && matchesLookup(actual, 'lte', high);
+    }
+  }
+
+  if (isEmpty(actual)) return false;
+  const insensitive = lookup.startsWith('i');
+  const text = insensitive ? String(actual).toLowerCase() : String(actual);
+  const term = insensitive ? String(expected).toLowerCase() : String(expected);
+
+  switch (insensitive ? lookup.slice(1) : lookup) {
+    case 'contains':
+      return text.includes(term);
+    case 'startswith':
+      return text.startsWith(term);
+    case 'endswith':
+      return text.endsWith(term);
+    default:
+      return sameValue(actual, expected);
+  }
+}
+
+/**
+ * Test a record against filter params (`{ status__in: 'new,open',
+ * priority__gte: 3 }`). All filters must match. Empty values (`''`, null,
+ * undefined) are skipped, as the API skips them.
+ *
+ * @param {Object} record - Plain object, or anything `getValue` can read
+ * @param {Object} filters - Filter params keyed by Django lookup
+ * @param {Function} [getValue=getFieldValue] - (record, field) => value
+ * @returns {boolean}
+ *
+ * @example
+ * matchesFilters({ status: 'open', owner: null }, { status: 'open', owner__isnull: true })  // true
+ */
+export function matchesFilters(record, filters = {}, getValue = getFieldValue) {
+  return Object.entries(filters).every(([key, value]) => {
+    if (value === '' || isEmpty(value)) return true;
+    const { field, lookup } = parseFilterKey(key);
+    return matchesLookup(getValue(record, field), lookup, value);
+  });
+}
+
+/**
+ * Test a value against a date range (the `dr_start` / `dr_end` params).
+ * A date-only end (`2025-01-31`) includes the whole day.
+ *
+ * @param {*} actual - Record value (epoch seconds, Date or date string)
+ * @param {*} start - Range start, optional
+ * @param {*} end - Range end, optional
+ * @returns {boolean}
+ */
+export function matchesDateRange(actual, start, end) {
+  const time = toTime(actual);
+  if (time === null) return false;
+  if (start && time < toTime(start)) return false;
+  if (end) {
+    const endTime = toTime(end) + (DATE_ONLY_PATTERN.test(String(end)) ? 86400000 - 1 : 0);
+    if (time > endTime) return false;
+  }
+  return true;
+}
+
 export default {
   LOOKUPS,
   parseFilterKey,
@@ -277,5 +481,10 @@ export default {
   getLookupDescription,
   isValidLookup,
   getAvailableLookups,
-  buildFilterKey
+  buildFilterKey,
+  compareValues,
+  getFieldValue,
+  matchesLookup,
+  matchesFilters,
+  matchesDateRange
 };
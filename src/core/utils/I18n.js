@@ -0,0 +1,494 @@
+/**
+ * I18n - Message catalogs, ICU formatting and the active locale
+ *
+ * Every user-facing string in the built-in components is looked up here by
+ * key, with English (`locales/en.js`) as the fallback catalog. Apps add their
+ * own keys and locales, and switch locale at runtime:
+ *
+ *   - `addMessages(locale, messages)` merges a (nested) catalog
+ *   - `registerLocale(locale, loader)` lazy-loads a bundle on first use
+ *   - `setLocale(locale)` loads, switches and emits `'locale:changed'`;
+ *     mounted views re-render (see View)
+ *
+ * Messages use ICU MessageFormat: `{name}` arguments, `{n, number}`,
+ * `{d, date, short}`, `{n, plural, =0 {…} one {# item} other {# items}}`,
+ * `{n, selectordinal, …}` and `{role, select, admin {…} other {…}}`.
+ * Locale lookup falls back `fr-CA` → `fr` → `fallbackLocale` → the key.
+ *
+ * Templates: `{{t "list.empty"}}`, `{{t "cart.items" count=data.total}}`
+ * and the `|t` pipe for keys held in data (`{{model.status|t:'status'}}`).
+ *
+ * Text direction: `setDirection('rtl' | 'ltr' | 'auto')` sets `<html dir>`;
+ * 'auto' (the default) derives it from the locale, so Arabic or Hebrew
+ * switch the layout to RTL. Nothing touches `<html dir>` until a direction
+ * or locale is set. Components that compute coordinates ask
+ * `isRTL(element)`, which honours a closer `dir` attribute.
+ *
+ * @example
+ * i18n.addMessages('fr', { list: { empty: 'Aucun élément' } });
+ * i18n.registerLocale('de', () => import('./locales/de.js'));
+ * await i18n.setLocale('fr');
+ * i18n.t('list.empty');                        // "Aucun élément"
+ * i18n.format('{n, plural, one {# file} other {# files}}', { n: 3 }); // "3 files"
+ */
+
+import EventEmitter from '../mixins/EventEmitter.js';
+import en from './locales/en.js';
+
+const POUND = { pound: true };
+
+// Languages written right-to-left (base subtags)
+const RTL_LANGUAGES = new Set(['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'iw', 'ku', 'ps', 'sd', 'syr', 'ug', 'ur', 'yi']);
+const PLURAL_TYPES = ['plural', 'selectordinal'];
+
+/**
+ * Parse an ICU message into text parts and argument nodes
+ * @private
+ */
+function parseMessage(source) {
+  let pos = 0;
+
+  const fail = (reason) => {
+    throw new SyntaxError(`I18n: ${reason} at ${pos} in "${source}"`);
+  };
+  const skipSpace = () => {
+    while (pos < source.length && /\s/.test(source[pos])) pos++;
+  };
+  const readUntil = (stops) => {
+    const start = pos;
+    while (pos < source.length && !stops.includes(source[pos])) pos++;
+    return source.slice(start, pos).trim();
+  };
+
+  function parseParts(inPlural, depth) {
+    const parts = [];
+    let text = '';
+    while (pos < source.length) {
+      const ch = source[pos];
+      if (ch === "'") {
+        // ICU quoting: '' is an apostrophe; '{…}' (or '#' in plurals) is literal
+        const next = source[pos + 1];
+        if (next === "'") {
+          text += "'";
+          pos += 2;
+        } else if (next === '{' || next === '}' || (inPlural && next === '#')) {
+          const end = source.indexOf("'", pos + 1);
+          const stop = end === -1 ? source.length : end;
+          text += source.slice(pos + 1, stop);
+          pos = stop + 1;
+        } else {
+          text += ch;
+          pos++;
+        }
+        continue;
+      }
+      if (ch === '{') {
+        if (text) parts.push(text);
+        text = '';
+        pos++;
+        parts.push(parseArgument(inPlural, depth));
+        continue;
+      }
+      if (ch === '}') {
+        if (depth > 0) break;
+        fail('unmatched "}"');
+      }
+      if (ch === '#' && inPlural) {
+        if (text) parts.push(text);
+        text = '';
+        parts.push(POUND);
+        pos++;
+        continue;
+      }
+      text += ch;
+      pos++;
+    }
+    if (text) parts.push(text);
+    return parts;
+  }
+
+  function parseArgument(inPlural, depth) {
+    const name = readUntil([',', '}']);
+    if (!name) fail('missing argument name');
+    if (source[pos] === '}') {
+      pos++;
+      return { name };
+    }
+    pos++;
+    const type = readUntil([',', '}']);
+
+    if (type !== 'select' && !PLURAL_TYPES.includes(type)) {
+      let style = null;
+      if (source[pos] === ',') {
+        pos++;
+        style = readUntil(['}']);
+      }
+      if (source[pos] !== '}') fail('unclosed argument');
+      pos++;
+      return { name, type, style };
+    }
+
+    if (source[pos] !== ',') fail(`missing ${type} options`);
+    pos++;
+    const options = {};
+    let offset = 0;
+    for (;;) {
+      skipSpace();
+      if (pos >= source.length) fail(`unclosed ${type}`);
+      if (source[pos] === '}') {
+        pos++;
+        break;
+      }
+      const selector = readUntil(['{', ' ', '\n', '\t', '}']);
+      if (selector.startsWith('offset:')) {
+        offset = Number(selector.slice(7)) || 0;
+        continue;
+      }
+      skipSpace();
+      if (source[pos] !== '{') fail(`missing message for "${selector}"`);
+      pos++;
+      options[selector] = parseParts(type === 'select' ? inPlural : true, depth + 1);
+      if (source[pos] !== '}') fail(`unclosed message for "${selector}"`);
+      pos++;
+    }
+    if (!options.other) fail(`${type} requires an "other" option`);
+    return { name, type, options, offset };
+  }
+
+  return parseParts(false, 0);
+}
+
+/**
+ * Flatten a nested catalog into dot keys
+ * @private
+ */
+function flatten(messages, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(messages || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flatten(value, path, out);
+    } else {
+      out[path] = value;
+    }
+  }
+  return out;
+}
+
+class I18n {
+  constructor() {
+    this.locale = 'en';
+    this.fallbackLocale = 'en';
+    this.direction = 'auto';
+    // <html dir> is left alone (a static `dir` in the page stands) until a
+    // direction or locale is set
+    this._ownsDocumentDirection = false;
+    this.catalogs = new Map();
+    this.loaders = new Map();
+    this._loading = new Map();
+    this._parsed = new Map();
+    this._intl = new Map();
+
+    this.addMessages('en', en);
+  }
+
+  /**
+   * Apply app configuration (WebApp passes `config.i18n` here)
+   * @param {object} [config]
+   * @param {string} [config.locale] - Initial locale (loaded if registered lazily)
+   * @param {string} [config.fallbackLocale='en']
+   * @param {object} [config.messages] - `{ locale: catalog }`
+   * @param {object} [config.loaders] - `{ locale: () => Promise<catalog> }`
+   * @param {string} [config.direction] - 'ltr' | 'rtl' | 'auto'
+   * @returns {Promise<I18n>}
+   */
+  configure({ locale, fallbackLocale, messages, loaders, direction } = {}) {
+    if (fallbackLocale) this.fallbackLocale = fallbackLocale;
+    if (direction) this.setDirection(direction);
+    for (const [code, catalog] of Object.entries(messages || {})) this.addMessages(code, catalog);
+    for (const [code, loader] of Object.entries(loaders || {})) this.registerLocale(code, loader);
+    return locale ? this.setLocale(locale) : Promise.resolve(this);
+  }
+
+  /**
+   * Merge messages into a locale's catalog. Nested objects become dot keys.
+   * @param {string} locale
+   * @param {object} messages
+   * @returns {I18n}
+   */
+  addMessages(locale, messages) {
+    const catalog = this.catalogs.get(locale) || {};
+    Object.assign(catalog, flatten(messages));
+    this.catalogs.set(locale, catalog);
+    return this;
+  }
+
+  /**
+   * Register a lazy loader for a locale bundle. It runs on the first
+   * setLocale()/loadLocale() for that locale and may resolve to the catalog
+   * or to a module whose default export is the catalog.
+   * @param {string} locale
+   * @param {Function} loader - () => Promise<object>
+   * @returns {I18n}
+   */
+  registerLocale(locale, loader) {
+    this.loaders.set(locale, loader);
+    return this;
+  }
+
+  /**
+   * Load the bundles for a locale and its base language, if registered
+   * @param {string} locale
+   * @returns {Promise<void>}
+   */
+  async loadLocale(locale) {
+    const pending = [];
+    for (const code of this._chain(locale)) {
+      const loader = this.loaders.get(code);
+      if (!loader) continue;
+      if (!this._loading.has(code)) {
+        this._loading.set(code, Promise.resolve(loader()).then((module) => {
+          this.addMessages(code, module?.default ?? module);
+          this.loaders.delete(code);
+        }).finally(() => this._loading.delete(code)));
+      }
+      pending.push(this._loading.get(code));
+    }
+    await Promise.all(pending);
+  }
+
+  /**
+   * Switch the active locale. Loads lazy bundles first, updates
+   * `<html lang>` and emits `'locale:changed'` with `{ locale, previous }`.
+   * @param {string} locale
+   * @returns {Promise<I18n>}
+   */
+  async setLocale(locale) {
+    await this.loadLocale(locale);
+    const previous = this.locale;
+    const previousDirection = this.getDirection(previous);
+    this.locale = locale;
+    if (typeof document !== 'undefined' && document.documentElement) {
+      document.documentElement.lang = locale;
+    }
+    this._ownsDocumentDirection = true;
+    this._applyDirection(previousDirection);
+    if (previous !== locale) {
+      this.emit('locale:changed', { locale, previous });
+    }
+    return this;
+  }
+
+  getLocale() {
+    return this.locale;
+  }
+
+  /**
+   * Set the document direction. 'auto' follows the locale.
+   * @param {string} direction - 'ltr' | 'rtl' | 'auto'
+   * @returns {I18n}
+   */
+  setDirection(direction) {
+    const previous = this.getDirection();
+    this.direction = direction === 'rtl' || direction === 'ltr' ? direction : 'auto';
+    this._ownsDocumentDirection = true;
+    this._applyDirection(previous);
+    return this;
+  }
+
+  /**
+   * Effective direction: the explicit setting, or the locale's script
+   * direction when 'auto'. Until a direction or locale is set, a static
+   * `<html dir>` in the page is the answer.
+   * @param {string} [locale]
+   * @returns {'ltr'|'rtl'}
+   */
+  getDirection(locale = this.locale) {
+    if (this.direction !== 'auto') return this.direction;
+    if (!this._ownsDocumentDirection && locale === this.locale) {
+      const documentDir = typeof document !== 'undefined' ? document.documentElement?.getAttribute('dir') : null;
+      if (documentDir === 'rtl' || documentDir === 'ltr') return documentDir;
+    }
+    const language = String(locale || '').split(/[-_]/)[0].toLowerCase();
+    return RTL_LANGUAGES.has(language) ? 'rtl' : 'ltr';
+  }
+
+  /**
+   * Whether content at `element` lays out right-to-left. The nearest `dir`
+   * attribute wins, so an LTR island inside an RTL app (or the reverse)
+   * positions correctly; without one, the app direction applies.
+   * @param {Element} [element]
+   * @returns {boolean}
+   */
+  isRTL(element = null) {
+    const scoped = element && element.closest ? element.closest('[dir]') : null;
+    const dir = scoped ? scoped.getAttribute('dir') : this.getDirection();
+    return String(dir).toLowerCase() === 'rtl';
+  }
+
+  _applyDirection(previous) {
+    const direction = this.getDirection();
+    if (this._ownsDocumentDirection && typeof document !== 'undefined' && document.documentElement) {
+      document.documentElement.dir = direction;
+    }
+    if (previous !== direction) {
+      this.emit('direction:changed', { direction, previous });
+    }
+  }
+
+  /**
+   * Whether a key has a message in the locale (or its fallbacks)
+   * @param {string} key
+   * @param {string} [locale]
+   * @returns {boolean}
+   */
+  has(key, locale = this.locale) {
+    return this.getMessage(key, locale) !== undefined;
+  }
+
+  /**
+   * Raw message for a key, walking the fallback chain
+   * @param {string} key
+   * @param {string} [locale]
+   * @returns {string|Function|undefined}
+   */
+  getMessage(key, locale = this.locale) {
+    for (const code of this._chain(locale, true)) {
+      const message = this.catalogs.get(code)?.[key];
+      if (message !== undefined) return message;
+    }
+    return undefined;
+  }
+
+  /**
+   * Translate a key. A missing key returns `params.default`, else the key.
+   * Function messages are called with the params.
+   * @param {string} key
+   * @param {object} [params] - ICU arguments
+   * @returns {string}
+   */
+  t(key, params = {}) {
+    const message = this.getMessage(key);
+    if (message === undefined) {
+      return params.default !== undefined ? String(params.default) : key;
+    }
+    if (typeof message === 'function') return String(message(params));
+    return this.format(message, params);
+  }
+
+  /**
+   * Format an ICU message string
+   * @param {string} message
+   * @param {object} [params]
+   * @param {string} [locale]
+   * @returns {string}
+   */
+  format(message, params = {}, locale = this.locale) {
+    let parts = this._parsed.get(message);
+    if (!parts) {
+      try {
+        parts = parseMessage(String(message));
+      } catch (e) {
+        console.warn(e.message);
+        parts = [String(message)];
+      }
+      this._parsed.set(message, parts);
+    }
+    return this._formatParts(parts, params, locale, null);
+  }
+
+  // ---------------------------------------------
+  // Internals
+  // ---------------------------------------------
+
+  _chain(locale, withFallback = false) {
+    const codes = [locale];
+    const base = String(locale).split(/[-_]/)[0];
+    if (base !== locale) codes.push(base);
+    if (withFallback) codes.push(this.fallbackLocale);
+    return [...new Set(codes)];
+  }
+
+  _formatParts(parts, params, locale, pluralValue) {
+    let out = '';
+    for (const part of parts) {
+      if (typeof part === 'string') {
+        out += part;
+      } else if (part === POUND) {
+        out += pluralValue === null ? '#' : this._intlFor(locale, 'number').format(pluralValue);
+      } else {
+        out += this._formatArgument(part, params, locale, pluralValue);
+      }
+    }
+    return out;
+  }
+
+  _formatArgument(part, params, locale, pluralValue) {
+    const value = params?.[part.name];
+    switch (part.type) {
+      case undefined:
+        return value === undefined || value === null ? '' : String(value);
+      case 'number':
+        return this._formatNumber(value, part.style, locale);
+      case 'date':
+      case 'time':
+        return this._formatDate(value, part.type, part.style, locale);
+      case 'select': {
+        const branch = part.options[String(value)] || part.options.other;
+        return this._formatParts(branch, params, locale, pluralValue);
+      }
+      case 'plural':
+      case 'selectordinal': {
+        const number = Number(value);
+        const adjusted = number - part.offset;
+        let branch = part.options[`=${number}`];
+        if (!branch) {
+          const rules = this._intlFor(locale, part.type === 'plural' ? 'cardinal' : 'ordinal');
+          branch = part.options[rules.select(adjusted)] || part.options.other;
+        }
+        return this._formatParts(branch, params, locale, adjusted);
+      }
+      default:
+        return value === undefined || value === null ? '' : String(value);
+    }
+  }
+
+  _formatNumber(value, style, locale) {
+    const number = Number(value);
+    if (value === null || value === undefined || Number.isNaN(number)) return '';
+    return this._intlFor(locale, `number:${style || ''}`).format(number);
+  }
+
+  _formatDate(value, type, style, locale) {
+    if (value === null || value === undefined || value === '') return '';
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) return '';
+    return this._intlFor(locale, `${type}:${style || 'medium'}`).format(date);
+  }
+
+  // Intl objects are costly to build; keep one per locale and kind
+  _intlFor(locale, kind) {
+    const cacheKey = `${locale}|${kind}`;
+    let formatter = this._intl.get(cacheKey);
+    if (formatter) return formatter;
+
+    const [type, style] = kind.split(':');
+    if (type === 'cardinal' || type === 'ordinal') {
+      formatter = new Intl.PluralRules(locale, { type });
+    } else if (type === 'number') {
+      const options = style === 'integer' ? { maximumFractionDigits: 0 }
+        : style === 'percent' ? { style: 'percent' } : {};
+      formatter = new Intl.NumberFormat(locale, options);
+    } else {
+      formatter = new Intl.DateTimeFormat(locale, type === 'time' ? { timeStyle: style } : { dateStyle: style });
+    }
+    this._intl.set(cacheKey, formatter);
+    return formatter;
+  }
+}
+
+Object.assign(I18n.prototype, EventEmitter);
+
+const i18n = new I18n();
+
+export { I18n, parseMessage };
+export default i18n;
@@ -0,0 +1,153 @@
+/**
+ * English messages for the built-in components
+ *
+ * The fallback catalog: every string the framework renders has a key here.
+ * Apps translate by registering the same keys for another locale with
+ * `i18n.addMessages()` or `i18n.registerLocale()`. Messages use ICU syntax.
+ */
+
+export default {
+  common: {
+    loading: 'Loading...',
+    search: 'Search...',
+    ok: 'OK',
+    cancel: 'Cancel',
+    confirm: 'Confirm',
+    close: 'Close',
+    save: 'Save',
+    submit: 'Submit',
+    delete: 'Delete',
+    saved: 'Saved',
+    or: 'OR',
+    copyToClipboard: 'Copy to Clipboard'
+  },
+  list: {
+    empty: 'No items to display',
+    noMatchesTitle: 'No results match your filters',
+    noMatchesMessage: 'No items match the {count} active {count, plural, one {filter} other {filters}}. Try widening or removing a filter.',
+    clearFilters: 'Clear filters',
+    confirmDeleteTitle: 'Confirm Delete',
+    confirmDeleteMessage: 'Are you sure you want to delete this {name}?',
+    item: 'item',
+    noFilters: 'No filters available',
+    clearAllFilters: 'Clear All Filters',
+    showMore: 'Show more',
+    reorderHandle: 'Drag to reorder',
+    reorderLifted: 'Moving item {position} of {count}. Use the arrow keys to move it, Space to drop, Escape to cancel.',
+    reorderMoved: 'Position {position} of {count}',
+    reorderDropped: 'Dropped at position {position} of {count}',
+    reorderCancelled: 'Move cancelled, back at position {position} of {count}',
+    reorderFailed: 'Could not save the new order'
+  },
+  table: {
+    empty: 'No data available',
+    results: '{count, plural, =0 {No results} one {# result} other {# results}}',
+    sortedBy: 'Sorted by {column}, {direction, select, desc {descending} other {ascending}}',
+    sortCleared: 'Sorting removed',
+    pageOf: 'Page {page} of {pages}',
+    bulkEdit: 'Bulk edit',
+    bulkHint: 'Paste cells from a spreadsheet, Ctrl+D fills down, Enter moves to the next row.',
+    bulkChanges: '{count, plural, =0 {No unsaved changes} one {# unsaved change} other {# unsaved changes}}',
+    bulkErrors: '{count, plural, one {# row has errors} other {# rows have errors}}',
+    bulkSave: 'Save all',
+    bulkDiscard: 'Discard',
+    bulkDone: 'Done',
+    bulkConfirmDiscard: 'Discard {count, plural, one {# unsaved change} other {# unsaved changes}}?',
+    bulkPasted: '{count, plural, one {Pasted # cell} other {Pasted # cells}}',
+    bulkSkipped: '{count, plural, one {# value did not fit} other {# values did not fit}}',
+    bulkFilled: '{count, plural, one {Filled # cell} other {Filled # cells}}',
+    bulkSaved: '{count, plural, one {Saved # row} other {Saved # rows}}',
+    bulkSaveFailed: 'Could not save this row',
+    bulkInvalidChoice: 'Not one of the allowed values',
+    bulkInvalidNumber: 'Not a number',
+    bulkInvalidBoolean: 'Not a yes / no value'
+  },
+  pivot: {
+    rows: 'Rows',
+    thenBy: 'Then by',
+    columns: 'Columns',
+    none: '(none)',
+    value: 'Value',
+    of: 'Of',
+    count: 'Count',
+    sum: 'Sum',
+    avg: 'Average',
+    min: 'Minimum',
+    max: 'Maximum',
+    measureOf: '{aggregate} of {measure}',
+    caption: '{value} by {dimensions}',
+    total: 'Total',
+    subtotal: '{label} total',
+    grandTotal: 'Grand total',
+    loadedTotal: 'Total of loaded records',
+    partial: 'Only {loaded} of {count} records are loaded, so these numbers cover the loaded records only.',
+    empty: '(empty)',
+    noData: 'No data to summarize',
+    export: 'Export CSV',
+    sortBy: 'Sort by {column}',
+    drillDown: 'Show the records behind {value}',
+    countsOnly: 'Server aggregation counts records only',
+    loadFailed: 'Could not load the pivot'
+  },
+  form: {
+    saveFailed: 'Save failed',
+    saveFailedRetry: 'Save failed. Please try again.',
+    saving: 'Saving...',
+    errorSaving: 'Error saving'
+  },
+  page: {
+    unsavedChangesTitle: 'Unsaved Changes',
+    unsavedChangesMessage: 'You have unsaved changes. Leave this page anyway?',
+    leave: 'Leave'
+  },
+  rest: {
+    savedOffline: 'Saved offline. Changes will sync when the connection returns.'
+  },
+  validation: {
+    required: '{field} is required',
+    minLength: '{field} must be at least {min} characters',
+    maxLength: '{field} must be no more than {max} characters',
+    pattern: '{field} format is invalid',
+    invalid: '{field} is invalid'
+  },
+  auth: {
+    title: 'Sign In',
+    subtitle: 'Sign in to your account',
+    emailOrUsername: 'Email or Username',
+    password: 'Password',
+    signIn: 'Sign In',
+    forgotPassword: 'Forgot password?',
+    resetYourPassword: 'Reset Your Password',
+    emailAddress: 'Email Address',
+    resetMethod: 'Reset Method',
+    emailCode: 'Email me a code',
+    emailLink: 'Email me a magic link',
+    sendReset: 'Send Reset',
+    back: 'Back',
+    enterResetCode: 'Enter Reset Code',
+    weSentCodeTo: 'We sent a code to',
+    resetCode: 'Reset Code',
+    newPassword: 'New Password',
+    confirmPassword: 'Confirm Password',
+    resetPassword: 'Reset Password',
+    setYourNewPassword: 'Set Your New Password',
+    setPassword: 'Set Password',
+    invalidCredentials: 'Invalid credentials.',
+    successRedirecting: 'Success! Redirecting...',
+    pleaseFillAllFields: 'Please fill in all fields.',
+    passwordsDoNotMatch: 'Passwords do not match.',
+    continueWithGoogle: 'Continue with Google',
+    signInWithPasskey: 'Sign in with Passkey',
+    enterUsernameAndPassword: 'Please enter both username and password.',
+    enterEmail: 'Please enter your email address.',
+    resetCodeSent: 'Reset code sent! Check your email.',
+    magicLinkSent: 'Magic link sent! Check your email and click the link.',
+    somethingWentWrong: 'Something went wrong. Please try again.',
+    sessionExpired: 'Session expired. Please restart the password reset process.',
+    invalidCode: 'Invalid code or code expired.',
+    invalidLinkRequestNew: 'Invalid or expired link. Please request a new one.',
+    enterNewPassword: 'Please enter a new password.',
+    invalidLink: 'Invalid or expired link.',
+    setNewPasswordPrompt: 'Please set your new password.'
+  }
+};
@@ -5,6 +5,7 @@
  */
 
 import MOJOUtils from './MOJOUtils.js';
+import i18n from './I18n.js';
 
 // Match MOJOUtils.js — keys that must never be reachable via dot-notation
 // template lookups. Duplicated rather than imported to keep mustache.js
@@ -25,6 +26,10 @@ const isObject = function(obj) {
   return obj !== null && typeof obj === 'object';
 };
 
+// Translation helper tag: {{t "key"}} / {{t "key" count=data.total name="x"}}
+const TRANSLATE_TAG_RE = /^t\s+(["'])([^"']+)\1((?:\s+[\w-]+=(?:"[^"]*"|'[^']*'|\S+))*)\s*$/;
+const TRANSLATE_PARAM_RE = /([\w-]+)=("[^"]*"|'[^']*'|\S+)/g;
+
 // Access DataFormatter without async imports so Mustache remains synchronous.
 function getDataFormatter() {
   if (typeof window === 'undefined') return null;
@@ -115,6 +120,24 @@ class Context {
     return new Context(view, this);
   }
 
+  /**
+   * Resolve `{{t}}` helper params: quoted strings and numbers are literals,
+   * anything else is looked up in the context.
+   */
+  translateParams(source) {
+    const params = {};
+    for (const [, key, raw] of source.matchAll(TRANSLATE_PARAM_RE)) {
+      if (/^(["']).*\1$/.test(raw)) {
+        params[key] = raw.slice(1, -1);
+      } else if (raw !== '' && !Number.isNaN(Number(raw))) {
+        params[key] = Number(raw);
+      } else {
+        params[key] = this.lookup(raw);
+      }
+    }
+    return params;
+  }
+
   lookup(name) {
     // Check render-level cache first
     if (this.renderCache && this.view?._cacheId) {
@@ -129,6 +152,11 @@ class Context {
       return this.view;
     }
 
+    const translation = name.startsWith('t ') && name.match(TRANSLATE_TAG_RE);
+    if (translation) {
+      return i18n.t(translation[2], this.translateParams(translation[3]));
+    }
+
     // Block prototype-chain keys at every depth, on every branch. Strips
     // an optional leading dot (dot-prefix syntax) and pipes before
     // segmenting; pipes don't affect the path-segment check, but a name
@@ -14,6 +14,7 @@
  */
 
 import ModalView from './ModalView.js';
+import i18n from '@core/utils/I18n.js';
 
 let _el = null;
 let _counter = 0;
@@ -61,7 +62,7 @@ const BusyIndicator = {
      */
     show(options) {
         if (typeof options === 'string') options = { message: options };
-        const { message = 'Loading...', timeout = 30000 } = options || {};
+        const { message = i18n.t('common.loading'), timeout = 30000 } = options || {};
 
         _counter++;
 
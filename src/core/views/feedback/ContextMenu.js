@@ -47,6 +47,7 @@
  */
 
 import View from '@core/View.js';
+import i18n from '@core/utils/I18n.js';
 
 class ContextMenu extends View {
     /**
@@ -210,6 +211,7 @@ class ContextMenu extends View {
             menuEl.classList.remove('show');
             menuEl.style.position = '';
             menuEl.style.left = '';
+            menuEl.style.right = '';
             menuEl.style.top = '';
             menuEl.style.transform = '';
             menuEl.style.inset = '';
@@ -252,6 +254,9 @@ class ContextMenu extends View {
      * Re-parenting the menu to `document.body` and pinning it with
      * `position: fixed` + a high z-index sidesteps both.
      *
+     * In RTL the menu opens to the left of the point (its right edge at x),
+     * mirroring the LTR layout.
+     *
      * @param {number} x - Viewport X coordinate (e.g. event.clientX)
      * @param {number} y - Viewport Y coordinate (e.g. event.clientY)
      * @param {*} [contextItem] - Optional context to attach for the handler/dispatch path
@@ -273,6 +278,11 @@ class ContextMenu extends View {
         const menuEl = this.element?.querySelector('.dropdown-menu');
         if (!menuEl) return this;
 
+        // Read direction before re-parenting — a scoped `dir` on the host
+        // no longer applies once the menu is a <body> child.
+        const rtl = i18n.isRTL(menuEl.parentElement);
+        menuEl.setAttribute('dir', rtl ? 'rtl' : 'ltr');
+
         // Re-parent the menu to <body> on first openAt so no host wrapper
         // can clip or stack above it. Stash the original parent so we can
         // re-attach on close (keeps the DOM tidy and the View's children
@@ -290,7 +300,12 @@ class ContextMenu extends View {
         menuEl.style.transform = 'none';
         menuEl.style.inset = 'auto';
         menuEl.style.position = 'fixed';
-        menuEl.style.left = `${x}px`;
+        if (rtl) {
+            const viewportWidth = document.documentElement.clientWidth || window.innerWidth;
+            menuEl.style.right = `${viewportWidth - x}px`;
+        } else {
+            menuEl.style.left = `${x}px`;
+        }
         menuEl.style.top = `${y}px`;
         menuEl.style.margin = '0';
         menuEl.style.zIndex = '1080';
@@ -33,6 +33,7 @@ import BusyIndicator from './BusyIndicator.js';
 import CodeViewer from './CodeViewer.js';
 import HtmlPreview from './HtmlPreview.js';
 import View from '@core/View.js';
+import i18n from '@core/utils/I18n.js';
 import { File as FileModel } from '@core/models/Files.js';
 
 class Modal {
@@ -213,7 +214,7 @@ class Modal {
             message,
             size = 'md',
             centered = true,
-            buttons = [{ text: 'OK', class: 'btn-primary', value: true }],
+            buttons = [{ text: i18n.t('common.ok'), class: 'btn-primary', value: true }],
             rejectOnDismiss = false,
             ...rest
         } = options;
@@ -305,7 +306,7 @@ class Modal {
             body: composedBody,
             size,
             centered: false,
-            buttons: [{ text: 'Close', class: 'btn-secondary', dismiss: true }],
+            buttons: [{ text: i18n.t('common.close'), class: 'btn-secondary', dismiss: true }],
             ...rest
         });
     }
@@ -328,7 +329,7 @@ class Modal {
             body: view,
             size: 'lg',
             centered: false,
-            buttons: [{ text: 'Close', class: 'btn-secondary', dismiss: true }],
+            buttons: [{ text: i18n.t('common.close'), class: 'btn-secondary', dismiss: true }],
             ...options
         });
     }
@@ -473,7 +474,7 @@ class Modal {
             size: 'sm',
             centered: true,
             className,
-            buttons: [{ text: 'OK', class: 'btn-primary', value: true }],
+            buttons: [{ text: i18n.t('common.ok'), class: 'btn-primary', value: true }],
             ...rest
         });
     }
@@ -482,7 +483,7 @@ class Modal {
      * Confirmation dialog. Resolves `true` on Confirm, `false` on
      * Cancel/dismiss.
      */
-    static async confirm(messageOrOptions, title = 'Confirm', options = {}) {
+    static async confirm(messageOrOptions, title = i18n.t('common.confirm'), options = {}) {
         let message;
         if (typeof messageOrOptions === 'object' && messageOrOptions !== null) {
             options = messageOrOptions;
@@ -493,8 +494,8 @@ class Modal {
         }
 
         const buttons = [
-            { text: options.cancelText || 'Cancel', class: 'btn-secondary', dismiss: true, action: 'cancel' },
-            { text: options.confirmText || 'Confirm', class: options.confirmClass || 'btn-primary', action: 'confirm' }
+            { text: options.cancelText || i18n.t('common.cancel'), class: 'btn-secondary', dismiss: true, action: 'cancel' },
+            { text: options.confirmText || i18n.t('common.confirm'), class: options.confirmClass || 'btn-primary', action: 'confirm' }
         ];
 
         const modal = new ModalView({
@@ -522,8 +523,8 @@ class Modal {
         const placeholder = options.placeholder || '';
 
         const buttons = [
-            { text: 'Cancel', class: 'btn-secondary', dismiss: true },
-            { text: 'OK', class: 'btn-primary', action: 'ok' }
+            { text: i18n.t('common.cancel'), class: 'btn-secondary', dismiss: true },
+            { text: i18n.t('common.ok'), class: 'btn-primary', action: 'ok' }
         ];
 
         const modal = new ModalView({
@@ -579,8 +580,8 @@ class Modal {
             formConfig = {},
             size = 'md',
             centered = true,
-            submitText = 'Submit',
-            cancelText = 'Cancel',
+            submitText = i18n.t('common.submit'),
+            cancelText = i18n.t('common.cancel'),
             ...rest
         } = options;
 
@@ -663,8 +664,8 @@ class Modal {
             formConfig = {},
             size = 'md',
             centered = true,
-            submitText = 'Save',
-            cancelText = 'Cancel',
+            submitText = i18n.t('common.save'),
+            cancelText = i18n.t('common.cancel'),
             model,
             fields,
             ...rest
@@ -751,7 +752,7 @@ class Modal {
             emptyValueText = '—',
             size = 'lg',
             centered = true,
-            closeText = 'Close',
+            closeText = i18n.t('common.close'),
             ...rest
         } = options;
 
@@ -797,8 +798,8 @@ class Modal {
         const codeView = new CodeViewer({ code, language });
 
         const buttons = [
-            { text: 'Copy to Clipboard', class: 'btn-primary', icon: 'bi-clipboard', action: 'copy' },
-            { text: 'Close', class: 'btn-secondary', dismiss: true }
+            { text: i18n.t('common.copyToClipboard'), class: 'btn-primary', icon: 'bi-clipboard', action: 'copy' },
+            { text: i18n.t('common.close'), class: 'btn-secondary', dismiss: true }
         ];
 
         const modal = new ModalView({
@@ -852,7 +853,7 @@ class Modal {
 
         const previewView = new HtmlPreview({ html, height });
 
-        const buttons = [{ text: 'Close', class: 'btn-secondary', dismiss: true }];
+        const buttons = [{ text: i18n.t('common.close'), class: 'btn-secondary', dismiss: true }];
 
         const modal = new ModalView({
             title, body: previewView, size, scrollable: false, buttons, ...rest
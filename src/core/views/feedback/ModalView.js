@@ -24,6 +24,7 @@
  */
 
 import View from '@core/View.js';
+import i18n from '@core/utils/I18n.js';
 
 class ModalView extends View {
     // Stack of currently-open modals, used for z-index management.
@@ -786,7 +787,7 @@ class ModalView extends View {
         if (titleEl) titleEl.textContent = title;
     }
 
-    setLoading(loading = true, message = 'Loading...') {
+    setLoading(loading = true, message = i18n.t('common.loading')) {
         const bodyEl = this.element?.querySelector('.modal-body');
         if (!bodyEl) return;
 
@@ -794,7 +795,7 @@ class ModalView extends View {
             bodyEl.innerHTML = `
         <div class="text-center py-4">
           <div class="spinner-border text-primary mb-3" role="status">
-            <span class="visually-hidden">Loading...</span>
+            <span class="visually-hidden">${i18n.t('common.loading')}</span>
           </div>
           <p>${message}</p>
         </div>
@@ -35,6 +35,13 @@
  *   - 'stat:change' - Emitted when a stat block is applied ({ key, params }) or cleared (null)
  *   - 'range:change' - Emitted when the day-range picker changes
  *   - 'row:click' / 'row:view' / 'row:edit' / 'row:delete' - Row lifecycle
+ *   - 'list:reorder' - Emitted when a row is dropped at a new position
+ *   - 'list:reorder:error' - Emitted when persisting a new order failed (rolled back)
+ *
+ * `virtual: true` switches to windowed rendering for long lists: only the
+ * rows in and near the scroll viewport are mounted (see "Virtual scrolling").
+ * `reorderable: true` adds drag handles and keyboard reordering (see
+ * "Reordering").
  *
  * (There is deliberately no `filter:edit` event — ListView owns the pill-edit
  * dialog end-to-end; see the NOTE in `onActionEditFilter`.)
@@ -69,6 +76,15 @@ import SegmentControl from '@core/views/navigation/SegmentControl.js';
 import { parseFilterKey, formatFilterDisplay } from '@core/utils/DjangoLookups.js';
 import ListViewItem from './ListViewItem.js';
 import ListGroupHeaderView from './ListGroupHeaderView.js';
+import VirtualWindow from './VirtualWindow.js';
+import i18n from '@core/utils/I18n.js';
+
+// Elements a virtual row may hold focus on, in document order
+const FOCUSABLE = 'a[href], button, input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+// Whether search / filter / sort / page changes go through collection.fetch():
+// REST collections, and `local: true` ones whose fetch() queries in memory
+const fetchesParams = (collection) => !!(collection?.restEnabled || collection?.isLocal?.());
 
 class ListView extends View {
   /**
@@ -101,6 +117,12 @@ class ListView extends View {
    */
   static STATS_MAX_BUNDLES = 12;
 
+  /**
+   * Height (px) of the band at the top / bottom edge of the scroll container
+   * that auto-scrolls while a row is dragged. Speed ramps up towards the edge.
+   */
+  static REORDER_SCROLL_EDGE = 48;
+
   /**
    * Track Model classes already warned about a minified `.name` so the
    * console doesn't spam — one warning per offending class per session.
@@ -122,7 +144,7 @@ class ListView extends View {
     this.itemTemplate = options.itemTemplate || null;
     this.itemClass = options.itemClass || ListViewItem;
     this.selectionMode = options.selectionMode || 'none';
-    this.emptyMessage = options.emptyMessage || 'No items to display';
+    this.emptyMessage = options.emptyMessage || null;
     this.loading = false;
     this.isEmpty = true;
 
@@ -142,7 +164,7 @@ class ListView extends View {
 
     // Search
     this.searchPlacement = this._normalizeSearchPlacement(options.searchPlacement);
-    this.searchPlaceholder = options.searchPlaceholder || 'Search...';
+    this.searchPlaceholder = options.searchPlaceholder || null;
 
     // Sort dropdown — list-style alternative to TableView's column-header sort.
     // Each option: { key: 'created', label: 'Newest', dir: 'desc' }
@@ -291,6 +313,60 @@ class ListView extends View {
     this.groupHeaderViews = new Map();
     this._renderOrder = [];
 
+    // -------- Virtual scrolling — opt-in via `virtual` --------
+    // `virtual: true` (or `{ rowHeight, overscan, height }`) mounts only the
+    // rows in and near a scrolling viewport instead of one live item view per
+    // model. `_virtualRows` is the full row order (group headers included) as
+    // plain `{ key, type, model, index, view }` entries; `view` is non-null
+    // only while the row is in the window, and `itemViews` / `groupHeaderViews`
+    // hold just those. Selection and TableView's expanded rows are keyed by
+    // model id on the list, so they survive a row being recycled. Heights are
+    // measured as rows mount (variable heights welcome); `rowHeight` is only
+    // the estimate for rows never seen. `height` caps the viewport (CSS
+    // length or px). See `docs/web-mojo/components/ListView.md` (Virtual scrolling).
+    this.virtual = this._normalizeVirtual(options.virtual);
+    this._virtualRows = [];
+    this._virtualWindow = this.virtual ? new VirtualWindow(this.virtual) : null;
+    this._virtualRange = { start: 0, end: 0 };
+    this._virtualViewport = null;
+    this._virtualItems = null;
+    this._virtualBefore = null;
+    this._virtualAfter = null;
+    this._virtualScrollTop = 0;
+    this._virtualFrame = null;
+    this._virtualFocus = null;
+    this._virtualSyncPromise = null;
+    this._virtualSyncQueued = false;
+    if (this.virtual) {
+      this._onVirtualScroll = this._onVirtualScroll.bind(this);
+      // A new query starts at the top; a same-query refetch keeps its place
+      this.on('params-changed', () => { this._virtualScrollTop = 0; });
+    }
+
+    // -------- Reordering — opt-in via `reorderable` --------
+    // `reorderable: true` (or `{ field, endpoint }`) gives every row a drag
+    // handle. The row follows the pointer live (auto-scrolling near the edges
+    // of its scroll container) or moves with the arrow keys from a focused
+    // handle. A drop reorders `collection.models`, emits `list:reorder` and
+    // runs `onReorder(models, from, to)`; then `field` rewrites that field
+    // across the moved span and saves the changed models, or `endpoint` POSTs
+    // the new id order. Any failure moves the row back. Needs every row
+    // mounted in one flat order, so it is refused with `virtual` / `groupBy`.
+    // See `docs/web-mojo/components/ListView.md` (Reordering).
+    this.reorderable = this._normalizeReorderable(options.reorderable);
+    if (typeof options.onReorder === 'function') this.onReorder = options.onReorder;
+    this._reorder = null;          // active drag / keyboard session
+    this._reorderSaving = false;
+    if (this.reorderable) {
+      this._onReorderPointerDown = this._onReorderPointerDown.bind(this);
+      this._onReorderPointerMove = this._onReorderPointerMove.bind(this);
+      this._onReorderPointerUp = this._onReorderPointerUp.bind(this);
+      this._onReorderKeydown = this._onReorderKeydown.bind(this);
+      // Delegated on the root so re-rendered rows need no rewiring
+      this.element.addEventListener('pointerdown', this._onReorderPointerDown);
+      this.element.addEventListener('keydown', this._onReorderKeydown);
+    }
+
     // -------- WM-033 feedback states — all opt-in --------
     // Three independent upgrades that share the list body render path:
     //   1. `emptyState: {icon, title, message, action:{label, action, icon}}`
@@ -356,6 +432,13 @@ class ListView extends View {
       : options.autoRefreshIndicator !== false;
     this._autoRefreshPulseTimer = null;
 
+    // Realtime — `realtime: true` (or RealtimeSync options such as
+    // `{ created: 'fetch' }`) subscribes the collection to server change
+    // events over the app's WebSocket for the life of the view, so rows
+    // update in place without polling. Needs `static MODEL_REF` on the model.
+    this.realtime = options.realtime || false;
+    this._realtimeCollection = null;
+
     // -------- WM-035 view persistence — opt-in per-table saved view --------
     // `persistState: true` remembers how each user likes this list/table —
     // sort, page size, day-range value, and active filter params — in
@@ -383,6 +466,24 @@ class ListView extends View {
     }
   }
 
+  // Built-in defaults resolve through i18n on every read, so a locale
+  // switch re-renders them in the new language
+  get emptyMessage() {
+    return this._emptyMessage || i18n.t('list.empty');
+  }
+
+  set emptyMessage(value) {
+    this._emptyMessage = value;
+  }
+
+  get searchPlaceholder() {
+    return this._searchPlaceholder || i18n.t('common.search');
+  }
+
+  set searchPlaceholder(value) {
+    this._searchPlaceholder = value;
+  }
+
   // ============================================================
   // Lifecycle
   // ============================================================
@@ -459,6 +560,8 @@ class ListView extends View {
   }
 
   async onBeforeRender() {
+    // The re-render below replaces the rows — note which one held focus
+    if (this.virtual) this._captureVirtualFocus();
     // Surface the live search value into the template context so the input
     // re-renders with the current value after a fetch.
     this.searchValue = this.getActiveFilters().search || '';
@@ -540,9 +643,9 @@ class ListView extends View {
         {{#loading}}
           ${this._loadingContent(`<div class="list-loading">
             <div class="spinner-border spinner-border-sm" role="status">
-              <span class="visually-hidden">Loading...</span>
+              <span class="visually-hidden">{{t "common.loading"}}</span>
             </div>
-            Loading...
+            {{t "common.loading"}}
           </div>`)}
         {{/loading}}
         {{^loading}}
@@ -582,9 +685,9 @@ class ListView extends View {
           {{#loading}}
             ${this._loadingContent(`<div class="list-loading text-center py-4">
               <div class="spinner-border spinner-border-sm" role="status">
-                <span class="visually-hidden">Loading...</span>
+                <span class="visually-hidden">{{t "common.loading"}}</span>
               </div>
-              Loading...
+              {{t "common.loading"}}
             </div>`)}
           {{/loading}}
           {{^loading}}
@@ -881,7 +984,7 @@ class ListView extends View {
         </span>
         <input type="search"
                class="form-control"
-               placeholder="${this.escapeHtml(this.searchPlaceholder)}"
+               placeholder="{{searchPlaceholder}}"
                data-filter="search"
                data-change-action="apply-search"
                value="{{searchValue}}"
@@ -994,7 +1097,7 @@ class ListView extends View {
     const activeFilters = this.getActiveFilters();
 
     if (allFilters.length === 0) {
-      return '<div class="dropdown-item-text text-muted">No filters available</div>';
+      return `<div class="dropdown-item-text text-muted">${this.escapeHtml(i18n.t('list.noFilters'))}</div>`;
     }
 
     const filterItems = allFilters.map(filter => {
@@ -1018,7 +1121,7 @@ class ListView extends View {
       ${Object.keys(activeFilters).length > 0 ? `
         <div class="dropdown-divider"></div>
         <button class="dropdown-item text-danger" data-action="clear-all-filters">
-          <i class="bi bi-x-circle me-2"></i>Clear All Filters
+          <i class="bi bi-x-circle me-2"></i>{{t "list.clearAllFilters"}}
         </button>
       ` : ''}
     `;
@@ -1159,10 +1262,10 @@ class ListView extends View {
                   {{#loadingMore}}disabled{{/loadingMore}}>
             {{#loadingMore}}
               <span class="spinner-border spinner-border-sm me-1" role="status" aria-hidden="true"></span>
-              Loading…
+              {{t "common.loading"}}
             {{/loadingMore}}
             {{^loadingMore}}
-              <i class="bi bi-arrow-down-circle me-1"></i>Show more
+              <i class="bi bi-arrow-down-circle me-1"></i>{{t "list.showMore"}}
             {{/loadingMore}}
           </button>
         </div>
@@ -1282,11 +1385,10 @@ class ListView extends View {
 
     if (isFiltered) {
       icon = 'funnel';
-      title = 'No results match your filters';
-      const plural = activeCount === 1 ? 'filter' : 'filters';
-      message = `No items match the ${activeCount} active ${plural}. Try widening or removing a filter.`;
+      title = i18n.t('list.noMatchesTitle');
+      message = i18n.t('list.noMatchesMessage', { count: activeCount });
       buttonHtml = '<button class="btn btn-outline-primary" data-action="clear-all-filters">'
-        + '<i class="bi bi-x-circle me-1"></i>Clear filters</button>';
+        + `<i class="bi bi-x-circle me-1"></i>${this.escapeHtml(i18n.t('list.clearFilters'))}</button>`;
     } else {
       icon = es.icon || 'inbox';
       title = es.title || this.emptyMessage;
@@ -1476,7 +1578,7 @@ class ListView extends View {
     this.emit('range:change', { field, value, previous, params });
     this.emit('params-changed');
 
-    if (this.collection?.restEnabled) {
+    if (fetchesParams(this.collection)) {
       try {
         // fetch:end already triggers a render via _onFetchEnd, so no
         // trailing render() here — calling one would revert any
@@ -2398,6 +2500,7 @@ class ListView extends View {
       this.collection.off('fetch:start', this._onFetchStart, this);
       this.collection.off('fetch:end', this._onFetchEnd, this);
     }
+    this._unsubscribeRealtime();
 
     this.collection = collection;
 
@@ -2409,6 +2512,9 @@ class ListView extends View {
     }
     if (this.options.pageSize && this.collection) {
       this.collection.params = { ...this.collection.params, size: this.options.pageSize };
+    } else if (this.paginated && this.collection?.isLocal?.() && !this.collection.params.size) {
+      // A `local: true` collection holds no page size of its own
+      this.collection.params = { ...this.collection.params, size: 10 };
     }
 
     if (this.collection) {
@@ -2417,10 +2523,13 @@ class ListView extends View {
       this.collection.on('reset', this._onCollectionReset, this);
       this.collection.on('fetch:start', this._onFetchStart, this);
       this.collection.on('fetch:end', this._onFetchEnd, this);
+      this._subscribeRealtime();
 
       if (this.collection.restEnabled && !this.collection.lastFetchTime && !this.collection.options?.preloaded) {
         this.loading = true;
       } else {
+        // A `local: true` collection opens on its first page, as a REST one would
+        if (this.collection.options?.local === true) this.collection.queryLocal({}, { silent: true });
         this._buildItems();
       }
     }
@@ -2428,10 +2537,30 @@ class ListView extends View {
     return this;
   }
 
+  _subscribeRealtime() {
+    if (!this.realtime || typeof this.collection.subscribe !== 'function') return;
+    try {
+      this.collection.subscribe(this.realtime === true ? {} : this.realtime);
+      this._realtimeCollection = this.collection;
+    } catch (error) {
+      console.warn('ListView: realtime disabled -', error.message);
+    }
+  }
+
+  _unsubscribeRealtime() {
+    if (!this._realtimeCollection) return;
+    this._realtimeCollection.unsubscribe();
+    this._realtimeCollection = null;
+  }
+
   async _renderChildren() {
     await super._renderChildren();
     const itemsContainer = this.getChildElement('items');
     if (!itemsContainer) return;
+    if (this.virtual) {
+      await this._renderVirtualRows(itemsContainer);
+      return;
+    }
     // Render each item synchronously so its onAfterRender (which wires
     // the clickable handler, etc.) has fully run by the time the parent's
     // render() resolves. Items are kept in the `itemViews` Map, not the
@@ -2466,11 +2595,15 @@ class ListView extends View {
     }
 
     this.isEmpty = false;
-    this.collection.forEach((model, index) => {
-      this._createItemView(model, index);
-    });
-    this._applyPersistedSelections();
-    this._buildGroupHeaders();
+    if (this.virtual) {
+      this._buildVirtualRows();
+    } else {
+      this.collection.forEach((model, index) => {
+        this._createItemView(model, index);
+      });
+      this._applyPersistedSelections();
+      this._buildGroupHeaders();
+    }
 
     this.emit('list:loaded', { count: this.collection.length() });
 
@@ -2499,10 +2632,6 @@ class ListView extends View {
 
     if (!this.groupBy || !this.collection || this.collection.isEmpty()) return;
 
-    const resolver = typeof this.groupBy === 'function'
-      ? this.groupBy
-      : (model) => model.get(this.groupBy);
-
     let prevKey;
     let prevKeySet = false;
 
@@ -2510,13 +2639,7 @@ class ListView extends View {
       const itemView = this.itemViews.get(model.id);
       if (!itemView) return;
 
-      let rawKey;
-      try {
-        rawKey = resolver(model);
-      } catch (err) {
-        console.warn('ListView: groupBy resolver threw — treating as ungrouped tail', err);
-        rawKey = null;
-      }
+      const rawKey = this._resolveGroupKey(model);
 
       if (rawKey && (!prevKeySet || rawKey !== prevKey)) {
         const headerView = this._createGroupHeaderView(model, rawKey, index);
@@ -2528,6 +2651,20 @@ class ListView extends View {
     });
   }
 
+  /**
+   * Run the `groupBy` resolver for one model. A throwing resolver is treated
+   * as "ungrouped tail" rather than breaking the render.
+   * @private
+   */
+  _resolveGroupKey(model) {
+    try {
+      return typeof this.groupBy === 'function' ? this.groupBy(model) : model.get(this.groupBy);
+    } catch (err) {
+      console.warn('ListView: groupBy resolver threw — treating as ungrouped tail', err);
+      return null;
+    }
+  }
+
   /**
    * Build (or rebuild) the group-header markers. Public-ish hook called by
    * `_onModelsAdded` after Show More appends, so the appended page's first
@@ -2695,6 +2832,11 @@ class ListView extends View {
   }
 
   _clearItems() {
+    if (this._reorder) this._teardownReorder();
+    if (this.virtual) {
+      this._virtualRows.forEach((row) => this._releaseVirtualRow(row));
+      this._virtualRows = [];
+    }
     this.forEachItem((itemView) => {
       this.removeChild(itemView.id);
     });
@@ -2709,15 +2851,19 @@ class ListView extends View {
 
   _onModelsAdded(event) {
     const { models } = event;
-    models.forEach((model) => {
-      const index = this.collection.models.indexOf(model);
-      this._createItemView(model, index);
-    });
-    this._applyPersistedSelections();
-    // Rebuild the grouping pass against the now-larger collection so the
-    // appended page's first item gets (or doesn't get) a header against
-    // the prior tail correctly. No-op for non-grouped consumers.
-    if (this.groupBy) this._rebuildGroupHeaders();
+    if (this.virtual) {
+      this._buildVirtualRows();
+    } else {
+      models.forEach((model) => {
+        const index = this.collection.models.indexOf(model);
+        this._createItemView(model, index);
+      });
+      this._applyPersistedSelections();
+      // Rebuild the grouping pass against the now-larger collection so the
+      // appended page's first item gets (or doesn't get) a header against
+      // the prior tail correctly. No-op for non-grouped consumers.
+      if (this.groupBy) this._rebuildGroupHeaders();
+    }
 
     this.isEmpty = this.collection.isEmpty();
 
@@ -2734,8 +2880,11 @@ class ListView extends View {
         this.removeChild(itemView.id);
         this.itemViews.delete(model.id);
         this.selectedItems.delete(model.id);
+      } else if (this.virtual) {
+        this.selectedItems.delete(model.id);
       }
     });
+    if (this.virtual) this._buildVirtualRows();
 
     this.isEmpty = this.collection.isEmpty();
     if (!this.loading && this.isMounted()) {
@@ -2770,7 +2919,7 @@ class ListView extends View {
     const { model, item } = event;
 
     if (this.selectionMode === 'none') {
-      item.deselect();
+      if (item) item.deselect();
       return;
     }
 
@@ -2799,19 +2948,912 @@ class ListView extends View {
     });
   }
 
+  // ============================================================
+  // Virtual scrolling (opt-in via `virtual`)
+  // ============================================================
+
+  /**
+   * Normalize the `virtual` option. `true` → defaults; an object merges over
+   * them; anything else → null (feature off).
+   * @private
+   */
+  _normalizeVirtual(raw) {
+    if (!raw) return null;
+    const defaults = { rowHeight: 48, overscan: 8, height: '70vh' };
+    if (raw === true) return defaults;
+    if (typeof raw === 'object') return { ...defaults, ...raw };
+    return null;
+  }
+
+  /**
+   * Virtual counterpart of `_createItemView` + `_buildGroupHeaders`: lay out
+   * the row order with headers interleaved exactly as grouping would, without
+   * creating any views. Views already mounted for a surviving key are carried
+   * over; the rest are released.
+   * @private
+   */
+  _buildVirtualRows() {
+    const previous = new Map();
+    this._virtualRows.forEach((row) => { if (row.view) previous.set(row.key, row); });
+
+    const rows = [];
+    let prevKey;
+    let prevKeySet = false;
+    if (this.collection) {
+      this.collection.forEach((model, index) => {
+        if (this.groupBy) {
+          const groupKey = this._resolveGroupKey(model);
+          if (groupKey && (!prevKeySet || groupKey !== prevKey)) {
+            rows.push({ key: `group:${groupKey}:${model.id}`, type: 'header', model, index, groupKey, view: null });
+            prevKey = groupKey;
+            prevKeySet = true;
+          }
+        }
+        rows.push({ key: `item:${model.id}`, type: 'item', model, index, view: null });
+      });
+    }
+
+    rows.forEach((row) => {
+      const carried = previous.get(row.key);
+      if (!carried) return;
+      row.view = carried.view;
+      carried.view = null;
+      previous.delete(row.key);
+    });
+    previous.forEach((row) => this._releaseVirtualRow(row));
+
+    this._virtualRows = rows;
+    this._virtualWindow.setKeys(rows.map((row) => row.key));
+  }
+
+  /**
+   * Turn the freshly rendered items container into the window: wrap it in a
+   * scrolling viewport, add the two spacers that stand in for unmounted rows,
+   * restore the scroll position and mount the rows it shows.
+   * @private
+   */
+  async _renderVirtualRows(itemsContainer) {
+    this._unbindVirtualViewport();
+
+    const viewport = this._virtualViewportFor(itemsContainer);
+    const { height } = this.virtual;
+    viewport.classList.add('list-virtual-viewport');
+    if (height != null) viewport.style.maxHeight = typeof height === 'number' ? `${height}px` : height;
+
+    this._virtualViewport = viewport;
+    this._virtualItems = itemsContainer;
+    this._virtualBefore = this._createVirtualSpacer();
+    this._virtualAfter = this._createVirtualSpacer();
+    itemsContainer.append(this._virtualBefore, this._virtualAfter);
+
+    // Give the viewport its full estimated height so the saved offset fits
+    this._virtualAfter.style.height = `${this._virtualWindow.totalHeight()}px`;
+    viewport.scrollTop = this._virtualScrollTop;
+
+    await this._syncVirtualWindow();
+    viewport.addEventListener('scroll', this._onVirtualScroll, { passive: true });
+  }
+
+  /**
+   * The element that scrolls. ListView uses its list container; TableView
+   * overrides to the table container so the header scrolls with the body.
+   * @protected
+   */
+  _virtualViewportFor(itemsContainer) {
+    return itemsContainer.closest('.list-view-container') || itemsContainer.parentElement;
+  }
+
+  /**
+   * Placeholder element for the rows above / below the window. TableView
+   * overrides with a `<tr>` so the `<tbody>` stays valid.
+   * @protected
+   */
+  _createVirtualSpacer() {
+    const spacer = document.createElement('div');
+    spacer.className = 'list-virtual-spacer';
+    spacer.setAttribute('aria-hidden', 'true');
+    return spacer;
+  }
+
+  /**
+   * Rendered height of a mounted row. TableView adds its detail row.
+   * @protected
+   */
+  _measureVirtualRow(row) {
+    return row.view?.element?.offsetHeight || 0;
+  }
+
+  /**
+   * Hooks run as a row enters / leaves the window. TableView uses them to
+   * re-open or tear down expanded detail rows.
+   * @protected
+   */
+  async _onVirtualRowMounted(_row) {}
+
+  _onVirtualRowReleased(_row) {}
+
+  /**
+   * Create the view for a row entering the window, re-applying list-owned
+   * state (selection) that the previous incarnation carried.
+   * @private
+   */
+  _createVirtualView(row) {
+    if (row.type === 'header') {
+      return this._createGroupHeaderView(row.model, row.groupKey, row.index);
+    }
+    const itemView = this._createItemView(row.model, row.index);
+    itemView.index = row.index;
+    if (this.selectedItems.has(row.model.id) && !itemView.selected) {
+      itemView.selected = true;
+      itemView.addClass('selected');
+    }
+    return itemView;
+  }
+
+  /**
+   * Unmount and destroy a row's view. Focus inside it is remembered (and
+   * parked on the viewport) so it comes back when the row does.
+   * @private
+   */
+  _releaseVirtualRow(row) {
+    const view = row.view;
+    if (!view) return;
+
+    if (typeof document !== 'undefined' && view.element?.contains(document.activeElement)) {
+      this._captureVirtualFocus();
+      if (this._virtualViewport?.isConnected) {
+        this._virtualViewport.setAttribute('tabindex', '-1');
+        this._virtualViewport.focus({ preventScroll: true });
+      }
+    }
+
+    this._onVirtualRowReleased(row);
+    row.view = null;
+    if (row.type === 'header') {
+      this.groupHeaderViews.delete(view.id);
+    } else if (this.itemViews.get(row.model.id) === view) {
+      this.itemViews.delete(row.model.id);
+    }
+    if (view.model?.off) view.model.off('change', view._onModelChange, view);
+    view.element?.remove();
+    Promise.resolve(view.destroy()).catch(() => {});
+  }
+
+  /**
+   * Bring the mounted rows in line with the viewport. Passes are serialized;
+   * a request made mid-pass runs once more afterwards, and a pass whose
+   * measurements moved the window repeats (bounded) so the viewport stays
+   * covered.
+   * @private
+   */
+  _syncVirtualWindow() {
+    if (this._virtualSyncPromise) {
+      this._virtualSyncQueued = true;
+      return this._virtualSyncPromise;
+    }
+    this._virtualSyncPromise = (async () => {
+      try {
+        for (let pass = 0; pass < 4; pass++) {
+          // eslint-disable-next-line no-await-in-loop -- each pass measures the layout the previous one produced
+          const moved = await this._syncVirtualPass();
+          if (!moved && !this._virtualSyncQueued) break;
+          this._virtualSyncQueued = false;
+        }
+      } finally {
+        this._virtualSyncPromise = null;
+      }
+    })();
+    return this._virtualSyncPromise;
+  }
+
+  /**
+   * One reconcile pass: release rows that left the range, mount the ones that
+   * entered (in DOM order, without moving rows that stay, so focus survives),
+   * measure, then size the spacers. Keeps the first visible row still when
+   * measurements above it change the layout.
+   * @returns {Promise<boolean>} true when measuring moved the range
+   * @private
+   */
+  async _syncVirtualPass() {
+    const viewport = this._virtualViewport;
+    const items = this._virtualItems;
+    const win = this._virtualWindow;
+    if (!viewport || !items) return false;
+
+    const range = win.range(viewport.scrollTop - this._virtualOffset(), this._virtualViewportHeight());
+
+    this._virtualRows.forEach((row, index) => {
+      if (row.view && (index < range.start || index >= range.end)) this._releaseVirtualRow(row);
+    });
+
+    const mounting = [];
+    let next = this._virtualAfter;
+    for (let index = range.end - 1; index >= range.start; index--) {
+      const row = this._virtualRows[index];
+      if (!row.view || row.view.element.parentNode !== items) {
+        row.view = row.view || this._createVirtualView(row);
+        items.insertBefore(row.view.element, next);
+        mounting.push(row);
+      }
+      next = row.view.element;
+    }
+    await Promise.all(mounting.map((row) => Promise.resolve(row.view.render(false)).catch(() => {})));
+    await Promise.all(mounting.filter((row) => row.view).map((row) => this._onVirtualRowMounted(row)));
+
+    const anchorTop = win.offsetOf(range.first);
+    let measured = false;
+    for (let index = range.start; index < range.end; index++) {
+      const row = this._virtualRows[index];
+      if (row.view && win.setHeight(row.key, this._measureVirtualRow(row))) measured = true;
+    }
+
+    this._virtualBefore.style.height = `${win.offsetOf(range.start)}px`;
+    this._virtualAfter.style.height = `${win.totalHeight() - win.offsetOf(range.end)}px`;
+    const shift = win.offsetOf(range.first) - anchorTop;
+    if (shift) viewport.scrollTop += shift;
+    this._virtualScrollTop = viewport.scrollTop;
+    this._virtualRange = { start: range.start, end: range.end };
+    this._restoreVirtualFocus();
+
+    if (!measured) return false;
+    const settled = win.range(viewport.scrollTop - this._virtualOffset(), this._virtualViewportHeight());
+    return settled.start !== range.start || settled.end !== range.end;
+  }
+
+  /**
+   * Distance from the top of the viewport's content to the first row — a
+   * table header, for instance, scrolls with the rows.
+   * @private
+   */
+  _virtualOffset() {
+    const viewport = this._virtualViewport;
+    if (!viewport || !this._virtualItems) return 0;
+    return this._virtualItems.getBoundingClientRect().top - viewport.getBoundingClientRect().top + viewport.scrollTop;
+  }
+
+  /** @private */
+  _virtualViewportHeight() {
+    const { height } = this.virtual;
+    return this._virtualViewport?.clientHeight
+      || (typeof height === 'number' ? height : (typeof window !== 'undefined' ? window.innerHeight : 0));
+  }
+
+  /** @private */
+  _onVirtualScroll() {
+    if (this._virtualFrame) return;
+    const schedule = typeof requestAnimationFrame === 'function'
+      ? requestAnimationFrame
+      : (callback) => setTimeout(callback, 16);
+    this._virtualFrame = schedule(() => {
+      this._virtualFrame = null;
+      this._syncVirtualWindow();
+    });
+  }
+
+  /** @private */
+  _unbindVirtualViewport() {
+    if (this._virtualViewport) {
+      this._virtualViewport.removeEventListener('scroll', this._onVirtualScroll);
+    }
+    this._virtualViewport = null;
+    this._virtualItems = null;
+  }
+
+  /**
+   * Remember which row (and which focusable inside it) holds focus, keyed by
+   * row so it can be restored after the row is recycled or re-rendered.
+   * @private
+   */
+  _captureVirtualFocus() {
+    const active = typeof document !== 'undefined' ? document.activeElement : null;
+    if (!active || !this._virtualItems?.contains(active)) return;
+    for (let index = this._virtualRange.start; index < this._virtualRange.end; index++) {
+      const row = this._virtualRows[index];
+      if (row?.view?.element?.contains(active)) {
+        const focusables = Array.from(row.view.element.querySelectorAll(FOCUSABLE));
+        this._virtualFocus = { key: row.key, index: focusables.indexOf(active) };
+        return;
+      }
+    }
+  }
+
+  /**
+   * Put focus back once its row is mounted again — unless the user has since
+   * focused something else.
+   * @private
+   */
+  _restoreVirtualFocus() {
+    const focus = this._virtualFocus;
+    if (!focus) return;
+    const index = this._virtualWindow.indexOf(focus.key);
+    if (index < 0) {
+      this._virtualFocus = null;
+      return;
+    }
+    const view = this._virtualRows[index].view;
+    if (!view?.element?.isConnected) return;
+
+    this._virtualFocus = null;
+    const active = document.activeElement;
+    if (active && active !== document.body && active !== this._virtualViewport) return;
+    const target = focus.index >= 0
+      ? view.element.querySelectorAll(FOCUSABLE)[focus.index]
+      : view.element;
+    if (target?.focus) target.focus({ preventScroll: true });
+  }
+
+  /**
+   * Select / deselect a model whose row is outside the window. Mirrors what
+   * `ListViewItem.select()` would emit, then runs the usual bookkeeping.
+   * @private
+   */
+  _setUnmountedSelection(modelId, selected) {
+    const model = this.collection?.get(modelId);
+    if (!model || this.selectionMode === 'none') return;
+    if (this.selectedItems.has(model.id) === selected) return;
+
+    const payload = {
+      item: null,
+      model,
+      index: this.collection.models.indexOf(model),
+      data: model.toJSON ? model.toJSON() : model
+    };
+    this.emit(selected ? 'item:select' : 'item:deselect', payload);
+    if (selected) this._onItemSelect(payload);
+    else this._onItemDeselect(payload);
+  }
+
+  /**
+   * Scroll a model's row into view and return its (now mounted) item view.
+   * Works with or without `virtual`; in virtual mode the row is mounted on
+   * demand.
+   * @param {Model|string|number} modelOrId
+   * @param {object} [options]
+   * @param {string} [options.align='nearest'] - 'nearest' scrolls only as far
+   *   as needed; 'start' puts the row at the top
+   * @returns {Promise<ListViewItem|null>}
+   */
+  async scrollToItem(modelOrId, { align = 'nearest' } = {}) {
+    const id = modelOrId && typeof modelOrId === 'object' ? modelOrId.id : modelOrId;
+
+    if (!this.virtual) {
+      const itemView = this.itemViews.get(id) || null;
+      itemView?.element?.scrollIntoView?.({ block: align === 'start' ? 'start' : 'nearest' });
+      return itemView;
+    }
+
+    const viewport = this._virtualViewport;
+    const win = this._virtualWindow;
+    const model = this.collection?.get(id);
+    const index = model ? win.indexOf(`item:${model.id}`) : -1;
+    if (!viewport || index < 0) return null;
+
+    const offset = this._virtualOffset();
+    const top = offset + win.offsetOf(index);
+    const bottom = offset + win.offsetOf(index + 1);
+    const height = this._virtualViewportHeight();
+    if (align === 'start' || top < viewport.scrollTop) {
+      viewport.scrollTop = top;
+    } else if (bottom > viewport.scrollTop + height) {
+      viewport.scrollTop = bottom - height;
+    }
+
+    await this._syncVirtualWindow();
+    return this.itemViews.get(model.id) || null;
+  }
+
+  // ============================================================
+  // Reordering (opt-in via `reorderable`)
+  // ============================================================
+
+  /**
+   * Normalize the `reorderable` option. `true` → no persistence beyond
+   * `onReorder`; an object may name a `field` and / or an `endpoint`;
+   * anything else → null (feature off). Refused with `virtual` or `groupBy`:
+   * both break the one-row-per-model, one-flat-order layout a move relies on.
+   * @private
+   */
+  _normalizeReorderable(raw) {
+    if (!raw || (raw !== true && typeof raw !== 'object')) return null;
+    if (this.virtual || this.groupBy) {
+      console.warn('ListView: `reorderable` is not supported together with `virtual` or `groupBy` — reordering disabled');
+      return null;
+    }
+    const config = raw === true ? {} : raw;
+    return { field: config.field || null, endpoint: config.endpoint || null };
+  }
+
+  /**
+   * Markup for a row's drag handle. Item templates may place their own
+   * element with `data-reorder-handle` instead.
+   * @protected
+   */
+  _reorderHandleHtml() {
+    const label = this.escapeHtml(i18n.t('list.reorderHandle'));
+    return `<button type="button" class="list-reorder-handle" data-reorder-handle aria-label="${label}" title="${label}">`
+      + '<i class="bi bi-grip-vertical" aria-hidden="true"></i></button>';
+  }
+
+  /**
+   * Give a freshly rendered row its handle. Called from
+   * ListViewItem.onAfterRender, like the row stripe.
+   * @private
+   */
+  _applyReorderHandle(itemView) {
+    const element = itemView?.element;
+    if (!element) return;
+    element.classList.add('list-reorder-item');
+    if (!element.querySelector('[data-reorder-handle]')) {
+      element.insertAdjacentHTML('afterbegin', this._reorderHandleHtml());
+    }
+  }
+
+  /**
+   * The row view a handle belongs to — not one of a nested list's rows.
+   * @private
+   */
+  _reorderItemFor(handle) {
+    const rowElement = handle.closest('.list-reorder-item');
+    for (const itemView of this.itemViews.values()) {
+      if (itemView.element === rowElement) return itemView;
+    }
+    return null;
+  }
+
+  /**
+   * Elements that travel with a row when it moves. TableView adds the row's
+   * open detail row.
+   * @protected
+   */
+  _reorderElements(itemView) {
+    return [itemView.element];
+  }
+
+  /**
+   * Move the model at `from` to `to` — in `collection.models`, in
+   * `itemViews` order and in the DOM — without re-rendering anything, so the
+   * dragged row (and focus on its handle) survives.
+   * @returns {boolean} false when the indexes are out of range or equal
+   * @private
+   */
+  _moveItemLocal(from, to) {
+    const models = this.collection?.models;
+    if (!models || from === to || from < 0 || to < 0 || from >= models.length || to >= models.length) {
+      return false;
+    }
+    const [model] = models.splice(from, 1);
+    models.splice(to, 0, model);
+
+    // `itemViews` is walked in insertion order by _renderChildren /
+    // forEachItem, so rebuild it in the new order
+    const views = new Map(this.itemViews);
+    this.itemViews.clear();
+    models.forEach((entry, index) => {
+      const view = views.get(entry.id);
+      if (!view) return;
+      view.index = index;
+      this.itemViews.set(entry.id, view);
+    });
+
+    const view = this.itemViews.get(model.id);
+    const parent = view?.element?.parentNode;
+    if (!parent) return true;
+    const next = models[to + 1] ? this.itemViews.get(models[to + 1].id) : null;
+    let anchor = next?.element?.parentNode === parent ? next.element : null;
+    if (!anchor && to > 0) {
+      const previous = this.itemViews.get(models[to - 1].id);
+      anchor = previous ? this._reorderElements(previous).at(-1).nextSibling : null;
+    }
+    this._reorderElements(view).forEach((element) => parent.insertBefore(element, anchor));
+    return true;
+  }
+
+  /** @private */
+  _startReorder(itemView, handle, mode) {
+    const from = this.collection.models.indexOf(itemView.model);
+    if (from < 0) return false;
+    this._reorder = {
+      view: itemView,
+      model: itemView.model,
+      handle,
+      mode,
+      from,
+      index: from,
+      clientY: 0,
+      scroller: null,
+      frame: null
+    };
+    itemView.element.classList.add('list-reorder-active');
+    this.element.classList.add('list-reordering');
+    if (mode === 'keyboard') {
+      handle.setAttribute('aria-pressed', 'true');
+    } else {
+      this._reorder.scroller = this._reorderScroller(itemView.element);
+      document.addEventListener('pointermove', this._onReorderPointerMove);
+      document.addEventListener('pointerup', this._onReorderPointerUp);
+      document.addEventListener('pointercancel', this._onReorderPointerUp);
+    }
+    return true;
+  }
+
+  /**
+   * Drop the session state and listeners without moving anything.
+   * @private
+   */
+  _teardownReorder() {
+    const session = this._reorder;
+    if (!session) return null;
+    this._reorder = null;
+    document.removeEventListener('pointermove', this._onReorderPointerMove);
+    document.removeEventListener('pointerup', this._onReorderPointerUp);
+    document.removeEventListener('pointercancel', this._onReorderPointerUp);
+    session.view.element?.classList.remove('list-reorder-active');
+    this.element?.classList.remove('list-reordering');
+    session.handle.removeAttribute('aria-pressed');
+    return session;
+  }
+
+  /**
+   * End the active session: `commit` keeps the new position and persists it,
+   * otherwise the row goes back where it started.
+   * @private
+   */
+  async _finishReorder(commit) {
+    const session = this._teardownReorder();
+    if (!session) return;
+    const { from, index: to, mode, handle } = session;
+
+    if (!commit) this._moveItemLocal(to, from);
+    if (mode === 'keyboard') {
+      handle.focus();
+      this._announceReorder(commit ? 'list.reorderDropped' : 'list.reorderCancelled', commit ? to : from);
+    }
+    if (!commit || from === to) return;
+    await this._commitReorder(session.model, from, to);
+    // A `field` write re-renders the row, replacing the focused handle
+    if (mode === 'keyboard' && !handle.isConnected && document.activeElement === document.body) {
+      this.itemViews.get(session.model.id)?.element?.querySelector('[data-reorder-handle]')?.focus();
+    }
+  }
+
+  /** @private */
+  _announceReorder(key, index) {
+    this.announce(i18n.t(key, { position: index + 1, count: this.collection.models.length }));
+  }
+
+  /**
+   * Read `message` out to screen readers through a polite live region,
+   * created on first use. TableView overrides this with the region in its
+   * template.
+   * @param {string} message
+   */
+  announce(message) {
+    if (!this._liveRegion?.isConnected) {
+      const region = document.createElement('div');
+      region.className = 'visually-hidden list-view-status';
+      region.setAttribute('role', 'status');
+      region.setAttribute('aria-live', 'polite');
+      region.setAttribute('aria-atomic', 'true');
+      this.element.appendChild(region);
+      this._liveRegion = region;
+    }
+    this._liveRegion.textContent = message;
+  }
+
+  /** @private */
+  _onReorderPointerDown(event) {
+    if (event.defaultPrevented || event.button !== 0 || event.isPrimary === false) return;
+    const handle = event.target?.closest?.('[data-reorder-handle]');
+    const itemView = handle ? this._reorderItemFor(handle) : null;
+    if (!itemView) return;
+    // A pointer drag supersedes a keyboard move in progress
+    if (this._reorder?.mode === 'keyboard') this._finishReorder(true);
+    if (this._reorder || this._reorderSaving) return;
+
+    // No text selection, no native drag, no focus change
+    event.preventDefault();
+    if (this._startReorder(itemView, handle, 'pointer')) {
+      this._reorder.clientY = event.clientY;
+    }
+  }
+
+  /** @private */
+  _onReorderPointerMove(event) {
+    const session = this._reorder;
+    if (!session || session.mode !== 'pointer') return;
+    session.clientY = event.clientY;
+    this._trackReorderPointer();
+    this._reorderAutoScroll();
+  }
+
+  /** @private */
+  _onReorderPointerUp(event) {
+    if (this._reorder?.mode !== 'pointer') return;
+    this._finishReorder(event.type !== 'pointercancel');
+  }
+
+  /**
+   * Move the dragged row to the slot under the pointer: its new index is the
+   * number of other rows whose vertical midpoint is above the pointer.
+   * @private
+   */
+  _trackReorderPointer() {
+    const session = this._reorder;
+    let target = 0;
+    this.collection.models.forEach((model) => {
+      if (model === session.model) return;
+      const element = this.itemViews.get(model.id)?.element;
+      if (!element) return;
+      const rect = element.getBoundingClientRect();
+      if (session.clientY > rect.top + rect.height / 2) target++;
+    });
+    if (target !== session.index && this._moveItemLocal(session.index, target)) {
+      session.index = target;
+    }
+  }
+
+  /**
+   * Nearest scrollable ancestor of the list — what auto-scroll moves.
+   * @private
+   */
+  _reorderScroller(element) {
+    for (let node = element.parentElement; node && node !== document.body; node = node.parentElement) {
+      const { overflowY } = window.getComputedStyle(node);
+      if ((overflowY === 'auto' || overflowY === 'scroll') && node.scrollHeight > node.clientHeight) {
+        return node;
+      }
+    }
+    return document.scrollingElement || document.documentElement;
+  }
+
+  /**
+   * Pixels to scroll this frame: negative near the top edge, positive near
+   * the bottom, 0 elsewhere or once the scroller can go no further.
+   * @private
+   */
+  _reorderScrollStep(session) {
+    const scroller = session.scroller;
+    const edge = ListView.REORDER_SCROLL_EDGE;
+    const isRoot = scroller === document.scrollingElement || scroller === document.documentElement;
+    const bounds = isRoot ? { top: 0, bottom: window.innerHeight } : scroller.getBoundingClientRect();
+    const y = session.clientY;
+
+    if (y < bounds.top + edge && scroller.scrollTop > 0) {
+      return -Math.ceil(Math.min(edge, bounds.top + edge - y) / 3);
+    }
+    if (y > bounds.bottom - edge && scroller.scrollTop + scroller.clientHeight < scroller.scrollHeight) {
+      return Math.ceil(Math.min(edge, y - (bounds.bottom - edge)) / 3);
+    }
+    return 0;
+  }
+
+  /**
+   * Keep scrolling, one step per frame, while the pointer rests in an edge
+   * band; re-tracks after each step since the rows moved under the pointer.
+   * @private
+   */
+  _reorderAutoScroll() {
+    const session = this._reorder;
+    if (!session?.scroller || session.frame || !this._reorderScrollStep(session)) return;
+    const schedule = typeof requestAnimationFrame === 'function'
+      ? requestAnimationFrame
+      : (callback) => setTimeout(callback, 16);
+    session.frame = schedule(() => {
+      session.frame = null;
+      if (this._reorder !== session) return;
+      const step = this._reorderScrollStep(session);
+      if (!step) return;
+      session.scroller.scrollTop += step;
+      this._trackReorderPointer();
+      this._reorderAutoScroll();
+    });
+  }
+
+  /**
+   * Keyboard reordering from a focused handle: Space / Enter lifts the row,
+   * ArrowUp / ArrowDown / Home / End move it, Space / Enter / Tab drop it and
+   * Escape puts it back.
+   * @private
+   */
+  _onReorderKeydown(event) {
+    if (event.defaultPrevented) return;
+    const handle = event.target?.closest?.('[data-reorder-handle]');
+    if (!handle) return;
+    const session = this._reorder;
+
+    if (!session) {
+      if (event.key !== ' ' && event.key !== 'Enter') return;
+      const itemView = this._reorderItemFor(handle);
+      if (!itemView || this._reorderSaving) return;
+      event.preventDefault();
+      if (this._startReorder(itemView, handle, 'keyboard')) {
+        this._announceReorder('list.reorderLifted', this._reorder.index);
+      }
+      return;
+    }
+    if (session.mode !== 'keyboard' || session.handle !== handle) return;
+
+    if (event.key === ' ' || event.key === 'Enter' || event.key === 'Escape') {
+      event.preventDefault();
+      this._finishReorder(event.key !== 'Escape');
+      return;
+    }
+    if (event.key === 'Tab') {
+      this._finishReorder(true);
+      return;
+    }
+
+    const last = this.collection.models.length - 1;
+    const targets = { ArrowUp: session.index - 1, ArrowDown: session.index + 1, Home: 0, End: last };
+    if (!(event.key in targets)) return;
+    event.preventDefault();
+    const target = Math.max(0, Math.min(last, targets[event.key]));
+    if (this._moveItemLocal(session.index, target)) {
+      session.index = target;
+      // Moving a focused node can drop its focus
+      handle.focus();
+      this._announceReorder('list.reorderMoved', target);
+    }
+  }
+
+  /**
+   * Persist a finished move: emit `list:reorder`, run `onReorder`, then the
+   * configured `field` / `endpoint`. A throw, a rejected promise, `onReorder`
+   * returning `false` or an unsuccessful save moves the row back, restores
+   * the field values and emits `list:reorder:error`.
+   * @private
+   */
+  async _commitReorder(model, from, to) {
+    const models = this.collection.models.slice();
+    this.emit('list:reorder', { model, models, from, to });
+
+    const { field, endpoint } = this.reorderable;
+    let changes = [];
+    this._reorderSaving = true;
+    this.element.classList.add('list-reorder-saving');
+    try {
+      if (typeof this.onReorder === 'function' && await this.onReorder(models, from, to) === false) {
+        throw new Error(i18n.t('list.reorderFailed'));
+      }
+      if (field) changes = this._applyReorderField(field, from, to);
+      if (endpoint) {
+        await this._postReorder(endpoint, models, model, from, to);
+      } else if (changes.length) {
+        await this._saveReorderField(field, changes);
+      }
+    } catch (error) {
+      await this._rollbackReorder(model, from, to, field, changes);
+      this.emit('list:reorder:error', { model, models, from, to, error });
+      this.getApp()?.toast?.error?.(error?.message || i18n.t('list.reorderFailed'));
+    } finally {
+      this._reorderSaving = false;
+      this.element?.classList.remove('list-reorder-saving');
+    }
+  }
+
+  /**
+   * Rewrite `field` locally for the new order. The values already held by
+   * the moved span are dealt out again in the new order, so neighbouring
+   * rows keep theirs; when they are not distinct numbers the whole list is
+   * renumbered from the page offset (1-based).
+   * @returns {Array<{model, previous, value, saved}>} changed models
+   * @private
+   */
+  _applyReorderField(field, from, to) {
+    const models = this.collection.models;
+    const low = Math.min(from, to);
+    const span = models.slice(low, Math.max(from, to) + 1);
+    const before = span.slice();
+    before.splice(from - low, 0, ...before.splice(to - low, 1));
+    let values = before.map((model) => model.get(field));
+
+    let targets = span;
+    if (!values.every(Number.isFinite) || new Set(values).size !== values.length) {
+      const start = Number(this.collection.params?.start) || 0;
+      targets = models;
+      values = models.map((_model, index) => start + index + 1);
+    }
+
+    const changes = [];
+    targets.forEach((model, index) => {
+      const previous = model.get(field);
+      if (previous === values[index]) return;
+      changes.push({ model, previous, value: values[index], saved: false });
+      model.set({ [field]: values[index] });
+    });
+    return changes;
+  }
+
+  /**
+   * Save each changed model's `field`. Every save is allowed to settle so
+   * the rollback knows exactly which ones reached the server.
+   * @private
+   */
+  async _saveReorderField(field, changes) {
+    const failures = await Promise.all(changes.map(async (change) => {
+      try {
+        const resp = await change.model.save({ [field]: change.value });
+        const failure = this._reorderSaveFailure(change.model, resp);
+        change.saved = !failure;
+        return failure;
+      } catch (error) {
+        return error;
+      }
+    }));
+    const failure = failures.find(Boolean);
+    if (failure) throw failure;
+  }
+
+  /**
+   * Same failure test as TableRow's inline cell save: `model.save()`
+   * resolves rather than rejects, reporting via `success` / `model.errors`.
+   * @private
+   */
+  _reorderSaveFailure(model, resp) {
+    if (resp && resp.success === false) return new Error(resp.error || i18n.t('list.reorderFailed'));
+    const errors = model.errors;
+    if (errors && typeof errors === 'object' && Object.keys(errors).length > 0) {
+      return new Error(errors.error || errors.message || i18n.t('list.reorderFailed'));
+    }
+    return null;
+  }
+
+  /**
+   * POST the new order to `endpoint`. Positions are absolute — offset by
+   * the current page's `start`.
+   * @private
+   */
+  async _postReorder(endpoint, models, model, from, to) {
+    const rest = this.collection.rest;
+    if (!rest) throw new Error('ListView: `reorderable.endpoint` needs a REST-enabled collection');
+    const start = Number(this.collection.params?.start) || 0;
+    const resp = await rest.POST(endpoint, {
+      ids: models.map((entry) => entry.id),
+      moved: model.id,
+      from: start + from,
+      to: start + to
+    });
+    if (!resp || !resp.success || resp.data?.status === false) {
+      throw new Error(resp?.data?.error || resp?.error || i18n.t('list.reorderFailed'));
+    }
+  }
+
+  /**
+   * Undo a failed commit: move the row back (if it is still where it was
+   * dropped), restore the old field values and re-save those that had
+   * already been saved.
+   * @private
+   */
+  async _rollbackReorder(model, from, to, field, changes) {
+    if (this.collection.models[to] === model) this._moveItemLocal(to, from);
+    changes.forEach((change) => change.model.set({ [field]: change.previous }));
+    await Promise.all(changes.filter((change) => change.saved).map(async (change) => {
+      try {
+        await change.model.save({ [field]: change.previous });
+      } catch (error) {
+        console.warn('ListView: could not restore the order field after a failed reorder', error);
+      }
+    }));
+  }
+
   // ============================================================
   // Selection API (unchanged)
   // ============================================================
 
   getSelectedItems() {
     const selected = [];
+    // Virtual rows scrolled out of the window have no view, only state
+    const models = this.virtual && this.collection
+      ? new Map(this.collection.models.map((model) => [model.id, model]))
+      : null;
     this.selectedItems.forEach((id) => {
       const itemView = this.itemViews.get(id);
-      if (itemView) {
+      const model = itemView ? itemView.model : models?.get(id);
+      if (model) {
         selected.push({
-          view: itemView,
-          model: itemView.model,
-          data: itemView.model?.toJSON ? itemView.model.toJSON() : itemView.model
+          view: itemView || null,
+          model,
+          data: model.toJSON ? model.toJSON() : model
         });
       }
     });
@@ -2840,12 +3882,14 @@ class ListView extends View {
   selectItem(modelId) {
     const itemView = this.itemViews.get(modelId);
     if (itemView) itemView.select();
+    else if (this.virtual) this._setUnmountedSelection(modelId, true);
     return this;
   }
 
   deselectItem(modelId) {
     const itemView = this.itemViews.get(modelId);
     if (itemView) itemView.deselect();
+    else if (this.virtual) this._setUnmountedSelection(modelId, false);
     return this;
   }
 
@@ -2861,12 +3905,22 @@ class ListView extends View {
   }
 
   async refresh() {
-    if (this.collection && this.collection.restEnabled) {
+    if (fetchesParams(this.collection)) {
       return await this.collection.fetch();
     }
     this._buildItems();
   }
 
+  /**
+   * Whether search / filter / sort / page changes go through
+   * `collection.fetch()`: REST collections, and `local: true` collections,
+   * whose fetch() applies the params in memory.
+   * @private
+   */
+  _fetchesParams() {
+    return fetchesParams(this.collection);
+  }
+
   // ============================================================
   // Row stripe (severity-coded left-edge color)
   // ============================================================
@@ -3164,22 +4218,22 @@ class ListView extends View {
     }
 
     const ModelClass = this.getModelClass(event.model);
-    const template = this.deleteTemplate ||
-                    ModelClass?.DELETE_TEMPLATE ||
-                    'Are you sure you want to delete this {{name||"item"}}?';
-
-    const message = this.renderTemplateString(template, event.model);
+    const template = this.deleteTemplate || ModelClass?.DELETE_TEMPLATE;
+    const defaultMessage = i18n.t('list.confirmDeleteMessage', {
+      name: event.model.get('name') || i18n.t('list.item')
+    });
+    const message = template ? this.renderTemplateString(template, event.model) : defaultMessage;
 
     const confirmed = await Modal.confirm({
-      message: message || 'Are you sure you want to delete this item?',
-      title: 'Confirm Delete',
-      confirmText: 'Delete',
+      message: message || defaultMessage,
+      title: i18n.t('list.confirmDeleteTitle'),
+      confirmText: i18n.t('common.delete'),
       confirmClass: 'btn-danger'
     });
 
     if (confirmed) {
       await event.model.destroy();
-      if (this.collection?.restEnabled) {
+      if (fetchesParams(this.collection)) {
         this.collection.fetch();
       } else {
         this._buildItems();
@@ -3367,7 +4421,7 @@ class ListView extends View {
     if (this.collection) {
       this.setFilter('search', searchTerm);
       this.collection.params.start = 0;
-      if (this.collection.restEnabled) {
+      if (fetchesParams(this.collection)) {
         await this.collection.fetch();
       } else {
         await this.render();
@@ -3382,7 +4436,7 @@ class ListView extends View {
     this.setFilter('search', null);
     if (this.collection) {
       this.collection.params.start = 0;
-      if (this.collection.restEnabled) await this.collection.fetch();
+      if (fetchesParams(this.collection)) await this.collection.fetch();
     }
     await this.render();
     this.updateFilterPills();
@@ -3436,7 +4490,7 @@ class ListView extends View {
     pages.push(`
       <li class="page-item">
         <a class="page-link" href="#" data-action="page" data-page="${prevPage}">
-          <i class="bi bi-chevron-left"></i>
+          <i class="bi bi-chevron-left mojo-icon-dir"></i>
         </a>
       </li>
     `);
@@ -3464,7 +4518,7 @@ class ListView extends View {
     pages.push(`
       <li class="page-item">
         <a class="page-link" href="#" data-action="page" data-page="${nextPage}">
-          <i class="bi bi-chevron-right"></i>
+          <i class="bi bi-chevron-right mojo-icon-dir"></i>
         </a>
       </li>
     `);
@@ -3488,7 +4542,7 @@ class ListView extends View {
       start: (page - 1) * size
     });
 
-    if (this.collection.restEnabled) {
+    if (fetchesParams(this.collection)) {
       await this.collection.fetch();
     } else {
       this.render();
@@ -3506,7 +4560,7 @@ class ListView extends View {
         start: 0,
         size: newSize
       });
-      if (this.collection.restEnabled) await this.collection.fetch();
+      if (fetchesParams(this.collection)) await this.collection.fetch();
       this.render();
     }
     this.emit('list:pagesize', { size: newSize });
@@ -3552,7 +4606,7 @@ class ListView extends View {
         sort: sort || undefined,
         start: 0
       });
-      if (this.collection.restEnabled) {
+      if (fetchesParams(this.collection)) {
         await this.collection.fetch();
       } else {
         this.render();
@@ -3644,7 +4698,7 @@ class ListView extends View {
     this.setFilter(filterKey, null);
     if (filterKey === 'search') this.updateSearchInputs('');
 
-    if (this.collection?.restEnabled) await this.collection.fetch();
+    if (fetchesParams(this.collection)) await this.collection.fetch();
     this.render();
     this.updateFilterPills();
 
@@ -3678,7 +4732,7 @@ class ListView extends View {
     this.collection.params = preserved;
     this.updateSearchInputs('');
 
-    if (this.collection.restEnabled) await this.collection.fetch();
+    if (fetchesParams(this.collection)) await this.collection.fetch();
     this.render();
     this.updateFilterPills();
 
@@ -3689,7 +4743,7 @@ class ListView extends View {
   async applyFilters() {
     if (this.collection) this.collection.params.start = 0;
 
-    if (this.collection?.restEnabled) {
+    if (fetchesParams(this.collection)) {
       try {
         await this.collection.fetch();
         await this.render();
@@ -4411,8 +5465,10 @@ class ListView extends View {
   // ============================================================
 
   async destroy() {
+    this._unbindVirtualViewport();
     this._stopAutoRefresh();
     this._stopStatsRefresh();
+    this._unsubscribeRealtime();
     if (this.collection) {
       this.collection.off('add', this._onModelsAdded, this);
       this.collection.off('remove', this._onModelsRemoved, this);
@@ -177,6 +177,10 @@ class ListViewItem extends View {
     if (this.listView?.rowStripe && typeof this.listView._applyRowStripe === 'function') {
       this.listView._applyRowStripe(this);
     }
+    // Drag handle for `reorderable` lists — re-added after every render
+    if (this.listView?.reorderable && typeof this.listView._applyReorderHandle === 'function') {
+      this.listView._applyReorderHandle(this);
+    }
   }
 
   _wireClickableHandler() {
@@ -185,6 +189,8 @@ class ListViewItem extends View {
       // If the click landed on (or inside) an element with a `data-action`,
       // the inner action handler owns it — don't treat it as a row click.
       if (event.target?.closest?.('[data-action]')) return;
+      // The reorder handle drags the row; it never opens it.
+      if (event.target?.closest?.('[data-reorder-handle]')) return;
       // Skip native form-control interactions (typing in an input inside the card).
       const tag = event.target?.tagName;
       if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
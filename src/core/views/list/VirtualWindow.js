@@ -0,0 +1,150 @@
+/**
+ * VirtualWindow - Row geometry for ListView's virtual scrolling mode.
+ *
+ * Given the row keys in display order and the height of every row measured
+ * so far, answers "which rows intersect this scroll position (plus
+ * overscan), and how tall are the spacers around them?". ListView measures
+ * the mounted rows and feeds the heights back in. Rows never measured are
+ * estimated from the average of the measured ones, falling back to the
+ * configured `rowHeight` until the first measurement lands — so
+ * variable-height rows converge as the user scrolls.
+ *
+ * Offsets are prefix sums rebuilt lazily after a key or height change, and
+ * range lookups binary-search them.
+ *
+ * @example
+ * const win = new VirtualWindow({ rowHeight: 40, overscan: 4 });
+ * win.setKeys(['a', 'b', 'c']);
+ * win.setHeight('a', 64);
+ * win.range(0, 400); // → { start: 0, end: 3, before: 0, after: 0 }
+ */
+
+class VirtualWindow {
+  constructor(options = {}) {
+    this.rowHeight = options.rowHeight > 0 ? options.rowHeight : 48;
+    this.overscan = options.overscan >= 0 ? options.overscan : 8;
+
+    this.keys = [];
+    this.heights = new Map();     // key -> measured px
+    this._indexByKey = new Map();
+    this._offsets = null;         // prefix sums, length keys.length + 1
+    this._measuredTotal = 0;
+  }
+
+  /**
+   * Replace the row order. Measurements for keys still present are kept;
+   * the rest are dropped so the cache never outgrows the list.
+   * @param {Array<string>} keys
+   */
+  setKeys(keys) {
+    this.keys = keys.slice();
+    this._indexByKey = new Map(this.keys.map((key, index) => [key, index]));
+    for (const key of Array.from(this.heights.keys())) {
+      if (!this._indexByKey.has(key)) this.heights.delete(key);
+    }
+    this._measuredTotal = 0;
+    this.heights.forEach((height) => { this._measuredTotal += height; });
+    this._offsets = null;
+    return this;
+  }
+
+  /**
+   * Record a measured row height. Zero / missing heights (a detached or
+   * hidden element) are ignored so they never poison the estimate.
+   * @returns {boolean} true when the stored height changed
+   */
+  setHeight(key, height) {
+    if (!(height > 0) || !this._indexByKey.has(key)) return false;
+    const previous = this.heights.get(key);
+    if (previous === height) return false;
+    this._measuredTotal += height - (previous || 0);
+    this.heights.set(key, height);
+    this._offsets = null;
+    return true;
+  }
+
+  /** Estimated height for rows that have not been measured yet */
+  estimate() {
+    return this.heights.size > 0 ? this._measuredTotal / this.heights.size : this.rowHeight;
+  }
+
+  heightOf(key) {
+    return this.heights.get(key) ?? this.estimate();
+  }
+
+  indexOf(key) {
+    return this._indexByKey.has(key) ? this._indexByKey.get(key) : -1;
+  }
+
+  get length() {
+    return this.keys.length;
+  }
+
+  /** Top offset (px) of the row at `index`; `index === length` gives the total height */
+  offsetOf(index) {
+    const offsets = this._getOffsets();
+    return offsets[Math.max(0, Math.min(index, this.keys.length))];
+  }
+
+  totalHeight() {
+    return this.offsetOf(this.keys.length);
+  }
+
+  /**
+   * Index of the row containing the pixel offset `y`
+   * @param {number} y
+   * @returns {number}
+   */
+  indexAt(y) {
+    const offsets = this._getOffsets();
+    let low = 0;
+    let high = this.keys.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (offsets[mid] <= y) low = mid;
+      else high = mid - 1;
+    }
+    return Math.max(0, low);
+  }
+
+  /**
+   * Rows to mount for a viewport, with overscan on both sides.
+   * `before` / `after` are the spacer heights standing in for the rest.
+   * @param {number} scrollTop - Scroll offset relative to the first row
+   * @param {number} viewportHeight
+   * @returns {{start: number, end: number, before: number, after: number, first: number}}
+   */
+  range(scrollTop, viewportHeight) {
+    const count = this.keys.length;
+    if (count === 0) return { start: 0, end: 0, before: 0, after: 0, first: 0 };
+
+    const top = Math.max(0, scrollTop);
+    const first = this.indexAt(top);
+    const last = this.indexAt(top + Math.max(viewportHeight, 1) - 1);
+    const start = Math.max(0, first - this.overscan);
+    const end = Math.min(count, last + 1 + this.overscan);
+
+    return {
+      start,
+      end,
+      first,
+      before: this.offsetOf(start),
+      after: this.totalHeight() - this.offsetOf(end)
+    };
+  }
+
+  /** @private */
+  _getOffsets() {
+    if (this._offsets) return this._offsets;
+    const estimate = this.estimate();
+    const offsets = new Array(this.keys.length + 1);
+    offsets[0] = 0;
+    for (let i = 0; i < this.keys.length; i++) {
+      offsets[i + 1] = offsets[i] + (this.heights.get(this.keys[i]) ?? estimate);
+    }
+    this._offsets = offsets;
+    return offsets;
+  }
+}
+
+export default VirtualWindow;
@@ -27,6 +27,8 @@ class Sidebar extends View {
         this.isCollapsed = false;
         this.sidebarTheme = options.theme || 'sidebar-light';
         this.customView = null;
+        // Warm lazy-registered pages when the user points at their nav link
+        this.prefetchOnHover = options.prefetchOnHover !== false;
         if (this.options.groupHeader) this.groupHeader = this.options.groupHeader;
 
         // Group selector configuration
@@ -823,6 +825,12 @@ class Sidebar extends View {
     }
 
     async onAfterRender() {
+        if (this.prefetchOnHover && !this._prefetchHandler) {
+            this._prefetchHandler = (event) => this.prefetchLink(event.target.closest?.('a.nav-link[href]'));
+            this.element.addEventListener('mouseover', this._prefetchHandler);
+            this.element.addEventListener('focusin', this._prefetchHandler);
+        }
+
         // Re-initialize tooltips after render, but only if collapsed
         if (this.isCollapsedState()) {
             // Small delay to ensure DOM is fully rendered
@@ -832,6 +840,20 @@ class Sidebar extends View {
         }
     }
 
+    /**
+     * Start loading the page a nav link points at (lazy pages only do work)
+     */
+    prefetchLink(link) {
+        const app = this.getApp();
+        const href = link?.getAttribute('href');
+        if (!href || !app?.router || typeof app.prefetchPage !== 'function') return;
+        if (!/^(\?|\/(?!\/))/.test(href)) return; // internal links only
+
+        const { pageName } = app.router.parseInput(href);
+        const route = app.router.matchRoute('/' + pageName);
+        if (route) app.prefetchPage(route.pageName);
+    }
+
     setCustomView(view) {
         if (this.customView) {
             this.removeChild(this.customView.id);
@@ -866,10 +888,13 @@ class Sidebar extends View {
          const updateRouteWithGroup = (route) => {
              let normalizedRoute = route;
 
-             // Convert path format (/forms) to query string format (?page=forms)
+             // Convert path format (/forms) to the router's public URL
+             // (?page=forms in query mode, /base/forms in path mode)
              if (route.startsWith('/') && !route.includes('?')) {
                  const pageName = route.substring(1) || 'home';
-                 normalizedRoute = `?page=${pageName}`;
+                 normalizedRoute = app?.router?.buildUrl
+                     ? app.router.buildUrl(pageName)
+                     : `?page=${pageName}`;
              }
 
              // Add group parameter if needed
@@ -1496,6 +1521,12 @@ class Sidebar extends View {
         // Clean up tooltips
         this.destroyTooltips();
 
+        if (this._prefetchHandler) {
+            this.element.removeEventListener('mouseover', this._prefetchHandler);
+            this.element.removeEventListener('focusin', this._prefetchHandler);
+            delete this._prefetchHandler;
+        }
+
         // Call parent cleanup
         await super.onBeforeDestroy();
     }
@@ -5,6 +5,7 @@
  */
 
 import { View } from '@core/View.js';
+import i18n from '@core/utils/I18n.js';
 
 /**
  * ResultsView - Internal child view for rendering search results
@@ -19,7 +20,7 @@ class ResultsView extends View {
                 {{#data.loading}}
                     <div class="text-center p-4">
                         <div class="spinner-border spinner-border-sm text-muted" role="status">
-                            <span class="visually-hidden">Loading...</span>
+                            <span class="visually-hidden">{{t "common.loading"}}</span>
                         </div>
                         <div class="mt-2 small text-muted">{{data.loadingText}}</div>
                     </div>
@@ -167,7 +168,7 @@ class SimpleSearchView extends View {
         if (options.headerText === undefined) this.headerText = 'Select Item';
         this.headerText = options.headerText;
         this.headerIcon = options.headerIcon || 'bi bi-list';
-        this.searchPlaceholder = options.searchPlaceholder || 'Search...';
+        this.searchPlaceholder = options.searchPlaceholder || null;
         this.loadingText = options.loadingText || 'Loading items...';
         this.noResultsText = options.noResultsText || 'No items match your search';
         this.emptyText = options.emptyText || 'No items available';
@@ -280,7 +281,7 @@ class SimpleSearchView extends View {
             // UI text
             headerText: this.headerText,
             headerIcon: this.headerIcon,
-            searchPlaceholder: this.searchPlaceholder,
+            searchPlaceholder: this.searchPlaceholder || i18n.t('common.search'),
             footerContent: this.footerContent,
             footerIcon: this.footerIcon
         };
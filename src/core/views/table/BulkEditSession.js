@@ -0,0 +1,210 @@
+/**
+ * BulkEditSession - Pending cell edits for TableView's bulk edit mode.
+ *
+ * Remembers, per row, the value each edited cell had when it was first
+ * touched and the value it has now; TableView draws the inputs and dirty
+ * marks from it and saves what it holds. Setting a cell back to its original
+ * value drops it, so "dirty" always means "would be saved".
+ * Rows are keyed by model id and keep a reference to their model, so edits
+ * survive re-renders, paging and virtual-row recycling.
+ *
+ * Also holds the per-row errors of the last validation / save, and parses the
+ * tab-separated text spreadsheets put on the clipboard.
+ *
+ * @example
+ * const session = new BulkEditSession();
+ * session.set(model, 'price', '12.50');
+ * session.changesFor(model.id); // → { price: '12.50' }
+ * BulkEditSession.parseTSV('a\tb\n"c\nd"\te'); // → [['a', 'b'], ['c\nd', 'e']]
+ */
+
+class BulkEditSession {
+  constructor() {
+    // id -> { model, values: Map(key -> value), originals: Map(key -> value),
+    //         fieldErrors: Map(key -> message), error: string|null }
+    this.rows = new Map();
+  }
+
+  /**
+   * Loose equality for cell values: inputs hand back strings, models hold
+   * numbers / booleans / null. Empty-ish values are all the same.
+   * @param {*} a
+   * @param {*} b
+   * @returns {boolean}
+   */
+  static same(a, b) {
+    const empty = (value) => value === null || value === undefined || value === '';
+    if (empty(a) || empty(b)) return empty(a) && empty(b);
+    if (typeof a === 'boolean' || typeof b === 'boolean') return Boolean(a) === Boolean(b);
+    return String(a) === String(b);
+  }
+
+  /**
+   * Parse clipboard text copied from a spreadsheet: rows split on newlines,
+   * cells on tabs, and a cell wrapped in double quotes may contain either
+   * (`""` is a literal quote). The trailing newline spreadsheets add is
+   * dropped.
+   * @param {string} text
+   * @returns {Array<Array<string>>}
+   */
+  static parseTSV(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const source = String(text ?? '').replace(/\r\n?/g, '\n');
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+      if (quoted) {
+        if (char === '"' && source[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"' && cell === '') {
+        quoted = true;
+      } else if (char === '\t') {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n') {
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    if (cell !== '' || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  /**
+   * Record a cell's new value. The first edit of a cell remembers the model's
+   * value as the original; a value equal to it clears the edit.
+   * @param {Model} model
+   * @param {string} key
+   * @param {*} value
+   * @returns {boolean} true when the cell is dirty afterwards
+   */
+  set(model, key, value) {
+    let row = this.rows.get(model.id);
+    const original = row?.originals.has(key) ? row.originals.get(key) : model.get(key);
+
+    if (BulkEditSession.same(value, original)) {
+      if (row) {
+        row.values.delete(key);
+        row.originals.delete(key);
+        row.fieldErrors.delete(key);
+        if (row.values.size === 0) this.rows.delete(model.id);
+      }
+      return false;
+    }
+
+    if (!row) {
+      row = { model, values: new Map(), originals: new Map(), fieldErrors: new Map(), error: null };
+      this.rows.set(model.id, row);
+    }
+    row.model = model;
+    if (!row.originals.has(key)) row.originals.set(key, original);
+    row.values.set(key, value);
+    return true;
+  }
+
+  /**
+   * @returns {boolean} true when the cell has a pending edit
+   */
+  has(id, key) {
+    return !!this.rows.get(id)?.values.has(key);
+  }
+
+  /** Pending value of a cell (undefined when it has none) */
+  get(id, key) {
+    return this.rows.get(id)?.values.get(key);
+  }
+
+  /** The value a cell had before it was edited */
+  original(id, key) {
+    return this.rows.get(id)?.originals.get(key);
+  }
+
+  /**
+   * Pending edits of one row as a plain `{ key: value }` object
+   * @returns {object}
+   */
+  changesFor(id) {
+    const row = this.rows.get(id);
+    return row ? Object.fromEntries(row.values) : {};
+  }
+
+  /** Number of dirty cells across all rows */
+  get cellCount() {
+    let count = 0;
+    this.rows.forEach((row) => { count += row.values.size; });
+    return count;
+  }
+
+  /** Number of rows with at least one dirty cell */
+  get rowCount() {
+    return this.rows.size;
+  }
+
+  /**
+   * Replace a row's errors. `fieldErrors` maps column keys to messages;
+   * `error` is a message for the row as a whole.
+   */
+  setErrors(id, fieldErrors = {}, error = null) {
+    const row = this.rows.get(id);
+    if (!row) return;
+    row.fieldErrors = new Map(Object.entries(fieldErrors || {}));
+    row.error = error || null;
+  }
+
+  /** Mark one dirty cell invalid */
+  setFieldError(id, key, message) {
+    this.rows.get(id)?.fieldErrors.set(key, message);
+  }
+
+  /** Drop the error of one cell, e.g. once the user edits it again */
+  clearFieldError(id, key) {
+    const row = this.rows.get(id);
+    if (!row) return;
+    row.fieldErrors.delete(key);
+    if (row.fieldErrors.size === 0) row.error = null;
+  }
+
+  fieldError(id, key) {
+    return this.rows.get(id)?.fieldErrors.get(key) || null;
+  }
+
+  /**
+   * @returns {boolean} true when the row has a row-level or cell error
+   */
+  hasErrors(id) {
+    const row = this.rows.get(id);
+    return !!(row && (row.error || row.fieldErrors.size > 0));
+  }
+
+  /** Ids of the rows carrying errors */
+  errorIds() {
+    return Array.from(this.rows.keys()).filter((id) => this.hasErrors(id));
+  }
+
+  /**
+   * Forget one row's edits, or every row's.
+   * @param {string|number} [id]
+   */
+  clear(id) {
+    if (id === undefined) this.rows.clear();
+    else this.rows.delete(id);
+  }
+}
+
+export default BulkEditSession;
@@ -0,0 +1,154 @@
+/**
+ * PivotAggregator - Cross-tabulation for PivotView.
+ *
+ * Each record is added under a row path (one value per row dimension) and
+ * an optional column value; PivotView reads the resulting tree to order,
+ * label and format the table. Every level of the row tree accumulates as
+ * records go in, so subtotals and the grand total (the root) need no second
+ * pass. An accumulator keeps count, sum, min and
+ * max together, so switching between aggregates doesn't re-read the
+ * records.
+ *
+ * Values are bucketed by `PivotAggregator.keyOf()` — `null`, `undefined`
+ * and `''` share the empty bucket — and each node keeps the first raw value
+ * it saw, for drill-down filters.
+ *
+ * @example
+ * const pivot = new PivotAggregator();
+ * pivot.add(['West', 'Retail'], 'open', 120, model);
+ * pivot.add(['West', 'Online'], 'paid', 80, other);
+ * const west = pivot.root.children.get('West');
+ * PivotAggregator.valueOf(west.total, 'sum');              // → 200
+ * PivotAggregator.valueOf(west.cells.get('open'), 'avg');  // → 120
+ */
+
+class PivotAggregator {
+  static AGGREGATES = ['count', 'sum', 'avg', 'min', 'max'];
+
+  constructor() {
+    this.root = PivotAggregator._node(null, null, null);
+    this.columns = new Map();    // column key -> first raw value seen
+  }
+
+  /**
+   * Bucket key of a raw value. Empty-ish values share `''`.
+   * @param {*} value
+   * @returns {string}
+   */
+  static keyOf(value) {
+    return value === null || value === undefined || value === '' ? '' : String(value);
+  }
+
+  /**
+   * The aggregate of an accumulator: `count` is always a number; the others
+   * are null when no record had a numeric measure.
+   * @param {object|undefined} acc
+   * @param {string} aggregate - One of `PivotAggregator.AGGREGATES`
+   * @returns {number|null}
+   */
+  static valueOf(acc, aggregate) {
+    if (!acc) return aggregate === 'count' ? 0 : null;
+    switch (aggregate) {
+      case 'count': return acc.count;
+      case 'sum': return acc.n ? acc.sum : null;
+      case 'avg': return acc.n ? acc.sum / acc.n : null;
+      case 'min': return acc.min;
+      case 'max': return acc.max;
+      default: return null;
+    }
+  }
+
+  /** @private */
+  static _accumulator() {
+    return { count: 0, n: 0, sum: 0, min: null, max: null, records: [] };
+  }
+
+  /** @private */
+  static _node(key, value, parent) {
+    return {
+      key,
+      value,
+      parent,
+      depth: parent ? parent.depth + 1 : 0,
+      children: new Map(),
+      cells: new Map(),          // column key -> accumulator
+      total: PivotAggregator._accumulator()
+    };
+  }
+
+  /**
+   * Add one record (or a pre-aggregated count of records).
+   * @param {Array} rowValues - Raw values, one per row dimension
+   * @param {*} columnValue - Raw column value; `undefined` without a column dimension
+   * @param {*} [measure=null] - Measure value; non-numeric values are counted but not summed
+   * @param {*} [record=null] - Kept on every accumulator it lands in, for drill-down
+   * @param {number} [count=1] - Records this entry stands for
+   */
+  add(rowValues, columnValue, measure = null, record = null, count = 1) {
+    let columnKey = null;
+    if (columnValue !== undefined) {
+      columnKey = PivotAggregator.keyOf(columnValue);
+      if (!this.columns.has(columnKey)) this.columns.set(columnKey, columnValue);
+    }
+    const number = PivotAggregator._number(measure);
+
+    let node = this.root;
+    this._accumulate(node, columnKey, number, record, count);
+    rowValues.forEach((value) => {
+      const key = PivotAggregator.keyOf(value);
+      let child = node.children.get(key);
+      if (!child) {
+        child = PivotAggregator._node(key, value, node);
+        node.children.set(key, child);
+      }
+      node = child;
+      this._accumulate(node, columnKey, number, record, count);
+    });
+  }
+
+  /**
+   * The node at a row path (bucket keys or raw values), or null.
+   * @param {Array} rowValues
+   * @returns {object|null}
+   */
+  find(rowValues) {
+    let node = this.root;
+    for (const value of rowValues) {
+      node = node.children.get(PivotAggregator.keyOf(value));
+      if (!node) return null;
+    }
+    return node;
+  }
+
+  /** @private */
+  _accumulate(node, columnKey, number, record, count) {
+    PivotAggregator._fold(node.total, number, record, count);
+    if (columnKey === null) return;
+    let cell = node.cells.get(columnKey);
+    if (!cell) {
+      cell = PivotAggregator._accumulator();
+      node.cells.set(columnKey, cell);
+    }
+    PivotAggregator._fold(cell, number, record, count);
+  }
+
+  /** @private */
+  static _fold(acc, number, record, count) {
+    acc.count += count;
+    if (record !== null) acc.records.push(record);
+    if (number === null) return;
+    acc.n += 1;
+    acc.sum += number;
+    acc.min = acc.min === null ? number : Math.min(acc.min, number);
+    acc.max = acc.max === null ? number : Math.max(acc.max, number);
+  }
+
+  /** @private */
+  static _number(value) {
+    if (value === null || value === undefined || value === '' || typeof value === 'boolean') return null;
+    const number = typeof value === 'number' ? value : Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+}
+
+export default PivotAggregator;
@@ -0,0 +1,1030 @@
+/**
+ * PivotView - Pivot table over a Collection
+ *
+ * Cross-tabulates a Collection's records by one or more row dimensions and
+ * an optional column dimension, showing an aggregate — count, sum, average,
+ * minimum or maximum of a measure — in each cell, with a subtotal row per
+ * outer row group and grand totals. The toolbar lets users pick the layout;
+ * headers sort the rows; clicking a number drills down into a TableView of
+ * the records behind it; and the pivot exports to CSV.
+ *
+ * Aggregation runs in the browser over the collection's records. With
+ * `source: 'server'` it is one batched `_mode=count&_stats=…` request
+ * instead — the aggregation ListView's stat strip uses — which counts
+ * records only, and needs every dimension in the layout to list its
+ * `values`.
+ *
+ * @example
+ * const pivot = new PivotView({
+ *   collection: orders,
+ *   title: 'Orders',
+ *   dimensions: [
+ *     { key: 'region', label: 'Region' },
+ *     { key: 'channel', label: 'Channel' },
+ *     { key: 'status', label: 'Status', values: [
+ *       { value: 'open', label: 'Open' }, { value: 'paid', label: 'Paid' }
+ *     ] },
+ *     { key: 'month', label: 'Month', accessor: (model) => String(model.get('created')).slice(0, 7) }
+ *   ],
+ *   measures: [{ key: 'total', label: 'Order total', formatter: 'currency' }],
+ *   rows: ['region', 'channel'],
+ *   columns: 'status',
+ *   aggregate: 'sum',
+ *   measure: 'total'
+ * });
+ */
+
+import View from '@core/View.js';
+import Collection from '@core/Collection.js';
+import Modal from '@core/views/feedback/Modal.js';
+import dataFormatter from '@core/utils/DataFormatter.js';
+import i18n from '@core/utils/I18n.js';
+import TableView from './TableView.js';
+import PivotAggregator from './PivotAggregator.js';
+
+class PivotView extends View {
+  // Most cells one `source: 'server'` request may ask the server to count
+  static SERVER_MAX_BUNDLES = 100;
+
+  constructor(options = {}) {
+    super({
+      className: 'mojo-pivot-view',
+      ...options
+    });
+
+    this.collection = options.collection || null;
+    this.title = options.title || null;
+    this.dimensions = this._normalizeFields(options.dimensions);
+    this.measures = this._normalizeFields(options.measures);
+
+    // `source: 'server'` counts through the list endpoint's aggregation.
+    // `_serverSupported` latches off (with one warning) when the server has
+    // no aggregation route, and the view falls back to the loaded records.
+    this.source = options.source === 'server' ? 'server' : 'client';
+    this._serverSupported = true;
+
+    // Layout — what the toolbar edits. `rows` nests outer to inner.
+    this.rows = [];
+    this.columns = null;
+    this.aggregate = 'count';
+    this.measure = null;
+    this.sort = { by: 'label', direction: 'asc' };
+    this._applyLayout({
+      rows: options.rows,
+      columns: options.columns,
+      aggregate: options.aggregate,
+      measure: options.measure,
+      sort: options.sort
+    });
+
+    this.subtotals = options.subtotals !== false;
+    this.totals = options.totals !== false;
+    this.showControls = options.showControls !== false;
+    this.exportable = options.exportable !== false;
+
+    // `drillDown`: true opens a TableView of the cell's records in a modal;
+    // an object is passed to that TableView (`columns`, `actions`, …); a
+    // function replaces the modal; false turns cells into plain numbers.
+    this.drillDownOptions = options.drillDown === undefined ? true : options.drillDown;
+
+    this._serverCounts = null;       // [{ rowValues, columnValue, count }]
+    this._serverGeneration = 0;
+    this._serverWarned = false;
+    this._serverError = null;
+    this.loading = false;
+
+    this._pivot = null;              // PivotAggregator for the current layout
+    this._displayRows = [];          // rows of the table as last rendered
+    this._columnKeys = [];
+
+    this.template = () => this._buildTemplate();
+  }
+
+  // ============================================================
+  // Configuration
+  // ============================================================
+
+  /**
+   * Normalize `dimensions` / `measures` entries into
+   * `{ key, label, field, accessor, formatter, options, params }`.
+   * `values` (plain values or `{ value, label }`) become `options`, which
+   * fix the display order and labels.
+   * @private
+   */
+  _normalizeFields(raw) {
+    if (!Array.isArray(raw)) return [];
+    return raw.filter((entry) => entry && entry.key).map((entry) => ({
+      key: entry.key,
+      label: entry.label || entry.key,
+      field: entry.field || entry.key,
+      accessor: typeof entry.accessor === 'function' ? entry.accessor : null,
+      formatter: entry.formatter || null,
+      options: Array.isArray(entry.values)
+        ? entry.values.map((option) => (
+          option && typeof option === 'object'
+            ? { value: option.value, label: option.label ?? String(option.value) }
+            : { value: option, label: String(option) }
+        ))
+        : null,
+      params: typeof entry.params === 'function' ? entry.params : null
+    }));
+  }
+
+  /** @private */
+  _dimension(key) {
+    return this.dimensions.find((dimension) => dimension.key === key) || null;
+  }
+
+  /** @private */
+  _measure() {
+    return this.measures.find((measure) => measure.key === this.measure) || null;
+  }
+
+  /** @private */
+  _useServer() {
+    return this.source === 'server' && this._serverSupported;
+  }
+
+  /**
+   * Validate and store a (partial) layout. Unknown dimension keys are
+   * dropped; a dimension used for columns is removed from the rows; any
+   * aggregate other than count needs a measure; the server counts only.
+   * @private
+   */
+  _applyLayout(layout) {
+    if (layout.rows !== undefined) {
+      const rows = Array.isArray(layout.rows) ? layout.rows : (layout.rows ? [layout.rows] : []);
+      this.rows = rows.filter((key, index) => this._dimension(key) && rows.indexOf(key) === index);
+    }
+    if (layout.columns !== undefined) {
+      this.columns = this._dimension(layout.columns) ? layout.columns : null;
+    }
+    if (this.columns && this.rows.includes(this.columns)) {
+      if (layout.rows !== undefined && layout.columns === undefined) this.columns = null;
+      else this.rows = this.rows.filter((key) => key !== this.columns);
+    }
+    if (layout.measure !== undefined) {
+      this.measure = this.measures.some((measure) => measure.key === layout.measure) ? layout.measure : null;
+    }
+    if (layout.aggregate !== undefined) {
+      this.aggregate = PivotAggregator.AGGREGATES.includes(layout.aggregate) ? layout.aggregate : 'count';
+    }
+    if (this.aggregate !== 'count' && !this.measure) this.measure = this.measures[0]?.key || null;
+    if (this.aggregate !== 'count' && (!this.measure || this.source === 'server')) this.aggregate = 'count';
+    if (layout.sort) {
+      this.sort = {
+        by: layout.sort.by === undefined ? 'label' : layout.sort.by,
+        direction: layout.sort.direction === 'desc' ? 'desc' : 'asc'
+      };
+    }
+  }
+
+  /**
+   * The current layout.
+   * @returns {{rows: string[], columns: string|null, aggregate: string, measure: string|null, sort: object}}
+   */
+  getLayout() {
+    return {
+      rows: [...this.rows],
+      columns: this.columns,
+      aggregate: this.aggregate,
+      measure: this.measure,
+      sort: { ...this.sort }
+    };
+  }
+
+  /**
+   * Change the layout and re-render. Any key may be left out. Emits
+   * `pivot:change` with the new layout.
+   * @param {object} layout - `{ rows, columns, aggregate, measure, sort }`
+   * @returns {Promise<void>}
+   */
+  async setLayout(layout = {}) {
+    const before = JSON.stringify([this.rows, this.columns]);
+    this._applyLayout(layout);
+    this._pivot = null;
+    this.emit('pivot:change', this.getLayout());
+    if (this._useServer() && JSON.stringify([this.rows, this.columns]) !== before) {
+      await this._fetchServerCounts();
+      return;
+    }
+    if (this.isMounted()) await this.render();
+  }
+
+  // ============================================================
+  // Lifecycle
+  // ============================================================
+
+  async onInit() {
+    if (this.collection) {
+      this.collection.on('reset', this._onCollectionChange, this);
+      this.collection.on('add', this._onCollectionChange, this);
+      this.collection.on('remove', this._onCollectionChange, this);
+    }
+  }
+
+  async onAfterMount() {
+    await super.onAfterMount();
+    const collection = this.collection;
+    if (!collection) return;
+    if (this._useServer()) {
+      await this._fetchServerCounts();
+    } else if (collection.restEnabled && !collection.lastFetchTime && !collection.isLocal()) {
+      collection.fetch();
+    }
+  }
+
+  /**
+   * The records changed (a fetch, a filter, an add / remove): re-aggregate,
+   * or recount on the server.
+   * @private
+   */
+  _onCollectionChange() {
+    this._pivot = null;
+    if (this._useServer()) {
+      this._fetchServerCounts();
+    } else if (this.isMounted()) {
+      this.render();
+    }
+  }
+
+  /**
+   * Re-aggregate (recount on the server) and re-render.
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    this._pivot = null;
+    if (this._useServer()) await this._fetchServerCounts();
+    else await this.render();
+  }
+
+  async onAfterRender() {
+    await super.onAfterRender();
+    const body = this.element?.querySelector('.pivot-body');
+    if (body) body.innerHTML = this._buildBodyHtml();
+  }
+
+  // ============================================================
+  // Aggregation
+  // ============================================================
+
+  /**
+   * The aggregated pivot for the current layout, built on first use after
+   * any change.
+   * @returns {PivotAggregator}
+   */
+  getPivot() {
+    if (this._pivot) return this._pivot;
+    const pivot = new PivotAggregator();
+    const rowDimensions = this.rows.map((key) => this._dimension(key));
+    const columnDimension = this.columns ? this._dimension(this.columns) : null;
+
+    if (this._useServer()) {
+      (this._serverCounts || []).forEach(({ rowValues, columnValue, count }) => {
+        if (count > 0) pivot.add(rowValues, columnValue, null, null, count);
+      });
+    } else {
+      const measure = this._measure();
+      this._records().forEach((model) => {
+        pivot.add(
+          rowDimensions.map((dimension) => this._read(model, dimension)),
+          columnDimension ? this._read(model, columnDimension) : undefined,
+          measure ? this._read(model, measure) : null,
+          model
+        );
+      });
+    }
+    this._pivot = pivot;
+    return pivot;
+  }
+
+  /**
+   * The aggregate for one cell: the row path (one value per row dimension,
+   * fewer for a subtotal, none for the grand total) and the column value
+   * (omit it for the row's total).
+   * @param {Array} rowValues
+   * @param {*} [columnValue]
+   * @returns {number|null}
+   */
+  getValue(rowValues = [], columnValue = undefined) {
+    const node = this.getPivot().find(rowValues);
+    if (!node) return this.aggregate === 'count' ? 0 : null;
+    const acc = columnValue === undefined ? node.total : node.cells.get(PivotAggregator.keyOf(columnValue));
+    return PivotAggregator.valueOf(acc, this.aggregate);
+  }
+
+  /**
+   * Whether the pivot covers only part of the matching records: a paged
+   * REST collection whose `meta.count` is more than it has loaded. The view
+   * then says so and labels its totals as totals of the loaded records.
+   * @returns {boolean}
+   */
+  isPartial() {
+    const collection = this.collection;
+    if (!collection || this._useServer() || collection.source) return false;
+    const count = Number(collection.meta?.count);
+    return Number.isFinite(count) && count > collection.models.length;
+  }
+
+  /** "Grand total", or "Total of loaded records" for a partial pivot @private */
+  _grandTotalLabel() {
+    return i18n.t(this.isPartial() ? 'pivot.loadedTotal' : 'pivot.grandTotal');
+  }
+
+  /**
+   * Records to aggregate: every record matching the collection's filters
+   * for a local-query collection, otherwise the loaded models.
+   * @private
+   */
+  _records() {
+    const collection = this.collection;
+    if (!collection) return [];
+    if (collection.source) {
+      const filters = collection.localFilters();
+      return collection.source.filter((model) => collection.matchesQuery(model, collection.params, filters));
+    }
+    return collection.models;
+  }
+
+  /** @private */
+  _read(model, field) {
+    if (field.accessor) return field.accessor(model);
+    return typeof model?.get === 'function' ? model.get(field.key) : model?.[field.key];
+  }
+
+  /**
+   * Count every combination of the layout's dimension values in one
+   * `_mode=count&_stats=…` request against the list endpoint, under the
+   * collection's current filters. The response is flat:
+   * `resp.data.{ count, stats }`. A server without the aggregation route
+   * (404, or a plain list page back) latches server mode off and the view
+   * aggregates the loaded records instead.
+   * @private
+   */
+  async _fetchServerCounts() {
+    const collection = this.collection;
+    if (!collection?.rest) return;
+    const plan = this._serverPlan();
+    if (!plan) {
+      this._fallBackToClient();
+      return;
+    }
+
+    const generation = ++this._serverGeneration;
+    this.loading = true;
+    this._serverError = null;
+    if (this.isMounted()) await this.render();
+
+    let response;
+    try {
+      response = await collection.rest.GET(collection.buildUrl(), {
+        ...this._baseParams(),
+        size: 1,
+        _mode: 'count',
+        _stats: JSON.stringify(plan.bundles)
+      });
+    } catch (error) {
+      response = { success: false, error: error.message };
+    }
+    if (generation !== this._serverGeneration) return;   // superseded
+    this.loading = false;
+
+    const body = response?.data;
+    if (response?.status === 404
+      || (response?.success !== false && (!body || typeof body.stats !== 'object' || !body.stats))) {
+      this._fallBackToClient();
+      return;
+    }
+    if (!response || response.success === false) {
+      this._serverCounts = null;
+      this._serverError = response?.error || i18n.t('pivot.loadFailed');
+    } else {
+      this._serverCounts = plan.entries.map((entry) => ({
+        ...entry,
+        count: Number(body.stats[entry.key]) || 0
+      }));
+    }
+    this._pivot = null;
+    if (this.isMounted()) await this.render();
+  }
+
+  /**
+   * One `_stats` bundle per combination of row and column values. Null
+   * (with a warning) when a dimension has no `values` or there are too
+   * many combinations.
+   * @private
+   */
+  _serverPlan() {
+    const dimensions = [...this.rows, ...(this.columns ? [this.columns] : [])].map((key) => this._dimension(key));
+    const missing = dimensions.find((dimension) => !dimension.options);
+    if (missing) {
+      this._warnServer(`dimension '${missing.key}' needs \`values\` to be counted on the server`);
+      return null;
+    }
+
+    let combos = [[]];
+    dimensions.forEach((dimension) => {
+      combos = combos.flatMap((combo) => dimension.options.map((option) => [...combo, option.value]));
+    });
+    if (combos.length > PivotView.SERVER_MAX_BUNDLES) {
+      this._warnServer(`${combos.length} cells is over the limit of ${PivotView.SERVER_MAX_BUNDLES}`);
+      return null;
+    }
+
+    const bundles = {};
+    const entries = combos.map((values, index) => {
+      const key = `c${index}`;
+      bundles[key] = values.reduce((params, value, i) => ({
+        ...params,
+        ...this._dimensionParams(dimensions[i], value)
+      }), {});
+      return {
+        key,
+        rowValues: values.slice(0, this.rows.length),
+        columnValue: this.columns ? values[this.rows.length] : undefined
+      };
+    });
+    return { bundles, entries };
+  }
+
+  /** @private */
+  _fallBackToClient() {
+    this._serverSupported = false;
+    this._serverCounts = null;
+    this.loading = false;
+    this._warnServer('the server has no aggregation route');
+    this._pivot = null;
+    const collection = this.collection;
+    if (collection?.restEnabled && !collection.lastFetchTime && !collection.isLocal()) {
+      collection.fetch();
+    } else if (this.isMounted()) {
+      this.render();
+    }
+  }
+
+  /** @private */
+  _warnServer(reason) {
+    if (this._serverWarned) return;
+    this._serverWarned = true;
+    console.warn(`PivotView: ${reason} — aggregating the loaded records instead.`);
+  }
+
+  /**
+   * The collection's filters, without paging and sort.
+   * @private
+   */
+  _baseParams() {
+    const params = { ...(this.collection?.params || {}) };
+    delete params.start;
+    delete params.size;
+    delete params.sort;
+    return params;
+  }
+
+  /**
+   * Filter params selecting one value of a dimension: the dimension's own
+   * `params(value)`, else `{ [field]: value }`, or `field__isnull` for the
+   * empty bucket.
+   * @private
+   */
+  _dimensionParams(dimension, value) {
+    if (dimension.params) return dimension.params(value);
+    if (PivotAggregator.keyOf(value) === '') return { [`${dimension.field}__isnull`]: true };
+    return { [dimension.field]: value };
+  }
+
+  // ============================================================
+  // Layout of the table
+  // ============================================================
+
+  /**
+   * Table rows in display order: data rows, a subtotal after each outer
+   * group, the grand total last.
+   * @returns {Array<{type: 'row'|'subtotal'|'total', node: object}>}
+   * @private
+   */
+  _layoutRows() {
+    const pivot = this.getPivot();
+    const depth = this.rows.length;
+    const rows = [];
+    const visit = (node) => {
+      this._sortedChildren(node).forEach((child) => {
+        if (child.depth === depth) {
+          rows.push({ type: 'row', node: child });
+          return;
+        }
+        visit(child);
+        if (this.subtotals) rows.push({ type: 'subtotal', node: child });
+      });
+    };
+    if (depth > 0) visit(pivot.root);
+    if ((this.totals || depth === 0) && pivot.root.total.count > 0) rows.push({ type: 'total', node: pivot.root });
+    return rows;
+  }
+
+  /**
+   * A node's children in the current sort. By label, a dimension's
+   * `values` order wins; by value, empty cells go last either way.
+   * @private
+   */
+  _sortedChildren(node) {
+    const dimension = this._dimension(this.rows[node.depth]);
+    const factor = this.sort.direction === 'desc' ? -1 : 1;
+    const byLabel = (a, b) => this._compareKeys(dimension, a.key, a.value, b.key, b.value);
+    const children = Array.from(node.children.values());
+    if (this.sort.by === 'label') return children.sort((a, b) => factor * byLabel(a, b));
+
+    const valueOf = (child) => PivotAggregator.valueOf(
+      this.sort.by === 'total' ? child.total : child.cells.get(this.sort.by),
+      this.aggregate
+    );
+    return children.sort((a, b) => {
+      const va = valueOf(a);
+      const vb = valueOf(b);
+      if (va === null || vb === null) return (va === null) - (vb === null) || byLabel(a, b);
+      return factor * (va - vb) || byLabel(a, b);
+    });
+  }
+
+  /** @private */
+  _compareKeys(dimension, keyA, valueA, keyB, valueB) {
+    if (keyA === '' || keyB === '') return (keyA === '') - (keyB === '');
+    if (dimension?.options) {
+      const index = (value) => {
+        const found = dimension.options.findIndex((option) => PivotAggregator.keyOf(option.value) === PivotAggregator.keyOf(value));
+        return found < 0 ? dimension.options.length : found;
+      };
+      const diff = index(valueA) - index(valueB);
+      if (diff) return diff;
+    }
+    if (typeof valueA === 'number' && typeof valueB === 'number') return valueA - valueB;
+    return this._label(dimension, valueA).localeCompare(this._label(dimension, valueB), undefined, { numeric: true });
+  }
+
+  /**
+   * Column keys in display order.
+   * @private
+   */
+  _layoutColumns() {
+    if (!this.columns) return [];
+    const dimension = this._dimension(this.columns);
+    const pivot = this.getPivot();
+    return Array.from(pivot.columns.keys()).sort((a, b) => (
+      this._compareKeys(dimension, a, pivot.columns.get(a), b, pivot.columns.get(b))
+    ));
+  }
+
+  /**
+   * Display label of a dimension value: its `values` label, else its
+   * `formatter` (a pipe string or a function), else the value itself.
+   * @private
+   */
+  _label(dimension, value) {
+    if (PivotAggregator.keyOf(value) === '') return i18n.t('pivot.empty');
+    const option = dimension?.options?.find((entry) => PivotAggregator.keyOf(entry.value) === PivotAggregator.keyOf(value));
+    if (option) return String(option.label);
+    if (typeof dimension?.formatter === 'function') return String(dimension.formatter(value));
+    if (typeof dimension?.formatter === 'string') return String(dataFormatter.pipe(value, dimension.formatter));
+    return String(value);
+  }
+
+  /** "Sum of Order total", or "Count" @private */
+  _valueLabel() {
+    const aggregate = i18n.t(`pivot.${this.aggregate}`);
+    const measure = this._measure();
+    if (this.aggregate === 'count' || !measure) return aggregate;
+    return i18n.t('pivot.measureOf', { aggregate, measure: measure.label });
+  }
+
+  /** @private */
+  _caption() {
+    const names = [...this.rows, ...(this.columns ? [this.columns] : [])].map((key) => this._dimension(key).label);
+    if (names.length === 0) return this._valueLabel();
+    return i18n.t('pivot.caption', { value: this._valueLabel(), dimensions: names.join(', ') });
+  }
+
+  /** @private */
+  _formatValue(value) {
+    if (value === null || value === undefined) return '—';
+    if (this.aggregate === 'count') return dataFormatter.number(value, 0);
+    const formatter = this._measure()?.formatter;
+    if (typeof formatter === 'function') return String(formatter(value));
+    if (typeof formatter === 'string') return String(dataFormatter.pipe(value, formatter));
+    return dataFormatter.number(value, Number.isInteger(value) ? 0 : 2);
+  }
+
+  /** The ancestors of a node, outermost first, excluding the root. @private */
+  _pathNodes(node) {
+    const nodes = [];
+    for (let current = node; current && current.parent; current = current.parent) nodes.unshift(current);
+    return nodes;
+  }
+
+  // ============================================================
+  // Templates
+  // ============================================================
+
+  /** @private */
+  _buildTemplate() {
+    return `
+      <div class="mojo-pivot">
+        ${this.showControls ? this._buildControlsHtml() : ''}
+        <div class="pivot-body"></div>
+      </div>
+    `;
+  }
+
+  /**
+   * Row / column / value pickers and the export button. Each select
+   * carries a `data-change-action`.
+   * @private
+   */
+  _buildControlsHtml() {
+    const esc = (text) => this.escapeHtml(String(text));
+    const option = (value, label, selected) => `<option value="${esc(value)}"${selected ? ' selected' : ''}>${esc(label)}</option>`;
+    const dimensionOptions = (selected, withNone) => (
+      (withNone ? option('', i18n.t('pivot.none'), !selected) : '')
+      + this.dimensions.map((dimension) => option(dimension.key, dimension.label, dimension.key === selected)).join('')
+    );
+    const field = (id, label, control) => `
+      <div class="pivot-control">
+        <label class="form-label small text-body-secondary mb-1" for="${id}">${esc(label)}</label>
+        ${control}
+      </div>`;
+
+    // One picker per row level, plus an empty "then by" while dimensions remain
+    const levels = Math.min(this.rows.length + 1, Math.max(1, this.dimensions.length - (this.columns ? 1 : 0)));
+    let html = '';
+    for (let level = 0; level < levels; level++) {
+      const id = `${this.id}-rows-${level}`;
+      html += field(id, level === 0 ? i18n.t('pivot.rows') : i18n.t('pivot.thenBy'), `
+        <select class="form-select form-select-sm" id="${id}" data-change-action="pivot-rows" data-level="${level}">
+          ${dimensionOptions(this.rows[level], level > 0 || this.rows.length === 0)}
+        </select>`);
+    }
+
+    html += field(`${this.id}-columns`, i18n.t('pivot.columns'), `
+      <select class="form-select form-select-sm" id="${this.id}-columns" data-change-action="pivot-columns">
+        ${dimensionOptions(this.columns, true)}
+      </select>`);
+
+    const server = this.source === 'server';
+    const aggregates = (server || this.measures.length === 0 ? ['count'] : PivotAggregator.AGGREGATES)
+      .map((aggregate) => option(aggregate, i18n.t(`pivot.${aggregate}`), aggregate === this.aggregate)).join('');
+    html += field(`${this.id}-aggregate`, i18n.t('pivot.value'), `
+      <select class="form-select form-select-sm" id="${this.id}-aggregate" data-change-action="pivot-aggregate"${server ? ` disabled title="${esc(i18n.t('pivot.countsOnly'))}"` : ''}>
+        ${aggregates}
+      </select>`);
+
+    if (this.aggregate !== 'count' && this.measures.length > 0) {
+      html += field(`${this.id}-measure`, i18n.t('pivot.of'), `
+        <select class="form-select form-select-sm" id="${this.id}-measure" data-change-action="pivot-measure">
+          ${this.measures.map((measure) => option(measure.key, measure.label, measure.key === this.measure)).join('')}
+        </select>`);
+    }
+
+    const exportButton = this.exportable
+      ? `<button type="button" class="btn btn-sm btn-outline-secondary ms-auto" data-action="pivot-export">
+          <i class="bi bi-download me-1"></i>${esc(i18n.t('pivot.export'))}
+        </button>`
+      : '';
+
+    return `<div class="pivot-toolbar d-flex flex-wrap align-items-end gap-2 mb-3">${html}${exportButton}</div>`;
+  }
+
+  /**
+   * The table itself. Built outside the Mustache template so record values
+   * are never read as template tags.
+   * @private
+   */
+  _buildBodyHtml() {
+    const esc = (text) => this.escapeHtml(String(text));
+    if (this.loading) {
+      return `<div class="d-flex justify-content-center py-5"><div class="spinner-border" role="status"><span class="visually-hidden">${esc(i18n.t('common.loading'))}</span></div></div>`;
+    }
+    if (this._serverError) {
+      return `<div class="alert alert-danger mb-0">${esc(this._serverError)}</div>`;
+    }
+
+    const rows = this._layoutRows();
+    const columns = this._layoutColumns();
+    this._displayRows = rows;
+    this._columnKeys = columns;
+    if (rows.length === 0) {
+      return `<div class="pivot-empty text-center text-muted py-5">${esc(i18n.t('pivot.noData'))}</div>`;
+    }
+
+    const pivot = this.getPivot();
+    const columnDimension = this.columns ? this._dimension(this.columns) : null;
+    const rowDimensions = this.rows.map((key) => this._dimension(key));
+    const drill = !!this.drillDownOptions;
+    const labelCount = Math.max(1, rowDimensions.length);
+
+    const sortHeader = (label, by, className = '') => {
+      const active = this.sort.by === by;
+      const ariaSort = active ? ` aria-sort="${this.sort.direction === 'desc' ? 'descending' : 'ascending'}"` : '';
+      const icon = active ? `<i class="bi bi-caret-${this.sort.direction === 'desc' ? 'down' : 'up'}-fill ms-1" aria-hidden="true"></i>` : '';
+      const index = by === 'label' || by === 'total' ? '' : ` data-column-index="${columns.indexOf(by)}"`;
+      const sortKey = by === 'label' || by === 'total' ? by : 'column';
+      return `<th scope="col" class="${className}"${ariaSort}>
+        <button type="button" class="btn btn-link p-0 pivot-sort" data-action="pivot-sort" data-sort="${sortKey}"${index} title="${esc(i18n.t('pivot.sortBy', { column: label }))}">${esc(label)}${icon}</button>
+      </th>`;
+    };
+
+    let head = '';
+    if (rowDimensions.length === 0) head += '<th scope="col"></th>';
+    rowDimensions.forEach((dimension) => { head += sortHeader(dimension.label, 'label'); });
+    columns.forEach((key) => { head += sortHeader(this._label(columnDimension, pivot.columns.get(key)), key, 'text-end'); });
+    if (!this.columns || this.totals) {
+      head += sortHeader(this.columns ? i18n.t('pivot.total') : this._valueLabel(), 'total', 'text-end pivot-total-column');
+    }
+
+    // A combination with no records is blank rather than a zero count
+    const valueCell = (acc, rowIndex, columnIndex, className = '') => {
+      const value = acc ? PivotAggregator.valueOf(acc, this.aggregate) : null;
+      const text = esc(this._formatValue(value));
+      const classes = `text-end pivot-value ${className}`.trim();
+      if (!drill || !acc || acc.count === 0) return `<td class="${classes}">${text}</td>`;
+      return `<td class="${classes}"><button type="button" class="btn btn-link p-0 pivot-drill" data-action="pivot-drill" data-row="${rowIndex}" data-column="${columnIndex}" aria-label="${esc(i18n.t('pivot.drillDown', { value: this._formatValue(value) }))}">${text}</button></td>`;
+    };
+
+    let body = '';
+    let previous = [];
+    rows.forEach((row, rowIndex) => {
+      const path = this._pathNodes(row.node);
+      let labels = '';
+      if (row.type === 'total') {
+        labels = `<th scope="row" colspan="${labelCount}">${esc(this._grandTotalLabel())}</th>`;
+      } else if (row.type === 'subtotal') {
+        path.slice(0, -1).forEach(() => { labels += '<td></td>'; });
+        const label = this._label(rowDimensions[path.length - 1], row.node.value);
+        labels += `<th scope="row" colspan="${labelCount - path.length + 1}">${esc(i18n.t('pivot.subtotal', { label }))}</th>`;
+      } else {
+        // Outer labels show once, on the first row of their group
+        path.forEach((node, depth) => {
+          const repeated = previous[depth] === node && path.slice(0, depth).every((ancestor, i) => previous[i] === ancestor);
+          const text = repeated ? '' : esc(this._label(rowDimensions[depth], node.value));
+          labels += depth === path.length - 1 ? `<th scope="row">${text}</th>` : `<td class="pivot-group-label">${text}</td>`;
+        });
+        previous = path;
+      }
+
+      let cells = '';
+      columns.forEach((key, columnIndex) => { cells += valueCell(row.node.cells.get(key), rowIndex, columnIndex); });
+      if (!this.columns || this.totals) cells += valueCell(row.node.total, rowIndex, -1, 'pivot-total-column');
+      body += `<tr class="pivot-row-${row.type}">${labels}${cells}</tr>`;
+    });
+
+    const partial = this.isPartial()
+      ? `<div class="alert alert-warning py-2 small pivot-partial" role="status">${esc(i18n.t('pivot.partial', {
+        loaded: this.collection.models.length,
+        count: this.collection.meta.count
+      }))}</div>`
+      : '';
+
+    return `
+      ${partial}
+      <div class="table-responsive">
+        <table class="table table-sm table-hover pivot-table mb-0">
+          <caption class="pivot-caption">${esc(this.title ? `${this.title} · ${this._caption()}` : this._caption())}</caption>
+          <thead><tr>${head}</tr></thead>
+          <tbody>${body}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  // ============================================================
+  // Toolbar and header actions
+  // ============================================================
+
+  async onChangePivotRows(event, element) {
+    const level = parseInt(element.getAttribute('data-level'), 10) || 0;
+    const rows = this.rows.slice(0, level);
+    if (element.value) rows.push(element.value, ...this.rows.slice(level + 1).filter((key) => key !== element.value));
+    await this.setLayout({ rows });
+  }
+
+  async onChangePivotColumns(event, element) {
+    await this.setLayout({ columns: element.value || null });
+  }
+
+  async onChangePivotAggregate(event, element) {
+    await this.setLayout({ aggregate: element.value });
+  }
+
+  async onChangePivotMeasure(event, element) {
+    await this.setLayout({ measure: element.value });
+  }
+
+  /**
+   * Sort by a header: row labels start ascending, numbers descending; the
+   * active header flips direction.
+   */
+  async onActionPivotSort(event, element) {
+    const kind = element.getAttribute('data-sort');
+    const by = kind === 'column'
+      ? this._columnKeys[parseInt(element.getAttribute('data-column-index'), 10)]
+      : kind;
+    if (by === undefined) return;
+    const direction = this.sort.by === by
+      ? (this.sort.direction === 'asc' ? 'desc' : 'asc')
+      : (by === 'label' ? 'asc' : 'desc');
+    await this.setLayout({ sort: { by, direction } });
+  }
+
+  async onActionPivotDrill(event, element) {
+    const cell = this.getCell(
+      parseInt(element.getAttribute('data-row'), 10),
+      parseInt(element.getAttribute('data-column'), 10)
+    );
+    if (cell) await this.openDrillDown(cell);
+  }
+
+  async onActionPivotExport(_event, _element) {
+    this.exportCsv();
+  }
+
+  // ============================================================
+  // Drill-down
+  // ============================================================
+
+  /**
+   * Describe a rendered cell: the dimension values it stands for, their
+   * filter params (on top of the collection's own filters), its value and —
+   * when aggregated in the browser — its records.
+   * @param {number} rowIndex - Index among the table's body rows
+   * @param {number} columnIndex - Index among the value columns; -1 for the total
+   * @returns {object|null} `{ label, row, column, params, value, records }`
+   */
+  getCell(rowIndex, columnIndex) {
+    const row = this._displayRows[rowIndex];
+    const columnKey = columnIndex >= 0 ? this._columnKeys[columnIndex] : null;
+    if (!row || columnKey === undefined) return null;
+
+    const pivot = this.getPivot();
+    const acc = columnKey === null ? row.node.total : row.node.cells.get(columnKey);
+    const rowParts = this._pathNodes(row.node).map((node, depth) => {
+      const dimension = this._dimension(this.rows[depth]);
+      return { key: dimension.key, value: node.value, label: this._label(dimension, node.value) };
+    });
+    let column = null;
+    if (columnKey !== null) {
+      const dimension = this._dimension(this.columns);
+      const value = pivot.columns.get(columnKey);
+      column = { key: dimension.key, value, label: this._label(dimension, value) };
+    }
+
+    const parts = [...rowParts, ...(column ? [column] : [])];
+    const params = { ...this._baseParams() };
+    parts.forEach((part) => Object.assign(params, this._dimensionParams(this._dimension(part.key), part.value)));
+    return {
+      label: parts.map((part) => `${this._dimension(part.key).label}: ${part.label}`).join(' · ') || this._grandTotalLabel(),
+      row: rowParts,
+      column,
+      params,
+      value: PivotAggregator.valueOf(acc, this.aggregate),
+      records: this._useServer() ? null : [...(acc?.records || [])]
+    };
+  }
+
+  /**
+   * Show the records behind a cell. Emits `pivot:drilldown` with the cell;
+   * a `drillDown` function then takes over, otherwise a TableView of the
+   * records opens in a modal.
+   * @param {object} cell - From `getCell()`
+   */
+  async openDrillDown(cell) {
+    if (!this.drillDownOptions) return;
+    this.emit('pivot:drilldown', cell);
+    if (typeof this.drillDownOptions === 'function') {
+      await this.drillDownOptions(cell);
+      return;
+    }
+    await Modal.show(this.createDrillDownView(cell), { title: cell.label, size: 'xl' });
+  }
+
+  /**
+   * The TableView a drill-down shows: the cell's records in a local
+   * collection, or — counted on the server — the list endpoint filtered by
+   * the cell's params. An object `drillDown` option is passed through;
+   * `columns` defaults to the dimensions and measures.
+   * @param {object} cell - From `getCell()`
+   * @returns {TableView}
+   */
+  createDrillDownView(cell) {
+    const { columns, ...tableOptions } = typeof this.drillDownOptions === 'object' ? this.drillDownOptions : {};
+    const source = this.collection;
+    const collection = cell.records
+      ? new Collection({ ModelClass: source.ModelClass, endpoint: source.endpoint, local: true, size: 25 }, cell.records)
+      : new Collection({ ModelClass: source.ModelClass, endpoint: source.endpoint, params: { ...cell.params, size: 25 } });
+
+    return new TableView({
+      collection,
+      columns: columns || this._defaultDrillColumns(),
+      filterable: false,
+      ...tableOptions
+    });
+  }
+
+  /** @private */
+  _defaultDrillColumns() {
+    const seen = new Set();
+    return [...this.dimensions, ...this.measures]
+      .filter((field) => !field.accessor && !seen.has(field.key) && seen.add(field.key))
+      .map((field) => ({
+        key: field.key,
+        label: field.label,
+        ...(typeof field.formatter === 'string' ? { formatter: field.formatter } : {})
+      }));
+  }
+
+  // ============================================================
+  // Export
+  // ============================================================
+
+  /**
+   * The pivot as CSV, laid out as shown: a header row, every row with its
+   * full labels (outer labels repeat, so the file sorts and filters
+   * cleanly), subtotals and the grand total. Numbers are unformatted.
+   * @returns {string}
+   */
+  toCSV() {
+    const escapeCell = (value) => {
+      const text = String(value ?? '');
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const pivot = this.getPivot();
+    const rows = this._layoutRows();
+    const columns = this._layoutColumns();
+    const rowDimensions = this.rows.map((key) => this._dimension(key));
+    const columnDimension = this.columns ? this._dimension(this.columns) : null;
+    const withTotal = !this.columns || this.totals;
+    const labelCount = Math.max(1, rowDimensions.length);
+
+    const header = [
+      ...(rowDimensions.length ? rowDimensions.map((dimension) => dimension.label) : ['']),
+      ...columns.map((key) => this._label(columnDimension, pivot.columns.get(key))),
+      ...(withTotal ? [this.columns ? i18n.t('pivot.total') : this._valueLabel()] : [])
+    ];
+    const lines = [header.map(escapeCell).join(',')];
+
+    rows.forEach((row) => {
+      const path = this._pathNodes(row.node);
+      const labels = new Array(labelCount).fill('');
+      if (row.type === 'total') {
+        labels[0] = this._grandTotalLabel();
+      } else {
+        path.forEach((node, depth) => { labels[depth] = this._label(rowDimensions[depth], node.value); });
+        if (row.type === 'subtotal') {
+          labels[path.length - 1] = i18n.t('pivot.subtotal', { label: labels[path.length - 1] });
+        }
+      }
+      const values = columns.map((key) => {
+        const acc = row.node.cells.get(key);
+        return acc ? PivotAggregator.valueOf(acc, this.aggregate) : null;
+      });
+      if (withTotal) values.push(PivotAggregator.valueOf(row.node.total, this.aggregate));
+      lines.push([...labels, ...values.map((value) => (value === null ? '' : value))].map(escapeCell).join(','));
+    });
+    return lines.join('\n');
+  }
+
+  /**
+   * Download `toCSV()` as `<title>-pivot-<date>.csv`. Emits `pivot:export`
+   * with `{ csv, filename }`.
+   */
+  exportCsv() {
+    const csv = this.toCSV();
+    const today = new Date().toISOString().slice(0, 10);
+    const slug = String(this.title || 'pivot').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'pivot';
+    const filename = `${slug === 'pivot' ? slug : `${slug}-pivot`}-${today}.csv`;
+    this.emit('pivot:export', { csv, filename });
+
+    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+
+  // ============================================================
+  // Cleanup
+  // ============================================================
+
+  async destroy() {
+    this._serverGeneration++;
+    if (this.collection) {
+      this.collection.off('reset', this._onCollectionChange, this);
+      this.collection.off('add', this._onCollectionChange, this);
+      this.collection.off('remove', this._onCollectionChange, this);
+    }
+    await super.destroy();
+  }
+}
+
+export default PivotView;
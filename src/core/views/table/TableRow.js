@@ -106,12 +106,26 @@ class TableRow extends ListViewItem {
     );
   }
 
+  /**
+   * Whether the TableView is in bulk edit mode — editable cells then render
+   * as inputs the TableView fills in (see its "Bulk editing" section).
+   */
+  _isBulkEditing() {
+    return !!this.tableView?.bulkEditing;
+  }
+
   /**
    * Build the row template with table cells
    */
   buildRowTemplate() {
     let template = '';
 
+    // Drag handle cell — leading column, opt-in via `reorderable` (see
+    // ListView "Reordering")
+    if (this.tableView?.reorderable && typeof this.tableView._reorderHandleHtml === 'function') {
+      template += `<td class="col-reorder">${this.tableView._reorderHandleHtml()}</td>`;
+    }
+
     // Expand chevron cell — first column, opt-in via TableView `rowExpand`.
     // `stopPropagation` in the handler keeps row actions / context menu from
     // firing when the chevron is clicked.
@@ -142,6 +156,7 @@ class TableRow extends ListViewItem {
     }
 
     // Data cells for each column
+    const bulkEditing = this._isBulkEditing();
     this.columns.forEach((column, columnIndex) => {
       const cellClass = column.class || column.className || '';
       const responsiveClasses = this.getResponsiveClasses(column.visibility);
@@ -150,13 +165,21 @@ class TableRow extends ListViewItem {
         ? this.tableView.getAlignClass(column.align)
         : '';
       const combinedClasses = [cellClass, responsiveClasses, editableClass, alignClass].filter(c => c).join(' ');
+
+      // Bulk edit: an empty cell the TableView fills with an input after
+      // render, so values never pass through the Mustache template
+      if (bulkEditing && column.editable) {
+        template += `<td class="${combinedClasses} bulk-cell" data-column="${column.key}"></td>`;
+        return;
+      }
+
       const cellContent = this.buildCellTemplate(column, columnIndex);
 
       // Determine cell action
       let cellAction = column.action;
       if (!cellAction && column.editable) {
         cellAction = 'edit-cell';
-      } else if (!cellAction && this.tableView.rowAction) {
+      } else if (!cellAction && this.tableView.rowAction && !bulkEditing) {
         cellAction = this.tableView.rowAction;
       }
 
@@ -452,6 +475,27 @@ class TableRow extends ListViewItem {
       const toggle = this.element.querySelector('.mojo-expand-toggle');
       if (toggle) toggle.setAttribute('aria-expanded', expanded ? 'true' : 'false');
     }
+
+    // Bulk edit inputs, dirty and error marks are owned by the TableView
+    if (this._isBulkEditing() && typeof this.tableView._decorateBulkRow === 'function') {
+      this.tableView._decorateBulkRow(this);
+    }
+
+    // Grid roles, aria-selected and the roving tab stop are owned by the
+    // TableView (see its "Keyboard navigation" section).
+    if (this.tableView && typeof this.tableView._decorateGridRow === 'function') {
+      this.tableView._decorateGridRow(this);
+    }
+    this._hadFocus = false;
+  }
+
+  /**
+   * Remember whether focus was inside this row, so a model-change re-render
+   * (which replaces the cells) can put it back.
+   */
+  async onBeforeRender() {
+    await super.onBeforeRender();
+    this._hadFocus = !!(this.element && this.element.contains(document.activeElement));
   }
 
   /**
@@ -493,23 +537,62 @@ class TableRow extends ListViewItem {
       return;
     }
 
-    // Emit row click event
-    this.emit('row:click', {
+    this.emitRowClick(element.getAttribute('data-column'), event);
+  }
+
+  /**
+   * Emit `row:click` on the row and its TableView. Shared by mouse clicks and
+   * Enter on a focused row, so both run the configured `clickAction`.
+   * @param {string|null} column - Key of the clicked column, if any
+   * @param {Event} event
+   */
+  emitRowClick(column, event) {
+    const payload = {
       row: this,
       model: this.model,
-      column: element.getAttribute('data-column'),
+      column,
       event: event
-    });
+    };
+
+    this.emit('row:click', payload);
 
     // Notify parent TableView
     if (this.tableView) {
-      this.tableView.emit('row:click', {
-        row: this,
-        model: this.model,
-        column: element.getAttribute('data-column'),
-        event: event
-      });
+      this.tableView.emit('row:click', payload);
+    }
+  }
+
+  /**
+   * Open this row's context menu dropdown (the keyboard path for the
+   * three-dots button) and focus its first enabled item.
+   * @returns {boolean} false when the row has no context menu
+   */
+  openContextMenu() {
+    const toggle = this.element?.querySelector('.dropdown [data-bs-toggle="dropdown"]');
+    if (!toggle) return false;
+
+    if (window.bootstrap?.Dropdown) {
+      window.bootstrap.Dropdown.getOrCreateInstance(toggle).show();
+    } else {
+      toggle.click();
+    }
+
+    const first = toggle.parentElement.querySelector('.dropdown-item:not(.disabled)');
+    (first || toggle).focus();
+    return true;
+  }
+
+  /**
+   * Shift-click on the checkbox extends the selection from the last
+   * toggled row; a plain click toggles and moves that anchor.
+   */
+  async onActionSelect(event, element) {
+    const table = this.tableView;
+    if (event.shiftKey && typeof table?._extendSelectionTo === 'function' && table._extendSelectionTo(this.model.id)) {
+      event.stopPropagation();
+      return;
     }
+    return super.onActionSelect(event, element);
   }
 
   /**
@@ -1005,6 +1088,7 @@ class TableRow extends ListViewItem {
   select() {
     super.select();
     this.addClass('selected');
+    if (this.element?.hasAttribute('aria-selected')) this.element.setAttribute('aria-selected', 'true');
 
     // Update checkbox visual state
     const selectCell = this.element?.querySelector('.mojo-select-cell');
@@ -1019,6 +1103,7 @@ class TableRow extends ListViewItem {
   deselect() {
     super.deselect();
     this.removeClass('selected');
+    if (this.element?.hasAttribute('aria-selected')) this.element.setAttribute('aria-selected', 'false');
 
     // Update checkbox visual state
     const selectCell = this.element?.querySelector('.mojo-select-cell');
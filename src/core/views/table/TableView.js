@@ -26,8 +26,11 @@
 
 import ListView from '../list/ListView.js';
 import TableRow from './TableRow.js';
+import BulkEditSession from './BulkEditSession.js';
+import Modal from '@core/views/feedback/Modal.js';
 import dataFormatter from '@core/utils/DataFormatter.js';
 import { parseFilterKey } from '@core/utils/DjangoLookups.js';
+import i18n from '@core/utils/I18n.js';
 
 class TableView extends ListView {
   constructor(options = {}) {
@@ -36,7 +39,6 @@ class TableView extends ListView {
       className: 'table-view-component',
       itemClass: options.itemClass || TableRow,
       selectionMode: options.selectable ? 'multiple' : 'none',
-      emptyMessage: options.emptyMessage || 'No data available',
       addButtonIcon: options.addButtonIcon || 'bi bi-plus-circle',
       ...options
     };
@@ -65,6 +67,36 @@ class TableView extends ListView {
     this.expandedRows = new Set();       // model ids currently expanded
     this.expandChildViews = new Map();   // model id -> child View instance
 
+    // Set while select-all or a Shift range walks many rows, so the batch
+    // panel updates once instead of per row.
+    this._bulkSelecting = false;
+
+    // -------- Keyboard navigation (on unless `keyboardNavigation: false`) --------
+    // The table is an ARIA grid with one roving tab stop: Tab lands on the
+    // current row (or cell), arrows move it, Enter runs `clickAction`, Space
+    // toggles selection and Shift extends it from `_selectionAnchor`.
+    // `_gridFocus` is `{ id, col }` — a model id plus a cell index, -1 for
+    // the row itself — so the position survives re-renders and recycling.
+    // Sort / filter / page changes are announced through a polite live
+    // region. See `docs/web-mojo/components/TableView.md` (Keyboard navigation).
+    this.keyboardNavigation = options.keyboardNavigation !== false;
+    this._gridFocus = null;
+    this._gridTabStop = null;          // element currently holding tabindex=0
+    this._gridHadFocus = false;
+    this._selectionAnchor = null;      // model id Shift ranges extend from
+    this._rangeSelection = [];         // ids the last Shift range selected
+    this._announceKind = null;
+    this._pendingAnnouncement = null;
+    if (this.keyboardNavigation) {
+      this._onGridKeydown = this._onGridKeydown.bind(this);
+      this._onGridFocusin = this._onGridFocusin.bind(this);
+      this.on('table:sort', () => { this._announceKind = 'sort'; });
+      this.on('list:sort', () => { this._announceKind = 'sort'; });
+      this.on('list:page', () => { this._announceKind = 'page'; });
+      this.on('list:pagesize', () => { this._announceKind = 'page'; });
+      this.on('params-changed', () => this._announceParamsChange());
+    }
+
     // -------- Column chooser (opt-in via `columnChooser`) — WM-035 --------
     // `columnChooser: true` adds an icon-only "Columns" toolbar dropdown whose
     // checkboxes show/hide columns. Visibility is VIEW STATE — `_hiddenColumns`
@@ -75,6 +107,36 @@ class TableView extends ListView {
     this.columnChooser = options.columnChooser === true;
     this._hiddenColumns = new Set();     // column keys hidden from the table
 
+    // -------- Bulk editing (opt-in via `bulkEdit`) --------
+    // `bulkEdit: true` (or `{ endpoint }`) adds a toolbar toggle that turns
+    // every `editable` cell into an input at once. Edits are held in a
+    // BulkEditSession rather than written to the models, so they can be
+    // pasted from a spreadsheet, filled down, highlighted while dirty, and
+    // then saved together or discarded. `_bulkRange` is the Shift-selected
+    // cell rectangle `{ anchor, focus, ids, keys }`. See
+    // `docs/web-mojo/components/TableView.md` (Bulk editing).
+    this.bulkEdit = this._normalizeBulkEdit(options.bulkEdit);
+    this.bulkEditing = false;
+    this._bulkSession = new BulkEditSession();
+    this._bulkAnchor = null;           // { id, key } a Shift range extends from
+    this._bulkRange = null;
+    this._bulkKeepAnchor = false;      // next focusin is part of a Shift range
+    this._bulkFocusValue = null;       // { id, key, value } when the input gained focus
+    this._bulkSaving = false;
+    if (this.bulkEdit) {
+      this._onBulkInput = this._onBulkInput.bind(this);
+      this._onBulkKeydown = this._onBulkKeydown.bind(this);
+      this._onBulkPaste = this._onBulkPaste.bind(this);
+      this._onBulkFocusin = this._onBulkFocusin.bind(this);
+      this._onBulkPointerDown = this._onBulkPointerDown.bind(this);
+      this.element.addEventListener('input', this._onBulkInput);
+      this.element.addEventListener('change', this._onBulkInput);
+      this.element.addEventListener('keydown', this._onBulkKeydown);
+      this.element.addEventListener('paste', this._onBulkPaste);
+      this.element.addEventListener('focusin', this._onBulkFocusin);
+      this.element.addEventListener('pointerdown', this._onBulkPointerDown);
+    }
+
     // Restore TableView's "default true" semantics for these toolbar flags.
     // ListView treats them as opt-in (default false). TableView preserves its
     // historical defaults so existing usage is unchanged.
@@ -149,7 +211,7 @@ class TableView extends ListView {
     // Search configuration. `searchPlacement` is resolved by ListView's
     // constructor (`_normalizeSearchPlacement`) — do NOT re-assign it here or
     // TableView would bypass the fail-safe fallback and its warning.
-    this.searchPlaceholder = options.searchPlaceholder || 'Search...';
+    this.searchPlaceholder = options.searchPlaceholder || null;
 
     // Initialize column configuration BEFORE building template
     this.initializeColumns();
@@ -168,6 +230,14 @@ class TableView extends ListView {
     this.setupCollectionListeners();
   }
 
+  get emptyMessage() {
+    return this._emptyMessage || i18n.t('table.empty');
+  }
+
+  set emptyMessage(value) {
+    this._emptyMessage = value;
+  }
+
   /**
    * Setup collection event listeners for totals updates
    */
@@ -254,7 +324,7 @@ class TableView extends ListView {
     if (this._hiddenColumns.size === 0) return;
     this.template = this.buildTableTemplate();
     this._templateCache = null;
-    if (this.itemViews.size > 0) this._buildItems();
+    if (this.itemViews.size > 0 || this._virtualRows.length > 0) this._buildItems();
   }
 
   /**
@@ -272,7 +342,8 @@ class TableView extends ListView {
    * Re-bake the table template (header/footer reflect the visible columns) and
    * rebuild the row views (TableRow re-generates its cells from the visible
    * column set), then re-render once. Returns the render promise so callers can
-   * await a settled DOM. Used after any visibility change.
+   * await a settled DOM. Used after any visibility change, and when bulk edit
+   * mode turns on or off.
    * @private
    */
   _rebuildForColumnChange() {
@@ -285,9 +356,13 @@ class TableView extends ListView {
     this._clearItems();
     if (this.collection && !this.collection.isEmpty()) {
       this.isEmpty = false;
-      this.collection.forEach((model, index) => this._createItemView(model, index));
-      this._applyPersistedSelections();
-      this._buildGroupHeaders();
+      if (this.virtual) {
+        this._buildVirtualRows();
+      } else {
+        this.collection.forEach((model, index) => this._createItemView(model, index));
+        this._applyPersistedSelections();
+        this._buildGroupHeaders();
+      }
     } else {
       this.isEmpty = true;
     }
@@ -608,8 +683,8 @@ class TableView extends ListView {
   }
 
   /**
-   * Colspan for the full-width detail row: chevron col (+1 when enabled) +
-   * selection col + data cols + actions col. Mirrors the group-header colspan
+   * Colspan for the full-width detail row: drag-handle and chevron cols
+   * (+1 each when enabled) + selection col + data cols + actions col. Mirrors the group-header colspan
    * math (see `_groupHeaderViewOptions`).
    */
   _getRowExpandColspan() {
@@ -617,7 +692,8 @@ class TableView extends ListView {
     const selectCol = this.isSelectable() ? 1 : 0;
     const actionsCol = (this.actions || this.contextMenu) ? 1 : 0;
     const expandCol = this.isRowExpandEnabled() ? 1 : 0;
-    return Math.max(1, expandCol + selectCol + dataCols + actionsCol);
+    const reorderCol = this.reorderable ? 1 : 0;
+    return Math.max(1, reorderCol + expandCol + selectCol + dataCols + actionsCol);
   }
 
   /**
@@ -733,8 +809,12 @@ class TableView extends ListView {
     if (!this.isRowExpandEnabled()) return;
 
     // Drop expanded ids whose row is gone (page change / filter refetch).
+    // Virtual rows outside the window have no view but are still present.
+    const isPresent = this.virtual
+      ? (id) => !!this.collection?.get(id)
+      : (id) => this.itemViews.has(id);
     Array.from(this.expandedRows).forEach((id) => {
-      if (!this.itemViews.has(id)) this._collapseRow(id);
+      if (!isPresent(id)) this._collapseRow(id);
     });
 
     if (this.expandedRows.size === 0) return;
@@ -748,6 +828,90 @@ class TableView extends ListView {
     await Promise.all(Array.from(this.expandedRows, (id) => this._renderExpandedRow(id)));
   }
 
+  // -------- Reordering hooks (see ListView "Reordering") --------
+
+  /**
+   * An open detail row moves with its data row.
+   * @protected
+   */
+  _reorderElements(itemView) {
+    const elements = super._reorderElements(itemView);
+    const detail = itemView.element.nextElementSibling;
+    if (detail?.classList.contains('mojo-detail-row')
+        && detail.getAttribute('data-detail-for') === String(itemView.model.id)) {
+      elements.push(detail);
+    }
+    return elements;
+  }
+
+  // -------- Virtual scrolling hooks (see ListView "Virtual scrolling") --------
+
+  /**
+   * The table container scrolls, so the header (made sticky in table.css)
+   * stays in view over the rows.
+   * @protected
+   */
+  _virtualViewportFor(itemsContainer) {
+    return itemsContainer.closest('.table-container') || super._virtualViewportFor(itemsContainer);
+  }
+
+  /** @protected */
+  _createVirtualSpacer() {
+    const spacer = document.createElement('tr');
+    spacer.className = 'list-virtual-spacer';
+    spacer.setAttribute('aria-hidden', 'true');
+    spacer.innerHTML = `<td colspan="${this._getRowExpandColspan()}"></td>`;
+    return spacer;
+  }
+
+  /**
+   * An open detail row belongs to its data row's slot in the window.
+   * @protected
+   */
+  _measureVirtualRow(row) {
+    const height = super._measureVirtualRow(row);
+    const detail = row.type === 'item' && this.expandedRows.has(row.model.id)
+      ? row.view?.element?.nextElementSibling
+      : null;
+    return detail?.classList.contains('mojo-detail-row') ? height + detail.offsetHeight : height;
+  }
+
+  /**
+   * Re-open the detail row of an expanded model scrolling back into view.
+   * @protected
+   */
+  async _onVirtualRowMounted(row) {
+    if (row.type === 'item' && this.expandedRows.has(row.model.id)) {
+      await this._renderExpandedRow(row.model.id);
+    }
+  }
+
+  /**
+   * Drop the detail row (and any View payload) of a row leaving the window.
+   * `expandedRows` keeps the id, so it re-opens on the way back.
+   * @protected
+   */
+  _onVirtualRowReleased(row) {
+    if (row.type !== 'item') return;
+    const id = row.model.id;
+    const detail = row.view?.element?.nextElementSibling;
+    if (detail?.classList.contains('mojo-detail-row')) detail.remove();
+    const child = this.expandChildViews.get(id);
+    if (child) {
+      this.removeChild(child);
+      this.expandChildViews.delete(id);
+    }
+  }
+
+  /**
+   * Keep the batch panel in step with selections made off-screen.
+   * @private
+   */
+  _setUnmountedSelection(modelId, selected) {
+    super._setUnmountedSelection(modelId, selected);
+    if (!this._bulkSelecting) this.updateBatchActionsPanel();
+  }
+
   /**
    * Scoped inline styles for the chevron cell + detail panel. Emitted only
    * when `rowExpand` is enabled so the opt-out path has zero markup/CSS delta.
@@ -816,11 +980,12 @@ class TableView extends ListView {
         ${this._rowFlashEnabled() ? this._buildRowFlashStyles() : ''}
         ${this.buildToolbarTemplate()}
         ${batchPanelTop}
+        ${this.bulkEdit ? this._buildBulkEditBar() : ''}
         <div class="table-container"${fontSize}>
           {{#loading}}
             ${this._loadingContent(`<div class="mojo-table-loading d-flex justify-content-center align-items-center py-5">
               <div class="spinner-border" role="status">
-                <span class="visually-hidden">Loading...</span>
+                <span class="visually-hidden">{{t "common.loading"}}</span>
               </div>
             </div>`)}
           {{/loading}}
@@ -842,6 +1007,7 @@ class TableView extends ListView {
         </div>
         ${batchPanelBottom}
         ${this.paginated ? this.buildPaginationTemplate() : ''}
+        ${this.keyboardNavigation ? '<div class="visually-hidden mojo-table-status" role="status" aria-live="polite" aria-atomic="true"></div>' : ''}
       </div>
     `;
   }
@@ -860,6 +1026,7 @@ class TableView extends ListView {
     const widths = ['w-90', 'w-75', 'w-60', 'w-40', 'w-25'];
 
     const lead =
+      (this.reorderable ? '<td class="col-reorder"></td>' : '') +
       (this.isRowExpandEnabled() ? '<td class="col-expand"></td>' : '') +
       (this.isSelectable() ? '<td></td>' : '');
     const trail = (this.actions || this.contextMenu)
@@ -927,6 +1094,10 @@ class TableView extends ListView {
       }
     }
 
+    if (this.bulkEdit) {
+      baseButtons += this._buildBulkEditButton();
+    }
+
     // Column chooser dropdown — icon-only, sits alongside Sort / Add Filter.
     if (this.columnChooser) {
       baseButtons += this._buildColumnChooserTemplate();
@@ -941,6 +1112,11 @@ class TableView extends ListView {
   buildTableHeaderTemplate() {
     let headerCells = '';
 
+    // Drag-handle header (empty, narrow) — leads every row when reorderable.
+    if (this.reorderable) {
+      headerCells += '<th class="col-reorder"></th>';
+    }
+
     // Expand chevron header (empty, narrow) — first column when enabled.
     if (this.isRowExpandEnabled()) {
       headerCells += '<th class="col-expand mojo-expand-cell"></th>';
@@ -1031,6 +1207,10 @@ class TableView extends ListView {
   buildTableFooterTemplate() {
     let footerCells = '';
 
+    if (this.reorderable) {
+      footerCells += '<td></td>';
+    }
+
     if (this.isRowExpandEnabled()) {
       footerCells += '<td></td>';
     }
@@ -1184,8 +1364,16 @@ class TableView extends ListView {
     // Batch-actions panel must update on every selection toggle —
     // augment the base select handlers (the parent already wired its
     // own _onItemSelect / _onItemDeselect; we add the panel update on top).
-    itemView.on('item:select', () => this.updateBatchActionsPanel());
-    itemView.on('item:deselect', () => this.updateBatchActionsPanel());
+    // A plain toggle also moves the Shift-range anchor; range and bulk
+    // selections update the panel once when they finish.
+    const onToggle = (event) => {
+      if (this._bulkSelecting) return;
+      this._selectionAnchor = event.model.id;
+      this._rangeSelection = [];
+      this.updateBatchActionsPanel();
+    };
+    itemView.on('item:select', onToggle);
+    itemView.on('item:deselect', onToggle);
 
     // Table-only inline cell editing events.
     itemView.on('cell:edit', this._onCellEdit.bind(this));
@@ -1203,6 +1391,9 @@ class TableView extends ListView {
   async onBeforeRender() {
     await super.onBeforeRender();
     this.footerTotals = this.calculateFooterTotals();
+    if (this.keyboardNavigation) {
+      this._gridHadFocus = !!this._gridBody()?.contains(document.activeElement);
+    }
   }
 
   /**
@@ -1215,6 +1406,17 @@ class TableView extends ListView {
     if (this.hasFooterTotals) this.updateFooterTotals();
     this.updateSortIcons();
     await this._renderExpandedRows();
+    if (this.bulkEdit) this._updateBulkBar();
+    if (this.keyboardNavigation) this._initGrid();
+  }
+
+  /**
+   * Bulk editing needs the toolbar for its toggle even when every other
+   * toolbar feature is off.
+   * @private
+   */
+  _isToolbarEnabled() {
+    return super._isToolbarEnabled() || !!this.bulkEdit;
   }
 
   // -------- Cell-editing events (table-only) --------
@@ -1227,15 +1429,16 @@ class TableView extends ListView {
   _onCellCancel(event) { this.emit('cell:cancel', event); }
 
   /**
-   * WM-034 — extend ListView's auto-refresh pause predicate with the two
-   * table-only cases: an in-progress inline cell edit (any TableRow with a
-   * non-empty `editingCells` set) or an open row context menu / dropdown
-   * (cheap `.dropdown-menu.show` DOM check). A silent refetch mid-edit would
+   * WM-034 — extend ListView's auto-refresh pause predicate with the
+   * table-only cases: bulk edit mode, an in-progress inline cell edit (any
+   * TableRow with a non-empty `editingCells` set) or an open row context
+   * menu / dropdown (cheap `.dropdown-menu.show` DOM check). A silent refetch mid-edit would
    * discard the editor; mid-menu it would close the menu under the user.
    * @protected
    */
   _autoRefreshShouldSkip() {
     if (super._autoRefreshShouldSkip()) return true;
+    if (this.bulkEditing) return true;
     for (const row of this.itemViews.values()) {
       if (row && row.editingCells && row.editingCells.size > 0) return true;
     }
@@ -1274,10 +1477,11 @@ class TableView extends ListView {
     const selectCol = this.isSelectable() ? 1 : 0;
     const actionsCol = (this.actions || this.contextMenu) ? 1 : 0;
     const expandCol = this.isRowExpandEnabled() ? 1 : 0;
+    const reorderCol = this.reorderable ? 1 : 0;
     return {
       tagName: 'tr',
       className: `list-group-header-row list-group-header-row--${this.groupHeaderStyle}`,
-      colspan: Math.max(1, expandCol + dataCols + selectCol + actionsCol)
+      colspan: Math.max(1, reorderCol + expandCol + dataCols + selectCol + actionsCol)
     };
   }
 
@@ -1404,6 +1608,11 @@ class TableView extends ListView {
    */
   destroy() {
     this.cleanupFullscreenListeners();
+    if (this._gridListening && this.element) {
+      this.element.removeEventListener('keydown', this._onGridKeydown);
+      this.element.removeEventListener('focusin', this._onGridFocusin);
+      this._gridListening = false;
+    }
     super.destroy();
   }
 
@@ -1475,7 +1684,7 @@ class TableView extends ListView {
         start: 0
       });
 
-      if (this.collection.restEnabled) {
+      if (this._fetchesParams()) {
         await this.collection.fetch();
       } else {
         if (newSort) {
@@ -1515,6 +1724,11 @@ class TableView extends ListView {
           const sortIcon = this.getSortIcon(isSorted ? currentSortDir : null);
           dropdown.innerHTML = sortIcon;
 
+          const header = dropdown.closest('th');
+          if (header) {
+            header.setAttribute('aria-sort', !isSorted ? 'none' : currentSortDir === 'desc' ? 'descending' : 'ascending');
+          }
+
           const dropdownMenu = dropdown.nextElementSibling;
           if (dropdownMenu) {
             const ascItem = dropdownMenu.querySelector(`[data-field="${fieldKey}"][data-direction="asc"]`);
@@ -1536,27 +1750,60 @@ class TableView extends ListView {
 
   async onActionSelectAll(event, _element) {
     event.stopPropagation();
-    const isCurrentlyAllSelected = this.itemViews.size > 0 &&
-      Array.from(this.itemViews.values()).every((item) => item.selected);
+    const isCurrentlyAllSelected = this._getSelectionState().all;
 
-    if (!isCurrentlyAllSelected) {
-      this.forEachItem((itemView) => {
-        if (!itemView.selected) itemView.select();
-      });
-    } else {
+    if (isCurrentlyAllSelected) {
       this.clearSelection();
+      this.updateBatchActionsPanel();
+    } else {
+      this.selectAll();
     }
+  }
 
-    const selectAllCell = this.element?.querySelector('.mojo-select-all-cell');
-    if (selectAllCell) selectAllCell.classList.toggle('selected', !isCurrentlyAllSelected);
-
+  /**
+   * Select every row — in a virtual table that includes rows outside the
+   * mounted window.
+   * @returns {TableView} this
+   */
+  selectAll() {
+    this._bulkSelecting = true;
+    try {
+      if (this.virtual) {
+        this.collection?.forEach((model) => this.selectItem(model.id));
+      } else {
+        this.forEachItem((itemView) => {
+          if (!itemView.selected) itemView.select();
+        });
+      }
+    } finally {
+      this._bulkSelecting = false;
+    }
     this.updateBatchActionsPanel();
+    return this;
+  }
+
+  /**
+   * Whether all / some rows are selected. Virtual tables answer from the
+   * selection state, since most rows have no view.
+   * @private
+   */
+  _getSelectionState() {
+    if (this.virtual) {
+      const models = this.collection?.models || [];
+      const some = models.some((model) => this.selectedItems.has(model.id));
+      return { all: some && models.every((model) => this.selectedItems.has(model.id)), some };
+    }
+    const items = Array.from(this.itemViews.values());
+    return {
+      all: items.length > 0 && items.every((item) => item.selected),
+      some: items.some((item) => item.selected)
+    };
   }
 
   updateBatchActionsPanel() {
     if (!this.batchActions || this.batchActions.length === 0) return;
 
-    const selectedCount = this.getSelectedItems().length;
+    const selectedCount = this.virtual ? this.selectedItems.size : this.getSelectedItems().length;
 
     if (this.batchBarLocation === 'top') {
       const panel = this.element?.querySelector('.batch-actions-panel-top');
@@ -1582,9 +1829,7 @@ class TableView extends ListView {
 
     const selectAllCell = this.element?.querySelector('.mojo-select-all-cell');
     if (selectAllCell) {
-      const allSelected = this.itemViews.size > 0 &&
-        Array.from(this.itemViews.values()).every((item) => item.selected);
-      const someSelected = Array.from(this.itemViews.values()).some((item) => item.selected);
+      const { all: allSelected, some: someSelected } = this._getSelectionState();
 
       selectAllCell.classList.toggle('selected', allSelected);
       selectAllCell.classList.toggle('indeterminate', !allSelected && someSelected);
@@ -1610,6 +1855,1295 @@ class TableView extends ListView {
     this.updateBatchActionsPanel();
   }
 
+  // ============================================================
+  // Bulk editing
+  //
+  // `bulkEdit` turns every `editable` cell of the table into an input at
+  // once. TableRow renders those cells empty (`td.bulk-cell`) and the
+  // TableView fills them after each row render, so pending values live in
+  // `_bulkSession`, not in the DOM, and survive re-renders and recycling.
+  // Nothing is written to a model until `saveBulkEdits()`.
+  //
+  //   Enter / Shift+Enter, ↑ / ↓   same column, next / previous row
+  //   Shift+↑ / Shift+↓, Shift+click   extend a cell range
+  //   Ctrl/Cmd+D                   fill down (range, or from the cell above)
+  //   Ctrl/Cmd+V                   paste tab-separated cells from the focused cell
+  //   Escape                       undo the edit made since the cell was focused
+  // ============================================================
+
+  /**
+   * `true` saves each row with its own `model.save()`; `{ endpoint }` POSTs
+   * all changed rows to one URL instead. `confirmDiscard: false` skips the
+   * "discard changes?" prompt.
+   * @private
+   */
+  _normalizeBulkEdit(raw) {
+    if (!raw) return null;
+    const config = raw === true ? {} : raw;
+    return {
+      endpoint: config.endpoint || null,
+      confirmDiscard: config.confirmDiscard !== false
+    };
+  }
+
+  /** @private */
+  _buildBulkEditButton() {
+    const label = this.escapeHtml(i18n.t('table.bulkEdit'));
+    return `
+      <button type="button" class="btn btn-sm btn-outline-secondary btn-bulk-edit${this.bulkEditing ? ' active' : ''}"
+              data-action="toggle-bulk-edit"
+              title="${label}" aria-label="${label}" aria-pressed="${this.bulkEditing}">
+        <i class="bi bi-pencil-square"></i>
+      </button>
+    `;
+  }
+
+  /**
+   * Summary + Save all / Discard / Done bar above the table, shown while
+   * bulk editing. Its counts are filled in by `_updateBulkBar()`.
+   * @private
+   */
+  _buildBulkEditBar() {
+    const t = (key) => this.escapeHtml(i18n.t(key));
+    return `
+      <div class="mojo-bulk-edit-bar alert alert-warning py-2 mb-3${this.bulkEditing ? '' : ' d-none'}" role="region" aria-label="${t('table.bulkEdit')}">
+        <div class="d-flex flex-wrap justify-content-between align-items-center gap-2">
+          <div>
+            <strong class="bulk-edit-summary"></strong>
+            <span class="bulk-edit-errors text-danger ms-2"></span>
+            <div class="small text-body-secondary">${t('table.bulkHint')}</div>
+          </div>
+          <div class="d-flex gap-2">
+            <button type="button" class="btn btn-sm btn-primary" data-action="bulk-save">${t('table.bulkSave')}</button>
+            <button type="button" class="btn btn-sm btn-outline-secondary" data-action="bulk-discard">${t('table.bulkDiscard')}</button>
+            <button type="button" class="btn btn-sm btn-outline-secondary" data-action="bulk-edit-done">${t('table.bulkDone')}</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /** @private */
+  _updateBulkBar() {
+    const bar = this.element?.querySelector('.mojo-bulk-edit-bar');
+    if (!bar) return;
+    const session = this._bulkSession;
+    const errors = session.errorIds().length;
+    bar.classList.toggle('d-none', !this.bulkEditing);
+    bar.querySelector('.bulk-edit-summary').textContent = i18n.t('table.bulkChanges', { count: session.cellCount });
+    bar.querySelector('.bulk-edit-errors').textContent = errors ? i18n.t('table.bulkErrors', { count: errors }) : '';
+    bar.querySelectorAll('[data-action="bulk-save"], [data-action="bulk-discard"]').forEach((button) => {
+      button.disabled = this._bulkSaving || session.cellCount === 0;
+    });
+    bar.querySelector('[data-action="bulk-edit-done"]').disabled = this._bulkSaving;
+  }
+
+  /**
+   * Switch every editable cell to an input. Emits `bulk:enter`.
+   * @returns {Promise<void>}
+   */
+  async enterBulkEdit() {
+    if (!this.bulkEdit || this.bulkEditing) return;
+    this.bulkEditing = true;
+    this._bulkAnchor = null;
+    this._bulkRange = null;
+    await this._rebuildForColumnChange();
+    this.emit('bulk:enter', { table: this });
+  }
+
+  /**
+   * Leave bulk edit mode. Unsaved changes are dropped — after a confirm,
+   * unless `discard: true` or `bulkEdit.confirmDiscard` is off. Emits
+   * `bulk:exit`.
+   * @param {object} [options]
+   * @param {boolean} [options.discard=false] - Drop unsaved changes without asking
+   * @returns {Promise<boolean>} false when the user kept editing
+   */
+  async exitBulkEdit({ discard = false } = {}) {
+    if (!this.bulkEditing) return true;
+    if (this._bulkSession.cellCount > 0) {
+      if (!discard && !(await this._confirmBulkDiscard())) return false;
+      this._bulkSession.clear();
+    }
+    this.bulkEditing = false;
+    this._bulkAnchor = null;
+    this._bulkRange = null;
+    this._bulkFocusValue = null;
+    await this._rebuildForColumnChange();
+    this.emit('bulk:exit', { table: this });
+    return true;
+  }
+
+  /** @private */
+  async _confirmBulkDiscard() {
+    if (!this.bulkEdit?.confirmDiscard) return true;
+    return Modal.confirm({
+      message: i18n.t('table.bulkConfirmDiscard', { count: this._bulkSession.cellCount }),
+      confirmText: i18n.t('table.bulkDiscard'),
+      confirmClass: 'btn-danger'
+    });
+  }
+
+  async onActionToggleBulkEdit(_event, _element) {
+    if (this.bulkEditing) await this.exitBulkEdit();
+    else await this.enterBulkEdit();
+  }
+
+  async onActionBulkSave(_event, _element) {
+    await this.saveBulkEdits();
+  }
+
+  async onActionBulkDiscard(_event, _element) {
+    if (this._bulkSession.cellCount === 0 || !(await this._confirmBulkDiscard())) return;
+    this.discardBulkEdits();
+  }
+
+  async onActionBulkEditDone(_event, _element) {
+    await this.exitBulkEdit();
+  }
+
+  /**
+   * Pending edits, one entry per dirty row.
+   * @returns {Array<{id: *, model: Model, changes: object, errors: object, error: string|null}>}
+   */
+  getBulkChanges() {
+    return Array.from(this._bulkSession.rows, ([id, row]) => ({
+      id,
+      model: row.model,
+      changes: Object.fromEntries(row.values),
+      errors: Object.fromEntries(row.fieldErrors),
+      error: row.error
+    }));
+  }
+
+  /**
+   * Set one cell's pending value, as if typed. Setting it back to the
+   * model's value clears the edit.
+   * @param {Model|string|number} modelOrId
+   * @param {string} key - Key of an editable column
+   * @param {*} value
+   * @returns {boolean} true when the cell is dirty afterwards
+   */
+  setBulkValue(modelOrId, key, value) {
+    const id = modelOrId && typeof modelOrId === 'object' ? modelOrId.id : modelOrId;
+    if (!this._bulkModel(id) || !this._bulkColumn(key)) return false;
+    const dirty = this._applyBulkValue(id, key, value);
+    this._bulkChanged([id]);
+    return dirty;
+  }
+
+  /**
+   * Drop every pending edit and error, repainting the inputs with the
+   * models' values. Emits `bulk:discard`. Does not ask first.
+   */
+  discardBulkEdits() {
+    const ids = Array.from(this._bulkSession.rows.keys());
+    this._bulkSession.clear();
+    this._setBulkRange(null);
+    this._bulkChanged(ids);
+    this.emit('bulk:discard', { ids });
+  }
+
+  /**
+   * Copy values down a column, like a spreadsheet's fill-down. With a cell
+   * range selected the top cell of each column is copied into the cells
+   * below it; otherwise the focused cell takes the value of the cell above.
+   * @returns {number} the number of cells filled
+   */
+  fillDown() {
+    if (!this.bulkEditing) return 0;
+    let ids;
+    let keys;
+    if (this._bulkRange?.ids.length > 1) {
+      ({ ids, keys } = this._bulkRange);
+    } else {
+      const here = this._bulkCellOf(document.activeElement);
+      const all = this._gridRowIds();
+      const index = here ? all.indexOf(here.id) : -1;
+      if (index < 1) return 0;
+      ids = [all[index - 1], here.id];
+      keys = [here.key];
+    }
+
+    let filled = 0;
+    keys.forEach((key) => {
+      const value = this._bulkValue(ids[0], key);
+      const error = this._bulkSession.fieldError(ids[0], key);
+      ids.slice(1).forEach((id) => {
+        this._applyBulkValue(id, key, value, error);
+        filled++;
+      });
+    });
+    this._bulkChanged(ids.slice(1));
+    this.announce(i18n.t('table.bulkFilled', { count: filled }));
+    return filled;
+  }
+
+  /**
+   * Paste tab-separated text, as a spreadsheet puts it on the clipboard,
+   * into the table. Values go into the visible columns from `start`
+   * rightwards and the rows from `start` downwards; those landing on
+   * read-only columns or past the last row are skipped. A single value
+   * with a cell range selected fills the whole range. Values are converted
+   * for their column (numbers, yes / no, option labels) and the ones that
+   * don't fit are marked invalid.
+   * @param {string} text
+   * @param {{id: *, key: string}} start - Top-left cell
+   * @returns {{pasted: number, skipped: number}}
+   */
+  pasteCells(text, start) {
+    const grid = BulkEditSession.parseTSV(text);
+    const range = this._bulkRange;
+    const result = { pasted: 0, skipped: 0 };
+    if (!this.bulkEditing || grid.length === 0) return result;
+
+    const touched = new Set();
+    if (range && grid.length === 1 && grid[0].length === 1) {
+      range.ids.forEach((id) => range.keys.forEach((key) => {
+        this._pasteBulkValue(id, key, grid[0][0]);
+        touched.add(id);
+        result.pasted++;
+      }));
+    } else {
+      const ids = this._gridRowIds();
+      const columns = this._getVisibleColumns();
+      const rowStart = ids.indexOf(start?.id);
+      const colStart = columns.findIndex((column) => column.key === start?.key);
+      if (rowStart < 0 || colStart < 0) return result;
+      grid.forEach((values, r) => values.forEach((raw, c) => {
+        const id = ids[rowStart + r];
+        const column = columns[colStart + c];
+        if (id === undefined || !column?.editable) {
+          result.skipped++;
+          return;
+        }
+        this._pasteBulkValue(id, column.key, raw);
+        touched.add(id);
+        result.pasted++;
+      }));
+    }
+
+    this._bulkChanged(Array.from(touched));
+    const skipped = result.skipped ? `, ${i18n.t('table.bulkSkipped', { count: result.skipped })}` : '';
+    this.announce(i18n.t('table.bulkPasted', { count: result.pasted }) + skipped);
+    return result;
+  }
+
+  /**
+   * Validate every dirty row, then save the valid ones: one
+   * `model.save(changes)` per row, or one `POST { rows: [{ id, ...changes }] }`
+   * to `bulkEdit.endpoint`. Saved rows leave the session; rows that fail
+   * validation or the save keep their edits, with the errors shown in
+   * their cells. Emits `bulk:save` and, when any row failed,
+   * `bulk:save:error`.
+   * @returns {Promise<{saved: Array, failed: Array}>} model ids
+   */
+  async saveBulkEdits() {
+    const session = this._bulkSession;
+    const result = { saved: [], failed: [] };
+    if (this._bulkSaving || session.rowCount === 0) return result;
+
+    this._bulkSaving = true;
+    this._updateBulkBar();
+    const ids = Array.from(session.rows.keys());
+    try {
+      const pending = [];
+      ids.forEach((id) => {
+        const errors = this._validateBulkRow(id);
+        session.setErrors(id, errors);
+        if (Object.keys(errors).length) result.failed.push(id);
+        else pending.push(id);
+      });
+
+      if (pending.length) {
+        const failures = this.bulkEdit.endpoint
+          ? await this._postBulkRows(pending)
+          : await this._saveBulkRowsEach(pending);
+        pending.forEach((id) => {
+          const failure = failures.get(id);
+          if (failure) {
+            session.setErrors(id, failure.fields, failure.error);
+            result.failed.push(id);
+          } else {
+            session.clear(id);
+            result.saved.push(id);
+          }
+        });
+      }
+    } finally {
+      this._bulkSaving = false;
+    }
+
+    this._bulkChanged(ids);
+    this.emit('bulk:save', result);
+    if (result.failed.length) {
+      this.emit('bulk:save:error', { failed: this.getBulkChanges() });
+      this.announce(i18n.t('table.bulkErrors', { count: result.failed.length }));
+    } else {
+      this.announce(i18n.t('table.bulkSaved', { count: result.saved.length }));
+    }
+    return result;
+  }
+
+  /**
+   * Field errors of one dirty row: values that don't fit their column, then
+   * each column's `editableOptions.validate(value, model)`, which returns an
+   * error message (or nothing when the value is fine).
+   * @private
+   */
+  _validateBulkRow(id) {
+    const row = this._bulkSession.rows.get(id);
+    const errors = {};
+    row.values.forEach((value, key) => {
+      const column = this._bulkColumn(key);
+      if (!column) return;
+      let message = this._checkBulkValue(column, value);
+      const validate = column.editableOptions?.validate;
+      if (!message && typeof validate === 'function') {
+        try {
+          message = validate(value, row.model) || null;
+        } catch (error) {
+          message = error.message;
+        }
+      }
+      if (message) errors[key] = String(message);
+    });
+    return errors;
+  }
+
+  /**
+   * Save each row with its own `model.save(changes)`, in parallel. These are
+   * separate requests, not a transaction: when some fail, the others are
+   * already saved. Only the failed rows stay in the session.
+   * @returns {Promise<Map>} id -> `{ fields, error }` for the rows that failed
+   * @private
+   */
+  async _saveBulkRowsEach(ids) {
+    const failures = new Map();
+    await Promise.all(ids.map(async (id) => {
+      const model = this._bulkModel(id);
+      const changes = this._bulkSession.changesFor(id);
+      try {
+        // `Model.save()` resolves on failure: `{success:false}` for transport
+        // errors, or a `{status:false}` body stored in `model.errors`
+        const resp = await model.save(changes);
+        const errors = model.errors && typeof model.errors === 'object' && Object.keys(model.errors).length > 0
+          ? model.errors
+          : null;
+        if (resp?.success === false || errors) {
+          failures.set(id, this._bulkErrorsFrom(errors || resp, changes));
+        }
+      } catch (error) {
+        failures.set(id, { fields: {}, error: error.message || i18n.t('table.bulkSaveFailed') });
+      }
+    }));
+    return failures;
+  }
+
+  /**
+   * POST every row to `bulkEdit.endpoint` in one request. The server answers
+   * `{ status: true, errors: { [id]: { error?, errors?: { field: msg } } },
+   * data: [rows] }`: rows without an entry in `errors` were saved, and any
+   * returned `data` rows are applied to their models. A failed request
+   * fails every row.
+   * @returns {Promise<Map>} id -> `{ fields, error }` for the rows that failed
+   * @private
+   */
+  async _postBulkRows(ids) {
+    const session = this._bulkSession;
+    const failures = new Map();
+    const rows = ids.map((id) => ({ id, ...session.changesFor(id) }));
+
+    let resp;
+    try {
+      if (!this.collection?.rest) throw new Error(i18n.t('table.bulkSaveFailed'));
+      resp = await this.collection.rest.POST(this.bulkEdit.endpoint, { rows });
+    } catch (error) {
+      resp = { success: false, error: error.message };
+    }
+
+    const body = resp?.data;
+    const rowErrors = body?.errors && typeof body.errors === 'object' ? body.errors : null;
+    if (!resp?.success || (!rowErrors && body?.status === false)) {
+      const error = body?.error || resp?.error || i18n.t('table.bulkSaveFailed');
+      ids.forEach((id) => failures.set(id, { fields: {}, error }));
+      this.getApp()?.toast?.error?.(error);
+      return failures;
+    }
+
+    const returned = new Map((Array.isArray(body?.data) ? body.data : []).map((row) => [String(row.id), row]));
+    ids.forEach((id) => {
+      const changes = session.changesFor(id);
+      if (rowErrors?.[id]) {
+        failures.set(id, this._bulkErrorsFrom(rowErrors[id], changes));
+        return;
+      }
+      this._bulkModel(id)?.set({ ...changes, ...(returned.get(String(id)) || {}) });
+    });
+    return failures;
+  }
+
+  /**
+   * Turn an error body into `{ fields, error }`. Field messages come from
+   * `body.errors` (or the body itself) for the keys that were changed;
+   * anything else becomes the row-level message.
+   * @private
+   */
+  _bulkErrorsFrom(body, changes) {
+    if (typeof body === 'string') return { fields: {}, error: body };
+    const source = body?.errors && typeof body.errors === 'object' ? body.errors : (body || {});
+    const fields = {};
+    Object.keys(changes).forEach((key) => {
+      const message = source[key];
+      if (typeof message === 'string') fields[key] = message;
+      else if (Array.isArray(message)) fields[key] = message.join(' ');
+    });
+    const error = body?.error || body?.message
+      || (Object.keys(fields).length ? null : i18n.t('table.bulkSaveFailed'));
+    return { fields, error };
+  }
+
+  /**
+   * Editable column by key, hidden or not: an edit made before its column
+   * was hidden is still validated and saved.
+   * @private
+   */
+  _bulkColumn(key) {
+    return this.columns.find((column) => column.key === key && column.editable) || null;
+  }
+
+  /** @private */
+  _bulkModel(id) {
+    return this.collection?.get(id) || this._bulkSession.rows.get(id)?.model || null;
+  }
+
+  /** Current value of a cell: its pending edit, else the model's. @private */
+  _bulkValue(id, key) {
+    if (this._bulkSession.has(id, key)) return this._bulkSession.get(id, key);
+    return this._bulkModel(id)?.get(key);
+  }
+
+  /**
+   * Record one cell's value in the session (no repaint). `error` marks it
+   * invalid; any earlier error of the cell is dropped.
+   * @private
+   */
+  _applyBulkValue(id, key, value, error = null) {
+    const model = this._bulkModel(id);
+    if (!model) return false;
+    const dirty = this._bulkSession.set(model, key, value);
+    this._bulkSession.clearFieldError(id, key);
+    if (dirty && error) this._bulkSession.setFieldError(id, key, error);
+    return dirty;
+  }
+
+  /** @private */
+  _pasteBulkValue(id, key, raw) {
+    const column = this._bulkColumn(key);
+    if (!column) return;
+    const value = this._coerceBulkValue(column, raw);
+    this._applyBulkValue(id, key, value, this._checkBulkValue(column, value));
+  }
+
+  /** @private */
+  _bulkOptions(column) {
+    return (column.editableOptions?.options || []).map((option) => (
+      option && typeof option === 'object'
+        ? { value: option.value, label: option.label ?? option.value }
+        : { value: option, label: option }
+    ));
+  }
+
+  /**
+   * Convert pasted text for a column: yes / no words for checkboxes, an
+   * option's value or label for selects, numbers for number inputs. Text
+   * that doesn't convert is kept as-is for `_checkBulkValue` to flag.
+   * @private
+   */
+  _coerceBulkValue(column, raw) {
+    const options = column.editableOptions || {};
+    const text = String(raw ?? '').trim();
+    if (options.type === 'checkbox' || options.type === 'switch') {
+      const word = text.toLowerCase();
+      if (['true', 'yes', 'y', '1', 'x', 'on'].includes(word)) return true;
+      if (['false', 'no', 'n', '0', '', 'off'].includes(word)) return false;
+      return text;
+    }
+    if (options.type === 'select') {
+      const lower = text.toLowerCase();
+      const match = this._bulkOptions(column).find((option) => String(option.value) === text)
+        || this._bulkOptions(column).find((option) => String(option.label).toLowerCase() === lower);
+      return match ? match.value : text;
+    }
+    if (options.inputType === 'number') {
+      if (text === '') return null;
+      const number = Number(text.replace(/,/g, ''));
+      return Number.isFinite(number) ? number : text;
+    }
+    return raw;
+  }
+
+  /**
+   * @returns {string|null} why a value doesn't fit its column's editor
+   * @private
+   */
+  _checkBulkValue(column, value) {
+    const options = column.editableOptions || {};
+    if (options.type === 'checkbox' || options.type === 'switch') {
+      return typeof value === 'boolean' ? null : i18n.t('table.bulkInvalidBoolean');
+    }
+    if (options.type === 'select') {
+      const known = this._bulkOptions(column).some((option) => BulkEditSession.same(option.value, value));
+      return known || value === null || value === undefined || value === '' ? null : i18n.t('table.bulkInvalidChoice');
+    }
+    if (options.inputType === 'number' && value !== null && value !== undefined && value !== '') {
+      return Number.isFinite(Number(value)) ? null : i18n.t('table.bulkInvalidNumber');
+    }
+    return null;
+  }
+
+  /**
+   * Repaint the given rows after their session state changed, refresh the
+   * bar and emit `bulk:change`.
+   * @private
+   */
+  _bulkChanged(ids) {
+    ids.forEach((id) => {
+      const row = this.itemViews.get(id);
+      if (row?.element) this._decorateBulkRow(row);
+    });
+    this._updateBulkBar();
+    this.emit('bulk:change', { cells: this._bulkSession.cellCount, rows: this._bulkSession.rowCount });
+  }
+
+  /**
+   * Fill a row's `td.bulk-cell`s with inputs and paint its dirty, error and
+   * range marks. Run by TableRow after every render in bulk mode, and after
+   * each change to the row's edits.
+   * @param {TableRow} row
+   */
+  _decorateBulkRow(row) {
+    const session = this._bulkSession;
+    const id = row.model.id;
+    const cells = Array.from(row.element.querySelectorAll(':scope > td.bulk-cell'));
+
+    cells.forEach((cell) => {
+      const key = cell.getAttribute('data-column');
+      const column = this._bulkColumn(key);
+      if (!column) return;
+      let input = cell.querySelector('.bulk-input');
+      if (!input) {
+        input = this._createBulkInput(column);
+        cell.appendChild(input);
+      }
+      this._writeBulkInput(input, this._bulkValue(id, key));
+
+      const dirty = session.has(id, key);
+      const error = session.fieldError(id, key);
+      cell.classList.toggle('bulk-cell-dirty', dirty);
+      cell.classList.toggle('bulk-cell-in-range', this._inBulkRange(id, key));
+      input.classList.toggle('is-invalid', !!error);
+      this._setBulkMessage(cell, 'bulk-cell-error', error, input);
+    });
+
+    const rowError = session.rows.get(id)?.error || null;
+    if (cells[0]) this._setBulkMessage(cells[0], 'bulk-row-error-message', rowError);
+    row.element.classList.toggle('bulk-row-dirty', session.rows.has(id));
+    row.element.classList.toggle('bulk-row-error', session.hasErrors(id));
+  }
+
+  /**
+   * Show, update or remove an inline message in a cell. With `input`, the
+   * input is described by it and marked invalid.
+   * @private
+   */
+  _setBulkMessage(cell, className, message, input = null) {
+    let note = cell.querySelector(`:scope > .${className}`);
+    if (!message) {
+      note?.remove();
+      if (input) {
+        input.removeAttribute('aria-invalid');
+        input.removeAttribute('aria-describedby');
+      }
+      return;
+    }
+    if (!note) {
+      note = document.createElement('div');
+      note.className = `${className} invalid-feedback d-block`;
+      note.id = `${this.id}-${className}-${Math.random().toString(36).slice(2, 9)}`;
+      cell.appendChild(note);
+    }
+    note.textContent = message;
+    if (input) {
+      input.setAttribute('aria-invalid', 'true');
+      input.setAttribute('aria-describedby', note.id);
+    }
+  }
+
+  /**
+   * The input for one editable column, after its inline editor
+   * (`editableOptions.type`: select, checkbox / switch, textarea, or an
+   * `<input type=inputType>`).
+   * @private
+   */
+  _createBulkInput(column) {
+    const options = column.editableOptions || {};
+    let input;
+    if (options.type === 'select') {
+      input = document.createElement('select');
+      input.className = 'form-select form-select-sm bulk-input';
+      this._bulkOptions(column).forEach(({ value, label }) => {
+        const option = document.createElement('option');
+        option.value = String(value ?? '');
+        option.textContent = String(label ?? '');
+        input.appendChild(option);
+      });
+    } else if (options.type === 'checkbox' || options.type === 'switch') {
+      input = document.createElement('input');
+      input.type = 'checkbox';
+      input.className = 'form-check-input bulk-input';
+    } else if (options.type === 'textarea') {
+      input = document.createElement('textarea');
+      input.rows = 1;
+      input.className = 'form-control form-control-sm bulk-input';
+    } else {
+      input = document.createElement('input');
+      input.type = options.inputType || 'text';
+      input.className = 'form-control form-control-sm bulk-input';
+    }
+    if (options.placeholder && input.type !== 'checkbox') input.placeholder = options.placeholder;
+    input.setAttribute('aria-label', column.label || column.title || column.key);
+    return input;
+  }
+
+  /**
+   * Show a value in an input. Only writes when it differs, so repainting
+   * the row being typed in keeps the caret where it is.
+   * @private
+   */
+  _writeBulkInput(input, value) {
+    if (input.type === 'checkbox') {
+      input.checked = value === true;
+      input.indeterminate = typeof value !== 'boolean' && value !== null && value !== undefined;
+      return;
+    }
+    const text = value === null || value === undefined ? '' : String(value);
+    if (input.tagName === 'SELECT' && !Array.from(input.options).some((option) => option.value === text)) {
+      // Keep a value that isn't one of the options visible (and flagged)
+      const option = document.createElement('option');
+      option.value = text;
+      option.textContent = text;
+      option.className = 'bulk-unknown-option';
+      input.appendChild(option);
+    }
+    if (input.value !== text) input.value = text;
+  }
+
+  /** @private */
+  _readBulkInput(input, column) {
+    if (input.type === 'checkbox') return input.checked;
+    if (input.tagName === 'SELECT') {
+      const match = this._bulkOptions(column).find((option) => String(option.value) === input.value);
+      return match ? match.value : input.value;
+    }
+    if (input.type === 'number') return input.value === '' ? null : Number(input.value);
+    return input.value;
+  }
+
+  /**
+   * `{ id, key }` of the bulk cell holding an element, or null.
+   * @private
+   */
+  _bulkCellOf(element) {
+    const cell = element?.closest?.('td.bulk-cell');
+    const row = cell ? this._gridRowFor(cell) : null;
+    return row ? { id: row.model.id, key: cell.getAttribute('data-column') } : null;
+  }
+
+  /**
+   * Focus a bulk cell's input, mounting the row first in a virtual table.
+   * @private
+   */
+  async _focusBulkCell(id, key) {
+    let row = this.itemViews.get(id);
+    if (this.virtual) row = (await this.scrollToItem(id)) || row;
+    const cell = Array.from(row?.element?.querySelectorAll(':scope > td.bulk-cell') || [])
+      .find((td) => td.getAttribute('data-column') === key);
+    const input = cell?.querySelector('.bulk-input');
+    if (!input) return;
+    input.focus();
+    if (input.tagName === 'INPUT' && input.type !== 'checkbox') input.select();
+  }
+
+  /**
+   * Select the rectangle between two cells (null clears it) and repaint.
+   * @private
+   */
+  _setBulkRange(anchor, focus) {
+    this._bulkRange = null;
+    if (anchor && focus && !(anchor.id === focus.id && anchor.key === focus.key)) {
+      const ids = this._gridRowIds();
+      const keys = this._getVisibleColumns().filter((column) => column.editable).map((column) => column.key);
+      const rows = [ids.indexOf(anchor.id), ids.indexOf(focus.id)].sort((a, b) => a - b);
+      const cols = [keys.indexOf(anchor.key), keys.indexOf(focus.key)].sort((a, b) => a - b);
+      if (rows[0] >= 0 && cols[0] >= 0) {
+        this._bulkRange = {
+          anchor,
+          focus,
+          ids: ids.slice(rows[0], rows[1] + 1),
+          keys: keys.slice(cols[0], cols[1] + 1)
+        };
+      }
+    }
+    this.itemViews.forEach((row) => {
+      row.element?.querySelectorAll(':scope > td.bulk-cell').forEach((cell) => {
+        cell.classList.toggle('bulk-cell-in-range', this._inBulkRange(row.model.id, cell.getAttribute('data-column')));
+      });
+    });
+  }
+
+  /** @private */
+  _inBulkRange(id, key) {
+    const range = this._bulkRange;
+    return !!range && range.ids.includes(id) && range.keys.includes(key);
+  }
+
+  /**
+   * Typing into a bulk input. Text fields report on `input`, checkboxes and
+   * selects on `change` (browsers fire both for them).
+   * @private
+   */
+  _onBulkInput(event) {
+    const input = event.target;
+    if (!this.bulkEditing || !input?.classList?.contains('bulk-input')) return;
+    const onChange = input.type === 'checkbox' || input.tagName === 'SELECT';
+    if ((event.type === 'change') !== onChange) return;
+    const here = this._bulkCellOf(input);
+    const column = here && this._bulkColumn(here.key);
+    if (!column) return;
+    this._applyBulkValue(here.id, here.key, this._readBulkInput(input, column));
+    this._bulkChanged([here.id]);
+  }
+
+  /** @private */
+  _onBulkFocusin(event) {
+    const here = this.bulkEditing && event.target?.classList?.contains('bulk-input')
+      ? this._bulkCellOf(event.target)
+      : null;
+    if (!here) return;
+    this._bulkFocusValue = { ...here, value: this._bulkValue(here.id, here.key) };
+    if (this._bulkKeepAnchor) {
+      this._bulkKeepAnchor = false;
+      return;
+    }
+    this._bulkAnchor = here;
+    if (this._bulkRange) this._setBulkRange(null);
+  }
+
+  /** Shift+click extends a cell range from the last focused cell. @private */
+  _onBulkPointerDown(event) {
+    if (!this.bulkEditing || !event.shiftKey || !this._bulkAnchor) return;
+    const here = this._bulkCellOf(event.target);
+    if (!here) return;
+    // The focusin this click causes must not reset the anchor
+    const cell = event.target.closest('td.bulk-cell');
+    this._bulkKeepAnchor = !cell.contains(document.activeElement);
+    this._setBulkRange(this._bulkAnchor, here);
+  }
+
+  /** @private */
+  async _onBulkKeydown(event) {
+    const input = event.target;
+    if (!this.bulkEditing || event.defaultPrevented || !input?.classList?.contains('bulk-input')) return;
+    const here = this._bulkCellOf(input);
+    if (!here) return;
+    const ctrl = event.ctrlKey || event.metaKey;
+    const textLike = input.tagName === 'INPUT';
+
+    let delta = 0;
+    if (event.key === 'Enter' && input.tagName !== 'TEXTAREA' && !ctrl) {
+      delta = event.shiftKey ? -1 : 1;
+    } else if ((event.key === 'ArrowDown' || event.key === 'ArrowUp') && textLike && !ctrl) {
+      delta = event.key === 'ArrowDown' ? 1 : -1;
+    }
+
+    if (delta) {
+      event.preventDefault();
+      const extend = event.shiftKey && event.key !== 'Enter';
+      const ids = this._gridRowIds();
+      const next = ids[ids.indexOf(here.id) + delta];
+      if (next === undefined) return;
+      if (extend) {
+        if (!this._bulkAnchor) this._bulkAnchor = here;
+        this._bulkKeepAnchor = true;
+      }
+      await this._focusBulkCell(next, here.key);
+      if (extend) this._setBulkRange(this._bulkAnchor, { id: next, key: here.key });
+      return;
+    }
+
+    if (ctrl && event.key.toLowerCase() === 'd') {
+      event.preventDefault();
+      this.fillDown();
+      return;
+    }
+
+    if (event.key === 'Escape') {
+      // Undo what was typed since focusing the cell; with nothing to undo,
+      // let the grid take focus back to the cell
+      const before = this._bulkFocusValue;
+      if (before && before.id === here.id && before.key === here.key
+        && !BulkEditSession.same(before.value, this._bulkValue(here.id, here.key))) {
+        event.preventDefault();
+        this.setBulkValue(here.id, here.key, before.value);
+      } else if (this._bulkRange) {
+        event.preventDefault();
+        this._setBulkRange(null);
+      }
+    }
+  }
+
+  /**
+   * A paste of several cells (or of one value over a selected range) is
+   * spread across the table; a plain single value goes into the input as
+   * usual.
+   * @private
+   */
+  _onBulkPaste(event) {
+    const input = event.target;
+    if (!this.bulkEditing || !input?.classList?.contains('bulk-input')) return;
+    const text = event.clipboardData?.getData('text/plain') ?? '';
+    const grid = BulkEditSession.parseTSV(text);
+    const multiCell = grid.length > 1 || grid[0]?.length > 1;
+    const range = this._bulkRange;
+    const here = this._bulkCellOf(input);
+    if (!here || (!multiCell && !range)) return;
+    event.preventDefault();
+    this.pasteCells(text, range ? { id: range.ids[0], key: range.keys[0] } : here);
+  }
+
+  // ============================================================
+  // Keyboard navigation & grid semantics
+  //
+  // The `<table>` is an ARIA grid with a single roving tab stop, tracked
+  // as `_gridFocus = { id, col }` (col -1 = the row itself). Listeners sit
+  // on the view element and only react to keys pressed on a row or cell of
+  // this table's own `<tbody>`, so nested tables in detail rows and inputs
+  // inside cells (inline editors, dropdown menus) are left alone.
+  //
+  //   ↑ / ↓, PageUp / PageDown   previous / next row (10 rows per page)
+  //   → / ←                      into / along / out of the row's cells
+  //   Home / End                 first / last cell (row: first / last row)
+  //   Ctrl+Home / Ctrl+End       first / last row
+  //   Enter                      click the cell (editor, action) or run clickAction
+  //   Space                      toggle selection; Shift extends a range
+  //   Shift+↑ / Shift+↓          move and extend the range
+  //   Ctrl/Cmd+A                 select all
+  //   Shift+F10 / ContextMenu    open the row's context menu
+  //   Escape                     back from a cell's control to the cell
+  //
+  // Left / right follow the reading direction in RTL.
+  // ============================================================
+
+  /** @private */
+  _gridBody() {
+    return this.element?.querySelector('tbody[data-container="items"]') || null;
+  }
+
+  /**
+   * Wire the key / focus listeners (once), then refresh grid attributes,
+   * the tab stop and any announcement queued during the render.
+   * @private
+   */
+  _initGrid() {
+    if (!this._gridListening && this.element) {
+      this.element.addEventListener('keydown', this._onGridKeydown);
+      this.element.addEventListener('focusin', this._onGridFocusin);
+      this._gridListening = true;
+    }
+    this._applyGridAttributes();
+    this._syncGridTabStop();
+
+    const region = this.element?.querySelector('.mojo-table-status');
+    if (region && this._pendingAnnouncement) {
+      region.textContent = this._pendingAnnouncement;
+      this._pendingAnnouncement = null;
+    }
+  }
+
+  /** @private */
+  _applyGridAttributes() {
+    const table = this._gridBody()?.closest('table');
+    if (!table) return;
+    table.setAttribute('role', 'grid');
+    if (this.title) table.setAttribute('aria-label', this.title);
+    if (this.selectionMode === 'multiple') table.setAttribute('aria-multiselectable', 'true');
+    // Most rows of a virtual table are not in the DOM; the header row is 1
+    if (this.virtual) table.setAttribute('aria-rowcount', String(this._virtualRows.length + 1));
+  }
+
+  /**
+   * Grid attributes for one row, run by TableRow after every render (rows
+   * re-render on their own when their model changes).
+   * @protected
+   */
+  _decorateGridRow(row) {
+    if (!this.keyboardNavigation || !row.element) return;
+    const element = row.element;
+
+    if (element !== this._gridTabStop) element.setAttribute('tabindex', '-1');
+    if (this.selectionMode !== 'none') element.setAttribute('aria-selected', row.selected ? 'true' : 'false');
+    if (this.virtual) {
+      const index = this._virtualWindow.indexOf(`item:${row.model.id}`);
+      if (index >= 0) element.setAttribute('aria-rowindex', String(index + 2));
+    }
+
+    if (this._gridFocus?.id === row.model.id) {
+      const target = this._gridTarget(row, this._gridFocus.col);
+      this._setGridTabStop(target);
+      if (row._hadFocus) target.focus({ preventScroll: true });
+    }
+  }
+
+  /** @private */
+  _gridCells(rowElement) {
+    return Array.from(rowElement.children).filter((cell) => cell.tagName === 'TD');
+  }
+
+  /**
+   * The element for a grid position: the row, or its `col`-th cell.
+   * @private
+   */
+  _gridTarget(row, col) {
+    const cells = col >= 0 ? this._gridCells(row.element) : [];
+    return cells.length ? cells[Math.min(col, cells.length - 1)] : row.element;
+  }
+
+  /** @private */
+  _setGridTabStop(target) {
+    if (this._gridTabStop && this._gridTabStop !== target) {
+      this._gridTabStop.setAttribute('tabindex', '-1');
+    }
+    target.setAttribute('tabindex', '0');
+    this._gridTabStop = target;
+  }
+
+  /**
+   * After a table render, put the tab stop back on the focused position
+   * (or the first row) and restore focus if the render took it away.
+   * @private
+   */
+  _syncGridTabStop() {
+    const body = this._gridBody();
+    if (!body) return;
+
+    const row = this._gridFocus ? this.itemViews.get(this._gridFocus.id) : null;
+    if (!row && this._gridFocus && !this.virtual) this._gridFocus = null;
+
+    const target = row?.element?.parentNode === body
+      ? this._gridTarget(row, this._gridFocus.col)
+      : body.querySelector(':scope > tr.table-row');
+    if (!target) return;
+
+    this._setGridTabStop(target);
+    if (this._gridHadFocus && !body.contains(document.activeElement)) {
+      target.focus({ preventScroll: true });
+    }
+    this._gridHadFocus = false;
+  }
+
+  /**
+   * Model ids of the data rows in display order (group headers, detail and
+   * spacer rows excluded). Virtual tables answer for unmounted rows too.
+   * @private
+   */
+  _gridRowIds() {
+    if (this.virtual) {
+      return this._virtualRows.filter((row) => row.type === 'item').map((row) => row.model.id);
+    }
+    const body = this._gridBody();
+    if (!body) return [];
+    const byElement = new Map();
+    this.itemViews.forEach((view, id) => byElement.set(view.element, id));
+    return Array.from(body.querySelectorAll(':scope > tr.table-row'))
+      .map((element) => byElement.get(element))
+      .filter((id) => id !== undefined);
+  }
+
+  /** @private */
+  _gridRowFor(element) {
+    const body = this._gridBody();
+    const rowElement = element?.closest?.('tr.table-row');
+    if (!body || !rowElement || rowElement.parentNode !== body) return null;
+    for (const view of this.itemViews.values()) {
+      if (view.element === rowElement) return view;
+    }
+    return null;
+  }
+
+  /**
+   * Track clicks and Tab into the grid so the keyboard carries on from
+   * there. Focus on a control inside a cell keeps the position Escape
+   * returns to, unless the control belongs to another row.
+   * @private
+   */
+  _onGridFocusin(event) {
+    const row = this._gridRowFor(event.target);
+    if (!row) return;
+
+    const target = event.target;
+    const cell = target === row.element ? null : target.closest('td');
+    const col = cell ? this._gridCells(row.element).indexOf(cell) : -1;
+    if (target === row.element || target === cell) {
+      this._gridFocus = { id: row.model.id, col };
+      this._setGridTabStop(target);
+    } else if (this._gridFocus?.id !== row.model.id) {
+      this._gridFocus = { id: row.model.id, col };
+    }
+  }
+
+  /**
+   * Move focus to a row (and optionally one of its cells), scrolling a
+   * virtual table to mount it first. Cells are counted from the row's
+   * first `<td>`, including the expand and selection cells.
+   * @param {Model|string|number} modelOrId
+   * @param {number} [col=-1] - Cell index; -1 focuses the row itself
+   * @returns {Promise<TableRow|null>} the focused row view
+   */
+  async focusRow(modelOrId, col = -1) {
+    const id = modelOrId && typeof modelOrId === 'object' ? modelOrId.id : modelOrId;
+    let row = this.itemViews.get(id);
+    if (this.virtual) row = (await this.scrollToItem(id)) || row;
+    if (!row?.element) return null;
+
+    const target = this._gridTarget(row, col);
+    this._gridFocus = { id, col: target === row.element ? -1 : this._gridCells(row.element).indexOf(target) };
+    this._setGridTabStop(target);
+    target.focus();
+    return row;
+  }
+
+  /** @private */
+  async _moveGridFocus(id, delta, col, extend) {
+    const ids = this._gridRowIds();
+    const index = ids.indexOf(id);
+    if (index < 0 || ids.length === 0) return;
+    const next = ids[Math.max(0, Math.min(ids.length - 1, index + delta))];
+    if (next === id) return;
+
+    if (extend && this._selectionAnchor == null) this._selectionAnchor = id;
+    await this.focusRow(next, col);
+    if (extend) this._extendSelectionTo(next);
+  }
+
+  /** @private */
+  async _onGridKeydown(event) {
+    if (event.defaultPrevented) return;
+    const row = this._gridRowFor(event.target);
+
+    if (event.key === 'Escape') {
+      // Back out of a control inside a cell (or an editor Escape just
+      // removed) to the cell itself
+      if (this._gridFocus && event.target !== this._gridTabStop && (row || !event.target.isConnected)) {
+        const current = this.itemViews.get(this._gridFocus.id);
+        if (current?.element?.isConnected) await this.focusRow(this._gridFocus.id, this._gridFocus.col);
+      }
+      return;
+    }
+
+    if (!row) return;
+    const cells = this._gridCells(row.element);
+    const col = event.target === row.element ? -1 : cells.indexOf(event.target);
+    // Keys typed into a control inside a cell belong to that control
+    if (event.target !== row.element && col < 0) return;
+
+    const id = row.model.id;
+    const rtl = i18n.isRTL(this.element);
+    const forward = rtl ? 'ArrowLeft' : 'ArrowRight';
+    const back = rtl ? 'ArrowRight' : 'ArrowLeft';
+    const ctrl = event.ctrlKey || event.metaKey;
+    const multiple = this.selectionMode === 'multiple';
+    // Whether the key is handled is settled before anything is awaited:
+    // preventDefault() after an await (a virtual row mounting) is too late
+    // to stop the container scrolling
+    let handled = true;
+    let move = null;
+
+    switch (event.key) {
+      case 'ArrowDown':
+      case 'ArrowUp':
+        move = () => this._moveGridFocus(id, event.key === 'ArrowDown' ? 1 : -1, col, event.shiftKey && multiple);
+        break;
+      case 'PageDown':
+      case 'PageUp':
+        move = () => this._moveGridFocus(id, event.key === 'PageDown' ? 10 : -10, col, false);
+        break;
+      case 'Home':
+      case 'End': {
+        const toEnd = event.key === 'End';
+        if (col >= 0 && !ctrl) {
+          move = () => this.focusRow(id, toEnd ? cells.length - 1 : 0);
+        } else {
+          const ids = this._gridRowIds();
+          move = () => this.focusRow(toEnd ? ids[ids.length - 1] : ids[0], col);
+        }
+        break;
+      }
+      case forward:
+        if (col < cells.length - 1) move = () => this.focusRow(id, col + 1);
+        break;
+      case back:
+        if (col >= 0) move = () => this.focusRow(id, col - 1);
+        break;
+      case 'Enter':
+        this._activateGridCell(row, col >= 0 ? cells[col] : null, event);
+        break;
+      case ' ':
+        if (this.selectionMode === 'none') {
+          handled = false;
+        } else if (!(event.shiftKey && this._extendSelectionTo(id))) {
+          if (row.selected) this.deselectItem(id);
+          else this.selectItem(id);
+        }
+        break;
+      case 'F10':
+        handled = event.shiftKey && row.openContextMenu();
+        break;
+      case 'ContextMenu':
+        handled = row.openContextMenu();
+        break;
+      case 'a':
+      case 'A':
+        handled = ctrl && multiple;
+        if (handled) this.selectAll();
+        break;
+      default:
+        handled = false;
+    }
+
+    if (handled) event.preventDefault();
+    if (move) await move();
+  }
+
+  /**
+   * Enter on a cell does what a click on it would (edit, expand, select,
+   * the column's action or the row click); a cell with several controls
+   * moves focus into the first one. Enter on the row runs `clickAction`.
+   * @private
+   */
+  _activateGridCell(row, cell, event) {
+    if (cell) {
+      const actions = cell.querySelectorAll('[data-action]');
+      const target = cell.hasAttribute('data-action') ? cell : (actions.length === 1 ? actions[0] : null);
+      if (target) {
+        target.click();
+        return;
+      }
+      const control = cell.querySelector('a[href], button:not([disabled]), input, select, textarea');
+      if (control) {
+        control.focus();
+        return;
+      }
+    }
+    row.emitRowClick(cell?.getAttribute('data-column') || null, event);
+  }
+
+  /**
+   * Select every row between two rows (inclusive, in display order) without
+   * touching the rest of the selection. Works on unmounted virtual rows.
+   * @param {string|number} fromId
+   * @param {string|number} toId
+   * @returns {Array} ids in the range, [] when either row is missing
+   */
+  selectRange(fromId, toId) {
+    const ids = this._gridRowIds();
+    const from = ids.indexOf(fromId);
+    const to = ids.indexOf(toId);
+    if (from < 0 || to < 0) return [];
+
+    const range = ids.slice(Math.min(from, to), Math.max(from, to) + 1);
+    this._bulkSelecting = true;
+    try {
+      range.forEach((id) => this.selectItem(id));
+    } finally {
+      this._bulkSelecting = false;
+    }
+    this.updateBatchActionsPanel();
+    return range;
+  }
+
+  /**
+   * Shift-extend: select anchor..id and drop rows the previous Shift range
+   * added that fall outside the new one. Returns false (and does nothing)
+   * without an anchor or outside multiple selection.
+   * @private
+   */
+  _extendSelectionTo(id) {
+    if (this.selectionMode !== 'multiple' || this._selectionAnchor == null) return false;
+
+    const previous = this._rangeSelection;
+    const ids = this._gridRowIds();
+    const from = ids.indexOf(this._selectionAnchor);
+    const to = ids.indexOf(id);
+    if (from < 0 || to < 0) return false;
+
+    const range = new Set(ids.slice(Math.min(from, to), Math.max(from, to) + 1));
+    this._bulkSelecting = true;
+    try {
+      previous.forEach((rowId) => {
+        if (!range.has(rowId)) this.deselectItem(rowId);
+      });
+    } finally {
+      this._bulkSelecting = false;
+    }
+    this._rangeSelection = this.selectRange(this._selectionAnchor, id);
+    return true;
+  }
+
+  /**
+   * Read a message out through the table's polite live region (instead of
+   * ListView's on-demand one). Messages sent mid-render are held until the
+   * new region is in the DOM.
+   * @param {string} message
+   */
+  announce(message) {
+    const region = this.element?.querySelector('.mojo-table-status');
+    if (!region || this.isRendering) {
+      this._pendingAnnouncement = message;
+      return;
+    }
+    region.textContent = message;
+  }
+
+  /**
+   * `params-changed` fires after every sort / page / filter / search change
+   * has loaded; the sort and page events just before it say which it was.
+   * @private
+   */
+  _announceParamsChange() {
+    const kind = this._announceKind;
+    this._announceKind = null;
+    if (!this.collection) return;
+
+    const total = this.collection.meta?.count || this.collection.length();
+    const results = i18n.t('table.results', { count: total });
+
+    if (kind === 'page') {
+      const size = this.collection.params?.size || 10;
+      const page = Math.floor((this.collection.params?.start || 0) / size) + 1;
+      this.announce(i18n.t('table.pageOf', { page, pages: Math.max(1, Math.ceil(total / size)) }));
+    } else if (kind === 'sort') {
+      const field = this.getSortBy();
+      const column = field && this.columns.find((c) => this.parseColumnKey(c.key).fieldKey === field);
+      const sorted = field
+        ? i18n.t('table.sortedBy', { column: column?.label || column?.title || field, direction: this.getSortDirection() })
+        : i18n.t('table.sortCleared');
+      this.announce(`${sorted}. ${results}`);
+    } else {
+      this.announce(results);
+    }
+  }
+
   // ============================================================
   // Lookup / parse helpers (kept for any external consumers that
   // imported them from TableView's namespace)
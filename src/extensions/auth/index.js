@@ -8,6 +8,7 @@
  */
 
 import './css/auth.css';
+import i18n from '@core/utils/I18n.js';
 
 /**
  * Create a minimal, framework-agnostic auth client using fetch.
@@ -240,35 +241,49 @@ export function mountAuth(container, options = {}) {
 
   // Basic UI template (no external framework; styles provided via imported CSS)
   const B = {
-    title: branding.title || 'Sign In',
-    subtitle: branding.subtitle || 'Sign in to your account',
+    title: branding.title || i18n.t('auth.title'),
+    subtitle: branding.subtitle || i18n.t('auth.subtitle'),
     logoUrl: branding.logoUrl || ''
   };
 
   const T = {
-    emailOrUsername: texts.emailOrUsername || 'Email or Username',
-    password: texts.password || 'Password',
-    signIn: texts.signIn || 'Sign In',
-    forgotPassword: texts.forgotPassword || 'Forgot password?',
-    resetYourPassword: texts.resetYourPassword || 'Reset Your Password',
-    emailAddress: texts.emailAddress || 'Email Address',
-    resetMethod: texts.resetMethod || 'Reset Method',
-    emailCode: texts.emailCode || 'Email me a code',
-    emailLink: texts.emailLink || 'Email me a magic link',
-    sendReset: texts.sendReset || 'Send Reset',
-    back: texts.back || 'Back',
-    enterResetCode: texts.enterResetCode || 'Enter Reset Code',
-    weSentCodeTo: texts.weSentCodeTo || 'We sent a code to',
-    resetCode: texts.resetCode || 'Reset Code',
-    newPassword: texts.newPassword || 'New Password',
-    confirmPassword: texts.confirmPassword || 'Confirm Password',
-    resetPassword: texts.resetPassword || 'Reset Password',
-    setYourNewPassword: texts.setYourNewPassword || 'Set Your New Password',
-    setPassword: texts.setPassword || 'Set Password',
-    invalidCredentials: texts.invalidCredentials || 'Invalid credentials.',
-    successRedirecting: texts.successRedirecting || 'Success! Redirecting...',
-    pleaseFillAllFields: texts.pleaseFillAllFields || 'Please fill in all fields.',
-    passwordsDoNotMatch: texts.passwordsDoNotMatch || 'Passwords do not match.',
+    emailOrUsername: texts.emailOrUsername || i18n.t('auth.emailOrUsername'),
+    password: texts.password || i18n.t('auth.password'),
+    signIn: texts.signIn || i18n.t('auth.signIn'),
+    forgotPassword: texts.forgotPassword || i18n.t('auth.forgotPassword'),
+    resetYourPassword: texts.resetYourPassword || i18n.t('auth.resetYourPassword'),
+    emailAddress: texts.emailAddress || i18n.t('auth.emailAddress'),
+    resetMethod: texts.resetMethod || i18n.t('auth.resetMethod'),
+    emailCode: texts.emailCode || i18n.t('auth.emailCode'),
+    emailLink: texts.emailLink || i18n.t('auth.emailLink'),
+    sendReset: texts.sendReset || i18n.t('auth.sendReset'),
+    back: texts.back || i18n.t('auth.back'),
+    enterResetCode: texts.enterResetCode || i18n.t('auth.enterResetCode'),
+    weSentCodeTo: texts.weSentCodeTo || i18n.t('auth.weSentCodeTo'),
+    resetCode: texts.resetCode || i18n.t('auth.resetCode'),
+    newPassword: texts.newPassword || i18n.t('auth.newPassword'),
+    confirmPassword: texts.confirmPassword || i18n.t('auth.confirmPassword'),
+    resetPassword: texts.resetPassword || i18n.t('auth.resetPassword'),
+    setYourNewPassword: texts.setYourNewPassword || i18n.t('auth.setYourNewPassword'),
+    setPassword: texts.setPassword || i18n.t('auth.setPassword'),
+    invalidCredentials: texts.invalidCredentials || i18n.t('auth.invalidCredentials'),
+    successRedirecting: texts.successRedirecting || i18n.t('auth.successRedirecting'),
+    pleaseFillAllFields: texts.pleaseFillAllFields || i18n.t('auth.pleaseFillAllFields'),
+    passwordsDoNotMatch: texts.passwordsDoNotMatch || i18n.t('auth.passwordsDoNotMatch'),
+    continueWithGoogle: texts.continueWithGoogle || i18n.t('auth.continueWithGoogle'),
+    signInWithPasskey: texts.signInWithPasskey || i18n.t('auth.signInWithPasskey'),
+    enterUsernameAndPassword: texts.enterUsernameAndPassword || i18n.t('auth.enterUsernameAndPassword'),
+    enterEmail: texts.enterEmail || i18n.t('auth.enterEmail'),
+    resetCodeSent: texts.resetCodeSent || i18n.t('auth.resetCodeSent'),
+    magicLinkSent: texts.magicLinkSent || i18n.t('auth.magicLinkSent'),
+    somethingWentWrong: texts.somethingWentWrong || i18n.t('auth.somethingWentWrong'),
+    sessionExpired: texts.sessionExpired || i18n.t('auth.sessionExpired'),
+    invalidCode: texts.invalidCode || i18n.t('auth.invalidCode'),
+    invalidLinkRequestNew: texts.invalidLinkRequestNew || i18n.t('auth.invalidLinkRequestNew'),
+    enterNewPassword: texts.enterNewPassword || i18n.t('auth.enterNewPassword'),
+    invalidLink: texts.invalidLink || i18n.t('auth.invalidLink'),
+    setNewPasswordPrompt: texts.setNewPasswordPrompt || i18n.t('auth.setNewPasswordPrompt'),
+    or: texts.or || i18n.t('common.or'),
   };
 
   const HTML = `
@@ -304,11 +319,11 @@ export function mountAuth(container, options = {}) {
             ${(providers && (providers.google || providers.passkey)) ? `
               <div class="position-relative my-3">
                 <hr class="text-muted" />
-                <span class="position-absolute top-50 start-50 translate-middle bg-white px-3 text-muted small">OR</span>
+                <span class="position-absolute top-50 start-50 translate-middle bg-white px-3 text-muted small">${T.or}</span>
               </div>
               <div class="d-grid gap-2">
-                ${providers.google ? `<button type="button" class="btn btn-outline-primary" id="btn-google"><i class="bi bi-google me-2"></i>Continue with Google</button>` : ''}
-                ${providers.passkey ? `<button type="button" class="btn btn-outline-secondary" id="btn-passkey"><i class="bi bi-fingerprint me-2"></i>Sign in with Passkey</button>` : ''}
+                ${providers.google ? `<button type="button" class="btn btn-outline-primary" id="btn-google"><i class="bi bi-google me-2"></i>${T.continueWithGoogle}</button>` : ''}
+                ${providers.passkey ? `<button type="button" class="btn btn-outline-secondary" id="btn-passkey"><i class="bi bi-fingerprint me-2"></i>${T.signInWithPasskey}</button>` : ''}
               </div>
             ` : ''}
           </form>
@@ -504,7 +519,7 @@ export function mountAuth(container, options = {}) {
     const password = els.inputs.signinPassword?.value;
 
     if (!username || !password) {
-      showMessage('Please enter both username and password.', 'danger');
+      showMessage(T.enterUsernameAndPassword, 'danger');
       return;
     }
 
@@ -527,7 +542,7 @@ export function mountAuth(container, options = {}) {
     const method = getResetMethod();
 
     if (!email) {
-      showMessage('Please enter your email address.', 'danger');
+      showMessage(T.enterEmail, 'danger');
       return;
     }
 
@@ -540,12 +555,12 @@ export function mountAuth(container, options = {}) {
         sessionStorage.setItem('reset_method', method);
         if (els.labels.resetEmailDisplay) els.labels.resetEmailDisplay.textContent = email;
         showView('resetCode');
-        showMessage('Reset code sent! Check your email.', 'success');
+        showMessage(T.resetCodeSent, 'success');
       } else {
-        showMessage('Magic link sent! Check your email and click the link.', 'success');
+        showMessage(T.magicLinkSent, 'success');
       }
     } catch (err) {
-      showMessage(auth.getErrorMessage(err) || 'Something went wrong. Please try again.', 'danger');
+      showMessage(auth.getErrorMessage(err) || T.somethingWentWrong, 'danger');
     } finally {
       setButtonLoading(els.buttons.forgot, false);
     }
@@ -561,7 +576,7 @@ export function mountAuth(container, options = {}) {
     const email = sessionStorage.getItem('reset_email');
 
     if (!email) {
-      showMessage('Session expired. Please restart the password reset process.', 'danger');
+      showMessage(T.sessionExpired, 'danger');
       showView('forgot');
       return;
     }
@@ -583,7 +598,7 @@ export function mountAuth(container, options = {}) {
       showMessage(T.successRedirecting, 'success');
       setTimeout(performRedirect, 350);
     } catch (err) {
-      showMessage(auth.getErrorMessage(err) || 'Invalid code or code expired.', 'danger');
+      showMessage(auth.getErrorMessage(err) || T.invalidCode, 'danger');
       setButtonLoading(els.buttons.resetCode, false);
     }
   }
@@ -597,12 +612,12 @@ export function mountAuth(container, options = {}) {
     const token = sessionStorage.getItem('login_token');
 
     if (!token) {
-      showMessage('Invalid or expired link. Please request a new one.', 'danger');
+      showMessage(T.invalidLinkRequestNew, 'danger');
       showView('forgot');
       return;
     }
     if (!newPassword) {
-      showMessage('Please enter a new password.', 'danger');
+      showMessage(T.enterNewPassword, 'danger');
       return;
     }
     if (newPassword !== confirmPassword) {
@@ -617,7 +632,7 @@ export function mountAuth(container, options = {}) {
       showMessage(T.successRedirecting, 'success');
       setTimeout(performRedirect, 350);
     } catch (err) {
-      showMessage(auth.getErrorMessage(err) || 'Invalid or expired link.', 'danger');
+      showMessage(auth.getErrorMessage(err) || T.invalidLink, 'danger');
       setButtonLoading(els.buttons.setPassword, false);
     }
   }
@@ -681,7 +696,7 @@ export function mountAuth(container, options = {}) {
       window.history.replaceState({}, '', newUrl);
 
       showView('setPassword');
-      showMessage('Please set your new password.', 'info');
+      showMessage(T.setNewPasswordPrompt, 'info');
       return;
     }
 
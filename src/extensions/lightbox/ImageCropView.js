@@ -162,8 +162,9 @@ export default class ImageCropView extends ImageCanvasView {
         </div>
         {{/showToolbar}}
 
-        <!-- Canvas Area -->
-        <div class="image-canvas-content flex-grow-1 position-relative d-flex justify-content-center align-items-center">
+        <!-- Canvas Area — crop handles live in image space, which never
+             mirrors; pin it LTR so an RTL page can't flip the layout -->
+        <div dir="ltr" class="image-canvas-content flex-grow-1 position-relative d-flex justify-content-center align-items-center">
           <canvas class="image-crop-canvas" data-container="canvas"></canvas>
 
           <!-- Loading Overlay -->
@@ -4,6 +4,7 @@
  */
 
 import View from '@core/View.js';
+import i18n from '@core/utils/I18n.js';
 
 export default class LightboxGallery extends View {
   constructor(options = {}) {
@@ -86,7 +87,7 @@ export default class LightboxGallery extends View {
                 style="z-index: 10001;"
                 title="Previous"
                 {{#isFirst}}disabled{{/isFirst}}>
-          <i class="bi bi-chevron-left"></i>
+          <i class="bi bi-chevron-left mojo-icon-dir"></i>
         </button>
 
         <button type="button" class="btn btn-light btn-lg position-absolute end-0 top-50 translate-middle-y me-4"
@@ -94,7 +95,7 @@ export default class LightboxGallery extends View {
                 style="z-index: 10001;"
                 title="Next"
                 {{#isLast}}disabled{{/isLast}}>
-          <i class="bi bi-chevron-right"></i>
+          <i class="bi bi-chevron-right mojo-icon-dir"></i>
         </button>
         {{/showNavigation}}
 
@@ -287,9 +288,14 @@ export default class LightboxGallery extends View {
     });
   }
 
-  // Keyboard navigation
+  // Keyboard navigation — arrows follow the reading direction, so in RTL
+  // ArrowLeft moves forward
   handleKeyboard(e) {
-    switch (e.key) {
+    let key = e.key;
+    if (i18n.isRTL(this.element) && (key === 'ArrowLeft' || key === 'ArrowRight')) {
+      key = key === 'ArrowLeft' ? 'ArrowRight' : 'ArrowLeft';
+    }
+    switch (key) {
       case 'Escape':
         e.preventDefault();
         this.close();
@@ -5,6 +5,7 @@
 
 import View from '@core/View.js';
 import ModalView from '@core/views/feedback/ModalView.js';
+import i18n from '@core/utils/I18n.js';
 
 export default class PDFViewer extends View {
   constructor(options = {}) {
@@ -67,10 +68,10 @@ export default class PDFViewer extends View {
             {{#allowNavigation}}
             <div class="btn-group me-2" role="group" aria-label="Navigation">
               <button type="button" class="btn btn-outline-secondary btn-sm" data-action="first-page" title="First Page">
-                <i class="bi bi-chevron-double-left"></i>
+                <i class="bi bi-chevron-double-left mojo-icon-dir"></i>
               </button>
               <button type="button" class="btn btn-outline-secondary btn-sm" data-action="prev-page" title="Previous Page">
-                <i class="bi bi-chevron-left"></i>
+                <i class="bi bi-chevron-left mojo-icon-dir"></i>
               </button>
               
               {{#showPageNumbers}}
@@ -81,10 +82,10 @@ export default class PDFViewer extends View {
               {{/showPageNumbers}}
               
               <button type="button" class="btn btn-outline-secondary btn-sm" data-action="next-page" title="Next Page">
-                <i class="bi bi-chevron-right"></i>
+                <i class="bi bi-chevron-right mojo-icon-dir"></i>
               </button>
               <button type="button" class="btn btn-outline-secondary btn-sm" data-action="last-page" title="Last Page">
-                <i class="bi bi-chevron-double-right"></i>
+                <i class="bi bi-chevron-double-right mojo-icon-dir"></i>
               </button>
             </div>
             {{/allowNavigation}}
@@ -509,7 +510,13 @@ if (this.pdfUrl) {
       return;
     }
 
-    switch (e.key) {
+    // Arrows follow the reading direction, matching the mirrored chevrons
+    let key = e.key;
+    if (i18n.isRTL(this.element) && (key === 'ArrowLeft' || key === 'ArrowRight')) {
+      key = key === 'ArrowLeft' ? 'ArrowRight' : 'ArrowLeft';
+    }
+
+    switch (key) {
       case 'ArrowLeft':
       case 'PageUp':
         e.preventDefault();
@@ -59,6 +59,7 @@ export { default as ModalView } from '@core/views/feedback/ModalView.js';
 // Selected views (curated for tree-shaking)
 export { default as TableView } from '@core/views/table/TableView.js';
 export { default as TableRow } from '@core/views/table/TableRow.js';
+export { default as PivotView } from '@core/views/table/PivotView.js';
 export { default as TablePage } from '@core/pages/TablePage.js';
 export { default as ListView } from '@core/views/list/ListView.js';
 export { default as ListViewItem } from '@core/views/list/ListViewItem.js';
@@ -90,8 +91,13 @@ export { default as ChatInputView } from '@core/views/chat/ChatInputView.js';
 export { default as FileUpload } from '@core/services/FileUpload.js';
 export { default as applyFileDropMixin } from '@core/mixins/FileDropMixin.js';
 export { default as TokenManager } from '@core/services/TokenManager.js';
+export { default as RestCache } from '@core/services/RestCache.js';
+export { default as OfflineQueue } from '@core/services/OfflineQueue.js';
+export { default as RestBatcher } from '@core/services/RestBatcher.js';
+export { default as modelStore, ModelStore } from '@core/services/ModelStore.js';
 export { default as ToastService } from '@core/services/ToastService.js';
 export { default as WebSocketClient } from '@core/services/WebSocketClient.js';
+export { default as realtimeSync, RealtimeSync } from '@core/services/RealtimeSync.js';
 export { default as EventDelegate } from '@core/mixins/EventDelegate.js';
 export { default as EventBus } from '@core/utils/EventBus.js';
 export { default as dataFormatter } from '@core/utils/DataFormatter.js';
@@ -99,7 +105,8 @@ export { default as MustacheFormatter } from '@core/utils/MustacheFormatter.js';
 export { default as MOJOUtils } from '@core/utils/MOJOUtils.js';
 export { default as ConsoleSilencer } from '@core/utils/ConsoleSilencer.js';
 export { installConsoleSilencer } from '@core/utils/ConsoleSilencer.js';
-export { default as DjangoLookups, parseFilterKey, formatFilterDisplay, LOOKUPS } from '@core/utils/DjangoLookups.js';
+export { default as DjangoLookups, parseFilterKey, formatFilterDisplay, matchesLookup, matchesFilters, LOOKUPS } from '@core/utils/DjangoLookups.js';
+export { default as i18n, I18n } from '@core/utils/I18n.js';
 
 // Additional views
 export { default as ProgressView } from '@core/views/feedback/ProgressView.js';
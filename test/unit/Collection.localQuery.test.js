@@ -0,0 +1,156 @@
+/**
+ * Collection local query mode — Django lookups evaluated in memory
+ *
+ * `local: true` collections answer fetch() from the records they hold, the
+ * way the API would:
+ *   - lookup filters (`__in`, `__gte`, `__icontains`, `__isnull`,
+ *     `__startswith`, …) over attributes, including dotted / `__` paths;
+ *   - `search`, `sort` (multi-key, `-` descending) and `start`/`size` paging
+ *     with `meta.count` set to the number of matches — no paging without an
+ *     explicit size;
+ *   - `preloaded` collections keep skipping fetch() once they hold data,
+ *     with every row kept (a non-paginated TableView mount included);
+ *   - fetchMore() appends the next page; add()/remove() keep the full
+ *     record set in sync across pages;
+ *   - where() accepts the same lookups;
+ *   - params the records have no field for, `group` and `serverParams`
+ *     are left to the API instead of emptying the page (TablePage side:
+ *     TablePage.localQuery.test.js);
+ *   - a TableView over a local collection sorts and searches through fetch().
+ */
+
+module.exports = async function (testContext) {
+  const { describe, it, expect } = testContext;
+  const { testHelpers, numberedRows, mountView } = require('../utils/test-helpers');
+  const { loadModule } = require('../utils/simple-module-loader');
+
+  await testHelpers.setup();
+
+  const Collection = loadModule('Collection');
+  const TableView = loadModule('TableView');
+  const DjangoLookups = loadModule('DjangoLookups');
+
+  const rows = () => ([
+    { id: 1, title: 'Disk full', status: 'open', priority: 3, owner: { name: 'Ann' }, closed: null, created: '2025-01-05' },
+    { id: 2, title: 'CPU spike', status: 'new', priority: 5, owner: { name: 'Bob' }, closed: null, created: '2025-01-20' },
+    { id: 3, title: 'disk latency', status: 'closed', priority: 1, owner: { name: 'Ann' }, closed: 1736899200, created: '2025-02-01' },
+    { id: 4, title: 'Memory leak', status: 'open', priority: 5, owner: null, closed: null, created: '2025-02-10' }
+  ]);
+
+  const ids = (collection) => collection.models.map((model) => model.id);
+
+  describe('Collection local query', () => {
+    it('evaluates Django lookups against values', () => {
+      const { matchesLookup, matchesFilters } = DjangoLookups;
+      expect(matchesLookup(5, 'gte', '5')).toBe(true);
+      expect(matchesLookup('open', 'in', 'new,open')).toBe(true);
+      expect(matchesLookup('open', 'not_in', ['open'])).toBe(false);
+      expect(matchesLookup('Disk full', 'icontains', 'DISK')).toBe(true);
+      expect(matchesLookup('Disk full', 'contains', 'disk')).toBe(false);
+      expect(matchesLookup('Disk full', 'istartswith', 'disk')).toBe(true);
+      expect(matchesLookup(null, 'isnull', 'true')).toBe(true);
+      expect(matchesLookup(true, 'exact', 'true')).toBe(true);
+      expect(matchesLookup(['a', 'b'], 'in', 'b,c')).toBe(true);
+      expect(matchesLookup(4, 'range', '2,4')).toBe(true);
+      expect(matchesLookup('2025-02-01', 'gt', 1735689600)).toBe(true);
+      expect(matchesFilters({ owner: { name: 'Ann' } }, { owner__name: 'Ann', owner__name__iexact: 'ann', title: '' })).toBe(true);
+    });
+
+    it('filters, sorts and pages on fetch()', async () => {
+      const tickets = new Collection({ local: true, data: rows(), size: 2 });
+      tickets.params.status__in = 'new,open';
+      tickets.params.sort = '-priority,title';
+
+      const response = await tickets.fetch();
+      expect(ids(tickets)).toEqual([2, 4]);
+      expect(tickets.meta.count).toBe(3);
+      expect(response.data.count).toBe(3);
+
+      await tickets.setParams({ ...tickets.params, start: 2 }, true);
+      expect(ids(tickets)).toEqual([1]);
+
+      tickets.params = { start: 0, size: 10, owner__name: 'Ann', closed__isnull: 'false' };
+      await tickets.fetch();
+      expect(ids(tickets)).toEqual([3]);
+
+      tickets.params = { start: 0, size: 10, title__startswith: 'disk', search: 'LAT' };
+      await tickets.fetch();
+      expect(ids(tickets)).toEqual([3]);
+
+      tickets.params = { size: 10, dr_field: 'created', dr_start: '2025-01-10', dr_end: '2025-02-01', sort: 'created' };
+      await tickets.fetch();
+      expect(ids(tickets)).toEqual([2, 3]);
+    });
+
+    it('keeps records off the current page in sync', async () => {
+      const tickets = new Collection({ local: true, data: rows(), size: 2 });
+      await tickets.fetch({ sort: 'id' });
+      expect(ids(tickets)).toEqual([1, 2]);
+      await tickets.fetchMore();
+      expect(ids(tickets)).toEqual([1, 2, 3, 4]);
+
+      tickets.remove(4);
+      tickets.add({ id: 5, title: 'New', status: 'open', priority: 9 });
+      tickets.add({ id: 3, title: 'Disk latency (merged)' });
+      await tickets.fetch({ sort: '-priority', start: 0, size: 10 });
+
+      expect(ids(tickets)).toEqual([5, 2, 1, 3]);
+      expect(tickets.get(3).get('title')).toBe('Disk latency (merged)');
+      expect(tickets.where({ priority__gte: 3, owner__name: 'Ann' }).map((m) => m.id)).toEqual([1]);
+    });
+
+    it('returns every match unless a size is set', async () => {
+      const many = numberedRows(25);
+      const collection = new Collection({ local: true, data: many });
+      await collection.fetch({ sort: '-id' });
+      expect(collection.length()).toBe(25);
+      expect(collection.meta.count).toBe(25);
+
+      await collection.fetch({ size: 10 });
+      expect(collection.length()).toBe(10);
+    });
+
+    it('keeps every preloaded row through fetch() and a non-paginated TableView', async () => {
+      const collection = new Collection({ endpoint: '/api/ticket', preloaded: true, data: numberedRows(25) });
+      collection.rest = { GET: jest.fn() };
+      await collection.fetch({ search: 'memory' });
+
+      expect(collection.rest.GET).not.toHaveBeenCalled();
+      expect(collection.isLocal()).toBe(false);
+      expect(collection.length()).toBe(25);
+
+      const table = new TableView({ collection, paginated: false, columns: [{ key: 'title', label: 'Title' }] });
+      await mountView(table);
+      expect(collection.length()).toBe(25);
+      expect(table.element.querySelectorAll('tbody tr[data-id]').length).toBe(25);
+    });
+
+    it('leaves server-only params to the API', async () => {
+      const collection = new Collection({ local: true, data: rows(), serverParams: ['tenant'] });
+      await collection.fetch({ status: 'open', group: 7, tenant: 'acme', include_archived: 1, flavor__in: 'a,b' });
+
+      expect(ids(collection)).toEqual([1, 4]);
+      expect(collection.localFilters({ status: 'open', owner__name: 'Ann', tenant: 'acme', nope: 1 }))
+        .toEqual({ status: 'open', owner__name: 'Ann' });
+    });
+
+    it('drives TableView search and sort through fetch()', async () => {
+      const collection = new Collection({ local: true, data: rows(), size: 3 });
+      const table = new TableView({
+        collection,
+        columns: [{ key: 'title', label: 'Title', sortable: true }, { key: 'priority', label: 'Priority', sortable: true }]
+      });
+      await table.onInit();
+      expect(ids(collection)).toEqual([1, 2, 3]);
+
+      const header = { 'data-field': 'priority', 'data-direction': 'asc' };
+      await table.onActionSort({ preventDefault() {} }, { getAttribute: (name) => header[name] });
+      expect(collection.params.sort).toBe('priority');
+      expect(ids(collection)).toEqual([3, 1, 2]);
+
+      await table.onActionApplySearch(null, { value: 'disk' });
+      expect(ids(collection)).toEqual([3, 1]);
+      expect(collection.meta.count).toBe(2);
+    });
+  });
+};
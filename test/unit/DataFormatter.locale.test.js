@@ -0,0 +1,104 @@
+/**
+ * DataFormatter — locale and time zone aware formatting
+ *
+ * Covers:
+ *   - no configured locale keeps the en-US output
+ *   - app-level locale / timeZone / currency via configure()
+ *   - per-call overrides (`|currency:'EUR':'de-DE'`, `|date:'long':'fr-FR'`)
+ *   - Intl relative time, list and unit formatting
+ *   - `locale: 'auto'` follows the i18n locale
+ */
+
+module.exports = async function (testContext) {
+  const { describe, it, expect } = testContext;
+  const { testHelpers } = require('../utils/test-helpers');
+  const { loadModule } = require('../utils/simple-module-loader');
+
+  await testHelpers.setup();
+
+  const dataFormatter = loadModule('dataFormatter');
+  const i18n = loadModule('i18n');
+  const DataFormatter = dataFormatter.constructor;
+
+  // 13:05:09 UTC = 14:05:09 in Berlin (CET)
+  const when = new Date(Date.UTC(2024, 0, 15, 13, 5, 9));
+  const DAY = 24 * 60 * 60 * 1000;
+
+  describe('DataFormatter locale defaults', () => {
+    it('keeps en-US output when no locale is configured', () => {
+      const f = new DataFormatter();
+      expect(f.currency(123456)).toBe('$1,234.56');
+      expect(f.compact(1234)).toBe('1.2K');
+      expect(f.ordinal(22)).toBe('22nd');
+      expect(f.relative(Date.now() - DAY)).toBe('yesterday');
+      expect(f.formatList(['a', 'b', 'c'])).toBe('a, b, and c');
+    });
+
+    it('keeps the legacy fallback for values that are not dates', () => {
+      const f = new DataFormatter().configure({ locale: 'de-DE', timeZone: 'UTC' });
+      const invalid = new Date('nope');
+      expect(f.date(invalid)).toBe('Invalid Date');
+      expect(f.date(invalid, 'YYYY-MM-DD')).toBe('Invalid Date');
+      expect(f.time(invalid)).toBe('Invalid Date');
+      expect(f.datetime(invalid)).toBe('Invalid Date');
+      expect(f.datetime(invalid, 'YYYY-MM-DD', 'HH:mm')).toBe('Invalid Date Invalid Date');
+      expect(f.date('pending')).toBe('');
+      expect(f.pipe('n/a', 'time')).toBe('');
+    });
+
+    it('formats numbers, currency and sizes in the configured locale', () => {
+      const f = new DataFormatter().configure({ locale: 'de-DE', currency: 'EUR' });
+      expect(f.number(1234.5)).toBe('1.234,50');
+      expect(f.currency(123456)).toMatch(/^1\.234,56\s€$/);
+      expect(f.currency(123456, '£')).toBe('£1.234,56');
+      expect(f.percent(0.1234, 1)).toMatch(/^12,3\s%$/);
+      expect(f.compact(1234567)).toMatch(/^1,2\sMio\.$/);
+      expect(f.ordinal(3)).toBe('3.');
+      expect(f.filesize(1500000)).toMatch(/^1,5\sMB$/);
+      expect(f.filesize(1048576, true)).toBe('1,0 MiB');
+    });
+
+    it('formats dates and times in the configured locale and zone', () => {
+      const f = new DataFormatter().configure({ locale: 'de-DE', timeZone: 'Europe/Berlin' });
+      expect(f.date(when)).toBe('15.01.24');
+      expect(f.date(when, 'long')).toBe('15. Januar 2024');
+      expect(f.date(when, 'dddd, D. MMMM YYYY')).toBe('Montag, 15. Januar 2024');
+      expect(f.time(when)).toBe('14:05');
+      expect(f.time(when, 'HH:mm:ss')).toBe('14:05:09');
+      expect(f.datetime(when)).toBe('15.01.24, 14:05');
+      // Calendar dates are never shifted into another zone
+      expect(f.date('2024-01-15', 'YYYY-MM-DD', null, 'Pacific/Honolulu')).toBe('2024-01-15');
+    });
+
+    it('uses Intl phrasing for relative times and lists', () => {
+      const f = new DataFormatter().configure({ locale: 'de' });
+      expect(f.relative(Date.now() - DAY)).toBe('gestern');
+      expect(f.relative(Date.now() - 3 * DAY)).toBe('vor 3 Tagen');
+      expect(f.relative(Date.now())).toBe('jetzt');
+      expect(f.formatList(['a', 'b', 'c'])).toBe('a, b und c');
+      expect(f.formatList(['a', 'b'], 'or')).toBe('a oder b');
+      expect(f.formatList(['a', 'b', 'c', 'd'], { limit: 2 })).toBe('a, b und 2 others');
+    });
+  });
+
+  describe('DataFormatter per-call overrides', () => {
+    it('accepts a currency code and locale in pipes', () => {
+      const f = new DataFormatter();
+      expect(f.pipe(123456, "currency:'EUR':'de-DE'")).toMatch(/^1\.234,56\s€$/);
+      expect(f.pipe(123456, "currency:'USD'")).toBe('$1,234.56');
+      expect(f.pipe(500, "currency:'JPY':'en-US'")).toBe('¥500');
+      expect(f.pipe(when, "date:'long':'fr-FR':'UTC'")).toBe('15 janvier 2024');
+      expect(f.pipe(1, "ordinal:false:'fr'")).toBe('1er');
+      expect(f.pipe(50, "unit:'kilometer-per-hour'")).toBe('50 km/h');
+      expect(f.pipe(3, "unit:'widget'")).toBe('3 widget');
+    });
+
+    it('follows the i18n locale when set to auto', async () => {
+      const f = new DataFormatter().configure({ locale: 'auto' });
+      expect(f.number(1234.5, 1)).toBe('1,234.5');
+      await i18n.setLocale('de');
+      expect(f.number(1234.5, 1)).toBe('1.234,5');
+      await i18n.setLocale('en');
+    });
+  });
+};
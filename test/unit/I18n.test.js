@@ -0,0 +1,133 @@
+/**
+ * I18n — catalogs, ICU formatting, template helpers and locale switching
+ *
+ * Covers:
+ *   - ICU arguments, plural (exact, categories, `#`, offset), selectordinal,
+ *     select, number and apostrophe quoting
+ *   - fallback chain `fr-CA` → `fr` → fallback locale → default / key
+ *   - lazily registered bundles loaded once by setLocale()
+ *   - `{{t "key" param=…}}` and the `|t` pipe in templates
+ *   - a locale switch re-renders mounted views, including built-in strings
+ *     (the page-leave prompt too)
+ */
+
+module.exports = async function (testContext) {
+  const { describe, it, expect } = testContext;
+  const { testHelpers } = require('../utils/test-helpers');
+  const { loadModule } = require('../utils/simple-module-loader');
+
+  await testHelpers.setup();
+
+  const i18n = loadModule('i18n');
+  const View = loadModule('View');
+  const ListView = loadModule('ListView');
+  const Collection = loadModule('Collection');
+  const Page = loadModule('Page');
+
+  const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+  describe('I18n formatting', () => {
+    it('formats ICU plural, select and number arguments', () => {
+      const files = '{n, plural, =0 {No files} one {# file} other {# files}}';
+      expect(i18n.format(files, { n: 0 })).toBe('No files');
+      expect(i18n.format(files, { n: 1 })).toBe('1 file');
+      expect(i18n.format(files, { n: 1200 })).toBe('1,200 files');
+      expect(i18n.format('{n, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}', { n: 22 })).toBe('22nd');
+      expect(i18n.format('{role, select, admin {Admin {name}} other {User}}', { role: 'admin', name: 'Ann' })).toBe('Admin Ann');
+      expect(i18n.format('{guests, plural, offset:1 =0 {nobody} =1 {{host}} other {{host} and # others}}', { guests: 3, host: 'Kim' }))
+        .toBe('Kim and 2 others');
+      expect(i18n.format('{ratio, number, percent}', { ratio: 0.25 })).toBe('25%');
+      expect(i18n.format("It''s '{literal}' {x}", { x: 1 })).toBe("It's {literal} 1");
+      expect(i18n.format("Don't {n, plural, other {'#' #}}", { n: 2 })).toBe("Don't # 2");
+    });
+
+    it('falls back through the locale chain', async () => {
+      i18n.addMessages('fr', { greet: 'Bonjour {name}', only: { fr: 'français' } });
+      i18n.addMessages('fr-CA', { greet: 'Allô {name}' });
+      await i18n.setLocale('fr-CA');
+
+      expect(i18n.t('greet', { name: 'Ann' })).toBe('Allô Ann');
+      expect(i18n.t('only.fr')).toBe('français');
+      expect(i18n.t('common.cancel')).toBe('Cancel');
+      expect(i18n.t('missing.key')).toBe('missing.key');
+      expect(i18n.t('missing.key', { default: 'Fallback' })).toBe('Fallback');
+      await i18n.setLocale('en');
+    });
+
+    it('loads registered bundles once', async () => {
+      let loads = 0;
+      i18n.registerLocale('de', async () => {
+        loads++;
+        return { default: { list: { empty: 'Keine Einträge' } } };
+      });
+      await Promise.all([i18n.loadLocale('de'), i18n.loadLocale('de')]);
+      await i18n.setLocale('de');
+      expect(loads).toBe(1);
+      expect(i18n.t('list.empty')).toBe('Keine Einträge');
+      expect(document.documentElement.lang).toBe('de');
+      await i18n.setLocale('en');
+    });
+  });
+
+  describe('I18n in views', () => {
+    it('renders {{t}} and |t and re-renders on locale change', async () => {
+      i18n.addMessages('en', { cart: { items: '{count, plural, one {# item} other {# items}} for {name}' }, status: { open: 'Open' } });
+      i18n.addMessages('es', { cart: { items: '{count, plural, one {# artículo} other {# artículos}} para {name}' }, status: { open: 'Abierto' } });
+
+      const view = new View({
+        template: '<p class="cart">{{t "cart.items" count=data.count name="Ann"}}</p><p class="status">{{data.status|t:\'status\'}}</p>'
+      });
+      view.data = { count: 3, status: 'open' };
+      const host = document.createElement('div');
+      document.body.appendChild(host);
+      await view.render(true, host);
+
+      expect(view.element.querySelector('.cart').textContent).toBe('3 items for Ann');
+      expect(view.element.querySelector('.status').textContent).toBe('Open');
+
+      let changed = null;
+      const onChange = (info) => { changed = info; };
+      i18n.on('locale:changed', onChange);
+      await i18n.setLocale('es');
+      await tick();
+
+      expect(changed).toEqual({ locale: 'es', previous: 'en' });
+      expect(view.element.querySelector('.cart').textContent).toBe('3 artículos para Ann');
+      expect(view.element.querySelector('.status').textContent).toBe('Abierto');
+
+      i18n.off('locale:changed', onChange);
+      await view.destroy();
+      host.remove();
+      await i18n.setLocale('en');
+    });
+
+    it('translates built-in component strings', async () => {
+      i18n.addMessages('es', { list: { empty: 'Sin elementos' }, common: { search: 'Buscar...' } });
+      const list = new ListView({ collection: new Collection([]) });
+      expect(list.emptyMessage).toBe('No items to display');
+      expect(new ListView({ emptyMessage: 'Nothing yet' }).emptyMessage).toBe('Nothing yet');
+
+      await i18n.setLocale('es');
+      expect(list.emptyMessage).toBe('Sin elementos');
+      expect(list.searchPlaceholder).toBe('Buscar...');
+      await i18n.setLocale('en');
+    });
+
+    it('translates the page-leave prompt', async () => {
+      i18n.addMessages('es', { page: { unsavedChangesTitle: 'Cambios sin guardar', leave: 'Salir' } });
+      const confirm = jest.fn(async () => true);
+      const page = new Page({ pageName: 'edit', confirmLeave: true });
+      page.hasUnsavedChanges = () => true;
+      page.getApp = () => ({ confirm });
+
+      await i18n.setLocale('es');
+      await page.beforeLeave({});
+      await i18n.setLocale('en');
+
+      const [message, title, options] = confirm.mock.calls[0];
+      expect(message).toBe('You have unsaved changes. Leave this page anyway?');
+      expect(title).toBe('Cambios sin guardar');
+      expect(options.confirmText).toBe('Salir');
+    });
+  });
+};
@@ -0,0 +1,302 @@
+/**
+ * ListView / TableView `reorderable:` — drag-and-drop row reordering
+ *
+ * Covers:
+ *   - drag handles on every row (TableView: a leading handle column)
+ *   - a pointer drag moves the row live and emits `list:reorder` / `onReorder`
+ *   - keyboard lift / move / drop / cancel from a focused handle
+ *   - `field` persistence deals the span's values out in the new order
+ *   - a failed save or endpoint POST rolls the order and the values back
+ *   - auto-scroll near the edge of the scroll container
+ *
+ * jsdom has no layout: each row reports a 40px rect from its DOM position.
+ */
+
+module.exports = async function (testContext) {
+  const { describe, it, expect } = testContext;
+  const { testHelpers, mountView, numberedRows, sleep } = require('../utils/test-helpers');
+  const { loadModule } = require('../utils/simple-module-loader');
+
+  await testHelpers.setup();
+
+  const Collection = loadModule('Collection');
+  const ListView = loadModule('ListView');
+  const TableView = loadModule('TableView');
+
+  const ROW = 40;
+
+  const seed = (count = 5) => new Collection(numberedRows(count, (id) => ({ priority: id * 10 })));
+
+  function stubLayout(list) {
+    list.itemViews.forEach((view) => {
+      const element = view.element;
+      element.getBoundingClientRect = () => {
+        const rows = Array.from(element.parentNode.children).filter((child) => child.classList.contains('list-reorder-item'));
+        const top = rows.indexOf(element) * ROW;
+        return { top, bottom: top + ROW, height: ROW, left: 0, right: 300, width: 300 };
+      };
+    });
+  }
+
+  async function mount(list) {
+    const host = await mountView(list);
+    stubLayout(list);
+    return host;
+  }
+
+  const order = (list) => list.collection.models.map((model) => model.id);
+  const domOrder = (list) => {
+    const ids = new Map(Array.from(list.itemViews.values(), (view) => [view.element, view.model.id]));
+    return Array.from(list.element.querySelectorAll('.list-reorder-item'), (element) => ids.get(element));
+  };
+  const handleOf = (list, id) => list.itemViews.get(id).element.querySelector('[data-reorder-handle]');
+
+  function pointer(target, type, clientY) {
+    target.dispatchEvent(new globalThis.window.MouseEvent(type, { bubbles: true, cancelable: true, clientY, button: 0 }));
+  }
+
+  async function press(key, init = {}) {
+    document.activeElement.dispatchEvent(new globalThis.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init }));
+    await sleep(0);
+  }
+
+  function okSaves(list, saves, failId = null) {
+    list.collection.models.forEach((model) => {
+      model.save = async (data) => {
+        saves.push([model.id, data.priority]);
+        if (model.id === failId) return { success: false, error: 'Locked' };
+        model.set(data);
+        return { success: true, data: { status: true } };
+      };
+    });
+  }
+
+  describe('ListView reorder handles', () => {
+    it('adds a handle to every row and refuses virtual / grouped lists', async () => {
+      const list = new ListView({ collection: seed(), itemTemplate: '<div>{{model.name}}</div>', reorderable: true });
+      const host = await mount(list);
+
+      expect(list.element.querySelectorAll('.list-reorder-handle').length).toBe(5);
+      expect(handleOf(list, 1).getAttribute('aria-label')).toBe('Drag to reorder');
+
+      await list.itemViews.get(1).render();
+      expect(list.itemViews.get(1).element.querySelectorAll('[data-reorder-handle]').length).toBe(1);
+
+      const originalWarn = console.warn;
+      console.warn = () => {};
+      const grouped = new ListView({ collection: seed(), reorderable: true, groupBy: 'name' });
+      console.warn = originalWarn;
+      expect(grouped.reorderable).toBe(null);
+
+      await list.destroy();
+      host.remove();
+    });
+  });
+
+  describe('ListView pointer reordering', () => {
+    it('moves the row under the pointer and reports the drop', async () => {
+      const calls = [];
+      const list = new ListView({
+        collection: seed(),
+        itemTemplate: '<div>{{model.name}}</div>',
+        reorderable: true,
+        onReorder: (models, from, to) => { calls.push([models.map((model) => model.id), from, to]); }
+      });
+      const host = await mount(list);
+      const events = [];
+      list.on('list:reorder', (payload) => events.push(payload));
+
+      pointer(handleOf(list, 1), 'pointerdown', 20);
+      expect(list.element.classList.contains('list-reordering')).toBe(true);
+      pointer(document, 'pointermove', 130);
+      expect(order(list)).toEqual([2, 3, 1, 4, 5]);
+      expect(domOrder(list)).toEqual([2, 3, 1, 4, 5]);
+      expect(Array.from(list.itemViews.keys())).toEqual([2, 3, 1, 4, 5]);
+
+      pointer(document, 'pointerup', 130);
+      await sleep(0);
+      expect(list.element.classList.contains('list-reordering')).toBe(false);
+      expect(events.length).toBe(1);
+      expect(events[0].from).toBe(0);
+      expect(events[0].to).toBe(2);
+      expect(calls).toEqual([[[2, 3, 1, 4, 5], 0, 2]]);
+
+      pointer(handleOf(list, 5), 'pointerdown', 180);
+      pointer(document, 'pointermove', 10);
+      pointer(document, 'pointercancel', 10);
+      await sleep(0);
+      expect(order(list)).toEqual([2, 3, 1, 4, 5]);
+      expect(events.length).toBe(1);
+
+      await list.destroy();
+      host.remove();
+    });
+
+    it('auto-scrolls near the edge of the scroll container', async () => {
+      const scroller = document.createElement('div');
+      scroller.style.overflowY = 'auto';
+      Object.defineProperty(scroller, 'scrollHeight', { value: 1000 });
+      Object.defineProperty(scroller, 'clientHeight', { value: 100 });
+      scroller.getBoundingClientRect = () => ({ top: 0, bottom: 100, height: 100, left: 0, right: 300, width: 300 });
+      document.body.appendChild(scroller);
+
+      const list = new ListView({ collection: seed(), itemTemplate: '<div>{{model.name}}</div>', reorderable: true });
+      await list.render(true, scroller);
+      stubLayout(list);
+
+      pointer(handleOf(list, 1), 'pointerdown', 20);
+      pointer(document, 'pointermove', 98);
+      await sleep(60);
+      expect(scroller.scrollTop > 0).toBe(true);
+      pointer(document, 'pointerup', 98);
+
+      await list.destroy();
+      scroller.remove();
+    });
+  });
+
+  describe('ListView keyboard reordering', () => {
+    it('lifts, moves and drops from the handle, saving the order field', async () => {
+      const list = new ListView({
+        collection: seed(),
+        itemTemplate: '<div>{{model.name}}</div>',
+        reorderable: { field: 'priority' }
+      });
+      const host = await mount(list);
+      const saves = [];
+      okSaves(list, saves);
+      const status = () => list.element.querySelector('.list-view-status').textContent;
+
+      handleOf(list, 4).focus();
+      await press(' ');
+      expect(handleOf(list, 4).getAttribute('aria-pressed')).toBe('true');
+      expect(status()).toBe('Moving item 4 of 5. Use the arrow keys to move it, Space to drop, Escape to cancel.');
+
+      await press('ArrowUp');
+      await press('ArrowUp');
+      expect(order(list)).toEqual([1, 4, 2, 3, 5]);
+      expect(document.activeElement).toBe(handleOf(list, 4));
+      expect(status()).toBe('Position 2 of 5');
+
+      await press('Enter');
+      await sleep(0);
+      expect(status()).toBe('Dropped at position 2 of 5');
+      expect(saves.sort()).toEqual([[2, 30], [3, 40], [4, 20]]);
+      expect(list.collection.models.map((model) => model.get('priority'))).toEqual([10, 20, 30, 40, 50]);
+      expect(document.activeElement).toBe(handleOf(list, 4));
+
+      await press(' ');
+      await press('End');
+      expect(order(list)).toEqual([1, 2, 3, 5, 4]);
+      await press('Escape');
+      expect(order(list)).toEqual([1, 4, 2, 3, 5]);
+      expect(status()).toBe('Move cancelled, back at position 2 of 5');
+      expect(saves.length).toBe(3);
+
+      await list.destroy();
+      host.remove();
+    });
+  });
+
+  describe('ListView reorder rollback', () => {
+    it('restores the order and field values when a save fails', async () => {
+      const list = new ListView({
+        collection: seed(),
+        itemTemplate: '<div>{{model.name}}</div>',
+        reorderable: { field: 'priority' }
+      });
+      const host = await mount(list);
+      const saves = [];
+      okSaves(list, saves, 1);
+      const errors = [];
+      list.on('list:reorder:error', (payload) => errors.push(payload.error.message));
+
+      handleOf(list, 3).focus();
+      await press(' ');
+      await press('Home');
+      await press(' ');
+      await sleep(0);
+
+      expect(errors).toEqual(['Locked']);
+      expect(order(list)).toEqual([1, 2, 3, 4, 5]);
+      expect(domOrder(list)).toEqual([1, 2, 3, 4, 5]);
+      expect(list.collection.models.map((model) => model.get('priority'))).toEqual([10, 20, 30, 40, 50]);
+      // 3 → 10 and 2 → 30 were saved, then put back; 1 → 20 failed
+      expect(saves.filter(([id]) => id !== 1)).toEqual([[3, 10], [2, 30], [3, 30], [2, 20]]);
+
+      await list.destroy();
+      host.remove();
+    });
+
+    it('posts the new order to an endpoint and rolls back on failure', async () => {
+      const list = new ListView({
+        collection: seed(),
+        itemTemplate: '<div>{{model.name}}</div>',
+        reorderable: { endpoint: '/api/steps/reorder' }
+      });
+      const host = await mount(list);
+      const posts = [];
+      let ok = true;
+      list.collection.rest = {
+        POST: async (url, body) => {
+          posts.push([url, body]);
+          return ok ? { success: true, data: { status: true } } : { success: true, data: { status: false, error: 'Conflict' } };
+        }
+      };
+      list.collection.params.start = 20;
+
+      pointer(handleOf(list, 2), 'pointerdown', 60);
+      pointer(document, 'pointermove', 190);
+      pointer(document, 'pointerup', 190);
+      await sleep(0);
+      expect(posts).toEqual([['/api/steps/reorder', { ids: [1, 3, 4, 5, 2], moved: 2, from: 21, to: 24 }]]);
+      expect(order(list)).toEqual([1, 3, 4, 5, 2]);
+
+      ok = false;
+      pointer(handleOf(list, 2), 'pointerdown', 180);
+      pointer(document, 'pointermove', 10);
+      pointer(document, 'pointerup', 10);
+      await sleep(0);
+      expect(posts.length).toBe(2);
+      expect(order(list)).toEqual([1, 3, 4, 5, 2]);
+
+      await list.destroy();
+      host.remove();
+    });
+  });
+
+  describe('TableView reordering', () => {
+    it('leads each row with a handle cell and carries the detail row along', async () => {
+      const table = new TableView({
+        collection: seed(),
+        columns: [{ key: 'name', label: 'Name' }],
+        paginated: false,
+        searchable: false,
+        reorderable: true,
+        rowExpand: (model) => `<p class="detail">${model.get('name')}</p>`
+      });
+      const host = await mount(table);
+
+      const firstCell = table.itemViews.get(1).element.querySelector(':scope > td');
+      expect(firstCell.classList.contains('col-reorder')).toBe(true);
+      expect(table.element.querySelector('thead th').classList.contains('col-reorder')).toBe(true);
+      expect(table._getRowExpandColspan()).toBe(3);
+
+      await table.toggleRowExpand(table.itemViews.get(1).model);
+      handleOf(table, 1).focus();
+      await press(' ');
+      await press('ArrowDown');
+      await press(' ');
+      await sleep(0);
+
+      expect(order(table)).toEqual([2, 1, 3, 4, 5]);
+      const rows = Array.from(table.element.querySelectorAll('tbody > tr'));
+      expect(rows[1]).toBe(table.itemViews.get(1).element);
+      expect(rows[2].querySelector('.detail').textContent).toBe('Row 1');
+      expect(table.element.querySelector('.mojo-table-status').textContent).toBe('Dropped at position 2 of 5');
+
+      await table.destroy();
+      host.remove();
+    });
+  });
+};
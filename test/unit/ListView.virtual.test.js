@@ -0,0 +1,184 @@
+/**
+ * ListView / TableView `virtual:` — windowed rendering
+ *
+ * Covers:
+ *   - VirtualWindow geometry: estimates, measured (variable) heights, ranges
+ *   - only rows in the window (plus overscan) have views and DOM nodes
+ *   - scrollToItem() mounts far rows and recycles the rest
+ *   - group headers from `groupBy` are windowed with their rows
+ *   - selection and TableView expanded rows survive recycling
+ *   - keyboard focus comes back when its row scrolls back in
+ *
+ * jsdom has no layout: heights are the `rowHeight` estimate, the viewport is
+ * the numeric `height`, and each view's header offset is pinned to 0.
+ */
+
+module.exports = async function (testContext) {
+  const { describe, it, expect } = testContext;
+  const { testHelpers, mountView, numberedRows } = require('../utils/test-helpers');
+  const { loadModule } = require('../utils/simple-module-loader');
+
+  await testHelpers.setup();
+
+  const Collection = loadModule('Collection');
+  const ListView = loadModule('ListView');
+  const TableView = loadModule('TableView');
+  const VirtualWindow = loadModule('VirtualWindow');
+
+  const virtual = { rowHeight: 40, overscan: 5, height: 400 };
+
+  const seed = (count) => new Collection(numberedRows(count, (id) => ({ kind: id <= count / 2 ? 'a' : 'b' })));
+
+  const mount = (view) => {
+    view._virtualOffset = () => 0;
+    return mountView(view);
+  };
+
+  const firstMounted = (view) => Math.min(...view.itemViews.keys());
+
+  describe('VirtualWindow', () => {
+    it('estimates unmeasured rows from measured ones', () => {
+      const win = new VirtualWindow({ rowHeight: 40, overscan: 2 });
+      win.setKeys(['a', 'b', 'c', 'd', 'e', 'f']);
+      expect(win.totalHeight()).toBe(240);
+
+      win.setHeight('a', 100);
+      win.setHeight('b', 60);
+      expect(win.estimate()).toBe(80);
+      expect(win.offsetOf(2)).toBe(160);
+      expect(win.totalHeight()).toBe(480);
+      expect(win.setHeight('c', 0)).toBe(false);
+
+      win.setKeys(['b', 'c']);
+      expect(win.heights.has('a')).toBe(false);
+      expect(win.totalHeight()).toBe(120);
+    });
+
+    it('returns the rows intersecting a viewport plus overscan', () => {
+      const win = new VirtualWindow({ rowHeight: 10, overscan: 2 });
+      win.setKeys(Array.from({ length: 100 }, (_, i) => `k${i}`));
+      expect(win.range(0, 50)).toEqual({ start: 0, end: 7, first: 0, before: 0, after: 930 });
+      expect(win.range(500, 50)).toEqual({ start: 48, end: 57, first: 50, before: 480, after: 430 });
+      expect(win.indexAt(995)).toBe(99);
+    });
+  });
+
+  describe('ListView virtual rendering', () => {
+    it('mounts only the rows in the window', async () => {
+      const list = new ListView({ collection: seed(1000), itemTemplate: '<div>{{model.name}}</div>', virtual });
+      const host = await mount(list);
+
+      expect(list.itemViews.size).toBe(15);
+      expect(list.element.querySelectorAll('.list-view-item').length).toBe(15);
+      const [before, after] = list.element.querySelectorAll('.list-virtual-spacer');
+      expect(before.style.height).toBe('0px');
+      expect(after.style.height).toBe(`${985 * 40}px`);
+      expect(list.element.querySelector('.list-virtual-viewport').style.maxHeight).toBe('400px');
+
+      const view = await list.scrollToItem(500, { align: 'start' });
+      expect(view.model.id).toBe(500);
+      expect(list.itemViews.has(1)).toBe(false);
+      expect(firstMounted(list)).toBe(495);
+      expect(list.element.querySelectorAll('.list-view-item').length).toBe(20);
+      expect(list.element.querySelector('.list-virtual-spacer').style.height).toBe(`${494 * 40}px`);
+
+      await list.destroy();
+      host.remove();
+    });
+
+    it('windows group headers with their rows', async () => {
+      const list = new ListView({ collection: seed(200), itemTemplate: '<div>{{model.name}}</div>', virtual, groupBy: 'kind' });
+      const host = await mount(list);
+
+      expect(list._virtualRows.length).toBe(202);
+      expect(list.groupHeaderViews.size).toBe(1);
+      expect(list.element.querySelector('.list-group-header').textContent).toBe('a');
+
+      await list.scrollToItem(101, { align: 'start' });
+      const headers = Array.from(list.groupHeaderViews.values());
+      expect(headers.length).toBe(1);
+      expect(headers[0].element.textContent).toBe('b');
+      expect(headers[0].element.nextElementSibling).toBe(list.itemViews.get(101).element);
+
+      await list.destroy();
+      host.remove();
+    });
+
+    it('keeps selection across recycling', async () => {
+      const list = new ListView({ collection: seed(300), itemTemplate: '<div>{{model.name}}</div>', virtual, selectionMode: 'multiple' });
+      const host = await mount(list);
+
+      list.selectItem(2);
+      list.selectItem(205);
+      expect(list.itemViews.has(205)).toBe(false);
+      expect(list.selectedItems.has(205)).toBe(true);
+
+      await list.scrollToItem(200, { align: 'start' });
+      expect(list.itemViews.has(2)).toBe(false);
+      expect(list.itemViews.get(205).selected).toBe(true);
+      expect(list.getSelectedItems().map((item) => item.model.id)).toEqual([2, 205]);
+
+      await list.scrollToItem(1, { align: 'start' });
+      expect(list.itemViews.get(2).element.classList.contains('selected')).toBe(true);
+
+      await list.destroy();
+      host.remove();
+    });
+
+    it('restores keyboard focus when its row comes back', async () => {
+      const list = new ListView({
+        collection: seed(300),
+        itemTemplate: '<div>{{model.name}} <button class="open">Open</button></div>',
+        virtual
+      });
+      const host = await mount(list);
+
+      list.itemViews.get(3).element.querySelector('.open').focus();
+      await list.scrollToItem(200, { align: 'start' });
+      expect(document.activeElement).toBe(list.element.querySelector('.list-virtual-viewport'));
+
+      await list.scrollToItem(3, { align: 'start' });
+      expect(document.activeElement).toBe(list.itemViews.get(3).element.querySelector('.open'));
+
+      await list.destroy();
+      host.remove();
+    });
+  });
+
+  describe('TableView virtual rendering', () => {
+    it('keeps expanded rows and selects every row, not just the window', async () => {
+      const table = new TableView({
+        collection: seed(300),
+        columns: [{ key: 'name', label: 'Name' }],
+        virtual,
+        paginated: false,
+        searchable: false,
+        rowExpand: (model) => `<p class="detail">${model.get('name')}</p>`,
+        batchActions: [{ label: 'Archive', action: 'archive', icon: 'bi bi-archive' }],
+        selectable: true
+      });
+      const host = await mount(table);
+
+      expect(table.element.querySelectorAll('tbody > tr.table-row').length).toBe(15);
+      expect(table.element.querySelector('tbody > tr.list-virtual-spacer > td').getAttribute('colspan')).toBe('3');
+
+      await table.toggleRowExpand(table.itemViews.get(2).model);
+      expect(table.element.querySelector('.detail').textContent).toBe('Row 2');
+
+      await table.scrollToItem(200, { align: 'start' });
+      expect(table.element.querySelector('.detail')).toBe(null);
+      expect(table.expandedRows.has(2)).toBe(true);
+
+      await table.scrollToItem(1, { align: 'start' });
+      expect(table.itemViews.get(2).element.nextElementSibling.querySelector('.detail').textContent).toBe('Row 2');
+
+      await table.onActionSelectAll(new Event('click'));
+      expect(table.selectedItems.size).toBe(300);
+      expect(table.element.querySelector('.batch-select-count').textContent).toBe('300');
+      expect(table.element.querySelector('.mojo-select-all-cell').classList.contains('selected')).toBe(true);
+
+      await table.destroy();
+      host.remove();
+    });
+  });
+};
@@ -10,6 +10,7 @@ module.exports = async function(testContext) {
 
     await testHelpers.setup();
     const Model = loadModule('Model');
+    const Collection = loadModule('Collection');
 
     // Make Model available globally for tests
     global.Model = Model;
@@ -263,6 +264,87 @@ module.exports = async function(testContext) {
                 });
             });
 
+            describe('save() with patch / optimistic', () => {
+                it('should PATCH only the attributes that changed', async () => {
+                    setupCrudTest();
+                    model.set('email', 'john@example.com');
+                    model.originalAttributes = { ...model.attributes };
+                    mockRest.PATCH.mockResolvedValue(crudOk({ id: 1, name: 'Johnny' }));
+
+                    await model.save({ name: 'Johnny', email: 'john@example.com' }, { patch: true });
+
+                    expect(mockRest.PUT).not.toHaveBeenCalled();
+                    const [url, body] = mockRest.PATCH.mock.calls[0];
+                    expect(url).toBe('/api/users/1');
+                    expect(body).toEqual({ name: 'Johnny' });
+                });
+
+                it('should use dirty attributes and the model-level default', async () => {
+                    setupTest();
+                    class PatchUser extends TestModel {
+                        static patch = true;
+                    }
+                    const user = new PatchUser({ id: 3, name: 'Ann', role: 'user' });
+                    user.rest = mockRest;
+                    user.set('role', 'admin');
+                    mockRest.PATCH.mockResolvedValue(crudOk({ id: 3, role: 'admin' }));
+
+                    await user.save();
+                    const noop = await user.save();
+
+                    expect(mockRest.PATCH.mock.calls[0][1]).toEqual({ role: 'admin' });
+                    expect(mockRest.PATCH).toHaveBeenCalledTimes(1);
+                    expect(noop.success).toBe(true);
+                    expect(noop.message).toBe('No changes to save');
+                });
+
+                it('should still POST new models in patch mode', async () => {
+                    setupTest();
+                    const newModel = new TestModel({}, { patch: true });
+                    newModel.rest = mockRest;
+                    mockRest.POST.mockResolvedValue(crudOk({ id: 9, name: 'New' }));
+
+                    await newModel.save({ name: 'New' });
+
+                    expect(mockRest.POST.mock.calls[0][1]).toEqual({ name: 'New' });
+                    expect(mockRest.PATCH).not.toHaveBeenCalled();
+                });
+
+                it('should apply optimistic edits and roll back when the server rejects them', async () => {
+                    setupCrudTest();
+                    let nameDuringRequest = null;
+                    mockRest.PATCH.mockImplementation(async () => {
+                        nameDuringRequest = model.get('name');
+                        return { success: false, status: 400, errors: { name: 'Taken' } };
+                    });
+                    const changes = [];
+                    model.on('change', (_model, options) => changes.push(options.rollback === true));
+                    const nameChanges = [];
+                    model.on('change:name', value => nameChanges.push(value));
+
+                    const result = await model.save({ name: 'Jo' }, { patch: true, optimistic: true });
+
+                    expect(nameDuringRequest).toBe('Jo');
+                    expect(result.success).toBe(false);
+                    expect(model.get('name')).toBe('John');
+                    expect(model.errors).toEqual({ name: 'Taken' });
+                    expect(changes).toEqual([false, true]);
+                    expect(nameChanges).toEqual(['Jo', 'John']);
+                });
+
+                it('should keep optimistic edits on success and roll back on thrown errors', async () => {
+                    setupCrudTest();
+                    mockRest.PUT.mockResolvedValue(crudOk({ id: 1, name: 'Jo' }));
+                    await model.save({ name: 'Jo' }, { optimistic: true });
+                    expect(model.get('name')).toBe('Jo');
+                    expect(model.isDirty()).toBe(false);
+
+                    mockRest.PUT.mockRejectedValue(new Error('boom'));
+                    await model.save({ name: 'Jay' }, { optimistic: true });
+                    expect(model.get('name')).toBe('Jo');
+                });
+            });
+
             describe('destroy()', () => {
                 it('should delete model successfully', async () => {
                     setupCrudTest();
@@ -301,6 +383,108 @@ module.exports = async function(testContext) {
                     expect(result.error).toContain('without ID');
                 });
             });
+
+            describe('relations', () => {
+                let Author;
+                let Post;
+                let PostList;
+
+                function setupRelations() {
+                    setupTest();
+                    const rest = mockRest;
+                    Author = class extends Model {
+                        constructor(data = {}) {
+                            super(data, { endpoint: '/api/author' });
+                            this.rest = rest;
+                        }
+                    };
+                    PostList = class extends Collection {
+                        constructor(options = {}) {
+                            super({ ModelClass: Post, endpoint: '/api/post', ...options });
+                            this.rest = rest;
+                        }
+                    };
+                    Post = class extends Model {
+                        static belongsTo = { author: () => Author, editor: { model: () => Author, key: 'editor_id' } };
+                    };
+                    Author.hasMany = { posts: { collection: () => PostList, foreignKey: 'author' } };
+                }
+
+                it('should hydrate belongsTo from a nested object or an id', () => {
+                    setupRelations();
+                    const post = new Post({ id: 1, author: { id: 7, name: 'Ann' }, editor_id: 8 });
+
+                    const author = post.getRelated('author');
+                    expect(author).toBeInstanceOf(Author);
+                    expect(author.get('name')).toBe('Ann');
+                    expect(post.getRelated('author')).toBe(author);
+
+                    const editor = post.getRelated('editor', { fetch: false });
+                    expect(editor.id).toBe(8);
+                    expect(mockRest.GET).not.toHaveBeenCalled();
+                    expect(new Post({ author: null }).getRelated('author')).toBe(null);
+                    expect(() => post.getRelated('nope')).toThrow('Model: unknown relation "nope"');
+                });
+
+                it('should fetch an id-only relation once on access', async () => {
+                    setupRelations();
+                    mockRest.GET.mockResolvedValue(crudOk({ id: 8, name: 'Ed' }));
+                    const post = new Post({ id: 1, editor_id: 8 });
+
+                    const [first, second] = await Promise.all([post.fetchRelated('editor'), post.fetchRelated('editor')]);
+                    await post.fetchRelated('editor');
+
+                    expect(first).toBe(second);
+                    expect(first.get('name')).toBe('Ed');
+                    expect(mockRest.GET).toHaveBeenCalledTimes(1);
+                    expect(mockRest.GET.mock.calls[0][0]).toBe('/api/author/8');
+                });
+
+                it('should hydrate hasMany from an array or fetch by foreign key', async () => {
+                    setupRelations();
+                    const withPosts = new Author({ id: 7, posts: [{ id: 1 }, { id: 2 }] });
+                    const posts = withPosts.getRelated('posts');
+                    expect(posts).toBeInstanceOf(PostList);
+                    expect(posts.length()).toBe(2);
+                    expect(mockRest.GET).not.toHaveBeenCalled();
+
+                    mockRest.GET.mockResolvedValue(crudOk([{ id: 3 }]));
+                    const fetched = await new Author({ id: 9 }).fetchRelated('posts');
+                    const [url, params] = mockRest.GET.mock.calls[0];
+                    expect(url).toBe('/api/post');
+                    expect(params.author).toBe(9);
+                    expect(fetched.length()).toBe(1);
+                });
+
+                it('should re-hydrate when the raw value changes and keep unchanged records', () => {
+                    setupRelations();
+                    const post = new Post({ id: 1, author: { id: 7, name: 'Ann' } });
+                    const author = post.getRelated('author');
+
+                    post.set('author', { id: 7, name: 'Annie' });
+                    expect(post.getRelated('author')).toBe(author);
+                    expect(author.get('name')).toBe('Annie');
+
+                    post.set('author', { id: 9, name: 'Bo' });
+                    expect(post.getRelated('author')).not.toBe(author);
+                    expect(post.getRelated('author').id).toBe(9);
+                });
+
+                it('should save related records as ids', async () => {
+                    setupRelations();
+                    const post = new Post({ id: 1, author: { id: 7, name: 'Ann' } });
+                    post.rest = mockRest;
+                    const author = new Author({ id: 7, posts: [{ id: 1 }, { id: 2 }] });
+                    author.rest = mockRest;
+                    mockRest.PUT.mockResolvedValue(crudOk({ id: 1 }));
+
+                    await post.save({ title: 'Hi', author: post.getRelated('author') });
+                    await author.save({ posts: author.getRelated('posts') });
+
+                    expect(mockRest.PUT.mock.calls[0][1]).toEqual({ title: 'Hi', author: 7 });
+                    expect(mockRest.PUT.mock.calls[1][1]).toEqual({ posts: [1, 2] });
+                });
+            });
         });
 
         describe('Change Tracking', () => {
@@ -0,0 +1,150 @@
+/**
+ * ModelStore Unit Tests
+ * Identity map shared by Collection.add, Collection.fetchOne, Model.find
+ * and belongsTo relations.
+ *
+ * Covers:
+ *   - opted-in classes get one instance per id across collections
+ *   - `change` on the shared instance reaches every holder
+ *   - Model.find / fetchOne refresh and return the shared instance
+ *   - classes that don't opt in keep separate copies
+ *   - app-wide sharing keys plain `Model` records by endpoint too
+ *   - destroy() and clear() forget instances
+ */
+
+module.exports = async function(testContext) {
+    const { describe, it, expect } = testContext;
+    const { testHelpers } = require('../utils/test-helpers');
+    const { loadModule } = require('../utils/simple-module-loader');
+
+    await testHelpers.setup();
+    const Model = loadModule('Model');
+    const Collection = loadModule('Collection');
+    const modelStore = loadModule('ModelStore');
+
+    const ok = (data) => ({ success: true, data: { status: true, data } });
+
+    function createRest(byId = {}) {
+        return {
+            GET: jest.fn(async (url) => ok(byId[url.split('/').pop()] || {})),
+            DELETE: jest.fn(async () => ({ success: true, data: { status: true } }))
+        };
+    }
+
+    function defineClasses(rest) {
+        class User extends Model {
+            static identityMap = true;
+            static endpoint = '/api/user';
+            constructor(data = {}, options = {}) {
+                super(data, options);
+                this.rest = rest;
+            }
+        }
+        class UserList extends Collection {
+            constructor(options = {}) {
+                super({ ModelClass: User, endpoint: '/api/user', ...options });
+                this.rest = rest;
+            }
+        }
+        return { User, UserList };
+    }
+
+    describe('ModelStore', () => {
+        it('shares one instance per id across collections', () => {
+            const { User, UserList } = defineClasses(createRest());
+            const table = new UserList();
+            const select = new UserList();
+
+            table.add([{ id: 1, name: 'Ann' }, { id: 2, name: 'Bob' }]);
+            select.add({ id: 1, name: 'Annie' });
+
+            expect(select.get(1)).toBe(table.get(1));
+            expect(table.get(1).get('name')).toBe('Annie');
+            expect(modelStore.get(User, '1')).toBe(table.get(1));
+            expect(table.get(1).collection).toBe(table);
+        });
+
+        it('propagates change events to every holder', () => {
+            const { User, UserList } = defineClasses(createRest());
+            const list = new UserList();
+            list.add({ id: 3, name: 'Cy' });
+            const changes = [];
+            list.get(3).on('change:name', value => changes.push(value));
+
+            const detail = modelStore.resolve(User, { id: 3 });
+            detail.set('name', 'Cyrus');
+            new UserList().add({ id: 3, name: 'C.' }, { merge: false });
+
+            expect(changes).toEqual(['Cyrus']);
+            expect(list.get(3).get('name')).toBe('Cyrus');
+        });
+
+        it('refreshes the shared instance from Model.find and fetchOne', async () => {
+            const rest = createRest({ 4: { id: 4, name: 'Dee' }, 7: { id: 7, name: 'Eve' } });
+            const { User, UserList } = defineClasses(rest);
+            const list = new UserList();
+            list.add([{ id: 4, name: 'Old' }, { id: 7, name: 'Old' }]);
+
+            const found = await User.find(4);
+            const fetched = await new UserList().fetchOne(7);
+
+            expect(found).toBe(list.get(4));
+            expect(fetched).toBe(list.get(7));
+            expect(list.get(4).get('name')).toBe('Dee');
+            expect(list.get(7).get('name')).toBe('Eve');
+            expect(rest.GET).toHaveBeenCalledTimes(2);
+        });
+
+        it('keeps separate copies for classes that do not opt in', () => {
+            const rest = createRest();
+            class Note extends Model {}
+            const NoteList = class extends Collection {
+                constructor() {
+                    super({ ModelClass: Note, endpoint: '/api/note' });
+                    this.rest = rest;
+                }
+            };
+            const a = new NoteList();
+            const b = new NoteList();
+            a.add({ id: 1 });
+            b.add({ id: 1 });
+
+            expect(a.get(1)).not.toBe(b.get(1));
+            expect(modelStore.get(Note, 1)).toBe(null);
+        });
+
+        it('keeps plain Model records of different endpoints apart when enabled app-wide', () => {
+            modelStore.enabled = true;
+            try {
+                const accounts = new Collection({ endpoint: '/api/account' });
+                const invoices = new Collection({ endpoint: '/api/invoice' });
+                accounts.add({ id: 1, name: 'Acme' });
+                invoices.add({ id: 1, total: 40 });
+                const otherAccounts = new Collection({ endpoint: '/api/account' });
+                otherAccounts.add({ id: 1, name: 'Acme Inc' });
+
+                expect(accounts.get(1)).not.toBe(invoices.get(1));
+                expect(invoices.get(1).get('name')).toBe(undefined);
+                expect(accounts.get(1).get('total')).toBe(undefined);
+                expect(otherAccounts.get(1)).toBe(accounts.get(1));
+                expect(modelStore.get(Model, 1, '/api/invoice')).toBe(invoices.get(1));
+            } finally {
+                modelStore.enabled = false;
+                modelStore.clear(Model);
+            }
+        });
+
+        it('forgets destroyed and cleared instances', async () => {
+            const { User, UserList } = defineClasses(createRest());
+            const list = new UserList();
+            list.add([{ id: 5 }, { id: 6 }]);
+
+            await list.get(5).destroy();
+            expect(modelStore.get(User, 5)).toBe(null);
+
+            modelStore.clear(User);
+            expect(modelStore.get(User, 6)).toBe(null);
+            expect(modelStore.resolve(User, { id: 6 })).not.toBe(list.get(6));
+        });
+    });
+};
@@ -0,0 +1,272 @@
+/**
+ * OfflineQueue Unit Tests
+ * Rest's offline outbox: mutations that fail with a network error are
+ * stored and replayed in order once the connection returns.
+ *
+ * Covers:
+ *   - opted-in mutations are queued and answered with a `queued` response
+ *   - replay runs in order and later mutations never overtake queued ones
+ *   - 409 replies go through onConflict (resend with merged data / keep)
+ *   - the pending-count hook and `offline:*` events on the app bus
+ *   - Model.save applies the edit locally and the server reply on replay
+ *   - saving a queued model again amends its entry (one POST for a new model)
+ *   - CORS rejections are not network errors and are not queued
+ */
+
+module.exports = async function(testContext) {
+    const { describe, it, expect } = testContext;
+    const { testHelpers } = require('../utils/test-helpers');
+    const { loadModule } = require('../utils/simple-module-loader');
+    const { Rest } = require('../../src/core/Rest.js');
+    const OfflineQueue = require('../../src/core/services/OfflineQueue.js').default;
+
+    await testHelpers.setup();
+    const Model = loadModule('Model');
+
+    const reply = (status, body = { status: true, data: {} }) => ({
+        ok: status >= 200 && status < 300,
+        status,
+        statusText: String(status),
+        headers: new Map([['content-type', 'application/json']]),
+        json: async () => body,
+        text: async () => ''
+    });
+
+    // fetch stub: `offline` rejects like a dropped connection; otherwise
+    // `respond(method, url, body)` decides the reply. Every call is recorded.
+    let net = null;
+    function network(respond = () => reply(200)) {
+        const state = { offline: true, calls: [] };
+        net = state;
+        global.fetch = (url, init) => {
+            const body = init.body ? JSON.parse(init.body) : null;
+            state.calls.push({ method: init.method, url, body });
+            if (state.offline) return Promise.reject(new TypeError('Failed to fetch'));
+            return Promise.resolve(respond(init.method, url, body));
+        };
+        return state;
+    }
+
+    function createRest(options = {}) {
+        const rest = new Rest();
+        const queue = new OfflineQueue(rest, { storage: 'memory', autoReplay: false, ...options });
+        // navigator.onLine follows the fetch stub
+        queue.isOnline = () => !net.offline;
+        rest.configure({ baseURL: 'https://api.test', trackDevice: false, offline: queue });
+        return rest;
+    }
+
+    describe('OfflineQueue', () => {
+        it('queues opted-in mutations that hit a network error', async () => {
+            const net = network();
+            const rest = createRest();
+
+            const queued = await rest.PUT('/api/user/1', { name: 'Ann' }, {}, { offline: true });
+            const plain = await rest.PUT('/api/user/1', { name: 'Bob' });
+
+            expect(queued.success).toBe(true);
+            expect(queued.queued).toBe(true);
+            expect(queued.status).toBe(202);
+            expect(queued.data.data).toEqual({ name: 'Ann' });
+            expect(plain.success).toBe(false);
+            expect(plain.queued).toBeUndefined();
+
+            const pending = await rest.offlineQueue.getPending();
+            expect(pending.length).toBe(1);
+            expect(pending[0].id).toBe(queued.queueId);
+            expect(net.calls.length).toBe(2);
+        });
+
+        it('replays in order and keeps later mutations behind queued ones', async () => {
+            const net = network();
+            const rest = createRest();
+
+            await rest.POST('/api/note', { text: 'first' }, {}, { offline: true });
+            net.offline = false;
+            // The outbox is not empty, so this one queues instead of overtaking
+            const second = await rest.POST('/api/note', { text: 'second' }, {}, { offline: true });
+            expect(second.queued).toBe(true);
+
+            const result = await rest.offlineQueue.replay();
+
+            const sent = net.calls.slice(1).map(call => call.body.text);
+            expect(sent).toEqual(['first', 'second']);
+            expect(result.remaining).toBe(0);
+            expect(rest.offlineQueue.pendingCount).toBe(0);
+        });
+
+        it('stops replaying at the first network failure', async () => {
+            const net = network();
+            const rest = createRest();
+            await rest.DELETE('/api/note/1', {}, { offline: true });
+            await rest.DELETE('/api/note/2', {}, { offline: true });
+
+            const result = await rest.offlineQueue.replay();
+
+            expect(result).toEqual({ replayed: 0, remaining: 2 });
+            // The first DELETE and one replay attempt; the second went straight to the outbox
+            expect(net.calls.length).toBe(2);
+            expect((await rest.offlineQueue.getPending())[0].attempts).toBe(1);
+        });
+
+        it('resolves conflicts through onConflict', async () => {
+            const net = network((method, url, body) => (body.version === 2 ? reply(200) : reply(409, { error: 'stale' })));
+            const conflicts = [];
+            const rest = createRest({
+                onConflict: ({ entry, response }) => {
+                    conflicts.push(response.status);
+                    return { data: { ...entry.data, version: 2 } };
+                }
+            });
+
+            await rest.PUT('/api/doc/1', { title: 'Draft', version: 1 }, {}, { offline: true });
+            net.offline = false;
+            const result = await rest.offlineQueue.replay();
+
+            expect(conflicts).toEqual([409]);
+            expect(result.replayed).toBe(1);
+            expect(net.calls.slice(1).map(call => call.body.version)).toEqual([1, 2]);
+        });
+
+        it('keeps an entry when onConflict answers keep, drops it by default', async () => {
+            const net = network(() => reply(409));
+            const kept = createRest({ onConflict: () => 'keep' });
+            await kept.PUT('/api/doc/1', { title: 'x' }, {}, { offline: true });
+            net.offline = false;
+            expect((await kept.offlineQueue.replay()).remaining).toBe(1);
+
+            net.offline = true;
+            const dropped = createRest();
+            await dropped.PUT('/api/doc/1', { title: 'x' }, {}, { offline: true });
+            net.offline = false;
+            expect((await dropped.offlineQueue.replay()).remaining).toBe(0);
+        });
+
+        it('reports the pending count and mirrors events on the app bus', async () => {
+            network();
+            const busEvents = [];
+            const eventBus = { emit: (event) => busEvents.push(event) };
+            const rest = createRest({ eventBus });
+            const counts = [];
+            const unsubscribe = rest.offlineQueue.onPendingChange(count => counts.push(count));
+
+            await rest.POST('/api/note', { text: 'a' }, {}, { offline: true });
+            await rest.POST('/api/note', { text: 'b' }, {}, { offline: true });
+            unsubscribe();
+            await rest.offlineQueue.clear();
+
+            expect(counts).toEqual([0, 1, 2]);
+            expect(busEvents).toEqual(['offline:queued', 'offline:change', 'offline:queued', 'offline:change', 'offline:change']);
+        });
+
+        it('replays when the browser comes back online', async () => {
+            const net = network();
+            const rest = new Rest();
+            rest.configure({ trackDevice: false, offline: { storage: 'memory' } });
+            await rest.POST('/api/note', { text: 'a' }, {}, { offline: true });
+
+            net.offline = false;
+            const replayed = new Promise(resolve => rest.offlineQueue.once('replay:end', resolve));
+            window.dispatchEvent(new Event('online'));
+            const result = await replayed;
+            rest.setOfflineQueue(false);
+
+            expect(result).toEqual({ replayed: 1, remaining: 0 });
+        });
+
+        it('applies Model.save edits locally and the server reply on replay', async () => {
+            const net = network(() => reply(200, { status: true, data: { id: 5, name: 'Ann', updated: 'server' } }));
+            const rest = createRest();
+            const user = new Model({ id: 5, name: 'Old' }, { endpoint: '/api/user' });
+            user.rest = rest;
+            const events = [];
+            user.on('queued', () => events.push('queued'));
+            user.on('synced', () => events.push('synced'));
+
+            const response = await user.save({ name: 'Ann' });
+            expect(response.queued).toBe(true);
+            expect(user.get('name')).toBe('Ann');
+            expect(user.isPendingSync()).toBe(true);
+
+            net.offline = false;
+            await rest.offlineQueue.replay();
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(user.isPendingSync()).toBe(false);
+            expect(user.get('updated')).toBe('server');
+            expect(events).toEqual(['queued', 'synced']);
+
+            const optedOut = new Model({ id: 6 }, { endpoint: '/api/user', offline: false });
+            optedOut.rest = rest;
+            net.offline = true;
+            expect((await optedOut.save({ name: 'x' })).queued).toBeUndefined();
+        });
+
+        it('folds repeat saves of a queued model into its entry', async () => {
+            const net = network((method, url, body) => reply(200, { status: true, data: { id: 9, ...body } }));
+            const rest = createRest();
+            const note = new Model({}, { endpoint: '/api/note' });
+            note.rest = rest;
+
+            const first = await note.save({ text: 'a', pinned: false });
+            const second = await note.save({ text: 'b' });
+            expect(second.queued).toBe(true);
+            expect(second.queueId).toBe(first.queueId);
+            expect(note.get('text')).toBe('b');
+
+            const pending = await rest.offlineQueue.getPending();
+            expect(pending.length).toBe(1);
+            expect(pending[0].method).toBe('POST');
+            expect(pending[0].data).toEqual({ text: 'b', pinned: false });
+
+            net.offline = false;
+            await rest.offlineQueue.replay();
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            // The failed first attempt, then a single replayed POST
+            expect(net.calls.map(call => call.method)).toEqual(['POST', 'POST']);
+            expect(net.calls[1].body).toEqual({ text: 'b', pinned: false });
+            expect(note.id).toBe(9);
+            expect(note.isPendingSync()).toBe(false);
+        });
+
+        it('saves after a queued create that is being sent, to the record it created', async () => {
+            let release;
+            const net = network((method, url, body) => {
+                if (method === 'POST') return new Promise(resolve => { release = () => resolve(reply(200, { status: true, data: { id: 3, ...body } })); });
+                return reply(200, { status: true, data: { id: 3, ...body } });
+            });
+            const rest = createRest();
+            const note = new Model({}, { endpoint: '/api/note' });
+            note.rest = rest;
+            await note.save({ text: 'a' });
+
+            net.offline = false;
+            const replaying = rest.offlineQueue.replay();
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(rest.offlineQueue.isSending((await rest.offlineQueue.getPending())[0].id)).toBe(true);
+
+            const saving = note.save({ text: 'b' });
+            release();
+            await replaying;
+            const response = await saving;
+
+            expect(response.queued).toBeUndefined();
+            expect(net.calls.map(call => call.method)).toEqual(['POST', 'POST', 'PUT']);
+            expect(net.calls[2].url).toBe('https://api.test/api/note/3');
+        });
+
+        it('does not queue CORS rejections', async () => {
+            const net = network();
+            const rest = createRest();
+            global.fetch = () => Promise.reject(new TypeError('Blocked by CORS policy'));
+
+            const response = await rest.PUT('/api/user/1', { name: 'Ann' }, {}, { offline: true });
+            expect(rest.isNetworkError({ reason: 'cors_error' })).toBe(true);
+            expect(response.reason).toBe('cors_error');
+            expect(response.queued).toBeUndefined();
+            expect(rest.offlineQueue.pendingCount).toBe(0);
+            expect(net.calls.length).toBe(0);
+        });
+    });
+};
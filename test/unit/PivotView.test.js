@@ -0,0 +1,345 @@
+/**
+ * PivotView — pivot tables over a Collection
+ *
+ * Covers:
+ *   - PivotAggregator: counts, sums / averages / min / max per cell, and
+ *     subtotals up the row tree
+ *   - the rendered table: row groups, subtotal and grand total rows,
+ *     column headers in `values` order
+ *   - changing the layout from the toolbar selects
+ *   - sorting rows by label and by value from the headers
+ *   - CSV export of the pivot as laid out
+ *   - a pivot over one page of a larger result says so
+ *   - drill-down: a cell's records and filter params, the drill-down TableView
+ *   - `source: 'server'`: one `_mode=count&_stats` request, and the fallback
+ *     when the server has no aggregation route
+ */
+
+module.exports = async function (testContext) {
+  const { describe, it, expect } = testContext;
+  const { testHelpers, mountView, sleep } = require('../utils/test-helpers');
+  const { loadModule } = require('../utils/simple-module-loader');
+
+  await testHelpers.setup();
+
+  const Collection = loadModule('Collection');
+  // Other suites stub or delete global.TableView; PivotView binds it at load
+  global.TableView = loadModule('TableView');
+  const PivotAggregator = loadModule('PivotAggregator');
+  const PivotView = loadModule('PivotView');
+
+  function seed() {
+    return new Collection([
+      { id: 1, region: 'West', channel: 'Retail', status: 'open', total: 100 },
+      { id: 2, region: 'West', channel: 'Online', status: 'paid', total: 50 },
+      { id: 3, region: 'West', channel: 'Retail', status: 'paid', total: 30 },
+      { id: 4, region: 'East', channel: 'Retail', status: 'open', total: 20 },
+      { id: 5, region: 'East', channel: 'Online', status: 'paid', total: 80 },
+      { id: 6, region: null, channel: 'Online', status: 'open', total: 5 }
+    ]);
+  }
+
+  const dimensions = [
+    { key: 'region', label: 'Region' },
+    { key: 'channel', label: 'Channel' },
+    { key: 'status', label: 'Status', values: [{ value: 'paid', label: 'Paid' }, { value: 'open', label: 'Open' }] }
+  ];
+  const measures = [{ key: 'total', label: 'Order total' }];
+
+  async function mount(options = {}) {
+    const view = new PivotView({
+      collection: seed(),
+      dimensions,
+      measures,
+      rows: ['region', 'channel'],
+      columns: 'status',
+      ...options
+    });
+    const host = await mountView(view);
+    await sleep(0);
+    return { view, host };
+  }
+
+  const bodyRows = (view) => Array.from(view.element.querySelectorAll('.pivot-table tbody tr'))
+    .map((tr) => Array.from(tr.children).map((cell) => cell.textContent.trim()));
+  const headers = (view) => Array.from(view.element.querySelectorAll('.pivot-table thead th'))
+    .map((th) => th.textContent.trim());
+
+  function change(select, value) {
+    select.value = value;
+    select.dispatchEvent(new globalThis.window.Event('change', { bubbles: true }));
+  }
+
+  describe('PivotAggregator', () => {
+    it('accumulates cells, row totals and subtotals in one pass', () => {
+      const pivot = new PivotAggregator();
+      pivot.add(['West', 'Retail'], 'open', 100);
+      pivot.add(['West', 'Retail'], 'paid', '30');
+      pivot.add(['West', 'Online'], 'paid', 50);
+      pivot.add(['East', 'Retail'], 'open', 'n/a');
+
+      const west = pivot.root.children.get('West');
+      expect(PivotAggregator.valueOf(west.total, 'count')).toBe(3);
+      expect(PivotAggregator.valueOf(west.total, 'sum')).toBe(180);
+      expect(PivotAggregator.valueOf(west.cells.get('paid'), 'avg')).toBe(40);
+      expect(PivotAggregator.valueOf(pivot.find(['West', 'Retail']).total, 'max')).toBe(100);
+      expect(PivotAggregator.valueOf(pivot.root.total, 'min')).toBe(30);
+
+      // A non-numeric measure is counted but has nothing to sum
+      const east = pivot.find(['East']);
+      expect(PivotAggregator.valueOf(east.total, 'count')).toBe(1);
+      expect(PivotAggregator.valueOf(east.total, 'sum')).toBe(null);
+      expect(Array.from(pivot.columns.keys())).toEqual(['open', 'paid']);
+    });
+
+    it('buckets empty values together and takes pre-counted entries', () => {
+      const pivot = new PivotAggregator();
+      pivot.add([null], undefined, null, null, 4);
+      pivot.add([''], undefined, null, null, 2);
+      expect(pivot.root.children.size).toBe(1);
+      expect(PivotAggregator.valueOf(pivot.find([undefined]).total, 'count')).toBe(6);
+      expect(PivotAggregator.valueOf(pivot.find(['missing']), 'count')).toBe(0);
+    });
+  });
+
+  describe('PivotView table', () => {
+    it('renders row groups with subtotals and a grand total', async () => {
+      const { view } = await mount();
+
+      expect(headers(view)).toEqual(['Region', 'Channel', 'Paid', 'Open', 'Total']);
+      expect(bodyRows(view)).toEqual([
+        ['East', 'Online', '1', '—', '1'],
+        ['', 'Retail', '—', '1', '1'],
+        ['East total', '1', '1', '2'],
+        ['West', 'Online', '1', '—', '1'],
+        ['', 'Retail', '1', '1', '2'],
+        ['West total', '2', '1', '3'],
+        ['(empty)', 'Online', '—', '1', '1'],
+        ['(empty) total', '—', '1', '1'],
+        ['Grand total', '3', '3', '6']
+      ]);
+      expect(view.element.querySelector('caption').textContent).toBe('Count by Region, Channel, Status');
+      expect(view.getValue(['West'], 'paid')).toBe(2);
+      expect(view.getValue([])).toBe(6);
+    });
+
+    it('sums a measure and changes layout from the toolbar', async () => {
+      const { view } = await mount({ aggregate: 'sum', measure: 'total', subtotals: false });
+      const changes = [];
+      view.on('pivot:change', (layout) => changes.push(layout));
+
+      expect(view.getValue(['West', 'Retail'])).toBe(130);
+      expect(bodyRows(view)[0]).toEqual(['East', 'Online', '80', '—', '80']);
+
+      change(view.element.querySelector('[data-change-action="pivot-rows"][data-level="0"]'), 'status');
+      await sleep(0);
+      // The column dimension can't be a row too: status moved to rows, channel stays
+      expect(view.getLayout().rows).toEqual(['status', 'channel']);
+      expect(view.getLayout().columns).toBe(null);
+      expect(headers(view)).toEqual(['Status', 'Channel', 'Sum of Order total']);
+
+      change(view.element.querySelector('[data-change-action="pivot-aggregate"]'), 'avg');
+      await sleep(0);
+      expect(Math.abs(view.getValue(['paid']) - 160 / 3) < 1e-9).toBe(true);
+      expect(bodyRows(view)[0]).toEqual(['Paid', 'Online', '65']);
+      expect(changes.length).toBe(2);
+
+      change(view.element.querySelector('[data-change-action="pivot-columns"]'), 'region');
+      await sleep(0);
+      expect(view.getLayout()).toEqual({
+        rows: ['status', 'channel'],
+        columns: 'region',
+        aggregate: 'avg',
+        measure: 'total',
+        sort: { by: 'label', direction: 'asc' }
+      });
+    });
+
+    it('sorts rows by value from the headers', async () => {
+      const { view } = await mount({ rows: 'region', aggregate: 'sum', measure: 'total' });
+      const labels = () => bodyRows(view).map((row) => row[0]);
+      expect(labels()).toEqual(['East', 'West', '(empty)', 'Grand total']);
+
+      view.element.querySelector('[data-action="pivot-sort"][data-sort="total"]').click();
+      await sleep(0);
+      expect(view.getLayout().sort).toEqual({ by: 'total', direction: 'desc' });
+      expect(labels()).toEqual(['West', 'East', '(empty)', 'Grand total']);
+      const active = view.element.querySelector('th[aria-sort]');
+      expect(active.getAttribute('aria-sort')).toBe('descending');
+
+      // Sort by the "Open" column; rows with nothing there go last
+      view.element.querySelector('[data-action="pivot-sort"][data-sort="column"][data-column-index="1"]').click();
+      await sleep(0);
+      expect(view.getLayout().sort.by).toBe('open');
+      expect(labels()).toEqual(['West', 'East', '(empty)', 'Grand total']);
+
+      view.element.querySelector('[data-action="pivot-sort"][data-sort="column"][data-column-index="1"]').click();
+      await sleep(0);
+      expect(labels()).toEqual(['(empty)', 'East', 'West', 'Grand total']);
+    });
+
+    it('shows a message when there is nothing to pivot', async () => {
+      const { view } = await mount({ collection: new Collection([]) });
+      expect(view.element.querySelector('.pivot-table')).toBe(null);
+      expect(view.element.querySelector('.pivot-empty').textContent.trim()).toBe('No data to summarize');
+    });
+
+    it('re-aggregates when the collection changes', async () => {
+      const { view } = await mount({ rows: 'region', columns: null });
+      view.collection.add({ id: 7, region: 'East', channel: 'Retail', status: 'open', total: 1 });
+      await sleep(0);
+      expect(view.getValue(['East'])).toBe(3);
+      expect(bodyRows(view)[0]).toEqual(['East', '3']);
+    });
+  });
+
+  describe('PivotView partial data', () => {
+    it('flags a pivot over one page of a larger result', async () => {
+      const collection = seed();
+      collection.meta = { count: 40 };
+      const { view } = await mount({ collection, rows: 'region', columns: null });
+
+      expect(view.isPartial()).toBe(true);
+      expect(view.element.querySelector('.pivot-partial').textContent.trim())
+        .toBe('Only 6 of 40 records are loaded, so these numbers cover the loaded records only.');
+      const rows = bodyRows(view);
+      expect(rows[rows.length - 1]).toEqual(['Total of loaded records', '6']);
+      expect(view.toCSV().split('\n').pop()).toBe('Total of loaded records,6');
+
+      collection.meta = { count: 6 };
+      await view.refresh();
+      expect(view.isPartial()).toBe(false);
+      expect(view.element.querySelector('.pivot-partial')).toBe(null);
+    });
+  });
+
+  describe('PivotView export', () => {
+    it('writes the pivot as CSV with full row labels', async () => {
+      const { view } = await mount({ title: 'Orders' });
+      const csv = view.toCSV().split('\n');
+      expect(csv[0]).toBe('Region,Channel,Paid,Open,Total');
+      expect(csv[1]).toBe('East,Online,1,,1');
+      expect(csv[2]).toBe('East,Retail,,1,1');
+      expect(csv[3]).toBe('East total,,1,1,2');
+      expect(csv[csv.length - 1]).toBe('Grand total,,3,3,6');
+
+      const exports = [];
+      view.on('pivot:export', (payload) => exports.push(payload));
+      const createObjectURL = URL.createObjectURL;
+      const revokeObjectURL = URL.revokeObjectURL;
+      URL.createObjectURL = () => 'blob:pivot';
+      URL.revokeObjectURL = () => {};
+      try {
+        view.element.querySelector('[data-action="pivot-export"]').click();
+        await sleep(0);
+      } finally {
+        URL.createObjectURL = createObjectURL;
+        URL.revokeObjectURL = revokeObjectURL;
+      }
+      expect(exports.length).toBe(1);
+      expect(exports[0].filename).toMatch(/^orders-pivot-\d{4}-\d{2}-\d{2}\.csv$/);
+      expect(exports[0].csv).toBe(view.toCSV());
+    });
+  });
+
+  describe('PivotView drill-down', () => {
+    it('describes the records and filters behind a cell', async () => {
+      const opened = [];
+      const { view } = await mount({ drillDown: (cell) => opened.push(cell) });
+
+      // West / Retail, "Paid"
+      view.element.querySelector('[data-action="pivot-drill"][data-row="4"][data-column="0"]').click();
+      await sleep(0);
+      expect(opened.length).toBe(1);
+      const cell = opened[0];
+      expect(cell.label).toBe('Region: West · Channel: Retail · Status: Paid');
+      expect(cell.params).toEqual({ region: 'West', channel: 'Retail', status: 'paid' });
+      expect(cell.records.map((model) => model.id)).toEqual([3]);
+      expect(cell.value).toBe(1);
+
+      // The empty bucket filters with __isnull
+      const empty = view.getCell(7, -1);
+      expect(empty.params).toEqual({ region__isnull: true });
+      expect(empty.records.map((model) => model.id)).toEqual([6]);
+    });
+
+    it('builds a TableView over the cell records', async () => {
+      const { view } = await mount({ drillDown: { columns: [{ key: 'id', label: 'ID' }] } });
+      const table = view.createDrillDownView(view.getCell(2, -1));
+      expect(table.columns.map((column) => column.key)).toEqual(['id']);
+      expect(table.options.collection.models.map((model) => model.id)).toEqual([4, 5]);
+      expect(table.options.collection.isLocal()).toBe(true);
+
+      const defaults = new PivotView({ collection: seed(), dimensions, measures })._defaultDrillColumns();
+      expect(defaults.map((column) => column.key)).toEqual(['region', 'channel', 'status', 'total']);
+    });
+  });
+
+  describe('PivotView server aggregation', () => {
+    function serverCollection(respond) {
+      const collection = seed();
+      collection.endpoint = '/api/orders';
+      collection.restEnabled = true;
+      collection.lastFetchTime = Date.now();
+      collection.params = { start: 0, size: 10, sort: '-id', channel: 'Online' };
+      collection.fetch = jest.fn(async () => ({ success: true }));
+      collection.rest = { GET: jest.fn(respond) };
+      return collection;
+    }
+
+    it('counts every cell in one _mode=count request', async () => {
+      const collection = serverCollection(async (url, params) => {
+        const bundles = JSON.parse(params._stats);
+        const stats = {};
+        Object.keys(bundles).forEach((key, index) => { stats[key] = index; });
+        return { success: true, status: 200, data: { count: 10, stats } };
+      });
+      const { view } = await mount({
+        collection,
+        source: 'server',
+        rows: 'status',
+        columns: null,
+        dimensions: [{ key: 'status', label: 'Status', values: ['open', 'paid', 'void'] }]
+      });
+
+      expect(collection.rest.GET).toHaveBeenCalledTimes(1);
+      const params = collection.rest.GET.mock.calls[0][1];
+      expect(params._mode).toBe('count');
+      expect(params.size).toBe(1);
+      expect(params.sort).toBe(undefined);
+      expect(params.channel).toBe('Online');
+      expect(JSON.parse(params._stats)).toEqual({
+        c0: { status: 'open' },
+        c1: { status: 'paid' },
+        c2: { status: 'void' }
+      });
+
+      // Zero counts are left out
+      expect(bodyRows(view)).toEqual([['paid', '1'], ['void', '2'], ['Grand total', '3']]);
+      expect(view.element.querySelector('[data-change-action="pivot-aggregate"]').disabled).toBe(true);
+      expect(view.getCell(1, -1).records).toBe(null);
+      expect(view.getCell(1, -1).params).toEqual({ channel: 'Online', status: 'void' });
+    });
+
+    it('falls back to the loaded records without an aggregation route', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      try {
+        const collection = serverCollection(async () => ({ success: false, status: 404, data: {} }));
+        const { view } = await mount({ collection, source: 'server', rows: 'region', columns: null });
+        // `region` has no values — never asks the server
+        expect(collection.rest.GET).not.toHaveBeenCalled();
+        expect(view.getValue(['West'])).toBe(3);
+
+        const other = serverCollection(async () => ({ success: false, status: 404, data: {} }));
+        const second = await mount({ collection: other, source: 'server', rows: 'status', columns: null });
+        expect(other.rest.GET).toHaveBeenCalledTimes(1);
+        await sleep(0);
+        expect(second.view._serverSupported).toBe(false);
+        expect(second.view.getValue(['open'])).toBe(3);
+        expect(warn).toHaveBeenCalledTimes(2);
+      } finally {
+        warn.mockRestore();
+      }
+    });
+  });
+};
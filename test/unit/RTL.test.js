@@ -0,0 +1,140 @@
+/**
+ * Right-to-left layout
+ *
+ * Covers:
+ *   - setDirection() / locale-derived 'auto' direction on <html dir>
+ *   - a static <html dir> stands until a direction or locale is configured
+ *   - 'direction:changed' only fires when the effective direction flips
+ *   - isRTL(element) honours the nearest `dir` attribute
+ *   - ContextMenu.openAt anchors the menu's right edge at x in RTL
+ *   - CalendarPopover mirrors `-start` / `-end` placements in RTL
+ */
+
+module.exports = async function (testContext) {
+  const { describe, it, expect } = testContext;
+  const { testHelpers } = require('../utils/test-helpers');
+  const { loadModule } = require('../utils/simple-module-loader');
+
+  await testHelpers.setup();
+
+  const i18n = loadModule('i18n');
+  const ContextMenu = loadModule('ContextMenu');
+  const CalendarPopover = loadModule('CalendarPopover');
+
+  const rect = (left, top, width, height) => () => ({
+    left, top, width, height, right: left + width, bottom: top + height
+  });
+
+  describe('I18n direction', () => {
+    it('derives the direction from the locale unless set explicitly', async () => {
+      const changes = [];
+      const onChange = (info) => changes.push(info);
+      i18n.on('direction:changed', onChange);
+
+      await i18n.setLocale('ar');
+      expect(i18n.getDirection()).toBe('rtl');
+      expect(document.documentElement.dir).toBe('rtl');
+      expect(i18n.isRTL()).toBe(true);
+
+      await i18n.setLocale('fa-IR');
+      expect(changes.length).toBe(1);
+
+      i18n.setDirection('ltr');
+      expect(document.documentElement.dir).toBe('ltr');
+      await i18n.setLocale('he');
+      expect(i18n.getDirection()).toBe('ltr');
+
+      i18n.setDirection('auto');
+      expect(i18n.getDirection()).toBe('rtl');
+      await i18n.setLocale('en');
+
+      expect(changes).toEqual([
+        { direction: 'rtl', previous: 'ltr' },
+        { direction: 'ltr', previous: 'rtl' },
+        { direction: 'rtl', previous: 'ltr' },
+        { direction: 'ltr', previous: 'rtl' }
+      ]);
+      expect(document.documentElement.dir).toBe('ltr');
+      i18n.off('direction:changed', onChange);
+    });
+
+    it('leaves a static <html dir> alone until a direction is configured', async () => {
+      const root = document.documentElement;
+      const original = root.getAttribute('dir');
+      root.setAttribute('dir', 'rtl');
+      try {
+        const fresh = new i18n.constructor();
+        await fresh.configure({});
+        expect(root.getAttribute('dir')).toBe('rtl');
+        expect(fresh.isRTL()).toBe(true);
+
+        fresh.setDirection('ltr');
+        expect(root.getAttribute('dir')).toBe('ltr');
+      } finally {
+        if (original === null) root.removeAttribute('dir');
+        else root.setAttribute('dir', original);
+      }
+    });
+
+    it('lets a scoped dir attribute win over the app direction', () => {
+      const island = document.createElement('div');
+      island.setAttribute('dir', 'rtl');
+      island.innerHTML = '<span class="inner"></span>';
+      document.body.appendChild(island);
+
+      expect(i18n.isRTL(island.querySelector('.inner'))).toBe(true);
+      expect(i18n.isRTL(document.createElement('span'))).toBe(false);
+      island.remove();
+    });
+  });
+
+  describe('RTL positioning', () => {
+    it('opens a ContextMenu to the left of the point', async () => {
+      const originalBootstrap = window.bootstrap;
+      window.bootstrap = { Dropdown: { getOrCreateInstance: () => ({ show() {}, hide() {} }), getInstance: () => null } };
+      const viewportWidth = document.documentElement.clientWidth || window.innerWidth;
+
+      const host = document.createElement('div');
+      host.setAttribute('dir', 'rtl');
+      document.body.appendChild(host);
+      const menu = new ContextMenu({ config: { items: [{ label: 'Edit', action: 'edit' }] } });
+      await menu.render(true, host);
+      await menu.openAt(300, 40);
+
+      const menuEl = document.body.querySelector(`[aria-labelledby="context-menu-${menu.id}"]`);
+      expect(menuEl.getAttribute('dir')).toBe('rtl');
+      expect(menuEl.style.right).toBe(`${viewportWidth - 300}px`);
+      expect(menuEl.style.left).toBe('');
+
+      await menu.destroy();
+      host.remove();
+      window.bootstrap = originalBootstrap;
+    });
+
+    it('mirrors CalendarPopover start/end placements', () => {
+      const wrapper = document.createElement('div');
+      const anchor = document.createElement('button');
+      wrapper.appendChild(anchor);
+      document.body.appendChild(wrapper);
+      anchor.getBoundingClientRect = rect(400, 100, 200, 30);
+
+      const place = (placement) => {
+        const popover = new CalendarPopover({ anchor, placement });
+        popover.element.getBoundingClientRect = rect(0, 0, 100, 50);
+        popover.open();
+        const { left } = popover.element.style;
+        const dir = popover.element.getAttribute('dir');
+        popover.destroy();
+        return `${dir}:${left}`;
+      };
+
+      expect(place('bottom-start')).toBe('ltr:400px');
+      expect(place('bottom-end')).toBe('ltr:500px');
+
+      wrapper.setAttribute('dir', 'rtl');
+      expect(place('bottom-start')).toBe('rtl:500px');
+      expect(place('top-end')).toBe('rtl:400px');
+      wrapper.remove();
+    });
+  });
+};
@@ -0,0 +1,213 @@
+/**
+ * RealtimeSync Unit Tests
+ * Server change events over the realtime WebSocket applied to subscribed
+ * Models and Collections.
+ *
+ * Covers:
+ *   - subscribe/unsubscribe messages: reference counted, re-sent on connect
+ *   - channels shared with `ws.subscribe()` callers stay open until both let go
+ *   - created/updated/deleted events on a Collection
+ *   - created events refetch a filtered or paged collection by default
+ *   - a model unsubscribes once destroyed or deleted on the server
+ *   - updated/deleted events on a Model (fetch when the event has no data)
+ *   - `realtime:event` on the app bus
+ *   - ListView `realtime` option subscribes for the life of the view
+ */
+
+module.exports = async function(testContext) {
+    const { describe, it, expect } = testContext;
+    const { testHelpers } = require('../utils/test-helpers');
+    const { loadModule } = require('../utils/simple-module-loader');
+
+    await testHelpers.setup();
+    const WebSocketClient = loadModule('WebSocketClient');
+    const Model = loadModule('Model');
+    const Collection = loadModule('Collection');
+    const ListView = loadModule('ListView');
+    const realtimeSync = loadModule('RealtimeSync');
+    const RealtimeSync = realtimeSync.constructor;
+
+    // A WebSocketClient over a stub socket: records sent frames, `receive()`
+    // delivers a server message, `open()` connects the way onopen does
+    function fakeSocket(connected = true) {
+        const ws = new WebSocketClient({ url: 'ws://test/ws/realtime/', autoReconnect: false });
+        ws.sent = [];
+        ws.socket = { send: (message) => ws.sent.push(JSON.parse(message)), close() {} };
+        ws.isConnected = connected;
+        ws.receive = (data) => ws._handleMessage({ data: JSON.stringify(data) });
+        ws.open = () => {
+            ws.isConnected = true;
+            ws._resubscribe();
+            ws.emit('connected');
+        };
+        return ws;
+    }
+
+    class Ticket extends Model {
+        static MODEL_REF = 'incident.Ticket';
+    }
+    class TicketList extends Collection {
+        constructor(options = {}) {
+            super({ ModelClass: Ticket, endpoint: '/api/ticket', ...options });
+        }
+    }
+
+    const event = (name, id, data) => ({ type: 'model:event', model: 'incident.Ticket', event: name, id, data });
+
+    describe('RealtimeSync', () => {
+        it('reference counts channels and re-sends them on connect', () => {
+            const ws = fakeSocket(false);
+            const sync = new RealtimeSync({ ws });
+            const a = new TicketList();
+            const b = new TicketList();
+
+            sync.subscribe(a);
+            sync.subscribe(b);
+            sync.subscribe(new Ticket({ id: 4 }));
+            expect(ws.sent).toEqual([]);
+
+            ws.open();
+            expect(ws.sent).toEqual([{ type: 'subscribe', channels: ['model:incident.Ticket', 'model:incident.Ticket:4'] }]);
+
+            sync.unsubscribe(a);
+            expect(ws.sent.length).toBe(1);
+            sync.unsubscribe(b);
+            expect(ws.sent[1]).toEqual({ type: 'unsubscribe', channels: ['model:incident.Ticket'] });
+            expect(() => sync.subscribe(new Collection())).toThrow('RealtimeSync: model class needs a static MODEL_REF to subscribe');
+        });
+
+        it('shares channel reference counts with other ws.subscribe() callers', () => {
+            const ws = fakeSocket();
+            const sync = new RealtimeSync({ ws });
+            const feed = [];
+            const stopFeed = ws.subscribe('model:incident.Ticket', (message) => feed.push(message.id));
+            const tickets = new TicketList();
+            sync.subscribe(tickets);
+            expect(ws.sent).toEqual([{ type: 'subscribe', channels: ['model:incident.Ticket'] }]);
+
+            sync.unsubscribe(tickets);
+            expect(ws.sent.length).toBe(1);
+            ws.receive({ type: 'note', channel: 'model:incident.Ticket', id: 5 });
+            expect(feed).toEqual([5]);
+
+            sync.subscribe(tickets);
+            stopFeed();
+            expect(ws.sent.length).toBe(1);
+            sync.detach();
+            expect(ws.sent[1]).toEqual({ type: 'unsubscribe', channels: ['model:incident.Ticket'] });
+            ws.destroy();
+        });
+
+        it('applies created, updated and deleted events to a collection', () => {
+            const ws = fakeSocket();
+            const sync = new RealtimeSync({ ws });
+            const tickets = new TicketList();
+            tickets.add([{ id: 1, title: 'Disk full' }, { id: 2, title: 'CPU' }]);
+            sync.subscribe(tickets);
+            const deleted = [];
+            tickets.get(2).on('deleted', model => deleted.push(model.id));
+            const changes = [];
+            tickets.get(1).on('change', (_model, options) => changes.push(options.realtime));
+
+            ws.receive(event('created', 3, { id: 3, title: 'New' }));
+            ws.receive(event('updated', 1, { title: 'Disk 90%' }));
+            ws.receive(event('deleted', 2));
+            ws.receive({ ...event('updated', 3, { title: 'Other type' }), model: 'incident.Incident' });
+
+            expect(tickets.models.map(model => model.id)).toEqual([1, 3]);
+            expect(tickets.get(1).get('title')).toBe('Disk 90%');
+            expect(tickets.get(3).get('title')).toBe('New');
+            expect(changes).toEqual([true]);
+            expect(deleted).toEqual([2]);
+        });
+
+        it('refetches a filtered or paged collection on created', () => {
+            const ws = fakeSocket();
+            const sync = new RealtimeSync({ ws });
+            const filtered = new TicketList({ params: { status: 'open' } });
+            const paged = new TicketList({ size: 2 });
+            paged.add([{ id: 1 }, { id: 2 }]);
+            const forced = new TicketList({ params: { status: 'open' } });
+            [filtered, paged, forced].forEach((collection) => {
+                collection.fetch = jest.fn();
+            });
+            sync.subscribe(filtered);
+            sync.subscribe(paged);
+            sync.subscribe(forced, { created: 'add' });
+
+            ws.receive(event('created', 3, { id: 3, status: 'closed' }));
+
+            expect(filtered.fetch).toHaveBeenCalledTimes(1);
+            expect(filtered.length()).toBe(0);
+            expect(paged.fetch).toHaveBeenCalledTimes(1);
+            expect(paged.length()).toBe(2);
+            expect(forced.fetch).not.toHaveBeenCalled();
+            expect(forced.length()).toBe(1);
+            expect(RealtimeSync.defaultCreatedMode(new TicketList({ params: { sort: '-id' } }))).toBe('add');
+        });
+
+        it('unsubscribes a model once it is destroyed or deleted', async () => {
+            const ws = fakeSocket();
+            const sync = new RealtimeSync({ ws });
+            realtimeSync.attach(ws);
+
+            const ticket = new Ticket({ id: 9 });
+            ticket.rest = { DELETE: jest.fn(async () => ({ success: true, status: 200 })) };
+            ticket.subscribe();
+            expect(realtimeSync.isSubscribed(ticket)).toBe(true);
+            await ticket.destroy();
+            expect(realtimeSync.isSubscribed(ticket)).toBe(false);
+            expect(ws.sent[ws.sent.length - 1]).toEqual({ type: 'unsubscribe', channels: ['model:incident.Ticket:9'] });
+            realtimeSync.detach();
+
+            const other = new Ticket({ id: 10 });
+            const deleted = [];
+            other.on('deleted', (model) => deleted.push(model.id));
+            sync.subscribe(other);
+            ws.receive(event('deleted', 10));
+            expect(deleted).toEqual([10]);
+            expect(sync.isSubscribed(other)).toBe(false);
+        });
+
+        it('updates a subscribed model and fetches when the event carries no data', () => {
+            const ws = fakeSocket();
+            const bus = [];
+            const sync = new RealtimeSync({ ws, eventBus: { emit: (name, data) => bus.push([name, data.event]) } });
+            const ticket = new Ticket({ id: 7, title: 'Old' });
+            ticket.fetch = jest.fn();
+            const stop = sync.subscribe(ticket);
+
+            ws.receive(event('updated', 7, { title: 'New' }));
+            ws.receive(event('updated', 8, { title: 'Not mine' }));
+            ws.receive(event('updated', 7));
+            stop();
+            ws.receive(event('updated', 7, { title: 'After stop' }));
+
+            expect(ticket.get('title')).toBe('New');
+            expect(ticket.fetch).toHaveBeenCalledTimes(1);
+            expect(sync.isSubscribed(ticket)).toBe(false);
+            expect(bus.map(([name]) => name)).toEqual(['realtime:event', 'realtime:event', 'realtime:event', 'realtime:event']);
+        });
+
+        it('subscribes a ListView collection when realtime is set', async () => {
+            const ws = fakeSocket();
+            realtimeSync.attach(ws);
+            const collection = new TicketList();
+            collection.add({ id: 1, title: 'A' });
+
+            const plain = new ListView({ collection: new TicketList() });
+            const live = new ListView({ collection, realtime: { created: 'ignore' } });
+            await plain.onInit();
+            await live.onInit();
+            expect(realtimeSync.isSubscribed(plain.collection)).toBe(false);
+            expect(realtimeSync.isSubscribed(collection)).toBe(true);
+
+            ws.receive(event('created', 2, { id: 2 }));
+            expect(collection.length()).toBe(1);
+
+            await live.destroy();
+            expect(realtimeSync.isSubscribed(collection)).toBe(false);
+            realtimeSync.detach();
+        });
+    });
+};
@@ -458,6 +458,374 @@ module.exports = async function(testContext) {
             });
         });
 
+        describe('Retry Policy', () => {
+            const failure = (status, headers = {}) => ({
+                ok: false,
+                status,
+                statusText: 'Error',
+                headers: new Map([['content-type', 'application/json'], ...Object.entries(headers)]),
+                json: jest.fn().mockResolvedValue({ message: 'busy' }),
+                text: jest.fn().mockResolvedValue('')
+            });
+            const fastRetry = { retries: 2, baseDelay: 1, jitter: false };
+            const networkError = () => new TypeError('Failed to fetch');
+            // Respond with each result in turn, repeating the last one
+            const respondWith = (...results) => mockFetch.mockImplementation(() => {
+                const next = results.length > 1 ? results.shift() : results[0];
+                return next instanceof Error ? Promise.reject(next) : Promise.resolve(next);
+            });
+
+            it('should not retry by default', async () => {
+                mockFetch.mockRejectedValue(new Error('Network error'));
+
+                const result = await rest.GET('/users');
+
+                expect(result.success).toBe(false);
+                expect(mockFetch).toHaveBeenCalledTimes(1);
+            });
+
+            it('should retry network errors for idempotent methods', async () => {
+                rest.configure({ retry: fastRetry });
+                respondWith(networkError(), mockResponse);
+                const retries = [];
+                rest.on('retry', (info) => retries.push(info));
+
+                const result = await rest.GET('/users');
+
+                expect(result.success).toBe(true);
+                expect(mockFetch).toHaveBeenCalledTimes(2);
+                expect(retries.length).toBe(1);
+                expect(retries[0].attempt).toBe(1);
+                expect(retries[0].method).toBe('GET');
+            });
+
+            it('should not retry POST unless the call opts in', async () => {
+                rest.configure({ retry: fastRetry });
+                respondWith(networkError());
+
+                await rest.POST('/users', { name: 'x' });
+                expect(mockFetch).toHaveBeenCalledTimes(1);
+
+                await rest.POST('/users', { name: 'x' }, {}, { retry: 1 });
+                expect(mockFetch).toHaveBeenCalledTimes(3);
+            });
+
+            it('should retry 429/503 but not other errors', async () => {
+                rest.configure({ retry: fastRetry });
+                respondWith(failure(503), failure(429), mockResponse);
+
+                const ok = await rest.GET('/users');
+                expect(ok.success).toBe(true);
+                expect(mockFetch).toHaveBeenCalledTimes(3);
+
+                respondWith(failure(500));
+                const serverError = await rest.GET('/users');
+                expect(serverError.status).toBe(500);
+                expect(mockFetch).toHaveBeenCalledTimes(4);
+            });
+
+            it('should honor Retry-After and give up when it is too long', async () => {
+                rest.configure({ retry: { ...fastRetry, maxRetryAfter: 1000 } });
+                const delays = [];
+                rest.on('retry', ({ delay }) => delays.push(delay));
+                respondWith(failure(429, { 'retry-after': '0' }), mockResponse);
+
+                await rest.GET('/users');
+                expect(delays).toEqual([0]);
+
+                const exhausted = [];
+                rest.on('retry:exhausted', (info) => exhausted.push(info));
+                respondWith(failure(503, { 'retry-after': '120' }));
+                const result = await rest.GET('/users');
+                expect(result.status).toBe(503);
+                expect(exhausted.length).toBe(1);
+                expect(exhausted[0].attempts).toBe(1);
+            });
+
+            it('should emit retry:exhausted after the last attempt', async () => {
+                respondWith(failure(503));
+                const exhausted = [];
+                rest.on('retry:exhausted', (info) => exhausted.push(info));
+
+                const result = await rest.GET('/users', {}, { retry: fastRetry });
+
+                expect(result.status).toBe(503);
+                expect(mockFetch).toHaveBeenCalledTimes(3);
+                expect(exhausted[0].attempts).toBe(3);
+                expect(exhausted[0].response.status).toBe(503);
+            });
+
+            it('should skip retries when options.retry is false', async () => {
+                rest.configure({ retry: fastRetry });
+                respondWith(failure(503));
+
+                await rest.GET('/users', {}, { retry: false });
+
+                expect(mockFetch).toHaveBeenCalledTimes(1);
+            });
+
+            it('should stop waiting when the signal aborts during backoff', async () => {
+                respondWith(failure(503));
+                const controller = new AbortController();
+                const pending = rest.GET('/users', {}, {
+                    retry: { retries: 2, baseDelay: 1000, jitter: false },
+                    signal: controller.signal
+                });
+                setTimeout(() => controller.abort(), 5);
+
+                let error = null;
+                try {
+                    await pending;
+                } catch (err) {
+                    error = err;
+                }
+
+                expect(error && error.name).toBe('AbortError');
+                expect(mockFetch).toHaveBeenCalledTimes(1);
+            });
+
+            it('should compute exponential backoff capped by maxDelay', () => {
+                const policy = { baseDelay: 100, maxDelay: 350, jitter: false, respectRetryAfter: true };
+                expect(rest.getRetryDelay({ headers: {} }, 1, policy)).toBe(100);
+                expect(rest.getRetryDelay({ headers: {} }, 2, policy)).toBe(200);
+                expect(rest.getRetryDelay({ headers: {} }, 3, policy)).toBe(350);
+
+                const jittered = rest.getRetryDelay({ headers: {} }, 2, { ...policy, jitter: true });
+                expect(jittered >= 100 && jittered <= 200).toBe(true);
+            });
+
+            it('should parse Retry-After seconds and dates', () => {
+                expect(rest.parseRetryAfter('2')).toBe(2000);
+                expect(rest.parseRetryAfter(undefined)).toBe(null);
+                expect(rest.parseRetryAfter('not a date')).toBe(null);
+                const inFuture = new Date(Date.now() + 5000).toUTCString();
+                const ms = rest.parseRetryAfter(inFuture);
+                expect(ms > 3000 && ms <= 5000).toBe(true);
+            });
+        });
+
+        describe('Response Cache', () => {
+            const json = (body, { status = 200, etag = null } = {}) => ({
+                ok: status >= 200 && status < 300,
+                status,
+                statusText: status === 304 ? 'Not Modified' : 'OK',
+                headers: new Map([['content-type', 'application/json'], ...(etag ? [['etag', etag]] : [])]),
+                json: jest.fn().mockResolvedValue(body),
+                text: jest.fn().mockResolvedValue('')
+            });
+            const respondWith = (...results) => mockFetch.mockImplementation(() => {
+                const next = results.length > 1 ? results.shift() : results[0];
+                return Promise.resolve(next);
+            });
+            const age = async (rest, key, ms) => {
+                const entry = await rest.cache.get(key);
+                await rest.cache.storage.set(key, { ...entry, storedAt: entry.storedAt - ms });
+            };
+            const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+            it('should serve fresh entries without a request', async () => {
+                rest.configure({ baseURL: 'https://api.test', cache: { ttl: 60000 } });
+                respondWith(json({ status: true, data: { id: 1 } }, { etag: '"v1"' }));
+
+                const first = await rest.GET('/api/user/1');
+                first.data.data.id = 99;
+                const second = await rest.GET('/api/user/1');
+
+                expect(mockFetch).toHaveBeenCalledTimes(1);
+                expect(first.cached).toBeUndefined();
+                expect(second.cached).toBe(true);
+                expect(second.data.data.id).toBe(1);
+            });
+
+            it('should revalidate expired entries with If-None-Match', async () => {
+                rest.configure({ baseURL: 'https://api.test', cache: { ttl: 1000 } });
+                respondWith(json({ status: true, data: { id: 1 } }, { etag: '"v1"' }), json(null, { status: 304 }));
+
+                await rest.GET('/api/user/1', { graph: 'basic' });
+                await age(rest, 'https://api.test/api/user/1?graph=basic', 5000);
+                const result = await rest.GET('/api/user/1', { graph: 'basic' });
+
+                expect(mockFetch).toHaveBeenCalledTimes(2);
+                expect(mockFetch.mock.calls[1][1].headers['If-None-Match']).toBe('"v1"');
+                expect(result.status).toBe(200);
+                expect(result.revalidated).toBe(true);
+                expect(result.data.data.id).toBe(1);
+
+                // A 304 restarts the freshness window
+                await rest.GET('/api/user/1', { graph: 'basic' });
+                expect(mockFetch).toHaveBeenCalledTimes(2);
+            });
+
+            it('should serve stale entries and refresh them in the background', async () => {
+                rest.configure({ baseURL: 'https://api.test', cache: { ttl: 1000, staleWhileRevalidate: 60000 } });
+                respondWith(json({ status: true, data: { v: 1 } }), json({ status: true, data: { v: 2 } }));
+                const updates = [];
+                rest.on('cache:updated', (info) => updates.push(info));
+
+                await rest.GET('/api/items');
+                await age(rest, 'https://api.test/api/items', 5000);
+                const stale = await rest.GET('/api/items');
+                await flush();
+
+                expect(stale.stale).toBe(true);
+                expect(stale.data.data.v).toBe(1);
+                expect(mockFetch).toHaveBeenCalledTimes(2);
+                expect(updates.length).toBe(1);
+                expect(updates[0].response.data.data.v).toBe(2);
+
+                const refreshed = await rest.GET('/api/items');
+                expect(refreshed.data.data.v).toBe(2);
+                expect(mockFetch).toHaveBeenCalledTimes(2);
+            });
+
+            it('should invalidate the record and its collection after a mutation', async () => {
+                rest.configure({ baseURL: 'https://api.test', cache: { ttl: 60000 } });
+                respondWith(json({ status: true, data: {} }));
+
+                await rest.GET('/api/user', { size: 10 });
+                await rest.GET('/api/user/1');
+                await rest.GET('/api/group');
+                await rest.PUT('/api/user/1', { name: 'x' });
+
+                expect(await rest.cache.get('https://api.test/api/user?size=10')).toBe(null);
+                expect(await rest.cache.get('https://api.test/api/user/1')).toBe(null);
+                expect(await rest.cache.get('https://api.test/api/group')).toBeTruthy();
+            });
+
+            it('should bypass the cache with cache: false and stay off by default', async () => {
+                respondWith(json({ status: true, data: {} }));
+                await rest.GET('/api/user');
+                await rest.GET('/api/user');
+                expect(rest.cache).toBe(null);
+                expect(mockFetch).toHaveBeenCalledTimes(2);
+
+                rest.configure({ cache: true });
+                await rest.GET('/api/user', {}, { cache: false });
+                await rest.GET('/api/user');
+                await rest.GET('/api/user');
+                expect(mockFetch).toHaveBeenCalledTimes(4);
+            });
+
+            it('should apply dataOnly to cached responses', async () => {
+                rest.configure({ cache: true });
+                respondWith(json({ status: true, data: { id: 7 }, message: 'ok' }));
+
+                const first = await rest.GET('/api/user/7', {}, { dataOnly: true });
+                const second = await rest.GET('/api/user/7', {}, { dataOnly: true });
+
+                expect(first.data).toEqual({ id: 7 });
+                expect(second.data).toEqual({ id: 7 });
+                expect(second.cached).toBe(true);
+            });
+        });
+
+        describe('Request Batching', () => {
+            const json = (body, status = 200) => ({
+                ok: status >= 200 && status < 300,
+                status,
+                statusText: 'OK',
+                headers: new Map([['content-type', 'application/json']]),
+                json: jest.fn().mockResolvedValue(body),
+                text: jest.fn().mockResolvedValue('')
+            });
+            // Batch endpoint stub: answers every sub-request with its own url
+            const batchServer = (overrides = {}) => mockFetch.mockImplementation((url, init) => {
+                if (!url.endsWith('/api/batch')) return Promise.resolve(json({ status: true, data: { direct: url } }));
+                const { requests } = JSON.parse(init.body);
+                return Promise.resolve(json({
+                    responses: requests
+                        .filter(sub => !(sub.url in overrides) || overrides[sub.url])
+                        .map(sub => overrides[sub.url]
+                            ? { id: sub.id, ...overrides[sub.url] }
+                            : { id: sub.id, status: 200, data: { status: true, data: { url: sub.url } } })
+                }));
+            });
+
+            beforeEach(() => {
+                rest.configure({ baseURL: 'https://api.test', batch: { endpoint: '/api/batch', window: 5 } });
+            });
+
+            it('should coalesce requests within the window into one POST', async () => {
+                batchServer();
+
+                const [users, jobs] = await Promise.all([
+                    rest.GET('/api/user', { size: 5 }),
+                    rest.GET('https://api.test/api/job', {}, { dataOnly: true })
+                ]);
+
+                expect(mockFetch).toHaveBeenCalledTimes(1);
+                const [url, init] = mockFetch.mock.calls[0];
+                expect(url).toBe('https://api.test/api/batch');
+                expect(init.method).toBe('POST');
+                expect(JSON.parse(init.body).requests.map(sub => sub.url)).toEqual(['/api/user?size=5', '/api/job']);
+                expect(users.data.data.url).toBe('/api/user?size=5');
+                expect(jobs.data).toEqual({ url: '/api/job' });
+            });
+
+            it('should send a lone request directly and skip unbatchable ones', async () => {
+                batchServer();
+
+                const single = await rest.GET('/api/user');
+                const [post, uncached] = await Promise.all([
+                    rest.POST('/api/user', { name: 'x' }),
+                    rest.GET('/api/job', {}, { batch: false })
+                ]);
+
+                expect(mockFetch).toHaveBeenCalledTimes(3);
+                expect(single.data.data.direct).toBe('https://api.test/api/user');
+                expect(post.success).toBe(true);
+                expect(uncached.data.data.direct).toBe('https://api.test/api/job');
+            });
+
+            it('should fan out sub-request failures and missing responses', async () => {
+                batchServer({
+                    '/api/secret': { status: 403, data: { message: 'Nope' } },
+                    '/api/lost': null
+                });
+
+                const [ok, denied, lost] = await Promise.all([
+                    rest.GET('/api/user'),
+                    rest.GET('/api/secret'),
+                    rest.GET('/api/lost')
+                ]);
+
+                expect(ok.success).toBe(true);
+                expect(denied.success).toBe(false);
+                expect(denied.reason).toBe('forbidden');
+                expect(denied.message).toBe('Nope');
+                expect(lost.success).toBe(false);
+                expect(lost.status).toBe(502);
+            });
+
+            it('should abort one request without cancelling the batch', async () => {
+                batchServer();
+                const controller = new AbortController();
+
+                const kept = rest.GET('/api/user');
+                const aborted = rest.GET('/api/job', {}, { signal: controller.signal });
+                const other = rest.GET('/api/group');
+                controller.abort();
+
+                let abortError = null;
+                await aborted.catch((error) => { abortError = error; });
+                const [keptResult, otherResult] = await Promise.all([kept, other]);
+
+                expect(abortError.name).toBe('AbortError');
+                expect(keptResult.success).toBe(true);
+                expect(otherResult.success).toBe(true);
+                expect(JSON.parse(mockFetch.mock.calls[0][1].body).requests.length).toBe(2);
+            });
+
+            it('should give every member the failure when the batch POST fails', async () => {
+                mockFetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+                const results = await Promise.all([rest.GET('/api/user'), rest.GET('/api/job')]);
+
+                expect(mockFetch).toHaveBeenCalledTimes(1);
+                expect(results.map(result => result.reason)).toEqual(['not_reachable', 'not_reachable']);
+            });
+        });
+
         describe('Request Options', () => {
             it('should use custom timeout', async () => {
                 rest.configure({ timeout: 5000 });
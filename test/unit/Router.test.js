@@ -11,10 +11,12 @@
  */
 
 const { SimpleModuleLoader } = require('../utils/simple-module-loader.js');
+const { testHelpers } = require('../utils/test-helpers');
 const loader = new SimpleModuleLoader();
 
 module.exports = async function(testContext) {
     const { describe, it, expect } = testContext;
+    await testHelpers.setup();
     const Router = loader.loadModule('Router');
 
     describe('Router', () => {
@@ -130,5 +132,91 @@ module.exports = async function(testContext) {
                 expect(url).not.toContain('c=');
             });
         });
+
+        describe('path mode', () => {
+            const setLocation = (url) => window.history.replaceState(null, '', url);
+
+            it('should default to query mode and map legacy mode names', () => {
+                expect(new Router().mode).toBe('query');
+                expect(new Router({ mode: 'params' }).mode).toBe('query');
+                expect(new Router({ mode: 'history' }).mode).toBe('path');
+                expect(new Router({ mode: 'path' }).mode).toBe('path');
+            });
+
+            it('should normalize the base path', () => {
+                expect(new Router({ mode: 'path', basePath: 'app/' }).basePath).toBe('/app');
+                expect(new Router({ mode: 'path', basePath: '/' }).basePath).toBe('');
+            });
+
+            it('should build pathname URLs under the base path', () => {
+                const router = new Router({ mode: 'path', basePath: '/app' });
+                expect(router.buildPublicUrl('users/42/edit')).toBe('/app/users/42/edit');
+                expect(router.buildPublicUrl('users', { sort: 'name', empty: '' })).toBe('/app/users?sort=name');
+            });
+
+            it('should parse the current pathname into a page name and query', () => {
+                const router = new Router({ mode: 'path', basePath: '/app' });
+                setLocation('/app/users/42/edit?tab=roles');
+                const out = router.parseCurrentUrl();
+                expect(out.pageName).toBe('users/42/edit');
+                expect(out.queryParams).toEqual({ tab: 'roles' });
+            });
+
+            it('should fall back to the default route at the base path', () => {
+                const router = new Router({ mode: 'path', basePath: '/app', defaultRoute: 'dashboard' });
+                setLocation('/app/');
+                expect(router.parseCurrentUrl().pageName).toBe('dashboard');
+            });
+
+            it('should still honor legacy ?page= links', () => {
+                const router = new Router({ mode: 'path', basePath: '/app' });
+                setLocation('/app/?page=users&group=3');
+                const out = router.parseCurrentUrl();
+                expect(out.pageName).toBe('users');
+                expect(out.queryParams).toEqual({ group: '3' });
+            });
+
+            it('should strip the base path from navigate() input', () => {
+                const router = new Router({ mode: 'path', basePath: '/app' });
+                expect(router.parseInput('/app/users/7?x=1').pageName).toBe('users/7');
+                expect(router.parseInput('/users/7').pageName).toBe('users/7');
+            });
+
+            it('should emit matched :params on route:changed', async () => {
+                const events = [];
+                const router = new Router({
+                    mode: 'path',
+                    basePath: '/app',
+                    eventEmitter: { emit: (name, payload) => events.push({ name, payload }) }
+                });
+                router.addRoute('/users/:id/edit', 'user-edit');
+                await router.navigate('/app/users/42/edit?tab=roles');
+
+                expect(events).toHaveLength(1);
+                expect(events[0].name).toBe('route:changed');
+                expect(events[0].payload.pageName).toBe('user-edit');
+                expect(events[0].payload.params).toEqual({ id: '42' });
+                expect(events[0].payload.query).toEqual({ tab: 'roles' });
+                expect(events[0].payload.path).toBe('/app/users/42/edit?tab=roles');
+            });
+
+            it('should push pathname URLs to history', () => {
+                const router = new Router({ mode: 'path', basePath: '/app' });
+                setLocation('/');
+                router.updateBrowserUrl('users/42', { tab: 'roles' }, false);
+                expect(window.location.pathname).toBe('/app/users/42');
+                expect(window.location.search).toBe('?tab=roles');
+                setLocation('/');
+            });
+
+            it('should only own absolute hrefs under its base path', () => {
+                const router = new Router({ mode: 'path', basePath: '/app' });
+                expect(router.ownsPath('/app/users')).toBe(true);
+                expect(router.ownsPath('/app')).toBe(true);
+                expect(router.ownsPath('/application')).toBe(false);
+                expect(router.ownsPath('//cdn.example.com/x')).toBe(false);
+                expect(new Router().ownsPath('/app/users')).toBe(false);
+            });
+        });
     });
 };
@@ -0,0 +1,60 @@
+/**
+ * TablePage over a local collection.
+ *
+ * `local: true` collections answer fetch() in memory. TablePage
+ * still copies its group scope (`group`, or `groupField`) into the
+ * collection params for the API; the local query must leave it alone
+ * rather than filter the records on it and empty the page.
+ */
+
+const { testHelpers } = require('../utils/test-helpers');
+const { loadModule } = require('../utils/simple-module-loader');
+
+module.exports = async function (testContext) {
+  const { describe, it, expect } = testContext;
+
+  await testHelpers.setup();
+
+  const Collection = loadModule('Collection');
+  const TablePage = loadModule('TablePage');
+
+  const rows = () => ([
+    { id: 1, title: 'Disk full', status: 'open', group: { id: 7, name: 'Ops' }, org: 3 },
+    { id: 2, title: 'CPU spike', status: 'new', group: { id: 7, name: 'Ops' }, org: 3 },
+    { id: 3, title: 'Memory leak', status: 'open', group: { id: 7, name: 'Ops' }, org: 3 }
+  ]);
+
+  const makePage = (collection, options = {}) => new TablePage({
+    pageName: 'tickets',
+    collection,
+    columns: [{ key: 'title', label: 'Title' }],
+    ...options
+  });
+
+  const ids = (collection) => collection.models.map((model) => model.id);
+
+  describe('TablePage with a local collection', () => {
+    it('keeps the page populated when `group` is set', async () => {
+      const collection = new Collection({ local: true, data: rows() });
+      const page = makePage(collection);
+      page.query = { group: 7 };
+      await page.onInit();
+      await collection.fetch();
+
+      expect(collection.params.group).toBe(7);
+      expect(ids(collection)).toEqual([1, 2, 3]);
+    });
+
+    it('leaves a custom groupField to the API and still filters on fields', async () => {
+      const collection = new Collection({ local: true, data: rows() });
+      const page = makePage(collection, { groupField: 'org' });
+      page.query = { org: 9, status: 'open' };
+      await page.onInit();
+      await collection.fetch();
+
+      expect(collection.options.serverParams).toEqual(['org']);
+      expect(collection.params.org).toBe(9);
+      expect(ids(collection)).toEqual([1, 3]);
+    });
+  });
+};
@@ -0,0 +1,378 @@
+/**
+ * TableView `bulkEdit:` — spreadsheet-style bulk editing
+ *
+ * Covers:
+ *   - BulkEditSession bookkeeping and tab-separated clipboard parsing
+ *   - entering bulk mode turns editable cells into inputs; typing marks
+ *     cells / rows dirty and updates the summary bar
+ *   - pasting a block of cells from a spreadsheet, and one value over a range
+ *   - fill-down from the cell above and across a Shift range
+ *   - Save all: per-row `model.save()`, validation and server errors inline
+ *   - edits in a column hidden after editing are still validated and saved
+ *   - Save all through a single `endpoint` POST with per-row errors
+ *   - discarding and leaving bulk mode
+ */
+
+module.exports = async function (testContext) {
+  const { describe, it, expect } = testContext;
+  const { testHelpers, mountView, sleep } = require('../utils/test-helpers');
+  const { loadModule } = require('../utils/simple-module-loader');
+
+  await testHelpers.setup();
+
+  const Collection = loadModule('Collection');
+  const TableView = loadModule('TableView');
+  const BulkEditSession = loadModule('BulkEditSession');
+
+  function seed() {
+    return new Collection([
+      { id: 1, name: 'Alpha', qty: 1, status: 'open', active: true, note: 'a' },
+      { id: 2, name: 'Beta', qty: 2, status: 'open', active: false, note: 'b' },
+      { id: 3, name: 'Gamma', qty: 3, status: 'closed', active: true, note: 'c' },
+      { id: 4, name: 'Delta', qty: 4, status: 'open', active: false, note: 'd' }
+    ]);
+  }
+
+  const columns = [
+    { key: 'name', label: 'Name', editable: true, editableOptions: { validate: (value) => (value ? null : 'Name is required') } },
+    { key: 'note', label: 'Note' },
+    { key: 'qty', label: 'Qty', editable: true, editableOptions: { inputType: 'number' } },
+    {
+      key: 'status',
+      label: 'Status',
+      editable: true,
+      editableOptions: { type: 'select', options: [{ value: 'open', label: 'Open' }, { value: 'closed', label: 'Closed' }] }
+    },
+    { key: 'active', label: 'Active', editable: true, editableOptions: { type: 'switch' } }
+  ];
+
+  async function mount(options = {}) {
+    const table = new TableView({
+      collection: seed(),
+      columns,
+      paginated: false,
+      searchable: false,
+      bulkEdit: { confirmDiscard: false },
+      ...options
+    });
+    const host = await mountView(table);
+    return { table, host };
+  }
+
+  const cellOf = (table, id, key) => Array.from(table.itemViews.get(id).element.querySelectorAll('td'))
+    .find((td) => td.getAttribute('data-column') === key);
+  const inputOf = (table, id, key) => cellOf(table, id, key).querySelector('.bulk-input');
+
+  function type(input, value) {
+    input.value = value;
+    input.dispatchEvent(new globalThis.window.Event('input', { bubbles: true }));
+  }
+
+  async function press(key, init = {}) {
+    document.activeElement.dispatchEvent(new globalThis.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init }));
+    await sleep(0);
+  }
+
+  function paste(input, text) {
+    const event = new globalThis.window.Event('paste', { bubbles: true, cancelable: true });
+    event.clipboardData = { getData: () => text };
+    input.dispatchEvent(event);
+    return event;
+  }
+
+  describe('BulkEditSession', () => {
+    it('tracks dirty cells against their original values', () => {
+      const model = seed().get(1);
+      const session = new BulkEditSession();
+
+      expect(session.set(model, 'qty', '5')).toBe(true);
+      expect(session.set(model, 'name', 'Alpha')).toBe(false);
+      expect(session.changesFor(1)).toEqual({ qty: '5' });
+      expect(session.original(1, 'qty')).toBe(1);
+      expect(session.cellCount).toBe(1);
+
+      session.setFieldError(1, 'qty', 'Too many');
+      expect(session.errorIds()).toEqual([1]);
+      expect(session.set(model, 'qty', 1)).toBe(false);
+      expect(session.rowCount).toBe(0);
+      expect(BulkEditSession.same(null, '')).toBe(true);
+      expect(BulkEditSession.same(3, '3')).toBe(true);
+    });
+
+    it('parses spreadsheet clipboard text', () => {
+      expect(BulkEditSession.parseTSV('a\tb\r\nc\td\r\n')).toEqual([['a', 'b'], ['c', 'd']]);
+      expect(BulkEditSession.parseTSV('"x\ny"\t"say ""hi"""\n\tz')).toEqual([['x\ny', 'say "hi"'], ['', 'z']]);
+      expect(BulkEditSession.parseTSV('')).toEqual([]);
+    });
+  });
+
+  describe('TableView bulk edit mode', () => {
+    it('turns editable cells into inputs and marks edits dirty', async () => {
+      const { table, host } = await mount();
+      const events = [];
+      table.on('bulk:change', (payload) => events.push(payload));
+
+      expect(table.element.querySelector('[data-action="toggle-bulk-edit"]')).toBeTruthy();
+      expect(table.element.querySelector('.mojo-bulk-edit-bar').classList.contains('d-none')).toBe(true);
+
+      await table.enterBulkEdit();
+      expect(table.element.querySelectorAll('.bulk-input').length).toBe(16);
+      expect(cellOf(table, 1, 'note').querySelector('.bulk-input')).toBe(null);
+      expect(inputOf(table, 2, 'status').tagName).toBe('SELECT');
+      expect(inputOf(table, 2, 'active').type).toBe('checkbox');
+      expect(inputOf(table, 1, 'qty').value).toBe('1');
+
+      type(inputOf(table, 1, 'qty'), '7');
+      expect(cellOf(table, 1, 'qty').classList.contains('bulk-cell-dirty')).toBe(true);
+      expect(table.itemViews.get(1).element.classList.contains('bulk-row-dirty')).toBe(true);
+      expect(table.element.querySelector('.bulk-edit-summary').textContent).toBe('1 unsaved change');
+      expect(table.collection.get(1).get('qty')).toBe(1);
+      expect(table.getBulkChanges()[0].changes).toEqual({ qty: 7 });
+      expect(events.length).toBe(1);
+
+      // Re-rendering the row keeps the pending value
+      await table.itemViews.get(1).render();
+      expect(inputOf(table, 1, 'qty').value).toBe('7');
+
+      type(inputOf(table, 1, 'qty'), '1');
+      expect(cellOf(table, 1, 'qty').classList.contains('bulk-cell-dirty')).toBe(false);
+      expect(table.element.querySelector('.bulk-edit-summary').textContent).toBe('No unsaved changes');
+
+      await table.destroy();
+      host.remove();
+    });
+
+    it('undoes the edit made since focusing a cell on Escape', async () => {
+      const { table, host } = await mount();
+      await table.enterBulkEdit();
+
+      const input = inputOf(table, 2, 'name');
+      input.focus();
+      type(input, 'Bravo');
+      await press('Escape');
+      expect(inputOf(table, 2, 'name').value).toBe('Beta');
+      expect(table.getBulkChanges()).toEqual([]);
+      expect(document.activeElement).toBe(inputOf(table, 2, 'name'));
+
+      await press('Enter');
+      expect(document.activeElement).toBe(inputOf(table, 3, 'name'));
+
+      await table.destroy();
+      host.remove();
+    });
+  });
+
+  describe('TableView bulk paste', () => {
+    it('pastes a block of cells, skipping read-only columns and overflow', async () => {
+      const { table, host } = await mount();
+      await table.enterBulkEdit();
+
+      const input = inputOf(table, 3, 'name');
+      input.focus();
+      const event = paste(input, 'Gee\tignored\t9\tOpen\tyes\nDee\tx\tlots\tnope\tno\nEee\r\n');
+      expect(event.defaultPrevented).toBe(true);
+
+      expect(table.getBulkChanges().map(({ id, changes }) => [id, changes])).toEqual([
+        [3, { name: 'Gee', qty: 9, status: 'open' }],
+        [4, { name: 'Dee', qty: 'lots', status: 'nope' }]
+      ]);
+      expect(inputOf(table, 4, 'qty').classList.contains('is-invalid')).toBe(true);
+      expect(cellOf(table, 4, 'status').querySelector('.bulk-cell-error').textContent).toBe('Not one of the allowed values');
+      expect(table.element.querySelector('.mojo-table-status').textContent).toBe('Pasted 8 cells, 3 values did not fit');
+
+      // A single value pastes into the field as usual
+      expect(paste(inputOf(table, 1, 'name'), 'Solo').defaultPrevented).toBe(false);
+
+      await table.destroy();
+      host.remove();
+    });
+
+    it('fills a Shift-selected range with one pasted value', async () => {
+      const { table, host } = await mount();
+      await table.enterBulkEdit();
+
+      inputOf(table, 1, 'qty').focus();
+      await press('ArrowDown', { shiftKey: true });
+      await press('ArrowDown', { shiftKey: true });
+      expect(document.activeElement).toBe(inputOf(table, 3, 'qty'));
+      expect(table.element.querySelectorAll('.bulk-cell-in-range').length).toBe(3);
+
+      paste(document.activeElement, '5');
+      expect(table.getBulkChanges().map(({ changes }) => changes.qty)).toEqual([5, 5, 5]);
+
+      await table.destroy();
+      host.remove();
+    });
+  });
+
+  describe('TableView bulk fill-down', () => {
+    it('copies the cell above, or the top of a range, down', async () => {
+      const { table, host } = await mount();
+      await table.enterBulkEdit();
+
+      inputOf(table, 2, 'status').focus();
+      await press('d', { ctrlKey: true });
+      expect(inputOf(table, 2, 'status').value).toBe('open');
+      expect(table.getBulkChanges()).toEqual([]);
+
+      inputOf(table, 4, 'status').focus();
+      await press('d', { ctrlKey: true });
+      expect(inputOf(table, 4, 'status').value).toBe('closed');
+      expect(cellOf(table, 4, 'status').classList.contains('bulk-cell-dirty')).toBe(true);
+
+      table.setBulkValue(1, 'active', false);
+      inputOf(table, 1, 'active').focus();
+      await press('Enter');
+      await press('Enter');
+      expect(document.activeElement).toBe(inputOf(table, 3, 'active'));
+
+      inputOf(table, 1, 'qty').focus();
+      await press('ArrowDown', { shiftKey: true });
+      await press('ArrowDown', { shiftKey: true });
+      await press('ArrowDown', { shiftKey: true });
+      expect(table.fillDown()).toBe(3);
+      expect(table.getBulkChanges().map(({ id, changes }) => [id, changes])).toEqual([
+        [4, { status: 'closed', qty: 1 }],
+        [1, { active: false }],
+        [2, { qty: 1 }],
+        [3, { qty: 1 }]
+      ]);
+
+      await table.destroy();
+      host.remove();
+    });
+  });
+
+  describe('TableView bulk save', () => {
+    it('saves valid rows and keeps failed rows dirty with inline errors', async () => {
+      const { table, host } = await mount();
+      const saves = [];
+      table.collection.models.forEach((model) => {
+        model.save = async (data) => {
+          saves.push([model.id, data]);
+          if (model.id === 2) {
+            model.errors = { status: false, error: 'Rejected', errors: { qty: 'Out of stock' } };
+            return { success: true, data: model.errors };
+          }
+          model.errors = {};
+          model.set(data);
+          return { success: true, data: { status: true } };
+        };
+      });
+      await table.enterBulkEdit();
+
+      table.setBulkValue(1, 'qty', 10);
+      table.setBulkValue(2, 'qty', 20);
+      table.setBulkValue(3, 'name', '');
+      const failedEvents = [];
+      table.on('bulk:save:error', (payload) => failedEvents.push(payload.failed.map((row) => row.id)));
+
+      const result = await table.saveBulkEdits();
+      expect(result).toEqual({ saved: [1], failed: [3, 2] });
+      expect(saves).toEqual([[1, { qty: 10 }], [2, { qty: 20 }]]);
+      expect(table.collection.get(1).get('qty')).toBe(10);
+      expect(failedEvents).toEqual([[2, 3]]);
+
+      await sleep(0);
+      expect(cellOf(table, 1, 'qty').classList.contains('bulk-cell-dirty')).toBe(false);
+      expect(cellOf(table, 2, 'qty').querySelector('.bulk-cell-error').textContent).toBe('Out of stock');
+      expect(cellOf(table, 2, 'name').querySelector('.bulk-row-error-message').textContent).toBe('Rejected');
+      expect(cellOf(table, 3, 'name').querySelector('.bulk-cell-error').textContent).toBe('Name is required');
+      expect(inputOf(table, 3, 'name').getAttribute('aria-invalid')).toBe('true');
+      expect(table.itemViews.get(3).element.classList.contains('bulk-row-error')).toBe(true);
+      expect(table.element.querySelector('.bulk-edit-errors').textContent).toBe('2 rows have errors');
+
+      // Editing the cell clears its error
+      type(inputOf(table, 3, 'name'), 'Gamma 2');
+      expect(cellOf(table, 3, 'name').querySelector('.bulk-cell-error')).toBe(null);
+
+      await table.destroy();
+      host.remove();
+    });
+
+    it('validates and saves edits in a column hidden after editing', async () => {
+      const { table, host } = await mount({ columnChooser: true });
+      const saves = [];
+      table.collection.models.forEach((model) => {
+        model.save = async (data) => {
+          saves.push([model.id, data]);
+          model.errors = {};
+          return { success: true, data: { status: true } };
+        };
+      });
+      await table.enterBulkEdit();
+
+      table.setBulkValue(1, 'name', '');
+      table.setBulkValue(2, 'name', 'Beta 2');
+      await table.onActionToggleColumn(null, { getAttribute: () => 'name' });
+      expect(table._getVisibleColumns().some((column) => column.key === 'name')).toBe(false);
+
+      const result = await table.saveBulkEdits();
+      expect(result).toEqual({ saved: [2], failed: [1] });
+      expect(saves).toEqual([[2, { name: 'Beta 2' }]]);
+      expect(table.getBulkChanges().map((row) => row.id)).toEqual([1]);
+
+      await table.destroy();
+      host.remove();
+    });
+
+    it('posts all rows to an endpoint and applies per-row errors', async () => {
+      const { table, host } = await mount({ bulkEdit: { endpoint: '/api/items/bulk', confirmDiscard: false } });
+      const posts = [];
+      table.collection.rest = {
+        POST: async (url, body) => {
+          posts.push([url, body]);
+          return {
+            success: true,
+            data: {
+              status: true,
+              errors: { 4: { errors: { status: 'Locked' } } },
+              data: [{ id: 1, name: 'ALPHA' }]
+            }
+          };
+        }
+      };
+      await table.enterBulkEdit();
+
+      table.setBulkValue(1, 'name', 'alpha');
+      table.setBulkValue(4, 'status', 'closed');
+      const result = await table.saveBulkEdits();
+
+      expect(posts).toEqual([['/api/items/bulk', { rows: [{ id: 1, name: 'alpha' }, { id: 4, status: 'closed' }] }]]);
+      expect(result).toEqual({ saved: [1], failed: [4] });
+      expect(table.collection.get(1).get('name')).toBe('ALPHA');
+      expect(table.collection.get(4).get('status')).toBe('open');
+      expect(cellOf(table, 4, 'status').querySelector('.bulk-cell-error').textContent).toBe('Locked');
+
+      await table.destroy();
+      host.remove();
+    });
+  });
+
+  describe('TableView leaving bulk mode', () => {
+    it('discards edits and restores the read-only cells', async () => {
+      const { table, host } = await mount();
+      const events = [];
+      table.on('bulk:discard', (payload) => events.push(['discard', payload.ids]));
+      table.on('bulk:exit', () => events.push(['exit']));
+      await table.enterBulkEdit();
+
+      table.setBulkValue(2, 'name', 'Bee');
+      expect(table._autoRefreshShouldSkip()).toBe(true);
+      table.discardBulkEdits();
+      expect(inputOf(table, 2, 'name').value).toBe('Beta');
+      expect(table.getBulkChanges()).toEqual([]);
+
+      table.setBulkValue(2, 'name', 'Bee');
+      expect(await table.exitBulkEdit()).toBe(true);
+      expect(table.bulkEditing).toBe(false);
+      expect(table.element.querySelector('.bulk-input')).toBe(null);
+      expect(table.collection.get(2).get('name')).toBe('Beta');
+      expect(table.element.querySelector('.mojo-bulk-edit-bar').classList.contains('d-none')).toBe(true);
+      expect(events).toEqual([['discard', [2]], ['exit']]);
+
+      await table.destroy();
+      host.remove();
+    });
+  });
+};
@@ -0,0 +1,248 @@
+/**
+ * TableView keyboard navigation + ARIA grid semantics.
+ *
+ * Covers:
+ *   - role="grid", aria-selected / aria-sort and the single roving tab stop
+ *   - arrow / Home / End movement between rows and cells (mirrored in RTL)
+ *   - handled keys are prevented synchronously, before any awaited move
+ *   - Enter runs `clickAction`; Enter on an editable cell opens its editor
+ *   - Space toggles selection, Shift extends and shrinks a range, Ctrl+A
+ *   - Shift+F10 opens the `rowContextMenu` dropdown
+ *   - the live region announces sort, filter and page changes
+ *
+ * Keys are dispatched on `document.activeElement`; the handler is async, so
+ * each press waits a tick before asserting.
+ */
+
+module.exports = async function (testContext) {
+  const { describe, it, expect } = testContext;
+  const { testHelpers } = require('../utils/test-helpers');
+  const { loadModule } = require('../utils/simple-module-loader');
+
+  await testHelpers.setup();
+
+  const Collection = loadModule('Collection');
+  const TableView = loadModule('TableView');
+
+  const COLUMNS = [
+    { key: 'name', label: 'Name' },
+    { key: 'level', label: 'Level' }
+  ];
+
+  function seed(count = 5) {
+    const rows = [];
+    for (let i = 1; i <= count; i++) rows.push({ id: i, name: `Row ${i}`, level: i });
+    return new Collection(rows);
+  }
+
+  async function mount(options, dir) {
+    const host = document.createElement('div');
+    if (dir) host.setAttribute('dir', dir);
+    document.body.appendChild(host);
+    const table = new TableView({ collection: seed(), columns: COLUMNS, paginated: false, searchable: false, ...options });
+    await table.render(true, host);
+    return { table, host };
+  }
+
+  const tick = () => new Promise((resolve) => { setTimeout(resolve, 0); });
+
+  async function press(key, init = {}) {
+    document.activeElement.dispatchEvent(new globalThis.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init }));
+    await tick();
+  }
+
+  const rowEl = (table, id) => table.itemViews.get(id).element;
+  const cellEl = (table, id, col) => rowEl(table, id).querySelectorAll(':scope > td')[col];
+
+  describe('TableView grid semantics', () => {
+    it('marks up a grid with one tab stop', async () => {
+      const { table, host } = await mount({
+        selectable: true,
+        batchActions: [{ label: 'Archive', action: 'archive', icon: 'bi bi-archive' }]
+      });
+      table.collection.params.sort = '-name';
+      table.updateSortIcons();
+
+      const grid = table.element.querySelector('table');
+      expect(grid.getAttribute('role')).toBe('grid');
+      expect(grid.getAttribute('aria-multiselectable')).toBe('true');
+      expect(table.element.querySelectorAll('tbody tr[tabindex="0"]').length).toBe(1);
+      expect(rowEl(table, 1).getAttribute('tabindex')).toBe('0');
+      expect(rowEl(table, 2).getAttribute('tabindex')).toBe('-1');
+      expect(rowEl(table, 1).getAttribute('aria-selected')).toBe('false');
+      expect(table.element.querySelector('thead th.sortable').getAttribute('aria-sort')).toBe('descending');
+
+      table.selectItem(1);
+      expect(rowEl(table, 1).getAttribute('aria-selected')).toBe('true');
+
+      await table.destroy();
+      host.remove();
+    });
+
+    it('moves focus between rows and cells', async () => {
+      const { table, host } = await mount();
+      rowEl(table, 1).focus();
+
+      await press('ArrowDown');
+      expect(document.activeElement).toBe(rowEl(table, 2));
+      expect(rowEl(table, 2).getAttribute('tabindex')).toBe('0');
+      expect(rowEl(table, 1).getAttribute('tabindex')).toBe('-1');
+
+      await press('ArrowRight');
+      expect(document.activeElement).toBe(cellEl(table, 2, 0));
+      await press('End');
+      expect(document.activeElement).toBe(cellEl(table, 2, 1));
+      await press('ArrowDown');
+      expect(document.activeElement).toBe(cellEl(table, 3, 1));
+      await press('End', { ctrlKey: true });
+      expect(document.activeElement).toBe(cellEl(table, 5, 1));
+      await press('Home');
+      await press('ArrowLeft');
+      expect(document.activeElement).toBe(rowEl(table, 5));
+      await press('Home');
+      expect(document.activeElement).toBe(rowEl(table, 1));
+
+      await table.destroy();
+      host.remove();
+    });
+
+    it('prevents the default scroll before an awaited move', async () => {
+      const { table, host } = await mount();
+      rowEl(table, 1).focus();
+      let finish;
+      table._moveGridFocus = () => new Promise((resolve) => { finish = resolve; });
+
+      for (const key of ['ArrowDown', 'PageDown']) {
+        const event = new globalThis.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+        document.activeElement.dispatchEvent(event);
+        expect(event.defaultPrevented).toBe(true);
+        finish();
+        await tick();
+      }
+      const end = new globalThis.window.KeyboardEvent('keydown', { key: 'End', ctrlKey: true, bubbles: true, cancelable: true });
+      document.activeElement.dispatchEvent(end);
+      expect(end.defaultPrevented).toBe(true);
+      await tick();
+
+      await table.destroy();
+      host.remove();
+    });
+
+    it('mirrors left and right in RTL', async () => {
+      const { table, host } = await mount({}, 'rtl');
+      rowEl(table, 1).focus();
+
+      await press('ArrowRight');
+      expect(document.activeElement).toBe(rowEl(table, 1));
+      await press('ArrowLeft');
+      expect(document.activeElement).toBe(cellEl(table, 1, 0));
+
+      await table.destroy();
+      host.remove();
+    });
+
+    it('runs clickAction on Enter and edits an editable cell', async () => {
+      const clicked = [];
+      const { table, host } = await mount({
+        columns: [{ key: 'name', label: 'Name', editable: true }, { key: 'level', label: 'Level' }],
+        clickAction: (model) => clicked.push(model.id)
+      });
+
+      rowEl(table, 2).focus();
+      await press('Enter');
+      expect(clicked).toEqual([2]);
+
+      await press('ArrowRight');
+      await press('ArrowRight');
+      await press('Enter');
+      expect(clicked).toEqual([2, 2]);
+
+      await press('ArrowLeft');
+      await press('Enter');
+      expect(table.itemViews.get(2).editingCells.has('name')).toBe(true);
+      expect(cellEl(table, 2, 0).querySelector('.cell-editor')).toBeTruthy();
+
+      await table.destroy();
+      host.remove();
+    });
+  });
+
+  describe('TableView keyboard selection', () => {
+    it('toggles with Space and extends ranges with Shift', async () => {
+      const { table, host } = await mount({ selectionMode: 'multiple' });
+      const selected = () => Array.from(table.selectedItems.keys()).sort();
+
+      rowEl(table, 2).focus();
+      await press(' ');
+      expect(selected()).toEqual([2]);
+
+      await press('ArrowDown', { shiftKey: true });
+      await press('ArrowDown', { shiftKey: true });
+      expect(document.activeElement).toBe(rowEl(table, 4));
+      expect(selected()).toEqual([2, 3, 4]);
+
+      await press('ArrowUp', { shiftKey: true });
+      expect(selected()).toEqual([2, 3]);
+
+      await table.itemViews.get(5).onActionSelect({ shiftKey: true, stopPropagation() {} }, null);
+      expect(selected()).toEqual([2, 3, 4, 5]);
+
+      await press('a', { ctrlKey: true });
+      expect(selected()).toEqual([1, 2, 3, 4, 5]);
+
+      await table.destroy();
+      host.remove();
+    });
+
+    it('opens the row context menu with Shift+F10', async () => {
+      const originalBootstrap = window.bootstrap;
+      const shown = [];
+      window.bootstrap = { Dropdown: { getOrCreateInstance: (toggle) => ({ show: () => shown.push(toggle) }) } };
+
+      const { table, host } = await mount({
+        rowContextMenu: [{ label: 'Edit', action: 'edit', icon: 'bi bi-pencil' }]
+      });
+      rowEl(table, 3).focus();
+      await press('F10', { shiftKey: true });
+
+      expect(shown.length).toBe(1);
+      expect(rowEl(table, 3).contains(shown[0])).toBe(true);
+      expect(document.activeElement.textContent.trim()).toBe('Edit');
+
+      await press('Escape');
+      expect(document.activeElement).toBe(rowEl(table, 3));
+
+      await table.destroy();
+      host.remove();
+      window.bootstrap = originalBootstrap;
+    });
+  });
+
+  describe('TableView announcements', () => {
+    it('announces sort, filter and page changes', async () => {
+      const { table, host } = await mount();
+      const status = () => table.element.querySelector('.mojo-table-status');
+      expect(status().getAttribute('aria-live')).toBe('polite');
+
+      const sortLink = document.createElement('a');
+      sortLink.setAttribute('data-field', 'level');
+      sortLink.setAttribute('data-direction', 'desc');
+      await table.onActionSort({ preventDefault() {} }, sortLink);
+      await tick();
+      expect(status().textContent).toBe('Sorted by Level, descending. 5 results');
+
+      table.emit('params-changed');
+      expect(status().textContent).toBe('5 results');
+
+      table.collection.params.size = 2;
+      const pageLink = document.createElement('a');
+      pageLink.setAttribute('data-page', '2');
+      await table.onActionPage({ preventDefault() {} }, pageLink);
+      await tick();
+      expect(status().textContent).toBe('Page 2 of 3');
+
+      await table.destroy();
+      host.remove();
+    });
+  });
+};
@@ -0,0 +1,162 @@
+/**
+ * Computed properties and `data-bind` bindings
+ *
+ * Covers:
+ *   - Model `static computed`: tracked and explicit deps, caching, pipes,
+ *     `change:<computed>` events and `lastChangedKeys`
+ *   - View `static computed` getters usable from templates and bindings
+ *   - `data-bind` fills text / value / attributes after render
+ *   - a change that only reaches bound nodes patches them without a render;
+ *     a key the template itself uses still triggers a full render, including
+ *     one read through a view method, or when the render wasn't tracked
+ */
+
+module.exports = async function (testContext) {
+  const { describe, it, expect } = testContext;
+  const { testHelpers } = require('../utils/test-helpers');
+  const { loadModule } = require('../utils/simple-module-loader');
+
+  await testHelpers.setup();
+
+  const Model = loadModule('Model');
+  const View = loadModule('View');
+
+  let fullNameRuns = 0;
+  class Person extends Model {
+    static computed = {
+      fullName() {
+        fullNameRuns++;
+        return `${this.get('first')} ${this.get('last')}`;
+      },
+      greeting() { return `Hi ${this.get('fullName')}`; },
+      isAdult: { deps: ['age'], get() { return this.attributes.age >= 18; } }
+    };
+  }
+
+  class PersonCard extends View {
+    static computed = {
+      ageLabel() { return `${this.model.get('age')} years`; }
+    };
+    constructor(options = {}) {
+      super({
+        template: `
+          <h3>{{model.title}}</h3>
+          <span class="name" data-bind="fullName"></span>
+          <span class="age" data-bind="ageLabel; title: age"></span>
+          <input class="first" data-bind="first">
+          <a class="mail" data-bind="href: email; text: email|lowercase"></a>`,
+        ...options
+      });
+    }
+  }
+
+  async function mountCard(model, ViewClass = PersonCard) {
+    const view = new ViewClass({ model });
+    document.body.appendChild(view.element);
+    await view.render();
+    let renders = 0;
+    const render = view.render.bind(view);
+    view.render = (...args) => { renders++; return render(...args); };
+    return { view, renders: () => renders };
+  }
+
+  describe('Model computed properties', () => {
+    it('tracks dependencies, caches and emits change events', () => {
+      const person = new Person({ first: 'Ann', last: 'Lee', age: 17 });
+      const events = [];
+      person.on('change:fullName', value => events.push(['fullName', value]));
+      person.on('change:greeting', value => events.push(['greeting', value]));
+      person.on('change:isAdult', value => events.push(['isAdult', value]));
+
+      fullNameRuns = 0;
+      expect(person.get('greeting')).toBe('Hi Ann Lee');
+      expect(person.get('fullName|upper')).toBe('ANN LEE');
+      expect(person.get('isAdult')).toBe(false);
+      expect(fullNameRuns).toBe(1);
+      expect([...person.getComputedDeps('fullName')]).toEqual(['first', 'last']);
+
+      person.set('first', 'Anna');
+      expect(person.lastChangedKeys).toEqual(['first', 'fullName', 'greeting']);
+      person.set({ age: 18, nickname: 'A' });
+      expect(events).toEqual([['fullName', 'Anna Lee'], ['greeting', 'Hi Anna Lee'], ['isAdult', true]]);
+      expect(person.toJSON().fullName).toBe(undefined);
+    });
+  });
+
+  describe('View bindings', () => {
+    it('fills bound nodes after render', async () => {
+      const person = new Person({ first: 'Ann', last: 'Lee', age: 30, email: 'ANN@X.IO', title: 'Engineer' });
+      const { view } = await mountCard(person);
+      const el = view.element;
+
+      expect(el.querySelector('h3').textContent).toBe('Engineer');
+      expect(el.querySelector('.name').textContent).toBe('Ann Lee');
+      expect(el.querySelector('.age').textContent).toBe('30 years');
+      expect(el.querySelector('.age').getAttribute('title')).toBe('30');
+      expect(el.querySelector('.first').value).toBe('Ann');
+      expect(el.querySelector('.mail').getAttribute('href')).toBe('ANN@X.IO');
+      expect(el.querySelector('.mail').textContent).toBe('ann@x.io');
+      expect(view.ageLabel).toBe('30 years');
+      view.element.remove();
+    });
+
+    it('patches bound nodes without re-rendering', async () => {
+      const person = new Person({ first: 'Ann', last: 'Lee', age: 30, email: 'a@x.io', title: 'Engineer' });
+      const { view, renders } = await mountCard(person);
+      const name = view.element.querySelector('.name');
+      const first = view.element.querySelector('.first');
+      first.focus();
+      first.value = 'An';
+
+      person.set({ first: 'Anne', age: 31 });
+      expect(renders()).toBe(0);
+      expect(view.element.querySelector('.name')).toBe(name);
+      expect(name.textContent).toBe('Anne Lee');
+      expect(view.element.querySelector('.age').textContent).toBe('31 years');
+      expect(first.value).toBe('An');
+
+      person.set('title', 'Lead');
+      expect(renders()).toBe(1);
+
+      person.set('unbound_flag', true);
+      expect(renders()).toBe(2);
+      view.element.remove();
+    });
+
+    it('re-renders when the template reads a changed key through a view method', async () => {
+      class StatusCard extends View {
+        constructor(options = {}) {
+          super({
+            template: '<b class="label">{{statusLabel}}</b><i class="raw" data-bind="status"></i><u class="note" data-bind="note"></u>',
+            ...options
+          });
+        }
+        statusLabel() { return this.model.get('status') === 'open' ? 'Open' : 'Closed'; }
+      }
+      const ticket = new Model({ status: 'open', note: 'a' });
+      const { view, renders } = await mountCard(ticket, StatusCard);
+
+      ticket.set('note', 'b');
+      expect(renders()).toBe(0);
+      expect(view.element.querySelector('.note').textContent).toBe('b');
+
+      ticket.set('status', 'closed');
+      expect(renders()).toBe(1);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      expect(view.element.querySelector('.label').textContent).toBe('Closed');
+      view.element.remove();
+    });
+
+    it('re-renders when a custom renderTemplate leaves the reads untracked', async () => {
+      class CustomCard extends PersonCard {
+        async renderTemplate() { return '<span class="name" data-bind="fullName"></span>'; }
+      }
+      const person = new Person({ first: 'Ann', last: 'Lee' });
+      const { view, renders } = await mountCard(person, CustomCard);
+
+      person.set('first', 'Anne');
+      expect(renders()).toBe(1);
+      view.element.remove();
+    });
+  });
+};
@@ -0,0 +1,107 @@
+/**
+ * View `morph: true` — keyed DOM patching instead of innerHTML replacement
+ *
+ * A morphing view patches its live DOM on re-render, so:
+ *   - unchanged nodes keep their identity (focus, scroll, transitions);
+ *   - keyed (`data-key` / `id`) nodes move with their data when reordered;
+ *   - the focused input keeps the user's value and caret;
+ *   - child view elements inside containers survive the parent's re-render;
+ *   - `data-morph="skip"` subtrees are left untouched;
+ *   - views without `morph` still replace innerHTML.
+ */
+
+module.exports = async function (testContext) {
+  const { describe, it, expect } = testContext;
+  const { testHelpers } = require('../utils/test-helpers');
+  const { loadModule } = require('../utils/simple-module-loader');
+
+  await testHelpers.setup();
+
+  const View = loadModule('View');
+
+  const listTemplate = `
+    <input class="name" value="{{data.name}}">
+    <ul>{{#data.items}}<li data-key="{{id}}">{{label}}</li>{{/data.items}}</ul>
+    <div class="widget" data-morph="skip"></div>
+    <div data-container="panel"></div>`;
+
+  function mount(view) {
+    document.body.appendChild(view.element);
+    return view;
+  }
+
+  describe('View morph rendering', () => {
+    it('keeps node identity and moves keyed nodes', async () => {
+      const view = mount(new View({ morph: true, template: listTemplate }));
+      view.data = { name: 'Ann', items: [{ id: 1, label: 'One' }, { id: 2, label: 'Two' }, { id: 3, label: 'Three' }] };
+      await view.render();
+
+      const ul = view.element.querySelector('ul');
+      const [one, two, three] = ul.children;
+      view.element.querySelector('.widget').textContent = 'chart';
+
+      view.data = { name: 'Ann', items: [{ id: 3, label: 'Three' }, { id: 1, label: 'Uno' }, { id: 4, label: 'Four' }] };
+      await view.render();
+
+      expect(view.element.querySelector('ul')).toBe(ul);
+      expect([...ul.children].map((li) => li.textContent)).toEqual(['Three', 'Uno', 'Four']);
+      expect(ul.children[0]).toBe(three);
+      expect(ul.children[1]).toBe(one);
+      expect(two.isConnected).toBe(false);
+      expect(view.element.querySelector('.widget').textContent).toBe('chart');
+      view.element.remove();
+    });
+
+    it('leaves the focused input value alone', async () => {
+      const view = mount(new View({ morph: true, template: listTemplate }));
+      view.data = { name: 'Ann', items: [] };
+      await view.render();
+
+      const input = view.element.querySelector('input');
+      input.focus();
+      input.value = 'Annabel';
+      input.setSelectionRange(3, 3);
+
+      view.data = { name: 'Ann (saved)', items: [] };
+      await view.render();
+      expect(view.element.querySelector('input')).toBe(input);
+      expect(document.activeElement).toBe(input);
+      expect(input.value).toBe('Annabel');
+      expect(input.selectionStart).toBe(3);
+
+      input.blur();
+      await view.render();
+      expect(input.value).toBe('Ann (saved)');
+      view.element.remove();
+    });
+
+    it('keeps child views mounted across parent renders', async () => {
+      const parent = mount(new View({ morph: true, template: listTemplate }));
+      parent.data = { name: 'x', items: [] };
+      const child = new View({ template: '<span>{{data.label}}</span>' });
+      child.data = { label: 'child' };
+      parent.addChild(child, { containerId: 'panel' });
+      await parent.render();
+
+      const childElement = parent.element.querySelector('[data-container="panel"]').firstChild;
+      expect(childElement).toBe(child.element);
+
+      child.data = { label: 'updated' };
+      await parent.render();
+      expect(child.element.isConnected).toBe(true);
+      expect(parent.element.querySelector('[data-container="panel"]').firstChild).toBe(childElement);
+      expect(child.element.textContent).toBe('updated');
+      parent.element.remove();
+    });
+
+    it('replaces innerHTML when morph is off', async () => {
+      const view = mount(new View({ template: listTemplate }));
+      view.data = { name: 'a', items: [{ id: 1, label: 'One' }] };
+      await view.render();
+      const li = view.element.querySelector('li');
+      await view.render();
+      expect(view.element.querySelector('li')).not.toBe(li);
+      view.element.remove();
+    });
+  });
+};
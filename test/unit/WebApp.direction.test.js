@@ -0,0 +1,40 @@
+/**
+ * WebApp text direction — `<html dir>` is only written when the app asks.
+ *
+ * Covers:
+ *   - a page's static `<html dir>` survives `new WebApp({})`
+ *   - `direction` in the config still sets it
+ */
+
+const { testHelpers } = require('../utils/test-helpers');
+const { loadModule } = require('../utils/simple-module-loader');
+
+module.exports = async function(testContext) {
+    const { describe, it, expect } = testContext;
+
+    await testHelpers.setup();
+    const WebApp = loadModule('WebApp');
+    const i18n = loadModule('i18n');
+
+    describe('WebApp direction', () => {
+        it('keeps a static <html dir> when no direction is configured', async () => {
+            const root = document.documentElement;
+            const original = root.getAttribute('dir');
+            const direction = i18n.direction;
+            root.setAttribute('dir', 'rtl');
+            try {
+                const app = new WebApp({});
+                await app._i18nReady;
+                expect(root.getAttribute('dir')).toBe('rtl');
+
+                const configured = new WebApp({ name: 'Direction Test', direction: 'ltr' });
+                await configured._i18nReady;
+                expect(root.getAttribute('dir')).toBe('ltr');
+            } finally {
+                i18n.setDirection(direction);
+                if (original === null) root.removeAttribute('dir');
+                else root.setAttribute('dir', original);
+            }
+        });
+    });
+};
@@ -0,0 +1,185 @@
+/**
+ * WebApp navigation guards — beforeLeave/beforeEnter hooks, route-level
+ * resolvers and cancellation of superseded navigations.
+ *
+ * Covers:
+ *   - `beforeLeave` returning false keeps the current page
+ *   - `beforeEnter` redirects via a route string or a `{ page }` object
+ *   - route `resolve` maps populate `page.resolved` before onEnter
+ *   - a newer navigation cancels (and aborts) one stuck in a resolver
+ *   - `confirmLeave` asks the app before leaving a page with a dirty form
+ */
+
+const { testHelpers, mountApp } = require('../utils/test-helpers');
+const { loadModule } = require('../utils/simple-module-loader');
+
+module.exports = async function(testContext) {
+    const { describe, it, expect } = testContext;
+
+    await testHelpers.setup();
+    const Page = loadModule('Page');
+    const View = loadModule('View');
+    const WebApp = loadModule('WebApp');
+
+    class HomePage extends Page {
+        constructor(options = {}) {
+            super({ ...options, template: '<p>home</p>' });
+        }
+    }
+
+    class LoginPage extends Page {
+        constructor(options = {}) {
+            super({ ...options, template: '<p>login</p>' });
+        }
+    }
+
+    class UserPage extends Page {
+        constructor(options = {}) {
+            super({ ...options, template: '<p>{{resolved.user.name}}</p>' });
+            this.resolvedOnEnter = null;
+        }
+        async onEnter() {
+            await super.onEnter();
+            this.resolvedOnEnter = this.resolved;
+        }
+    }
+
+    function createApp() {
+        const app = mountApp(WebApp, { name: 'Guard Test' });
+        app.registerPage('home', HomePage);
+        app.registerPage('login', LoginPage);
+        return app;
+    }
+
+    function track(app, eventName) {
+        const seen = [];
+        app.events.on(eventName, data => seen.push(data));
+        return seen;
+    }
+
+    describe('WebApp navigation guards', () => {
+        it('stays on the current page when beforeLeave returns false', async () => {
+            const app = createApp();
+            app.registerPage('editor', HomePage);
+            await app.showPage('editor');
+            app.getPage('editor').beforeLeave = async () => false;
+            const cancelled = track(app, 'page:cancelled');
+
+            await app.showPage('home');
+
+            expect(app.currentPage).toBe(app.getPage('editor'));
+            expect(cancelled.length).toBe(1);
+            expect(cancelled[0].reason).toBe('guard');
+            expect(cancelled[0].pageName).toBe('home');
+        });
+
+        it('redirects when a route beforeEnter returns a route string', async () => {
+            const app = createApp();
+            app.registerPage('admin', HomePage, { beforeEnter: () => '/login?next=admin' });
+            const redirects = track(app, 'page:redirect');
+
+            await app.showPage('admin');
+
+            expect(app.currentPage).toBe(app.getPage('login'));
+            expect(app.currentPage.query).toEqual({ next: 'admin' });
+            expect(redirects[0].redirectTo).toBe('login');
+            expect(app.getPage('admin').isMounted()).toBe(false);
+        });
+
+        it('redirects when a page beforeEnter returns a { page } object', async () => {
+            const app = createApp();
+            class GatedPage extends HomePage {
+                async beforeEnter(nav) {
+                    return nav.params.allowed ? true : { page: 'login', query: { from: 'gated' } };
+                }
+            }
+            app.registerPage('gated', GatedPage);
+
+            await app.showPage('gated');
+            expect(app.currentPage).toBe(app.getPage('login'));
+            expect(app.currentPage.query).toEqual({ from: 'gated' });
+
+            await app.showPage('gated', {}, { allowed: true });
+            expect(app.currentPage).toBe(app.getPage('gated'));
+        });
+
+        it('populates page.resolved before the page enters', async () => {
+            const app = createApp();
+            app.registerPage('user', UserPage, {
+                route: '/users/:id',
+                resolve: {
+                    user: async (nav) => ({ id: nav.params.id, name: `User ${nav.params.id}` }),
+                    flags: { beta: true }
+                }
+            });
+
+            await app.showPage('user', {}, { id: '7' });
+
+            const page = app.getPage('user');
+            expect(page.resolvedOnEnter.user).toEqual({ id: '7', name: 'User 7' });
+            expect(page.resolved.flags).toEqual({ beta: true });
+            expect(page.element.textContent).toContain('User 7');
+        });
+
+        it('cancels a navigation that is superseded while resolving', async () => {
+            const app = createApp();
+            let capturedSignal = null;
+            let release;
+            app.registerPage('slow', UserPage, {
+                resolve: {
+                    user: (nav) => {
+                        capturedSignal = nav.signal;
+                        return new Promise(resolve => { release = resolve; });
+                    }
+                }
+            });
+            const cancelled = track(app, 'page:cancelled');
+
+            const slow = app.showPage('slow');
+            await new Promise(resolve => setTimeout(resolve, 0));
+            await app.showPage('home');
+            release({ name: 'late' });
+            await slow;
+
+            expect(app.currentPage).toBe(app.getPage('home'));
+            expect(capturedSignal.aborted).toBe(true);
+            expect(cancelled.length).toBe(1);
+            expect(cancelled[0].reason).toBe('superseded');
+            expect(cancelled[0].pageName).toBe('slow');
+            expect(app.getPage('slow').resolvedOnEnter).toBe(null);
+        });
+
+        it('confirms before leaving a confirmLeave page with unsaved changes', async () => {
+            const app = createApp();
+            app.registerPage('form', HomePage, { confirmLeave: true });
+            await app.showPage('form');
+
+            const formPage = app.getPage('form');
+            const dirtyView = new View({ template: '<form></form>' });
+            let dirty = true;
+            dirtyView.isDirty = () => dirty;
+            formPage.addChild(dirtyView);
+
+            const prompts = [];
+            let answer = false;
+            app.confirm = async (message) => {
+                prompts.push(message);
+                return answer;
+            };
+
+            await app.showPage('home');
+            expect(app.currentPage).toBe(formPage);
+            expect(prompts.length).toBe(1);
+
+            answer = true;
+            await app.showPage('home');
+            expect(app.currentPage).toBe(app.getPage('home'));
+
+            // Clean pages leave without prompting
+            dirty = false;
+            await app.showPage('form');
+            await app.showPage('home');
+            expect(prompts.length).toBe(2);
+        });
+    });
+};
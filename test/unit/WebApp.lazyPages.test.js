@@ -0,0 +1,129 @@
+/**
+ * WebApp lazy pages — registerPage() accepts a loader that is resolved on
+ * first navigation.
+ *
+ * Covers:
+ *   - arrow/async loaders are detected; the route registers immediately
+ *   - the loader runs once, on first navigation, and supports default,
+ *     bare-class and `exportName` modules
+ *   - `page:loading` / `page:loaded` events
+ *   - a failing loader routes to the error page and can be retried
+ *   - prefetchPage() loads without navigating; lazy parents load with children
+ */
+
+const { testHelpers, mountApp } = require('../utils/test-helpers');
+const { loadModule } = require('../utils/simple-module-loader');
+
+module.exports = async function(testContext) {
+    const { describe, it, expect } = testContext;
+
+    await testHelpers.setup();
+    const Page = loadModule('Page');
+    const WebApp = loadModule('WebApp');
+
+    class UsersPage extends Page {
+        constructor(options = {}) {
+            super({ ...options, template: '<p>users</p>' });
+        }
+    }
+
+    class ShellPage extends Page {
+        constructor(options = {}) {
+            super({ ...options, template: '<div data-container="outlet"></div>' });
+        }
+    }
+
+    class ErrorPage extends Page {
+        constructor(options = {}) {
+            super({ ...options, template: '<p>error</p>' });
+        }
+    }
+
+    function createApp() {
+        const app = mountApp(WebApp, { name: 'Lazy Test' });
+        // Keep the busy overlay out of these tests
+        app.showLoading = async () => {};
+        app.hideLoading = async () => {};
+        app.showError = () => {};
+        app.registerPage('error', ErrorPage);
+        return app;
+    }
+
+    describe('WebApp lazy pages', () => {
+        it('registers the route without calling the loader', () => {
+            const app = createApp();
+            let calls = 0;
+            app.registerPage('users', async () => { calls++; return { default: UsersPage }; }, { route: '/users/:id?' });
+
+            expect(calls).toBe(0);
+            expect(app.router.matchRoute('/users/3').pageName).toBe('users');
+            expect(app.pageClasses.get('users').PageClass).toBe(null);
+            expect(app.getOrCreatePage('users')).toBe(null);
+        });
+
+        it('loads the page class once on first navigation', async () => {
+            const app = createApp();
+            let calls = 0;
+            app.registerPage('users', () => { calls++; return Promise.resolve({ default: UsersPage }); });
+            const events = [];
+            app.events.on('page:loading', ({ pageName }) => events.push(`loading:${pageName}`));
+            app.events.on('page:loaded', ({ pageName }) => events.push(`loaded:${pageName}`));
+
+            await app.showPage('users');
+            await app.showPage('error');
+            await app.showPage('users');
+
+            expect(calls).toBe(1);
+            expect(app.currentPage).toBeInstanceOf(UsersPage);
+            expect(events).toEqual(['loading:users', 'loaded:users']);
+        });
+
+        it('accepts bare classes, exportName and lazy: true function loaders', async () => {
+            const app = createApp();
+            app.registerPage('bare', async () => UsersPage);
+            app.registerPage('named', async () => ({ UsersPage }), { exportName: 'UsersPage' });
+            app.registerPage('plain', function loadPlain() { return Promise.resolve({ default: UsersPage }); }, { lazy: true });
+
+            for (const name of ['bare', 'named', 'plain']) {
+                // eslint-disable-next-line no-await-in-loop -- navigations run in order
+                await app.showPage(name);
+                expect(app.currentPage.pageName).toBe(name);
+            }
+            expect(app.pageClasses.get('named').constructorOptions.exportName).toBeUndefined();
+        });
+
+        it('shows the error page when the loader fails and retries next time', async () => {
+            const app = createApp();
+            let fail = true;
+            app.registerPage('users', async () => {
+                if (fail) throw new Error('chunk failed');
+                return { default: UsersPage };
+            });
+
+            await app.showPage('users');
+            expect(app.currentPage.pageName).toBe('error');
+
+            fail = false;
+            await app.showPage('users');
+            expect(app.currentPage.pageName).toBe('users');
+        });
+
+        it('prefetches without navigating, including lazy parents', async () => {
+            const app = createApp();
+            const loaded = [];
+            app.registerPage('settings', async () => { loaded.push('settings'); return ShellPage; }, {
+                children: [
+                    { pageName: 'settings-users', PageClass: async () => { loaded.push('child'); return UsersPage; }, route: 'users' }
+                ]
+            });
+
+            await app.prefetchPage('settings-users');
+            expect(loaded.sort()).toEqual(['child', 'settings']);
+            expect(app.currentPage).toBe(null);
+
+            await app.showPage('settings-users');
+            expect(loaded.length).toBe(2);
+            expect(app.getPage('settings').activeChildPage).toBe(app.getPage('settings-users'));
+        });
+    });
+};
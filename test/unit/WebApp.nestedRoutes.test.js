@@ -0,0 +1,182 @@
+/**
+ * WebApp nested routes — a parent Page stays mounted while child routes
+ * swap in its outlet.
+ *
+ * Covers:
+ *   - `children` registration resolves relative child routes against the
+ *     parent's route and registers them with the router
+ *   - parent + child both receive onParams; the parent is entered once and
+ *     keeps its DOM element while children swap
+ *   - switching children exits/unmounts the previous child only
+ *   - `defaultChild` redirects a parent navigation to its child
+ *   - leaving the parent exits the active child too
+ *   - getCurrentPage() is the routed child, getCurrentPageChain() the chain
+ */
+
+const { testHelpers, mountApp } = require('../utils/test-helpers');
+const { loadModule } = require('../utils/simple-module-loader');
+
+module.exports = async function(testContext) {
+    const { describe, it, expect } = testContext;
+
+    await testHelpers.setup();
+    const Page = loadModule('Page');
+    const WebApp = loadModule('WebApp');
+
+    const calls = [];
+
+    class TrackedPage extends Page {
+        async onParams(params, query) {
+            await super.onParams(params, query);
+            calls.push(`${this.pageName}:params:${JSON.stringify(params)}`);
+        }
+        async onEnter() {
+            await super.onEnter();
+            calls.push(`${this.pageName}:enter`);
+        }
+        async onExit() {
+            await super.onExit();
+            calls.push(`${this.pageName}:exit`);
+        }
+    }
+
+    class SettingsPage extends TrackedPage {
+        constructor(options = {}) {
+            super({ ...options, template: '<h1>Settings</h1><div data-container="outlet"></div>' });
+        }
+    }
+
+    class SectionPage extends TrackedPage {
+        constructor(options = {}) {
+            super({ ...options, template: '<p class="section">{{params.section}}</p>' });
+        }
+    }
+
+    class OtherPage extends TrackedPage {
+        constructor(options = {}) {
+            super({ ...options, template: '<p>other</p>' });
+        }
+    }
+
+    function createApp() {
+        const app = mountApp(WebApp, { name: 'Nested Test' });
+        app.registerPage('settings', SettingsPage, {
+            route: '/settings',
+            defaultChild: 'settings-profile',
+            children: [
+                { pageName: 'settings-profile', PageClass: SectionPage, route: 'profile' },
+                { pageName: 'settings-section', PageClass: SectionPage, route: ':section' }
+            ]
+        });
+        app.registerPage('other', OtherPage);
+        calls.length = 0;
+        return app;
+    }
+
+    describe('WebApp nested routes', () => {
+        it('registers child routes relative to the parent route', () => {
+            const app = createApp();
+            const patterns = app.router.routes.map(r => `${r.pattern}=>${r.pageName}`);
+            expect(patterns).toContain('/settings/profile=>settings-profile');
+            expect(patterns).toContain('/settings/:section=>settings-section');
+            expect(app.pageClasses.get('settings-section').parent).toBe('settings');
+            // `children` must not leak into View's child-view dictionary
+            expect(app.pageClasses.get('settings').constructorOptions.children).toBeUndefined();
+        });
+
+        it('renders the child into the parent outlet and flows params to both', async () => {
+            const app = createApp();
+            await app.showPage('settings-section', {}, { section: 'billing' });
+
+            const parent = app.getPage('settings');
+            const child = app.getPage('settings-section');
+            expect(parent.activeChildPage).toBe(child);
+            expect(calls).toEqual([
+                'settings:params:{"section":"billing"}',
+                'settings:enter',
+                'settings-section:params:{"section":"billing"}',
+                'settings-section:enter'
+            ]);
+
+            const outlet = parent.element.querySelector('[data-container="outlet"]');
+            expect(outlet.contains(child.element)).toBe(true);
+            expect(child.element.textContent).toContain('billing');
+        });
+
+        it('reports the routed child as the current page', async () => {
+            const app = createApp();
+            await app.showPage('settings-section', {}, { section: 'billing' });
+
+            const parent = app.getPage('settings');
+            const child = app.getPage('settings-section');
+            expect(app.getCurrentPage()).toBe(child);
+            expect(app.getCurrentPageChain()).toEqual([parent, child]);
+
+            await app.showPage('settings');
+            expect(app.getCurrentPage()).toBe(app.getPage('settings-profile'));
+            expect(app.currentPageChain[0]).toBe(parent);
+        });
+
+        it('keeps the parent mounted while switching children', async () => {
+            const app = createApp();
+            await app.showPage('settings-section', {}, { section: 'billing' });
+            const parent = app.getPage('settings');
+            const parentEl = parent.element.querySelector('h1');
+            calls.length = 0;
+
+            await app.showPage('settings-profile', {}, {});
+
+            expect(calls).toEqual([
+                'settings:params:{}',
+                'settings-section:exit',
+                'settings-profile:params:{}',
+                'settings-profile:enter'
+            ]);
+            // Parent DOM was not re-rendered
+            expect(parent.element.querySelector('h1')).toBe(parentEl);
+            expect(parent.activeChildPage).toBe(app.getPage('settings-profile'));
+            expect(app.getPage('settings-section').isMounted()).toBe(false);
+        });
+
+        it('only re-renders the child when the same child gets new params', async () => {
+            const app = createApp();
+            await app.showPage('settings-section', {}, { section: 'billing' });
+            const parentEl = app.getPage('settings').element.querySelector('h1');
+            calls.length = 0;
+
+            await app.showPage('settings-section', {}, { section: 'security' });
+
+            expect(calls).toEqual([
+                'settings:params:{"section":"security"}',
+                'settings-section:params:{"section":"security"}'
+            ]);
+            expect(app.getPage('settings').element.querySelector('h1')).toBe(parentEl);
+            expect(app.getPage('settings-section').element.textContent).toContain('security');
+        });
+
+        it('follows defaultChild when navigating to the parent', async () => {
+            const app = createApp();
+            await app.showPage('settings');
+            expect(app.getPage('settings').activeChildPage).toBe(app.getPage('settings-profile'));
+        });
+
+        it('exits the active child when leaving the parent', async () => {
+            const app = createApp();
+            await app.showPage('settings-section', {}, { section: 'billing' });
+            calls.length = 0;
+
+            await app.showPage('other');
+
+            expect(calls.slice(0, 2)).toEqual(['settings-section:exit', 'settings:exit']);
+            expect(app.getPage('settings').activeChildPage).toBe(null);
+            expect(app.currentPage).toBe(app.getPage('other'));
+        });
+
+        it('fills route params into the synced URL of the child', async () => {
+            const app = createApp();
+            await app.showPage('settings-section', {}, { section: 'billing' });
+            expect(new URLSearchParams(window.location.search).get('page')).toBe('settings/billing');
+            window.history.replaceState(null, '', '/');
+        });
+    });
+};
@@ -0,0 +1,120 @@
+/**
+ * WebApp page cache policy — bounded LRU with keep-alive control.
+ *
+ * Covers:
+ *   - `maxCachedPages` evicts the least recently shown page
+ *   - evicted pages are destroyed and their captured state is restored on
+ *     the rebuilt instance
+ *   - `keepAlive: false` evicts a page as soon as it is left
+ *   - `keepAlive: true` pins a page against LRU eviction
+ *   - the current nested chain is never evicted
+ */
+
+const { testHelpers, mountApp } = require('../utils/test-helpers');
+const { loadModule } = require('../utils/simple-module-loader');
+
+module.exports = async function(testContext) {
+    const { describe, it, expect } = testContext;
+
+    await testHelpers.setup();
+    const Page = loadModule('Page');
+    const WebApp = loadModule('WebApp');
+
+    const destroyed = [];
+
+    class CountingPage extends Page {
+        constructor(options = {}) {
+            super({ template: '<p>{{pageName}}</p><div data-container="outlet"></div>', ...options });
+            this.counter = 0;
+        }
+        captureCustomState() {
+            return { counter: this.counter };
+        }
+        restoreCustomState(state) {
+            this.counter = state.counter;
+        }
+        async onBeforeDestroy() {
+            await super.onBeforeDestroy();
+            destroyed.push(this.pageName);
+        }
+    }
+
+    function createApp(config = {}) {
+        const app = mountApp(WebApp, { name: 'Cache Test', ...config });
+        ['a', 'b', 'c'].forEach(name => app.registerPage(name, CountingPage));
+        destroyed.length = 0;
+        return app;
+    }
+
+    describe('WebApp page cache', () => {
+        it('keeps every page when unbounded (default)', async () => {
+            const app = createApp();
+            await app.showPage('a');
+            await app.showPage('b');
+            await app.showPage('c');
+            expect([...app.pageCache.keys()]).toEqual(['a', 'b', 'c']);
+            expect(destroyed).toEqual([]);
+        });
+
+        it('evicts the least recently shown page over maxCachedPages', async () => {
+            const app = createApp({ maxCachedPages: 2 });
+            const evicted = [];
+            app.events.on('page:evicted', ({ pageName }) => evicted.push(pageName));
+
+            await app.showPage('a');
+            await app.showPage('b');
+            await app.showPage('a');
+            await app.showPage('c');
+
+            expect([...app.pageCache.keys()]).toEqual(['a', 'c']);
+            expect(evicted).toEqual(['b']);
+            expect(destroyed).toEqual(['b']);
+        });
+
+        it('restores the captured state of an evicted page when it is rebuilt', async () => {
+            const app = createApp({ maxCachedPages: 1 });
+            await app.showPage('a');
+            const first = app.getPage('a');
+            first.counter = 5;
+
+            await app.showPage('b');
+            expect(app.getPage('a')).toBeUndefined();
+
+            await app.showPage('a');
+            const rebuilt = app.getPage('a');
+            expect(rebuilt).not.toBe(first);
+            expect(rebuilt.counter).toBe(5);
+            expect(app.pageStates.has('a')).toBe(false);
+        });
+
+        it('evicts keepAlive: false pages as soon as they are left', async () => {
+            const app = createApp();
+            app.registerPage('report', CountingPage, { keepAlive: false });
+
+            await app.showPage('report');
+            expect(app.getPage('report')).toBeTruthy();
+
+            await app.showPage('a');
+            expect(app.getPage('report')).toBeUndefined();
+            expect(destroyed).toEqual(['report']);
+        });
+
+        it('never evicts keepAlive: true pages or the current chain', async () => {
+            const app = createApp({ maxCachedPages: 1 });
+            app.registerPage('dashboard', CountingPage, { keepAlive: true });
+            app.registerPage('settings', CountingPage, {
+                children: [{ pageName: 'settings-child', PageClass: CountingPage, route: 'child' }]
+            });
+
+            await app.showPage('dashboard');
+            await app.showPage('a');
+            await app.showPage('settings-child');
+
+            expect(app.getPage('dashboard')).toBeTruthy();
+            expect(app.getPage('a')).toBeUndefined();
+            expect(app.getPage('settings')).toBeTruthy();
+            expect(app.getPage('settings-child')).toBeTruthy();
+            expect(await app.evictPage('settings')).toBe(false);
+        });
+    });
+};
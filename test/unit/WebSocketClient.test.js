@@ -0,0 +1,166 @@
+/**
+ * WebSocketClient Unit Tests
+ * Topic subscriptions, request/response correlation and the outbound queue.
+ *
+ * Covers:
+ *   - subscribe() sends one subscribe frame per topic, routes messages by
+ *     `channel`, and re-subscribes after a reconnect
+ *   - request() resolves with the matching `request_id` response and
+ *     rejects on `error`, timeout, disconnect and a socket close
+ *   - send() throws while disconnected unless `queue` is on; the queue is
+ *     bounded and flushes in order after authentication
+ *
+ * A fake WebSocket stands in for the browser socket; reconnects are driven
+ * by calling connect() again (autoReconnect is off, so no timers linger).
+ */
+
+module.exports = async function(testContext) {
+    const { describe, it, expect } = testContext;
+    const { testHelpers } = require('../utils/test-helpers');
+    const { loadModule } = require('../utils/simple-module-loader');
+
+    await testHelpers.setup();
+    const WebSocketClient = loadModule('WebSocketClient');
+
+    class FakeSocket {
+        constructor(url) {
+            this.url = url;
+            this.sent = [];
+            FakeSocket.last = this;
+        }
+        send(message) {
+            this.sent.push(JSON.parse(message));
+        }
+        close(code = 1000, reason = '') {
+            this.onclose?.({ code, reason, wasClean: code === 1000 });
+        }
+        // Test helpers
+        open() {
+            this.onopen();
+        }
+        receive(data) {
+            this.onmessage({ data: JSON.stringify(data) });
+        }
+    }
+    global.WebSocket = FakeSocket;
+
+    async function connect(ws) {
+        const connecting = ws.connect();
+        FakeSocket.last.open();
+        await connecting;
+        return FakeSocket.last;
+    }
+
+    const createClient = (options = {}) => new WebSocketClient({
+        url: 'ws://test/ws/realtime/',
+        autoReconnect: false,
+        getToken: () => 'token',
+        ...options
+    });
+
+    describe('WebSocketClient', () => {
+        it('routes topic messages and re-subscribes after reconnect', async () => {
+            const ws = createClient();
+            const received = [];
+            ws.subscribe('incidents', message => received.push(['a', message.id]));
+            const stopB = ws.subscribe('incidents', message => received.push(['b', message.id]));
+
+            const socket = await connect(ws);
+            expect(socket.sent).toEqual([
+                { type: 'authenticate', token: 'token', prefix: 'bearer' },
+                { type: 'subscribe', channels: ['incidents'] }
+            ]);
+
+            ws.subscribe('jobs', () => {});
+            socket.receive({ type: 'event', channel: 'incidents', id: 1 });
+            stopB();
+            socket.receive({ type: 'event', channel: 'incidents', id: 2 });
+            expect(received).toEqual([['a', 1], ['b', 1], ['a', 2]]);
+            expect(socket.sent[2]).toEqual({ type: 'subscribe', channels: ['jobs'] });
+
+            socket.close(4000, 'dropped');
+            const reconnected = await connect(ws);
+            expect(reconnected.sent[1]).toEqual({ type: 'subscribe', channels: ['incidents', 'jobs'] });
+
+            ws.unsubscribe('incidents');
+            expect(reconnected.sent[2]).toEqual({ type: 'unsubscribe', channels: ['incidents'] });
+            ws.destroy();
+        });
+
+        it('correlates request() responses and rejects errors and timeouts', async () => {
+            const ws = createClient();
+            const socket = await connect(ws);
+            const messages = [];
+            ws.on('message', data => messages.push(data));
+
+            const pending = ws.request('stats', { range: '24h' });
+            const frame = socket.sent[1];
+            expect(frame.type).toBe('stats');
+            expect(frame.data).toEqual({ range: '24h' });
+            socket.receive({ type: 'stats', request_id: frame.request_id, data: { count: 3 } });
+            expect((await pending).data).toEqual({ count: 3 });
+            expect(messages).toEqual([]);
+
+            const failing = ws.request('stats');
+            socket.receive({ request_id: socket.sent[2].request_id, error: 'forbidden' });
+            let error = null;
+            await failing.catch(err => { error = err; });
+            expect(error.message).toBe('forbidden');
+
+            error = null;
+            await ws.request('slow', null, { timeout: 10 }).catch(err => { error = err; });
+            expect(error.message).toContain('timed out after 10ms');
+            ws.destroy();
+        });
+
+        it('rejects requests in flight when the socket closes', async () => {
+            const ws = createClient({ queue: { maxSize: 5 } });
+            const socket = await connect(ws);
+            const inFlight = ws.request('stats', null, { timeout: 1000 });
+
+            socket.close(4001, 'dropped');
+            const queued = ws.request('later', null, { timeout: 1000 });
+            let error = null;
+            await inFlight.catch(err => { error = err; });
+            expect(error.message).toBe('WebSocket closed (code 4001)');
+            expect(ws.requests.size).toBe(1);
+
+            // A request queued while down goes out on the next socket
+            const reconnected = await connect(ws);
+            expect(reconnected.sent[1].type).toBe('later');
+            reconnected.receive({ request_id: reconnected.sent[1].request_id, ok: true });
+            expect((await queued).ok).toBe(true);
+            ws.destroy();
+        });
+
+        it('throws while disconnected unless the outbound queue is on', async () => {
+            const plain = createClient();
+            expect(() => plain.send({ type: 'x' })).toThrow('WebSocket not connected');
+            plain.destroy();
+
+            const ws = createClient({ queue: { maxSize: 2 } });
+            const overflow = [];
+            ws.on('queue:overflow', data => overflow.push(data.n));
+
+            expect(ws.send({ type: 'note', n: 1 })).toBe(false);
+            ws.send({ type: 'note', n: 2 });
+            ws.send({ type: 'note', n: 3 });
+            const answer = ws.request('ping-me', null, { timeout: 1000 });
+            expect(overflow).toEqual([1, 2]);
+
+            const socket = await connect(ws);
+            expect(socket.sent.map(frame => frame.type)).toEqual(['authenticate', 'note', 'ping-me']);
+            expect(ws.outbox.length).toBe(0);
+
+            socket.receive({ request_id: socket.sent[2].request_id, ok: true });
+            expect((await answer).ok).toBe(true);
+
+            const orphan = ws.request('never');
+            ws.disconnect();
+            let error = null;
+            await orphan.catch(err => { error = err; });
+            expect(error.message).toBe('WebSocket disconnected');
+            ws.destroy();
+        });
+    });
+};
@@ -21,11 +21,21 @@ class SimpleModuleLoader {
             'EventEmitter',
             'EventDelegate',
             'Router',
+            'RestCache',
+            'OfflineQueue',
+            'RestBatcher',
             'Rest',
+            'WebSocketClient',
+            'i18nEn',
+            'i18n',
             'dataFormatter',
             'MOJOUtils',
             'MojoMustache',
             'DjangoLookups',
+            'DOMMorph',
+            'DependencyTracker',
+            'ModelStore',
+            'RealtimeSync',
             'Model',
             'RestModel',
             'Collection',
@@ -33,9 +43,12 @@ class SimpleModuleLoader {
             'Page',
             'ListViewItem',
             'ListGroupHeaderView',
+            'VirtualWindow',
             'grouping',
             'SegmentControl',
-            'TableRow'
+            'TableRow',
+            'BulkEditSession',
+            'PivotAggregator'
         ];
 
         // Set up global environment
@@ -158,13 +171,37 @@ class SimpleModuleLoader {
                 path: path.join(this.sourceRoot, 'core/Router.js'),
                 dependencies: []
             },
+            'RestCache': {
+                path: path.join(this.sourceRoot, 'core/services/RestCache.js'),
+                dependencies: []
+            },
+            'OfflineQueue': {
+                path: path.join(this.sourceRoot, 'core/services/OfflineQueue.js'),
+                dependencies: ['EventEmitter']
+            },
+            'RestBatcher': {
+                path: path.join(this.sourceRoot, 'core/services/RestBatcher.js'),
+                dependencies: []
+            },
+            'WebSocketClient': {
+                path: path.join(this.sourceRoot, 'core/services/WebSocketClient.js'),
+                dependencies: ['EventEmitter']
+            },
             'Rest': {
                 path: path.join(this.sourceRoot, 'core/Rest.js'),
+                dependencies: ['EventEmitter', 'RestCache', 'OfflineQueue', 'RestBatcher']
+            },
+            'i18nEn': {
+                path: path.join(this.sourceRoot, 'core/utils/locales/en.js'),
                 dependencies: []
             },
+            'i18n': {
+                path: path.join(this.sourceRoot, 'core/utils/I18n.js'),
+                dependencies: ['EventEmitter', 'i18nEn']
+            },
             'dataFormatter': {
                 path: path.join(this.sourceRoot, 'core/utils/DataFormatter.js'),
-                dependencies: []
+                dependencies: ['i18n']
             },
             'MOJOUtils': {
                 path: path.join(this.sourceRoot, 'core/utils/MOJOUtils.js'),
@@ -172,11 +209,19 @@ class SimpleModuleLoader {
             },
             'MojoMustache': {
                 path: path.join(this.sourceRoot, 'core/utils/mustache.js'),
-                dependencies: ['MOJOUtils']
+                dependencies: ['MOJOUtils', 'i18n']
+            },
+            'ModelStore': {
+                path: path.join(this.sourceRoot, 'core/services/ModelStore.js'),
+                dependencies: []
+            },
+            'RealtimeSync': {
+                path: path.join(this.sourceRoot, 'core/services/RealtimeSync.js'),
+                dependencies: ['EventEmitter']
             },
             'Model': {
                 path: path.join(this.sourceRoot, 'core/Model.js'),
-                dependencies: ['Rest', 'dataFormatter', 'MOJOUtils', 'EventEmitter']
+                dependencies: ['Rest', 'dataFormatter', 'MOJOUtils', 'EventEmitter', 'ModelStore', 'RealtimeSync', 'DependencyTracker', 'i18n']
             },
             'RestModel': {
                 path: path.join(this.sourceRoot, 'core/Model.js'),
@@ -184,16 +229,22 @@ class SimpleModuleLoader {
             },
             'Collection': {
                 path: path.join(this.sourceRoot, 'core/Collection.js'),
-                dependencies: ['Model', 'Rest', 'EventEmitter']
+                dependencies: ['Model', 'Rest', 'EventEmitter', 'ModelStore', 'RealtimeSync', 'DjangoLookups']
             },
             'View': {
                 path: path.join(this.sourceRoot, 'core/View.js'),
-                dependencies: ['MOJOUtils', 'EventDelegate', 'MojoMustache', 'EventEmitter']
+                dependencies: ['MOJOUtils', 'EventDelegate', 'MojoMustache', 'EventEmitter', 'DOMMorph', 'DependencyTracker', 'i18n']
             },
             'Page': {
                 path: path.join(this.sourceRoot, 'core/Page.js'),
                 dependencies: ['View']
             },
+            'WebApp': {
+                // Modal is only reached through lazy dynamic imports (showError
+                // etc.) — tests that exercise those paths must stub them.
+                path: path.join(this.sourceRoot, 'core/WebApp.js'),
+                dependencies: ['Router', 'EventBus', 'ThemeManager', 'Rest', 'ModelStore', 'i18n', 'dataFormatter']
+            },
             'ListViewItem': {
                 path: path.join(this.sourceRoot, 'core/views/list/ListViewItem.js'),
                 dependencies: ['View']
@@ -202,6 +253,10 @@ class SimpleModuleLoader {
                 path: path.join(this.sourceRoot, 'core/views/list/ListGroupHeaderView.js'),
                 dependencies: ['View']
             },
+            'VirtualWindow': {
+                path: path.join(this.sourceRoot, 'core/views/list/VirtualWindow.js'),
+                dependencies: []
+            },
             'grouping': {
                 path: path.join(this.sourceRoot, 'core/views/list/grouping.js'),
                 dependencies: ['dataFormatter']
@@ -210,13 +265,21 @@ class SimpleModuleLoader {
                 path: path.join(this.sourceRoot, 'core/utils/DjangoLookups.js'),
                 dependencies: []
             },
+            'DOMMorph': {
+                path: path.join(this.sourceRoot, 'core/utils/DOMMorph.js'),
+                dependencies: []
+            },
+            'DependencyTracker': {
+                path: path.join(this.sourceRoot, 'core/utils/DependencyTracker.js'),
+                dependencies: []
+            },
             'SegmentControl': {
                 path: path.join(this.sourceRoot, 'core/views/navigation/SegmentControl.js'),
                 dependencies: ['View']
             },
             'ListView': {
                 path: path.join(this.sourceRoot, 'core/views/list/ListView.js'),
-                dependencies: ['View', 'Collection', 'Modal', 'DjangoLookups', 'ListViewItem', 'ListGroupHeaderView', 'SegmentControl']
+                dependencies: ['View', 'Collection', 'Modal', 'DjangoLookups', 'ListViewItem', 'ListGroupHeaderView', 'VirtualWindow', 'SegmentControl']
             },
             'TableRow': {
                 path: path.join(this.sourceRoot, 'core/views/table/TableRow.js'),
@@ -228,7 +291,7 @@ class SimpleModuleLoader {
             },
             'ContextMenu': {
                 path: path.join(this.sourceRoot, 'core/views/feedback/ContextMenu.js'),
-                dependencies: ['View']
+                dependencies: ['View', 'i18n']
             },
             'ModalView': {
                 // Extends View, imports only View — construct via
@@ -301,7 +364,7 @@ class SimpleModuleLoader {
             },
             'CalendarPopover': {
                 path: path.join(this.sourceRoot, 'core/forms/inputs/calendar/CalendarPopover.js'),
-                dependencies: []
+                dependencies: ['i18n']
             },
             'PresetSidebar': {
                 path: path.join(this.sourceRoot, 'core/forms/inputs/calendar/PresetSidebar.js'),
@@ -337,7 +400,19 @@ class SimpleModuleLoader {
                 // first so the inheritance chain is real and prototype lookups
                 // for inherited methods (e.g. buildFilterDialogField) resolve.
                 path: path.join(this.sourceRoot, 'core/views/table/TableView.js'),
-                dependencies: ['View', 'ListView', 'TableRow', 'dataFormatter', 'DjangoLookups']
+                dependencies: ['View', 'ListView', 'TableRow', 'BulkEditSession', 'Modal', 'dataFormatter', 'DjangoLookups']
+            },
+            'BulkEditSession': {
+                path: path.join(this.sourceRoot, 'core/views/table/BulkEditSession.js'),
+                dependencies: []
+            },
+            'PivotAggregator': {
+                path: path.join(this.sourceRoot, 'core/views/table/PivotAggregator.js'),
+                dependencies: []
+            },
+            'PivotView': {
+                path: path.join(this.sourceRoot, 'core/views/table/PivotView.js'),
+                dependencies: ['View', 'Collection', 'TableView', 'Modal', 'dataFormatter', 'PivotAggregator']
             },
             'TablePage': {
                 // TablePage instantiates TableView inside `onInit()`, not the
@@ -609,9 +684,16 @@ class SimpleModuleLoader {
             { test: /EventBus/i, name: 'EventBus' },
             { test: /EventEmitter/, name: 'EventEmitter' },
             { test: /EventDelegate/, name: 'EventDelegate' },
+            { test: /ThemeManager/, name: 'ThemeManager' },
             { test: /Collection/, name: 'Collection' },
+            { test: /ModelStore/, name: 'ModelStore' },
+            { test: /RealtimeSync/, name: 'RealtimeSync' },
+            { test: /WebSocketClient/, name: 'WebSocketClient' },
             { test: /Model/, name: 'Model' },
             { test: /Router/, name: 'Router' },
+            { test: /RestCache/, name: 'RestCache' },
+            { test: /RestBatcher/, name: 'RestBatcher' },
+            { test: /OfflineQueue/, name: 'OfflineQueue' },
             { test: /Rest/, name: 'Rest' },
             { test: /DataFormatter/, name: 'dataFormatter' },
             // dnsData is dependency-free; tests set `global.dnsData` before
@@ -644,10 +726,15 @@ class SimpleModuleLoader {
             { test: /MOJOUtils/, name: 'MOJOUtils' },
             { test: /ListGroupHeaderView/, name: 'ListGroupHeaderView' },
             { test: /ListViewItem/, name: 'ListViewItem' },
+            { test: /VirtualWindow/, name: 'VirtualWindow' },
             { test: /\/ListView(\.js)?$/, name: 'ListView' },
             { test: /\/grouping(\.js)?$/, name: 'grouping' },
             { test: /TableRow/, name: 'TableRow' },
             { test: /DjangoLookups/, name: 'DjangoLookups' },
+            { test: /DOMMorph/, name: 'DOMMorph' },
+            { test: /DependencyTracker/, name: 'DependencyTracker' },
+            { test: /\/I18n(\.js)?$/, name: 'i18n' },
+            { test: /locales\/en(\.js)?$/, name: 'i18nEn' },
             { test: /\/Dialog(\.js)?$/, name: 'Dialog' },
             { test: /\/Modal(\.js)?$/, name: 'Modal' },
             { test: /\/View(\.js)?$/, name: 'View' },
@@ -661,6 +748,9 @@ class SimpleModuleLoader {
             { test: /\/TimePicker(\.js)?$/, name: 'TimePicker' },
             { test: /\/DateTimePicker(\.js)?$/, name: 'DateTimePicker' },
             { test: /\/TableView(\.js)?$/, name: 'TableView' },
+            { test: /BulkEditSession(\.js)?$/, name: 'BulkEditSession' },
+            { test: /PivotAggregator(\.js)?$/, name: 'PivotAggregator' },
+            { test: /\/PivotView(\.js)?$/, name: 'PivotView' },
             { test: /FormPlugins(\.js)?$/, name: 'FormPlugins' },
             // Static FormView imports resolve to global.FormView — tests
             // stub it with a constructible class (the TableView pattern).
@@ -434,6 +434,37 @@ class TestHelpers {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
+    /**
+     * Render a view into a fresh host element attached to the document.
+     * Returns the host; remove it when the test is done.
+     */
+    async mountView(view) {
+        const host = document.createElement('div');
+        document.body.appendChild(host);
+        await view.render(true, host);
+        return host;
+    }
+
+    /**
+     * Fresh `#app` / `#page-container` document and a WebApp built on it
+     * @param {Function} WebApp - The loaded WebApp class
+     * @param {object} config - WebApp config
+     */
+    mountApp(WebApp, config = {}) {
+        document.body.innerHTML = '<div id="app"><div id="page-container"></div></div>';
+        return new WebApp({ name: 'Test App', ...config });
+    }
+
+    /**
+     * Collection rows `{ id, name: 'Row <id>' }` for ids 1..count, plus any
+     * fields `extend(id)` returns
+     */
+    numberedRows(count, extend = () => ({})) {
+        const rows = [];
+        for (let id = 1; id <= count; id++) rows.push({ id, name: `Row ${id}`, ...extend(id) });
+        return rows;
+    }
+
     /**
      * Trigger DOM event
      */
@@ -667,6 +698,9 @@ const createMockEventBus = (...args) => testHelpers.createMockEventBus(...args);
 const createMockMOJO = (...args) => testHelpers.createMockMOJO(...args);
 const waitFor = (...args) => testHelpers.waitFor(...args);
 const sleep = (...args) => testHelpers.sleep(...args);
+const mountView = (...args) => testHelpers.mountView(...args);
+const mountApp = (...args) => testHelpers.mountApp(...args);
+const numberedRows = (...args) => testHelpers.numberedRows(...args);
 const triggerEvent = (...args) => testHelpers.triggerEvent(...args);
 const triggerCustomEvent = (...args) => testHelpers.triggerCustomEvent(...args);
 const assertElementExists = (...args) => testHelpers.assertElementExists(...args);
@@ -688,6 +722,9 @@ module.exports = {
     createMockMOJO,
     waitFor,
     sleep,
+    mountView,
+    mountApp,
+    numberedRows,
     triggerEvent,
     triggerCustomEvent,
     assertElementExists,